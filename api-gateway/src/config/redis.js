@@ -0,0 +1,33 @@
+// api-gateway/src/config/redis.js
+const redis = require('redis');
+
+/**
+ * Create a Redis client from the global .env settings
+ * Pub/sub needs its own connection - a subscribed client cannot run other commands
+ */
+const createRedisClient = (name = 'API Gateway') => {
+    const client = redis.createClient({
+        url: process.env.REDIS_URL,
+        // Fallback to individual variables
+        socket: {
+            host: process.env.REDIS_HOST || 'localhost',
+            port: parseInt(process.env.REDIS_PORT) || 6379,
+        },
+        password: process.env.REDIS_PASSWORD,
+        database: parseInt(process.env.REDIS_DB) || 0,
+    });
+
+    client.on('connect', () => {
+        console.log(`✅ Redis connected (${name})`);
+    });
+
+    client.on('error', (err) => {
+        console.error(`❌ Redis connection error (${name}):`, err.message);
+    });
+
+    return client;
+};
+
+module.exports = {
+    createRedisClient
+};
@@ -44,10 +44,40 @@ const publicRoutes = [
     '/api/auth/register',
     '/api/auth/login',
     '/api/auth/refresh',
+    '/api/auth/forgot-password',
+    '/api/auth/reset-password',
+    '/api/auth/verify-email',
+    '/api/auth/resend-verification',
+    // MFA login steps run before an access token exists; the auth service checks the challenge token
+    '/api/auth/mfa/verify',
+    '/api/auth/mfa/setup',
+    '/api/auth/mfa/enable',
+    // Single sign-on runs before an access token exists; the auth service checks state and code
+    '/api/auth/sso/',
+    // OAuth2 client_credentials grant; the auth service checks the client secret
+    '/api/auth/token',
+    '/api/orders/webhooks/carriers',
     '/health',
     '/api/health'
 ];
 
+/**
+ * Write routes still open to accounts with an unverified email (read_only policy)
+ * Matched exactly or as a prefix of a sub-path (e.g. /api/auth/sessions/:id)
+ */
+const unverifiedWriteRoutes = [
+    '/api/auth/logout',
+    '/api/auth/logout-all',
+    '/api/auth/sessions'
+];
+
+/**
+ * Routes that also accept the JWT as ?access_token= (EventSource cannot send headers)
+ */
+const queryTokenRoutes = [
+    '/api/events/stream'
+];
+
 /**
  * Rate limit configurations per route
  */
@@ -69,5 +99,7 @@ const rateLimits = {
 module.exports = {
     services,
     publicRoutes,
+    queryTokenRoutes,
+    unverifiedWriteRoutes,
     rateLimits
 };
\ No newline at end of file
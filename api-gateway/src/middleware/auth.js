@@ -1,14 +1,53 @@
 // api-gateway/src/middleware/auth.js
 const jwt = require('jsonwebtoken');
-const { publicRoutes } = require('../config/services');
+const { services, publicRoutes, queryTokenRoutes, unverifiedWriteRoutes } = require('../config/services');
+const { createRedisClient } = require('../config/redis');
+const { JwksKeyStore, TokenRevocation } = require('../../../shared/utils');
+
+// Public keys published by the auth service; the gateway cannot sign tokens itself
+const keyStore = new JwksKeyStore({
+    jwksUri: process.env.JWKS_URI || `${services.auth.url}/.well-known/jwks.json`
+});
+
+// Denylist written by the auth and user services (logout, deactivation, role changes)
+const revocationClient = createRedisClient('API Gateway auth');
+revocationClient.connect().catch((err) => {
+    console.error('Token revocation store unavailable:', err.message);
+});
+
+const VERIFY_OPTIONS = {
+    algorithms: JwksKeyStore.ALGORITHMS,
+    issuer: 'erp-auth-service',
+    audience: 'erp-services'
+};
+
+// Methods an unverified account may still use
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Read a Bearer token from ?access_token= on routes listed in queryTokenRoutes
+ */
+const getQueryToken = (req) => {
+    if (!queryTokenRoutes.includes(req.path) || !req.query.access_token) {
+        return undefined;
+    }
+    return `Bearer ${req.query.access_token}`;
+};
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production-min-32-chars';
+/**
+ * Verify an access token against the key named in its kid header
+ * @param {string} token
+ * @returns {Promise<Object>} Decoded payload
+ */
+const verifyToken = (token) => new Promise((resolve, reject) => {
+    jwt.verify(token, keyStore.getKeyForHeader, VERIFY_OPTIONS, (err, decoded) => (err ? reject(err) : resolve(decoded)));
+});
 
 /**
  * Authentication Middleware
  * Verifies JWT tokens for protected routes
  */
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
     // Check if route is public
     const isPublicRoute = publicRoutes.some(route => {
         if (route.includes('*')) {
@@ -22,8 +61,8 @@ const authenticate = (req, res, next) => {
         return next();  // ✅ This next() is correct
     }
 
-    // Extract token from Authorization header
-    const authHeader = req.headers.authorization;
+    // Extract token from Authorization header (or ?access_token= where allowed)
+    const authHeader = req.headers.authorization || getQueryToken(req);
 
     if (!authHeader) {
         return res.status(401).json({
@@ -50,15 +89,45 @@ const authenticate = (req, res, next) => {
 
     try {
         // Verify JWT token
-        const decoded = jwt.verify(token, JWT_SECRET);
+        const decoded = await verifyToken(token);
+
+        // Service tokens are for calls between services, not through the gateway
+        if (decoded.type === 'service') {
+            throw new Error('Service token presented to the gateway');
+        }
+
+        if (await TokenRevocation.isRevoked(revocationClient, decoded)) {
+            return res.status(401).json({
+                success: false,
+                error: {
+                    code: 'TOKEN_REVOKED',
+                    message: 'Token has been revoked'
+                }
+            });
+        }
 
         // Attach user info to request
         req.user = {
             userId: decoded.userId,
             email: decoded.email,
-            roles: decoded.roles || []
+            roles: decoded.roles || [],
+            tenantId: decoded.tenantId || null,
+            tokenExpiresAt: decoded.exp
         };
 
+        // Unverified accounts are read-only until they confirm their email
+        if (decoded.verified === false
+            && !READ_METHODS.includes(req.method)
+            && !unverifiedWriteRoutes.some(route => req.path === route || req.path.startsWith(`${route}/`))) {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'EMAIL_NOT_VERIFIED',
+                    message: 'Please verify your email address to make changes'
+                }
+            });
+        }
+
         next();  // ⚠️ THIS IS THE MISSING next() CALL!
 
     } catch (err) {
@@ -86,7 +155,7 @@ const authenticate = (req, res, next) => {
  * Optional Authentication
  * Attaches user if valid token exists, but doesn't block
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
     const authHeader = req.headers.authorization;
 
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -96,11 +165,16 @@ const optionalAuth = (req, res, next) => {
     const token = authHeader.substring(7);
 
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
+        const decoded = await verifyToken(token);
+        if (decoded.type === 'service' || await TokenRevocation.isRevoked(revocationClient, decoded)) {
+            return next();
+        }
+
         req.user = {
             userId: decoded.userId,
             email: decoded.email,
-            roles: decoded.roles || []
+            roles: decoded.roles || [],
+            tenantId: decoded.tenantId || null
         };
     } catch (err) {
         // Silently continue without user
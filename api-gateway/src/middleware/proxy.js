@@ -1,12 +1,39 @@
 // api-gateway/src/middleware/proxy.js
 const { createProxyMiddleware } = require('http-proxy-middleware');
 const { services } = require('../config/services');
+const { ServiceTokenClient } = require('../../../shared/utils');
+
+// The gateway's own credential; services only trust X-User-* headers sent with it
+const gatewayTokens = new ServiceTokenClient({
+    clientId: process.env.GATEWAY_CLIENT_ID || 'api-gateway',
+    clientSecret: process.env.GATEWAY_CLIENT_SECRET,
+    scope: ServiceTokenClient.FORWARD_SCOPE,
+    tokenUrl: process.env.SERVICE_TOKEN_URL || `${services.auth.url}/api/auth/token`
+});
+
+// Identity headers a client could try to set itself
+const FORWARDED_IDENTITY_HEADERS = ['X-User-Id', 'X-User-Email', 'X-User-Roles', 'X-User-Tenant-Id', ServiceTokenClient.HEADER];
+
+/**
+ * Fetch the gateway's service token for authenticated requests
+ * Without one, services ignore the identity headers and verify the user's own bearer token.
+ */
+const attachServiceToken = async (req, res, next) => {
+    if (req.user) {
+        try {
+            req.serviceToken = await gatewayTokens.getToken();
+        } catch (err) {
+            console.error('[PROXY] Gateway service token unavailable:', err.message);
+        }
+    }
+    next();
+};
 
 /**
  * Create proxy middleware for a service
  */
 const createServiceProxy = (serviceConfig) => {
-    return createProxyMiddleware({
+    return [attachServiceToken, createProxyMiddleware({
         target: serviceConfig.url,
         changeOrigin: true,
         // DON'T rewrite path - services expect full path
@@ -14,11 +41,17 @@ const createServiceProxy = (serviceConfig) => {
             // Log the proxied request
             console.log(`[PROXY] ${req.method} ${req.path} → ${serviceConfig.url}${req.path}`);
 
-            // Forward user information if authenticated
-            if (req.user) {
+            FORWARDED_IDENTITY_HEADERS.forEach(header => proxyReq.removeHeader(header));
+
+            // Forward user information if authenticated, vouched for by the gateway's service token
+            if (req.user && req.serviceToken) {
                 proxyReq.setHeader('X-User-Id', req.user.userId);
                 proxyReq.setHeader('X-User-Email', req.user.email);
                 proxyReq.setHeader('X-User-Roles', JSON.stringify(req.user.roles));
+                if (req.user.tenantId) {
+                    proxyReq.setHeader('X-User-Tenant-Id', req.user.tenantId);
+                }
+                proxyReq.setHeader(ServiceTokenClient.HEADER, req.serviceToken);
             }
 
             // Forward original IP
@@ -41,7 +74,7 @@ const createServiceProxy = (serviceConfig) => {
                 }
             });
         }
-    });
+    })];
 };
 
 /**
@@ -0,0 +1,85 @@
+// api-gateway/src/routes/eventRoutes.js
+const express = require('express');
+const crypto = require('crypto');
+const { addStream } = require('../utils/eventHub');
+const { RealtimeEvents } = require('../../../shared/utils');
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.REALTIME_HEARTBEAT_INTERVAL_MS) || 25000;
+const RECONNECT_DELAY_MS = 5000;
+
+// setTimeout cannot wait longer than ~24.8 days
+const MAX_TIMEOUT_MS = 2147483647;
+
+/**
+ * Event Routes
+ * Base path: /api/events
+ *
+ * GET /stream - Server-Sent Events
+ *   Authenticated with the usual JWT; browsers' EventSource cannot set headers,
+ *   so ?access_token=<jwt> is accepted on this route as well.
+ *   ?types=order.status_changed,kpi.delta limits the stream to some event types.
+ *   The stream ends with a token_expired event when the JWT expires - reconnect
+ *   with a refreshed token.
+ */
+router.get('/stream', (req, res) => {
+    const knownTypes = Object.values(RealtimeEvents.TYPES);
+    const types = req.query.types
+        ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+        : null;
+
+    const unknownTypes = (types || []).filter(type => !knownTypes.includes(type));
+    if (unknownTypes.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: `Unknown event type(s): ${unknownTypes.join(', ')}`,
+                details: [{ field: 'types', allowed: knownTypes }]
+            }
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Stop nginx and similar proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+        const { audience, ...payload } = event;
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    const sendControl = (type, data) => send({ id: crypto.randomUUID(), type, data, timestamp: new Date().toISOString() });
+
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+    sendControl('ready', { userId: req.user.userId, types: types || knownTypes });
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    const close = () => res.end();
+
+    const removeStream = addStream({ user: req.user, types, send, close });
+
+    let expiryTimer = null;
+    if (req.user.tokenExpiresAt) {
+        const msLeft = req.user.tokenExpiresAt * 1000 - Date.now();
+        expiryTimer = setTimeout(() => {
+            sendControl('token_expired', { message: 'Token has expired' });
+            close();
+        }, Math.min(Math.max(msLeft, 0), MAX_TIMEOUT_MS));
+    }
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiryTimer);
+        removeStream();
+    });
+});
+
+module.exports = router;
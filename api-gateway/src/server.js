@@ -8,6 +8,8 @@ const helmet = require('helmet');
 const { authenticate } = require('./middleware/auth');
 const { smartRateLimiter } = require('./middleware/rateLimiter');
 const { serviceProxies, services } = require('./middleware/proxy');
+const eventRoutes = require('./routes/eventRoutes');
+const { startEventHub, stopEventHub, getStreamCount } = require('./utils/eventHub');
 const { logger, requestLogger } = require('./utils/logger');
 
 const app = express();
@@ -51,6 +53,7 @@ app.get('/health', (req, res) => {
             status: 'healthy',
             uptime: process.uptime(),
             timestamp: new Date().toISOString(),
+            realtimeStreams: getStreamCount(),
             services: Object.keys(services).reduce((acc, key) => {
                 acc[key] = {
                     name: services[key].name,
@@ -79,7 +82,8 @@ app.get('/', (req, res) => {
                 users: '/api/users/*',
                 inventory: '/api/inventory/*',
                 orders: '/api/orders/*',
-                analytics: '/api/analytics/*'
+                analytics: '/api/analytics/*',
+                events: '/api/events/stream'
             },
             services: Object.keys(services).map(key => ({
                 name: services[key].name,
@@ -90,6 +94,11 @@ app.get('/', (req, res) => {
     });
 });
 
+/**
+ * Real-time events (Server-Sent Events)
+ */
+app.use('/api/events', eventRoutes);
+
 /**
  * Service Routes - Proxy to microservices
  */
@@ -154,11 +163,17 @@ const server = app.listen(PORT, () => {
     console.log('════════════════════════════════════════════════════════════');
 });
 
+startEventHub().catch((err) => {
+    logger.error('Realtime event hub failed to start', { error: err.message });
+});
+
 /**
  * Graceful Shutdown
  */
 const gracefulShutdown = () => {
     console.log('\n🛑 Shutting down gracefully...');
+    // Open event streams would keep server.close() waiting
+    stopEventHub();
     server.close(() => {
         console.log('✅ Server closed');
         process.exit(0);
@@ -0,0 +1,73 @@
+// api-gateway/src/utils/eventHub.js
+const { createRedisClient } = require('../config/redis');
+const { RealtimeEvents } = require('../../../shared/utils');
+const { logger } = require('./logger');
+
+/**
+ * Event Hub
+ * One Redis subscription per gateway instance, fanned out to every open stream.
+ * Each gateway instance receives every event, so clients can connect to any of them.
+ */
+const streams = new Set();
+let subscriber = null;
+
+/**
+ * Deliver an event to every stream whose user is in its audience
+ */
+const dispatch = (message) => {
+    let event;
+    try {
+        event = JSON.parse(message);
+    } catch (err) {
+        logger.warn('Dropped malformed realtime event', { error: err.message });
+        return;
+    }
+
+    streams.forEach((stream) => {
+        if (stream.types && !stream.types.includes(event.type)) return;
+        if (!RealtimeEvents.canReceive(event, stream.user)) return;
+
+        stream.send(event);
+    });
+};
+
+/**
+ * Subscribe to the realtime channel
+ */
+const startEventHub = async () => {
+    subscriber = createRedisClient('API Gateway events');
+    await subscriber.connect();
+    await subscriber.subscribe(RealtimeEvents.CHANNEL, dispatch);
+
+    logger.info('Subscribed to realtime events', { channel: RealtimeEvents.CHANNEL });
+};
+
+/**
+ * Register an open stream
+ * @param {Object} stream - { user, types: string[]|null, send(event), close() }
+ * @returns {Function} Unregister callback
+ */
+const addStream = (stream) => {
+    streams.add(stream);
+    return () => streams.delete(stream);
+};
+
+/**
+ * End every open stream and the Redis subscription (graceful shutdown)
+ */
+const stopEventHub = async () => {
+    streams.forEach(stream => stream.close());
+    streams.clear();
+
+    if (subscriber) {
+        await subscriber.quit().catch(() => {});
+        subscriber = null;
+    }
+};
+
+module.exports = {
+    startEventHub,
+    addStream,
+    stopEventHub,
+    getStreamCount: () => streams.size
+};
@@ -0,0 +1,194 @@
+// api-gateway/tests/eventStream.test.js
+const http = require('http');
+const request = require('supertest');
+const { loadGateway } = require('../../tests/helpers/services');
+const { signAccessToken } = require('../../tests/helpers/tokens');
+const { RealtimeEvents } = require('../../shared/utils');
+
+describe('realtime event stream', () => {
+    let gateway;
+    let eventHub;
+    let server;
+    let open = [];
+
+    const orgA = 'a0000000-0000-4000-8000-000000000001';
+    const orgB = 'b0000000-0000-4000-8000-000000000002';
+    const managerA = { id: 'a0000000-0000-4000-8000-00000000000a', email: 'manager@a.test', roles: ['manager'], organization_id: orgA };
+    const viewerA = { id: 'a0000000-0000-4000-8000-00000000000b', email: 'viewer@a.test', roles: ['viewer'], organization_id: orgA };
+    const managerB = { id: 'b0000000-0000-4000-8000-00000000000a', email: 'manager@b.test', roles: ['manager'], organization_id: orgB };
+
+    /**
+     * Open GET /api/events/stream and collect the events it sends
+     * @returns {Promise<Object>} { events, response, waitFor(type), close() }
+     */
+    const openStream = (user, query = '') => new Promise((resolve, reject) => {
+        const events = [];
+        const waiting = [];
+        let buffer = '';
+
+        const req = http.get(`http://127.0.0.1:${server.address().port}/api/events/stream${query}`, {
+            headers: { Authorization: `Bearer ${signAccessToken(user)}` }
+        }, (response) => {
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => {
+                buffer += chunk;
+                const blocks = buffer.split('\n\n');
+                buffer = blocks.pop();
+
+                blocks.forEach((block) => {
+                    const type = /^event: (.*)$/m.exec(block);
+                    const data = /^data: (.*)$/m.exec(block);
+                    if (!type || !data) return;
+
+                    events.push({ type: type[1], ...JSON.parse(data[1]) });
+                    waiting.filter(wait => wait.type === type[1]).forEach(wait => wait.resolve());
+                });
+            });
+
+            const stream = {
+                events,
+                response,
+                waitFor: type => (events.some(event => event.type === type)
+                    ? Promise.resolve()
+                    : new Promise(resolveWait => waiting.push({ type, resolve: resolveWait }))),
+                close: () => req.destroy()
+            };
+            open.push(stream);
+            stream.waitFor('ready').then(() => resolve(stream));
+        });
+        req.on('error', reject);
+    });
+
+    const publish = (type, data, audience) => gateway.redis.publish(
+        RealtimeEvents.CHANNEL,
+        JSON.stringify(RealtimeEvents.create(type, data, audience, 'test'))
+    );
+
+    // Events travel over an HTTP socket; give them a moment to arrive
+    const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+    const received = stream => stream.events.filter(event => event.type !== 'ready');
+
+    beforeAll(async () => {
+        gateway = loadGateway();
+        eventHub = gateway.load('utils/eventHub');
+        await eventHub.startEventHub();
+
+        server = gateway.app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+    });
+
+    afterEach(async () => {
+        open.forEach(stream => stream.close());
+        open = [];
+        await settle();
+    });
+
+    afterAll(async () => {
+        await eventHub.stopEventHub();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('greets a new stream with a ready event', async () => {
+        const stream = await openStream(managerA);
+
+        expect(stream.response.statusCode).toBe(200);
+        expect(stream.response.headers['content-type']).toMatch(/^text\/event-stream/);
+        expect(stream.events[0]).toMatchObject({
+            type: 'ready',
+            data: { userId: managerA.id, types: Object.values(RealtimeEvents.TYPES) }
+        });
+    });
+
+    it('fans a role event out to that role in the same organization only', async () => {
+        const [a, viewer, b] = await Promise.all([openStream(managerA), openStream(viewerA), openStream(managerB)]);
+
+        await publish(RealtimeEvents.TYPES.STOCK_LEVEL_CHANGED, { quantity: 3 }, { roles: ['manager'], tenantId: orgA });
+        await a.waitFor(RealtimeEvents.TYPES.STOCK_LEVEL_CHANGED);
+        await settle();
+
+        expect(received(a)).toEqual([
+            expect.objectContaining({ type: 'stock.level_changed', data: { quantity: 3 }, source: 'test' })
+        ]);
+        expect(received(a)[0]).not.toHaveProperty('audience');
+        expect(received(viewer)).toEqual([]);
+        expect(received(b)).toEqual([]);
+    });
+
+    it('delivers a user-addressed event to that user whatever their role', async () => {
+        const [viewer, manager] = await Promise.all([openStream(viewerA), openStream(managerA)]);
+
+        await publish(RealtimeEvents.TYPES.ORDER_STATUS_CHANGED, { status: 'shipped' }, { userIds: [viewerA.id], tenantId: orgA });
+        await viewer.waitFor(RealtimeEvents.TYPES.ORDER_STATUS_CHANGED);
+        await settle();
+
+        expect(received(viewer).map(event => event.data)).toEqual([{ status: 'shipped' }]);
+        expect(received(manager)).toEqual([]);
+    });
+
+    it('keeps a role event without an organization from tenant users', async () => {
+        const stream = await openStream(managerA);
+
+        await publish(RealtimeEvents.TYPES.KPI_DELTA, { revenue: 10 }, { roles: ['manager'] });
+        await settle();
+
+        expect(received(stream)).toEqual([]);
+    });
+
+    it('limits a stream to the requested event types', async () => {
+        const stream = await openStream(managerA, '?types=kpi.delta');
+
+        await publish(RealtimeEvents.TYPES.STOCK_LEVEL_CHANGED, {}, { roles: ['manager'], tenantId: orgA });
+        await publish(RealtimeEvents.TYPES.KPI_DELTA, { orders: 1 }, { roles: ['manager'], tenantId: orgA });
+        await stream.waitFor(RealtimeEvents.TYPES.KPI_DELTA);
+        await settle();
+
+        expect(received(stream).map(event => event.type)).toEqual(['kpi.delta']);
+    });
+
+    it('skips a message that is not an event and keeps delivering', async () => {
+        const stream = await openStream(managerA);
+
+        await gateway.redis.publish(RealtimeEvents.CHANNEL, '"not an event"');
+        await publish(RealtimeEvents.TYPES.KPI_DELTA, {}, { roles: ['manager'], tenantId: orgA });
+        await stream.waitFor(RealtimeEvents.TYPES.KPI_DELTA);
+
+        expect(received(stream)).toHaveLength(1);
+    });
+
+    it('forgets a stream once its client disconnects', async () => {
+        const stream = await openStream(managerA);
+        expect(eventHub.getStreamCount()).toBe(1);
+
+        stream.close();
+        await settle();
+
+        expect(eventHub.getStreamCount()).toBe(0);
+    });
+
+    it('rejects unknown event types', async () => {
+        const res = await request(gateway.app)
+            .get('/api/events/stream?types=kpi.delta,order.deleted')
+            .set('Authorization', `Bearer ${signAccessToken(managerA)}`);
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatchObject({ code: 'VALIDATION_ERROR', message: 'Unknown event type(s): order.deleted' });
+    });
+
+    it('needs a token, which may come as ?access_token=', async () => {
+        const anonymous = await request(gateway.app).get('/api/events/stream');
+        expect(anonymous.status).toBe(401);
+
+        const stream = await new Promise((resolve, reject) => {
+            const req = http.get(
+                `http://127.0.0.1:${server.address().port}/api/events/stream?access_token=${signAccessToken(managerA)}`,
+                (response) => {
+                    open.push({ close: () => req.destroy() });
+                    resolve(response);
+                }
+            );
+            req.on('error', reject);
+        });
+        expect(stream.statusCode).toBe(200);
+    });
+});
@@ -0,0 +1,87 @@
+// api-gateway/tests/tokenRevocation.test.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { loadGateway } = require('../../tests/helpers/services');
+const { signAccessToken, signServiceToken } = require('../../tests/helpers/tokens');
+const { TokenRevocation } = require('../../shared/utils');
+
+describe('gateway token denylist', () => {
+    let gateway;
+
+    const user = () => ({
+        id: crypto.randomUUID(),
+        email: 'user@example.com',
+        roles: ['employee'],
+        organization_id: crypto.randomUUID()
+    });
+
+    // Past authentication, the test app answers 404 for any path (no proxies are mounted)
+    const call = (token, path = '/api/inventory/products') => request(gateway.app)
+        .get(path)
+        .set('Authorization', `Bearer ${token}`);
+
+    const expectRevoked = (res) => {
+        expect(res.status).toBe(401);
+        expect(res.body.error.code).toBe('TOKEN_REVOKED');
+    };
+
+    beforeAll(() => {
+        gateway = loadGateway();
+    });
+
+    it('lets a token through while nothing revokes it', async () => {
+        const res = await call(signAccessToken(user()));
+
+        expect(res.status).toBe(404);
+    });
+
+    it('rejects a token revoked on logout, and only that token', async () => {
+        const owner = user();
+        const token = signAccessToken(owner);
+        const other = signAccessToken(owner);
+
+        await TokenRevocation.revokeToken(gateway.redis, jwt.decode(token));
+
+        expectRevoked(await call(token));
+        expect((await call(other)).status).toBe(404);
+    });
+
+    it('rejects every token of a revoked session', async () => {
+        const owner = user();
+        const sessionId = crypto.randomUUID();
+        const token = signAccessToken(owner, { sessionId });
+
+        await TokenRevocation.revokeSession(gateway.redis, sessionId);
+
+        expectRevoked(await call(token));
+        expect((await call(signAccessToken(owner, { sessionId: crypto.randomUUID() }))).status).toBe(404);
+    });
+
+    it('rejects tokens issued before the user was revoked but not after', async () => {
+        const owner = user();
+        const now = Math.floor(Date.now() / 1000);
+        const before = signAccessToken(owner, { iat: now - 60 });
+
+        await TokenRevocation.revokeUser(gateway.redis, owner.id);
+
+        expectRevoked(await call(before));
+        expect((await call(signAccessToken(owner, { iat: now + 1 }))).status).toBe(404);
+    });
+
+    it('checks tokens given as ?access_token= on the event stream too', async () => {
+        const token = signAccessToken(user());
+        await TokenRevocation.revokeToken(gateway.redis, jwt.decode(token));
+
+        const res = await request(gateway.app).get(`/api/events/stream?access_token=${token}`);
+
+        expectRevoked(res);
+    });
+
+    it('refuses service tokens', async () => {
+        const res = await call(signServiceToken('order-service', ['identity:forward']));
+
+        expect(res.status).toBe(401);
+        expect(res.body.error.code).toBe('INVALID_TOKEN');
+    });
+});
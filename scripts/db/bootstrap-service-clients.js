@@ -0,0 +1,90 @@
+// Service Client Bootstrap Script for Enterprise ERP System
+// Registers the clients the platform's own services log in with (client_credentials grant).
+// Secrets are read from the environment and stored as SHA-256 hashes, like
+// POST /api/auth/service-clients does; nothing secret lives in the schema.
+//
+// Usage: npm run db:bootstrap-clients  (after init-postgres.sql has run)
+// Re-running updates the secret hashes and scopes, so it also rotates secrets.
+
+const crypto = require('crypto');
+const path = require('path');
+const { Client } = require('pg');
+
+// Load environment variables from root .env
+require('dotenv').config({ path: path.resolve(__dirname, '../../.env') });
+
+const MIN_SECRET_LENGTH = 32;
+
+const CLIENTS = [
+    {
+        clientId: process.env.GATEWAY_CLIENT_ID || 'api-gateway',
+        name: 'API Gateway',
+        secretVariable: 'GATEWAY_CLIENT_SECRET',
+        scopes: ['identity:forward']
+    },
+    {
+        clientId: process.env.ORDER_SERVICE_CLIENT_ID || 'order-service',
+        name: 'Order Service',
+        secretVariable: 'ORDER_SERVICE_CLIENT_SECRET',
+        scopes: ['identity:forward', 'inventory:reserve']
+    }
+];
+
+/**
+ * Secret for a client, refusing missing, short and .env.example placeholder values
+ * @param {string} variable - Environment variable name
+ * @returns {string}
+ */
+const readSecret = (variable) => {
+    const secret = process.env[variable] || '';
+
+    if (secret.length < MIN_SECRET_LENGTH || /change-this/i.test(secret)) {
+        throw new Error(
+            `${variable} must be set to a random secret of at least ${MIN_SECRET_LENGTH} characters `
+            + '(e.g. openssl rand -base64 32), not the .env.example placeholder'
+        );
+    }
+
+    return secret;
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const bootstrap = async () => {
+    // Check every secret before touching the database
+    const clients = CLIENTS.map(client => ({ ...client, secretHash: hashSecret(readSecret(client.secretVariable)) }));
+
+    // Runs as the schema owner: service_clients is platform data, outside any organization
+    const db = new Client({
+        host: process.env.POSTGRES_HOST,
+        port: parseInt(process.env.POSTGRES_PORT) || 5432,
+        database: process.env.POSTGRES_DB,
+        user: process.env.POSTGRES_USER,
+        password: process.env.POSTGRES_PASSWORD
+    });
+
+    await db.connect();
+
+    try {
+        for (const client of clients) {
+            await db.query(
+                `INSERT INTO service_clients (client_id, name, secret_hash, scopes)
+                 VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (client_id) DO UPDATE
+                 SET secret_hash = EXCLUDED.secret_hash,
+                     scopes = EXCLUDED.scopes,
+                     is_active = true,
+                     updated_at = CURRENT_TIMESTAMP`,
+                [client.clientId, client.name, client.secretHash, client.scopes]
+            );
+            console.log(`✅ Service client ${client.clientId} registered (${client.scopes.join(' ')})`);
+        }
+    } finally {
+        await db.end();
+    }
+};
+
+bootstrap().catch((error) => {
+    console.error('❌ Service client bootstrap failed:', error.message);
+    process.exit(1);
+});
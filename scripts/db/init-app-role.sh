@@ -0,0 +1,14 @@
+#!/bin/sh
+# PostgreSQL container init step: give erp_app (created by init-postgres.sql without a
+# password) the password from POSTGRES_APP_PASSWORD, so no credential lives in the schema.
+set -e
+
+if [ -z "$POSTGRES_APP_PASSWORD" ]; then
+    echo "POSTGRES_APP_PASSWORD is not set; services cannot log in as erp_app" >&2
+    exit 1
+fi
+
+psql -v ON_ERROR_STOP=1 --username "$POSTGRES_USER" --dbname "$POSTGRES_DB" \
+    -v app_password="$POSTGRES_APP_PASSWORD" <<'EOSQL'
+ALTER ROLE erp_app WITH PASSWORD :'app_password';
+EOSQL
@@ -5,6 +5,39 @@
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE EXTENSION IF NOT EXISTS "pgcrypto";
 
+-- ============================================================================
+-- ORGANIZATIONS (TENANTS)
+-- ============================================================================
+
+-- Every organization's data lives in the same tables, tagged with organization_id.
+-- Services set app.tenant_id and app.tenant_scope on each connection they use, and the
+-- row-level security policies at the end of this script only show rows of that tenant.
+CREATE TABLE IF NOT EXISTS organizations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    slug VARCHAR(100) UNIQUE NOT NULL,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Organization of the current connection (NULL outside a tenant context)
+CREATE OR REPLACE FUNCTION current_tenant_id()
+RETURNS UUID AS $$
+    SELECT NULLIF(current_setting('app.tenant_id', true), '')::uuid;
+$$ LANGUAGE sql STABLE;
+
+-- Whether the current connection may see a row of the given organization
+-- Scope 'all' is for super_admin and system jobs; an unset scope sees nothing
+CREATE OR REPLACE FUNCTION tenant_visible(org_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(
+        current_setting('app.tenant_scope', true) = 'all'
+        OR (current_setting('app.tenant_scope', true) = 'tenant' AND org_id = current_tenant_id()),
+        false
+    );
+$$ LANGUAGE sql STABLE;
+
 -- ============================================================================
 -- USERS & AUTHENTICATION TABLES
 -- ============================================================================
@@ -12,7 +45,8 @@ CREATE EXTENSION IF NOT EXISTS "pgcrypto";
 -- Users table
 CREATE TABLE IF NOT EXISTS users (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    email VARCHAR(255) UNIQUE NOT NULL,
+    organization_id UUID NOT NULL DEFAULT current_tenant_id() REFERENCES organizations(id),
+    email VARCHAR(255) UNIQUE NOT NULL, -- unique across organizations, so login by email finds one account
     password_hash VARCHAR(255) NOT NULL,
     first_name VARCHAR(100),
     last_name VARCHAR(100),
@@ -24,48 +58,175 @@ CREATE TABLE IF NOT EXISTS users (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE INDEX idx_users_organization ON users(organization_id);
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_active ON users(is_active);
 
--- Refresh tokens
+-- Sessions (one per signed-in device; token holds the SHA-256 hash of its current refresh token)
+CREATE TABLE IF NOT EXISTS sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token VARCHAR(500) NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP
+);
+
+CREATE INDEX idx_sessions_user ON sessions(user_id);
+CREATE INDEX idx_sessions_token ON sessions(token);
+
+-- Refresh tokens (token is the SHA-256 hash; family_id is the tokenId of the first token in a rotation chain)
 CREATE TABLE IF NOT EXISTS refresh_tokens (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     token VARCHAR(500) UNIQUE NOT NULL,
     expires_at TIMESTAMP NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    revoked BOOLEAN DEFAULT false
+    revoked BOOLEAN DEFAULT false,
+    session_id UUID REFERENCES sessions(id) ON DELETE CASCADE,
+    family_id VARCHAR(64) NOT NULL
 );
 
 CREATE INDEX idx_refresh_tokens_user ON refresh_tokens(user_id);
 CREATE INDEX idx_refresh_tokens_token ON refresh_tokens(token);
+CREATE INDEX idx_refresh_tokens_session ON refresh_tokens(session_id);
+CREATE INDEX idx_refresh_tokens_family ON refresh_tokens(family_id);
 
--- Sessions
-CREATE TABLE IF NOT EXISTS sessions (
+-- Password reset tokens (only the SHA-256 hash of the emailed token is stored)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    token VARCHAR(500) NOT NULL,
-    ip_address VARCHAR(45),
-    user_agent TEXT,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
     expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    requested_ip VARCHAR(45),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
-CREATE INDEX idx_sessions_user ON sessions(user_id);
-CREATE INDEX idx_sessions_token ON sessions(token);
+CREATE INDEX idx_password_reset_tokens_user ON password_reset_tokens(user_id);
+
+-- Email verification tokens (hashed like password reset tokens)
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_email_verification_tokens_user ON email_verification_tokens(user_id);
+
+-- TOTP multi-factor authentication (secret is AES-GCM encrypted by the auth service)
+CREATE TABLE IF NOT EXISTS user_mfa (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret_encrypted TEXT NOT NULL,
+    enabled BOOLEAN DEFAULT false,
+    enabled_at TIMESTAMP,
+    last_used_step BIGINT, -- last accepted TOTP time step, rejects code replay
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One-time MFA recovery codes (hashed)
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, code_hash)
+);
+
+CREATE INDEX idx_mfa_recovery_codes_user ON mfa_recovery_codes(user_id);
+
+-- Access token signing keys (private key AES-GCM encrypted by the auth service)
+-- A key is published in the JWKS as soon as it is created, signs new tokens from activates_at
+-- until retired_at, and stays in the JWKS until expires_at. The newest key has retired_at NULL.
+CREATE TABLE IF NOT EXISTS signing_keys (
+    kid VARCHAR(64) PRIMARY KEY,
+    algorithm VARCHAR(10) NOT NULL,
+    public_jwk JSONB NOT NULL,
+    private_key_encrypted TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    activates_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    retired_at TIMESTAMP,
+    expires_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_signing_keys_active ON signing_keys((retired_at IS NULL)) WHERE retired_at IS NULL;
+
+-- Enterprise single sign-on: one OpenID Connect identity provider per tenant
+-- group_role_mappings maps IdP group names to role names, e.g. {"erp-admins": "admin"}
+CREATE TABLE IF NOT EXISTS identity_providers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL DEFAULT current_tenant_id() REFERENCES organizations(id) ON DELETE CASCADE,
+    slug VARCHAR(100) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    issuer VARCHAR(500) NOT NULL,
+    client_id VARCHAR(255) NOT NULL,
+    client_secret_encrypted TEXT,
+    scopes VARCHAR(500) DEFAULT 'openid email profile',
+    groups_claim VARCHAR(100) DEFAULT 'groups',
+    group_role_mappings JSONB DEFAULT '{}',
+    default_role VARCHAR(50),
+    allowed_domains TEXT[] DEFAULT '{}',
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Links a user to their account (subject) at an identity provider
+CREATE TABLE IF NOT EXISTS user_identities (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider_id UUID NOT NULL REFERENCES identity_providers(id) ON DELETE CASCADE,
+    subject VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(provider_id, subject)
+);
+
+CREATE INDEX idx_user_identities_user ON user_identities(user_id);
+
+-- Machine clients (other services) that get service tokens through the client_credentials grant
+-- secret_hash is the SHA-256 of the client secret; identity:forward lets a client pass on X-User-* headers
+CREATE TABLE IF NOT EXISTS service_clients (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id VARCHAR(100) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    secret_hash VARCHAR(64) NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    last_used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
 
 -- ============================================================================
 -- RBAC (Role-Based Access Control) TABLES
 -- ============================================================================
 
--- Roles
+-- Roles (organization_id NULL for the built-in roles every organization shares)
 CREATE TABLE IF NOT EXISTS roles (
     id SERIAL PRIMARY KEY,
-    name VARCHAR(50) UNIQUE NOT NULL,
+    organization_id UUID DEFAULT current_tenant_id() REFERENCES organizations(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
     description TEXT,
+    mfa_required BOOLEAN DEFAULT false, -- members must enroll in MFA before they can log in
+    is_system BOOLEAN DEFAULT false, -- built-in roles cannot be renamed or deleted
+    parent_id INTEGER REFERENCES roles(id) ON DELETE RESTRICT, -- inherits the parent's permissions
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE UNIQUE INDEX idx_roles_builtin_name ON roles(name) WHERE organization_id IS NULL;
+CREATE UNIQUE INDEX idx_roles_organization_name ON roles(organization_id, name) WHERE organization_id IS NOT NULL;
+
 -- Permissions
 CREATE TABLE IF NOT EXISTS permissions (
     id SERIAL PRIMARY KEY,
@@ -92,6 +253,28 @@ CREATE TABLE IF NOT EXISTS role_permissions (
     PRIMARY KEY (role_id, permission_id)
 );
 
+-- Every role paired with itself and each of its ancestors (depth 0 is the role itself)
+-- path holds the role ids walked so far, so a cycle cannot make the recursion endless
+CREATE OR REPLACE VIEW role_ancestors WITH (security_invoker = true) AS
+WITH RECURSIVE chain AS (
+    SELECT id AS role_id, id AS ancestor_id, parent_id, 0 AS depth, ARRAY[id] AS path
+    FROM roles
+    UNION ALL
+    SELECT c.role_id, r.id, r.parent_id, c.depth + 1, c.path || r.id
+    FROM chain c
+    JOIN roles r ON r.id = c.parent_id
+    WHERE NOT r.id = ANY(c.path)
+)
+SELECT role_id, ancestor_id, depth, path
+FROM chain;
+
+-- Permissions a role holds directly or inherits; source_role_id is the role that grants it
+-- Resolve permissions through this view rather than role_permissions
+CREATE OR REPLACE VIEW role_effective_permissions WITH (security_invoker = true) AS
+SELECT ra.role_id, rp.permission_id, ra.ancestor_id AS source_role_id, ra.depth, ra.path
+FROM role_ancestors ra
+JOIN role_permissions rp ON rp.role_id = ra.ancestor_id;
+
 -- ============================================================================
 -- INVENTORY MANAGEMENT TABLES
 -- ============================================================================
@@ -99,7 +282,8 @@ CREATE TABLE IF NOT EXISTS role_permissions (
 -- Products
 CREATE TABLE IF NOT EXISTS products (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    sku VARCHAR(50) UNIQUE NOT NULL,
+    organization_id UUID NOT NULL DEFAULT current_tenant_id() REFERENCES organizations(id),
+    sku VARCHAR(50) NOT NULL,
     name VARCHAR(255) NOT NULL,
     description TEXT,
     category VARCHAR(100),
@@ -110,9 +294,11 @@ CREATE TABLE IF NOT EXISTS products (
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    created_by UUID REFERENCES users(id)
+    created_by UUID REFERENCES users(id),
+    UNIQUE(organization_id, sku)
 );
 
+CREATE INDEX idx_products_organization ON products(organization_id);
 CREATE INDEX idx_products_sku ON products(sku);
 CREATE INDEX idx_products_category ON products(category);
 CREATE INDEX idx_products_active ON products(is_active);
@@ -120,13 +306,15 @@ CREATE INDEX idx_products_active ON products(is_active);
 -- Warehouses
 CREATE TABLE IF NOT EXISTS warehouses (
     id SERIAL PRIMARY KEY,
+    organization_id UUID NOT NULL DEFAULT current_tenant_id() REFERENCES organizations(id),
     name VARCHAR(255) NOT NULL,
-    code VARCHAR(50) UNIQUE NOT NULL,
+    code VARCHAR(50) NOT NULL,
     location VARCHAR(255),
     capacity INTEGER,
     manager_id UUID REFERENCES users(id),
     is_active BOOLEAN DEFAULT true,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(organization_id, code)
 );
 
 -- Stock Levels
@@ -162,9 +350,28 @@ CREATE INDEX idx_movements_product ON stock_movements(product_id);
 CREATE INDEX idx_movements_type ON stock_movements(movement_type);
 CREATE INDEX idx_movements_date ON stock_movements(created_at);
 
+-- Stock Reservations (stock held for pending orders)
+CREATE TABLE IF NOT EXISTS stock_reservations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL,
+    product_id UUID NOT NULL REFERENCES products(id),
+    warehouse_id INTEGER NOT NULL REFERENCES warehouses(id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    -- Status: active, committed, released, expired, returned
+    expires_at TIMESTAMP NOT NULL,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_reservations_order ON stock_reservations(order_id);
+CREATE INDEX idx_reservations_active_expiry ON stock_reservations(expires_at) WHERE status = 'active';
+
 -- Suppliers
 CREATE TABLE IF NOT EXISTS suppliers (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL DEFAULT current_tenant_id() REFERENCES organizations(id),
     name VARCHAR(255) NOT NULL,
     contact_person VARCHAR(100),
     email VARCHAR(255),
@@ -174,6 +381,61 @@ CREATE TABLE IF NOT EXISTS suppliers (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Product Suppliers (who a product can be bought from, and at what cost)
+CREATE TABLE IF NOT EXISTS product_suppliers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    supplier_id UUID NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+    supplier_sku VARCHAR(100),
+    unit_cost DECIMAL(10,2),
+    lead_time_days INTEGER CHECK (lead_time_days >= 0),
+    is_preferred BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(product_id, supplier_id)
+);
+
+CREATE INDEX idx_product_suppliers_supplier ON product_suppliers(supplier_id);
+-- At most one preferred supplier per product (used for reorder suggestions)
+CREATE UNIQUE INDEX idx_product_suppliers_preferred ON product_suppliers(product_id) WHERE is_preferred;
+
+-- Purchase Orders
+CREATE TABLE IF NOT EXISTS purchase_orders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL DEFAULT current_tenant_id() REFERENCES organizations(id),
+    po_number VARCHAR(50) UNIQUE NOT NULL,
+    supplier_id UUID NOT NULL REFERENCES suppliers(id),
+    warehouse_id INTEGER NOT NULL REFERENCES warehouses(id),
+    status VARCHAR(50) DEFAULT 'draft',
+    -- Status: draft, approved, partially_received, received, cancelled
+    total_amount DECIMAL(12,2) DEFAULT 0.00,
+    expected_date DATE,
+    notes TEXT,
+    created_by UUID REFERENCES users(id),
+    approved_by UUID REFERENCES users(id),
+    approved_at TIMESTAMP,
+    received_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_purchase_orders_supplier ON purchase_orders(supplier_id);
+CREATE INDEX idx_purchase_orders_status ON purchase_orders(status);
+
+-- Purchase Order Items
+CREATE TABLE IF NOT EXISTS purchase_order_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    purchase_order_id UUID NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id),
+    quantity_ordered INTEGER NOT NULL CHECK (quantity_ordered > 0),
+    quantity_received INTEGER NOT NULL DEFAULT 0 CHECK (quantity_received >= 0 AND quantity_received <= quantity_ordered),
+    unit_cost DECIMAL(10,2) DEFAULT 0.00,
+    UNIQUE(purchase_order_id, product_id)
+);
+
+CREATE INDEX idx_purchase_order_items_product ON purchase_order_items(product_id);
+
 -- ============================================================================
 -- ORDER MANAGEMENT TABLES
 -- ============================================================================
@@ -181,6 +443,7 @@ CREATE TABLE IF NOT EXISTS suppliers (
 -- Orders
 CREATE TABLE IF NOT EXISTS orders (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL DEFAULT current_tenant_id() REFERENCES organizations(id),
     order_number VARCHAR(50) UNIQUE NOT NULL,
     customer_id UUID REFERENCES users(id),
     status VARCHAR(50) DEFAULT 'pending',
@@ -204,6 +467,7 @@ CREATE TABLE IF NOT EXISTS orders (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE INDEX idx_orders_organization ON orders(organization_id);
 CREATE INDEX idx_orders_number ON orders(order_number);
 CREATE INDEX idx_orders_customer ON orders(customer_id);
 CREATE INDEX idx_orders_status ON orders(status);
@@ -229,19 +493,40 @@ CREATE INDEX idx_order_items_product ON order_items(product_id);
 CREATE TABLE IF NOT EXISTS payments (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
-    amount DECIMAL(10,2) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
     payment_method VARCHAR(50) NOT NULL,
+    provider VARCHAR(50),
     transaction_id VARCHAR(255),
     status VARCHAR(50) DEFAULT 'pending',
     -- Status: pending, completed, failed, refunded
+    refunded_amount DECIMAL(10,2) DEFAULT 0.00 CHECK (refunded_amount >= 0 AND refunded_amount <= amount),
+    failure_reason TEXT,
     payment_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     processed_by UUID REFERENCES users(id),
-    metadata JSONB
+    metadata JSONB,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX idx_payments_order ON payments(order_id);
 CREATE INDEX idx_payments_status ON payments(status);
 
+-- Payment Refunds (full or partial refunds of a payment)
+CREATE TABLE IF NOT EXISTS payment_refunds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    payment_id UUID REFERENCES payments(id) ON DELETE CASCADE,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    reason TEXT,
+    status VARCHAR(50) DEFAULT 'pending',
+    -- Status: pending, completed, failed
+    provider_refund_id VARCHAR(255),
+    failure_reason TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_payment_refunds_payment ON payment_refunds(payment_id);
+
 -- Shipments
 CREATE TABLE IF NOT EXISTS shipments (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -254,12 +539,26 @@ CREATE TABLE IF NOT EXISTS shipments (
     estimated_delivery TIMESTAMP,
     delivered_at TIMESTAMP,
     notes TEXT,
-    created_by UUID REFERENCES users(id)
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX idx_shipments_order ON shipments(order_id);
 CREATE INDEX idx_shipments_tracking ON shipments(tracking_number);
 
+-- Shipment Items (which order lines, and how many units, travel in a shipment)
+CREATE TABLE IF NOT EXISTS shipment_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    shipment_id UUID REFERENCES shipments(id) ON DELETE CASCADE,
+    order_item_id UUID REFERENCES order_items(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    UNIQUE(shipment_id, order_item_id)
+);
+
+CREATE INDEX idx_shipment_items_shipment ON shipment_items(shipment_id);
+CREATE INDEX idx_shipment_items_order_item ON shipment_items(order_item_id);
+
 -- ============================================================================
 -- AUDIT LOGS
 -- ============================================================================
@@ -285,14 +584,19 @@ CREATE INDEX idx_audit_date ON audit_logs(created_at);
 -- INITIAL DATA SEEDING
 -- ============================================================================
 
--- Insert default roles
-INSERT INTO roles (name, description) VALUES
-    ('super_admin', 'Full system access with all permissions'),
-    ('admin', 'Organization-level administration'),
-    ('manager', 'Department and team management'),
-    ('employee', 'Limited operational access'),
-    ('viewer', 'Read-only access to reports')
-ON CONFLICT (name) DO NOTHING;
+-- Organization the default admin and the sample warehouses belong to
+INSERT INTO organizations (name, slug)
+VALUES ('Default Organization', 'default')
+ON CONFLICT (slug) DO NOTHING;
+
+-- Insert default roles (built in, so shared by every organization)
+INSERT INTO roles (name, description, is_system) VALUES
+    ('super_admin', 'Full system access with all permissions', true),
+    ('admin', 'Organization-level administration', true),
+    ('manager', 'Department and team management', true),
+    ('employee', 'Limited operational access', true),
+    ('viewer', 'Read-only access to reports', true)
+ON CONFLICT (name) WHERE organization_id IS NULL DO NOTHING;
 
 -- Insert permissions
 INSERT INTO permissions (resource, action, description) VALUES
@@ -302,6 +606,17 @@ INSERT INTO permissions (resource, action, description) VALUES
     ('users', 'update', 'Update user information'),
     ('users', 'delete', 'Delete users'),
     
+    -- Role permissions
+    ('roles', 'read', 'View roles and who holds them'),
+    ('roles', 'assign', 'Grant and revoke user roles'),
+    ('roles', 'manage', 'Create, edit and delete roles and their permissions'),
+    
+    -- Organization permissions
+    ('organizations', 'update', 'Rename the organization'),
+    
+    -- Activity permissions
+    ('activity', 'read', 'View other users'' activity history'),
+    
     -- Product permissions
     ('products', 'create', 'Create new products'),
     ('products', 'read', 'View product information'),
@@ -337,25 +652,66 @@ CROSS JOIN permissions p
 WHERE r.name = 'super_admin'
 ON CONFLICT DO NOTHING;
 
--- Assign permissions to Admin role
+-- Role hierarchy: viewer < employee < manager < admin, each inheriting from its parent
+-- (super_admin is granted every permission directly, so it stands alone)
+UPDATE roles r
+SET parent_id = parent_role.id
+FROM (VALUES
+    ('employee', 'viewer'),
+    ('manager', 'employee'),
+    ('admin', 'manager')
+) AS h(child, parent_name)
+JOIN roles parent_role ON parent_role.name = h.parent_name
+WHERE r.name = h.child
+AND r.parent_id IS NULL;
+
+-- Permissions each role adds to those it inherits
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM (VALUES
+    ('viewer', 'analytics', 'read'),
+    ('employee', 'products', 'read'),
+    ('employee', 'inventory', 'read'),
+    ('employee', 'orders', 'read'),
+    ('employee', 'orders', 'create'),
+    ('manager', 'products', 'update'),
+    ('manager', 'inventory', 'update'),
+    ('manager', 'orders', 'update'),
+    ('manager', 'users', 'read'),
+    ('manager', 'activity', 'read'),
+    ('manager', 'analytics', 'export')
+) AS g(role_name, resource, action)
+JOIN roles r ON r.name = g.role_name
+JOIN permissions p ON p.resource = g.resource AND p.action = g.action
+ON CONFLICT DO NOTHING;
+
+-- Admin: everything on its resources that it does not already inherit from manager
 INSERT INTO role_permissions (role_id, permission_id)
 SELECT r.id, p.id
 FROM roles r
 CROSS JOIN permissions p
 WHERE r.name = 'admin'
-AND p.resource IN ('users', 'products', 'inventory', 'orders', 'analytics')
+AND p.resource IN ('users', 'roles', 'organizations', 'activity', 'products', 'inventory', 'orders', 'analytics')
+AND p.id NOT IN (
+    SELECT ep.permission_id
+    FROM role_effective_permissions ep
+    JOIN roles m ON m.id = ep.role_id
+    WHERE m.name = 'manager'
+)
 ON CONFLICT DO NOTHING;
 
 -- Create default admin user (password: Admin@123)
-INSERT INTO users (email, password_hash, first_name, last_name, is_active, is_verified)
-VALUES (
+INSERT INTO users (organization_id, email, password_hash, first_name, last_name, is_active, is_verified)
+SELECT
+    o.id,
     'admin@erp.com',
     '$2a$10$rKvVYVzQm9WqHYwZYZ.UJuK4q0YxQYZYZYZYZYZYZYZYZYZYZYZ',
     'System',
     'Administrator',
     true,
     true
-)
+FROM organizations o
+WHERE o.slug = 'default'
 ON CONFLICT (email) DO NOTHING;
 
 -- Assign super_admin role to default admin
@@ -367,12 +723,19 @@ WHERE u.email = 'admin@erp.com'
 AND r.name = 'super_admin'
 ON CONFLICT DO NOTHING;
 
+-- Service clients for the gateway and order service are not seeded: their secrets come
+-- from the environment via scripts/db/bootstrap-service-clients.js (npm run db:bootstrap-clients)
+
 -- Create default warehouse
-INSERT INTO warehouses (name, code, location, capacity, is_active)
-VALUES 
-    ('Main Warehouse', 'WH-001', 'Central Location', 10000, true),
-    ('Secondary Warehouse', 'WH-002', 'North Location', 5000, true)
-ON CONFLICT (code) DO NOTHING;
+INSERT INTO warehouses (organization_id, name, code, location, capacity, is_active)
+SELECT o.id, w.name, w.code, w.location, w.capacity, true
+FROM organizations o
+CROSS JOIN (VALUES
+    ('Main Warehouse', 'WH-001', 'Central Location', 10000),
+    ('Secondary Warehouse', 'WH-002', 'North Location', 5000)
+) AS w(name, code, location, capacity)
+WHERE o.slug = 'default'
+ON CONFLICT (organization_id, code) DO NOTHING;
 
 -- ============================================================================
 -- FUNCTIONS AND TRIGGERS
@@ -387,7 +750,47 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
+-- Reject a role parent that would make a role its own ancestor
+CREATE OR REPLACE FUNCTION prevent_role_hierarchy_cycle()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.parent_id IS NOT NULL AND EXISTS (
+        SELECT 1 FROM role_ancestors
+        WHERE role_id = NEW.parent_id AND ancestor_id = NEW.id
+    ) THEN
+        RAISE EXCEPTION 'Role % cannot inherit from one of its own descendants', NEW.name
+            USING ERRCODE = 'check_violation', CONSTRAINT = 'roles_parent_cycle';
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER check_roles_parent_cycle BEFORE INSERT OR UPDATE OF parent_id ON roles
+    FOR EACH ROW EXECUTE FUNCTION prevent_role_hierarchy_cycle();
+
+-- An organization's own roles cannot take a built-in role's name: services authorize
+-- by role name, so a custom "super_admin" would pass for the real one
+CREATE OR REPLACE FUNCTION prevent_builtin_role_name()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.organization_id IS NOT NULL AND EXISTS (
+        SELECT 1 FROM roles
+        WHERE organization_id IS NULL AND name = NEW.name
+    ) THEN
+        RAISE EXCEPTION 'Role name % is reserved for a built-in role', NEW.name
+            USING ERRCODE = 'unique_violation', CONSTRAINT = 'roles_builtin_name';
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER check_roles_builtin_name BEFORE INSERT OR UPDATE OF name, organization_id ON roles
+    FOR EACH ROW EXECUTE FUNCTION prevent_builtin_role_name();
+
 -- Apply update trigger to relevant tables
+CREATE TRIGGER update_organizations_updated_at BEFORE UPDATE ON organizations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -397,6 +800,27 @@ CREATE TRIGGER update_products_updated_at BEFORE UPDATE ON products
 CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON orders
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_payment_refunds_updated_at BEFORE UPDATE ON payment_refunds
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_shipments_updated_at BEFORE UPDATE ON shipments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_stock_reservations_updated_at BEFORE UPDATE ON stock_reservations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_product_suppliers_updated_at BEFORE UPDATE ON product_suppliers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_purchase_orders_updated_at BEFORE UPDATE ON purchase_orders
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_user_mfa_updated_at BEFORE UPDATE ON user_mfa
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Function to auto-generate order numbers
 CREATE OR REPLACE FUNCTION generate_order_number()
 RETURNS TRIGGER AS $$
@@ -413,12 +837,28 @@ CREATE SEQUENCE IF NOT EXISTS order_number_seq START 1;
 CREATE TRIGGER set_order_number BEFORE INSERT ON orders
     FOR EACH ROW EXECUTE FUNCTION generate_order_number();
 
+-- Function to auto-generate purchase order numbers
+CREATE OR REPLACE FUNCTION generate_po_number()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.po_number = 'PO-' || TO_CHAR(CURRENT_TIMESTAMP, 'YYYYMMDD') || '-' || LPAD(nextval('po_number_seq')::TEXT, 6, '0');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE SEQUENCE IF NOT EXISTS po_number_seq START 1;
+
+CREATE TRIGGER set_po_number BEFORE INSERT ON purchase_orders
+    FOR EACH ROW EXECUTE FUNCTION generate_po_number();
+
 -- ============================================================================
 -- VIEWS FOR ANALYTICS
 -- ============================================================================
 
+-- Analytics views run with the caller's permissions, so row-level security still applies
+
 -- View for inventory alerts
-CREATE OR REPLACE VIEW inventory_alerts AS
+CREATE OR REPLACE VIEW inventory_alerts WITH (security_invoker = true) AS
 SELECT 
     p.id as product_id,
     p.sku,
@@ -431,10 +871,11 @@ SELECT
     p.reorder_point,
     p.reorder_quantity,
     CASE 
-        WHEN sl.available_quantity <= p.reorder_point THEN 'LOW_STOCK'
         WHEN sl.available_quantity = 0 THEN 'OUT_OF_STOCK'
+        WHEN sl.available_quantity <= p.reorder_point THEN 'LOW_STOCK'
         ELSE 'ADEQUATE'
-    END as alert_level
+    END as alert_level,
+    sl.warehouse_id
 FROM products p
 JOIN stock_levels sl ON p.id = sl.product_id
 JOIN warehouses w ON sl.warehouse_id = w.id
@@ -442,7 +883,7 @@ WHERE p.is_active = true
 AND sl.available_quantity <= p.reorder_point;
 
 -- View for order summary
-CREATE OR REPLACE VIEW order_summary AS
+CREATE OR REPLACE VIEW order_summary WITH (security_invoker = true) AS
 SELECT 
     o.id,
     o.order_number,
@@ -460,4 +901,125 @@ JOIN users u ON o.customer_id = u.id
 LEFT JOIN order_items oi ON o.id = oi.order_id
 GROUP BY o.id, u.email, u.first_name, u.last_name;
 
-COMMIT;
\ No newline at end of file
+COMMIT;
+
+-- ============================================================================
+-- ROW-LEVEL SECURITY (TENANT ISOLATION)
+-- ============================================================================
+
+-- Tables that carry organization_id see and accept only rows of the current tenant
+DO $$
+DECLARE
+    tenant_table TEXT;
+BEGIN
+    FOREACH tenant_table IN ARRAY ARRAY[
+        'users', 'identity_providers', 'products', 'warehouses', 'suppliers', 'purchase_orders', 'orders'
+    ]
+    LOOP
+        EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', tenant_table);
+        EXECUTE format(
+            'CREATE POLICY tenant_isolation ON %I USING (tenant_visible(organization_id)) WITH CHECK (tenant_visible(organization_id))',
+            tenant_table
+        );
+    END LOOP;
+END
+$$;
+
+ALTER TABLE organizations ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON organizations
+    USING (tenant_visible(id)) WITH CHECK (tenant_visible(id));
+
+-- Built-in roles are readable by every organization, but only changed in scope 'all'
+ALTER TABLE roles ENABLE ROW LEVEL SECURITY;
+CREATE POLICY roles_read ON roles FOR SELECT
+    USING (organization_id IS NULL OR tenant_visible(organization_id));
+CREATE POLICY roles_write ON roles
+    USING (tenant_visible(organization_id)) WITH CHECK (tenant_visible(organization_id));
+
+ALTER TABLE role_permissions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY role_permissions_read ON role_permissions FOR SELECT
+    USING (EXISTS (SELECT 1 FROM roles r WHERE r.id = role_permissions.role_id));
+CREATE POLICY role_permissions_write ON role_permissions
+    USING (EXISTS (SELECT 1 FROM roles r WHERE r.id = role_permissions.role_id AND tenant_visible(r.organization_id)))
+    WITH CHECK (EXISTS (SELECT 1 FROM roles r WHERE r.id = role_permissions.role_id AND tenant_visible(r.organization_id)));
+
+-- Child tables follow their parent row: a subquery on the parent only finds rows the
+-- parent's own policy lets through
+ALTER TABLE user_roles ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON user_roles
+    USING (EXISTS (SELECT 1 FROM users u WHERE u.id = user_roles.user_id))
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM users u WHERE u.id = user_roles.user_id)
+        AND EXISTS (SELECT 1 FROM roles r WHERE r.id = user_roles.role_id)
+    );
+
+ALTER TABLE user_identities ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON user_identities
+    USING (EXISTS (SELECT 1 FROM users u WHERE u.id = user_identities.user_id))
+    WITH CHECK (EXISTS (SELECT 1 FROM users u WHERE u.id = user_identities.user_id));
+
+ALTER TABLE stock_levels ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON stock_levels
+    USING (EXISTS (SELECT 1 FROM warehouses w WHERE w.id = stock_levels.warehouse_id))
+    WITH CHECK (EXISTS (SELECT 1 FROM warehouses w WHERE w.id = stock_levels.warehouse_id));
+
+ALTER TABLE stock_movements ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON stock_movements
+    USING (EXISTS (SELECT 1 FROM products p WHERE p.id = stock_movements.product_id))
+    WITH CHECK (EXISTS (SELECT 1 FROM products p WHERE p.id = stock_movements.product_id));
+
+ALTER TABLE stock_reservations ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON stock_reservations
+    USING (EXISTS (SELECT 1 FROM products p WHERE p.id = stock_reservations.product_id))
+    WITH CHECK (EXISTS (SELECT 1 FROM products p WHERE p.id = stock_reservations.product_id));
+
+ALTER TABLE product_suppliers ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON product_suppliers
+    USING (EXISTS (SELECT 1 FROM products p WHERE p.id = product_suppliers.product_id))
+    WITH CHECK (EXISTS (SELECT 1 FROM products p WHERE p.id = product_suppliers.product_id));
+
+ALTER TABLE purchase_order_items ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON purchase_order_items
+    USING (EXISTS (SELECT 1 FROM purchase_orders po WHERE po.id = purchase_order_items.purchase_order_id))
+    WITH CHECK (EXISTS (SELECT 1 FROM purchase_orders po WHERE po.id = purchase_order_items.purchase_order_id));
+
+ALTER TABLE order_items ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON order_items
+    USING (EXISTS (SELECT 1 FROM orders o WHERE o.id = order_items.order_id))
+    WITH CHECK (EXISTS (SELECT 1 FROM orders o WHERE o.id = order_items.order_id));
+
+ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON payments
+    USING (EXISTS (SELECT 1 FROM orders o WHERE o.id = payments.order_id))
+    WITH CHECK (EXISTS (SELECT 1 FROM orders o WHERE o.id = payments.order_id));
+
+ALTER TABLE payment_refunds ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON payment_refunds
+    USING (EXISTS (SELECT 1 FROM payments p WHERE p.id = payment_refunds.payment_id))
+    WITH CHECK (EXISTS (SELECT 1 FROM payments p WHERE p.id = payment_refunds.payment_id));
+
+ALTER TABLE shipments ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON shipments
+    USING (EXISTS (SELECT 1 FROM orders o WHERE o.id = shipments.order_id))
+    WITH CHECK (EXISTS (SELECT 1 FROM orders o WHERE o.id = shipments.order_id));
+
+ALTER TABLE shipment_items ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON shipment_items
+    USING (EXISTS (SELECT 1 FROM shipments s WHERE s.id = shipment_items.shipment_id))
+    WITH CHECK (EXISTS (SELECT 1 FROM shipments s WHERE s.id = shipment_items.shipment_id));
+
+-- Services connect as erp_app: the tables' owner (POSTGRES_USER) is a superuser, and
+-- superusers skip row-level security. The role has no password until one is set from
+-- POSTGRES_APP_PASSWORD (scripts/db/init-app-role.sh in the container init step), or by
+-- an operator with ALTER ROLE erp_app PASSWORD '...'.
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'erp_app') THEN
+        CREATE ROLE erp_app LOGIN PASSWORD NULL;
+    END IF;
+END
+$$;
+
+GRANT USAGE ON SCHEMA public TO erp_app;
+GRANT SELECT, INSERT, UPDATE, DELETE ON ALL TABLES IN SCHEMA public TO erp_app;
+GRANT USAGE, SELECT ON ALL SEQUENCES IN SCHEMA public TO erp_app;
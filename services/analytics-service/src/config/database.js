@@ -0,0 +1,179 @@
+const { Pool } = require('pg');
+const { MongoClient } = require('mongodb');
+const redis = require('redis');
+const path = require('path');
+const { TenantContext } = require('../../../../shared/utils');
+
+// Load environment variables from root .env
+require('dotenv').config({ path: path.resolve(__dirname, '../../../../.env') });
+
+/**
+ * PostgreSQL Connection Pool
+ * Uses global DATABASE_URL or individual variables
+ * Connects as the application role so row-level security applies, and tags each
+ * connection with the current tenant (see TenantContext)
+ */
+const pgPool = TenantContext.bindPool(new Pool({
+    connectionString: process.env.DATABASE_URL,
+    // Fallback to individual variables
+    host: process.env.POSTGRES_HOST,
+    port: parseInt(process.env.POSTGRES_PORT) || 5432,
+    database: process.env.POSTGRES_DB,
+    user: process.env.POSTGRES_APP_USER,
+    password: process.env.POSTGRES_APP_PASSWORD,
+    min: parseInt(process.env.POSTGRES_POOL_MIN) || 2,
+    max: parseInt(process.env.POSTGRES_POOL_MAX) || 20,
+    idleTimeoutMillis: parseInt(process.env.POSTGRES_POOL_IDLE_TIMEOUT) || 10000,
+    connectionTimeoutMillis: 2000,
+}));
+
+pgPool.on('connect', () => {
+    console.log('✅ PostgreSQL connected (Analytics Service)');
+});
+
+pgPool.on('error', (err) => {
+    console.error('❌ PostgreSQL connection error:', err);
+});
+
+/**
+ * Get a dedicated client from the pool (for transactions)
+ * Caller is responsible for calling client.release()
+ */
+const getClient = async () => {
+    const client = await pgPool.connect();
+    return client;
+};
+
+/**
+ * MongoDB Connection
+ * Uses MONGODB_URI from global .env
+ */
+let mongoClient;
+let mongoDb;
+
+const connectMongo = async () => {
+    try {
+        const uri = process.env.MONGODB_URI;
+
+        if (!uri) {
+            throw new Error('MONGODB_URI not found in environment variables');
+        }
+
+        mongoClient = new MongoClient(uri);
+        await mongoClient.connect();
+        mongoDb = mongoClient.db(process.env.MONGODB_DB || 'erp_audit');
+
+        console.log(`✅ MongoDB connected to ${process.env.MONGODB_DB || 'erp_audit'} database (Analytics Service)`);
+
+        await verifyMongoCollections();
+
+        return mongoDb;
+    } catch (err) {
+        console.error('❌ MongoDB connection error:', err);
+        throw err;
+    }
+};
+
+/**
+ * Verify MongoDB Collections
+ */
+const verifyMongoCollections = async () => {
+    try {
+        const collections = await mongoDb.listCollections().toArray();
+        const collectionNames = collections.map(c => c.name);
+
+        if (collectionNames.includes('analytics_cache')) {
+            console.log('✅ analytics_cache collection found');
+        } else {
+            console.warn('⚠️  analytics_cache collection not found - will be created on first insert');
+        }
+    } catch (err) {
+        console.error('MongoDB collection verification error:', err);
+    }
+};
+
+/**
+ * Redis Client
+ * Uses REDIS_URL from global .env
+ */
+const redisClient = redis.createClient({
+    url: process.env.REDIS_URL,
+    // Fallback to individual variables
+    socket: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: parseInt(process.env.REDIS_PORT) || 6379,
+    },
+    password: process.env.REDIS_PASSWORD,
+    database: parseInt(process.env.REDIS_DB) || 0,
+});
+
+redisClient.on('connect', () => {
+    console.log('✅ Redis connected (Analytics Service)');
+});
+
+redisClient.on('error', (err) => {
+    console.error('❌ Redis connection error:', err);
+});
+
+redisClient.connect().catch(console.error);
+
+/**
+ * Redis Helper Functions
+ */
+const redisHelpers = {
+    get: async (key) => {
+        try {
+            const value = await redisClient.get(key);
+            return value ? JSON.parse(value) : null;
+        } catch (err) {
+            console.error('Redis GET error:', err);
+            return null;
+        }
+    },
+
+    set: async (key, value, expiryInSeconds = null) => {
+        try {
+            // Use cache TTL from env or default
+            const ttl = expiryInSeconds || parseInt(process.env.CACHE_TTL_LONG) || 3600;
+            await redisClient.setEx(key, ttl, JSON.stringify(value));
+            return true;
+        } catch (err) {
+            console.error('Redis SET error:', err);
+            return false;
+        }
+    },
+
+    del: async (key) => {
+        try {
+            await redisClient.del(key);
+            return true;
+        } catch (err) {
+            console.error('Redis DEL error:', err);
+            return false;
+        }
+    }
+};
+
+/**
+ * Graceful shutdown
+ */
+const closeConnections = async () => {
+    try {
+        await pgPool.end();
+        if (mongoClient) await mongoClient.close();
+        await redisClient.quit();
+        console.log('✅ All database connections closed');
+    } catch (err) {
+        console.error('Error closing connections:', err);
+    }
+};
+
+module.exports = {
+    pgPool,
+    getClient,
+    connectMongo,
+    getMongoDb: () => mongoDb,
+    redisClient,
+    redisHelpers,
+    closeConnections
+};
@@ -0,0 +1,82 @@
+const {
+  getRevenue,
+  getTopProducts,
+  getOrderFunnel,
+  getLowStock,
+  getActiveUsers
+} = require('../services/analyticsService');
+const { ResponseFormatter } = require('../../../../shared/utils');
+const { sendError } = require('../utils/errorResponse');
+
+/**
+ * Send a report with its cache state in the response metadata
+ */
+const sendReport = (res, report) => res.json(ResponseFormatter.success(report.data, {
+  cached: report.cached,
+  generated_at: report.generatedAt,
+  expires_at: report.expiresAt
+}));
+
+class AnalyticsController {
+  /**
+   * Revenue over time
+   */
+  static async getRevenue(req, res) {
+    try {
+      return sendReport(res, await getRevenue(req.query.range));
+    } catch (error) {
+      return sendError(res, error, 'Get revenue error');
+    }
+  }
+
+  /**
+   * Best selling products
+   */
+  static async getTopProducts(req, res) {
+    try {
+      const report = await getTopProducts(req.query.range, {
+        limit: req.query.limit,
+        sortBy: req.query.sort_by
+      });
+
+      return sendReport(res, report);
+    } catch (error) {
+      return sendError(res, error, 'Get top products error');
+    }
+  }
+
+  /**
+   * Order status funnel
+   */
+  static async getOrderFunnel(req, res) {
+    try {
+      return sendReport(res, await getOrderFunnel(req.query.range));
+    } catch (error) {
+      return sendError(res, error, 'Get order funnel error');
+    }
+  }
+
+  /**
+   * Current low / out of stock counts
+   */
+  static async getLowStock(req, res) {
+    try {
+      return sendReport(res, await getLowStock());
+    } catch (error) {
+      return sendError(res, error, 'Get low stock error');
+    }
+  }
+
+  /**
+   * Active and new users
+   */
+  static async getActiveUsers(req, res) {
+    try {
+      return sendReport(res, await getActiveUsers(req.query.range));
+    } catch (error) {
+      return sendError(res, error, 'Get active users error');
+    }
+  }
+}
+
+module.exports = AnalyticsController;
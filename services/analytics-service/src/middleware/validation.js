@@ -0,0 +1,49 @@
+const Joi = require('joi');
+const { ResponseFormatter } = require('../../../../shared/utils');
+const { RANGES } = require('../services/analyticsService');
+
+const range = Joi.string().valid(...RANGES).default('month');
+
+/**
+ * Validation schemas for report query strings
+ */
+const schemas = {
+    rangeQuery: Joi.object({
+        range
+    }),
+
+    topProductsQuery: Joi.object({
+        range,
+        limit: Joi.number().integer().min(1).max(100).default(10),
+        sort_by: Joi.string().valid('revenue', 'units').default('revenue')
+    })
+};
+
+/**
+ * Query validation middleware factory
+ * Replaces req.query with the validated value so defaults are applied
+ */
+const validateQuery = (schema) => {
+    return (req, res, next) => {
+        const { error, value } = schema.validate(req.query, { stripUnknown: true });
+
+        if (error) {
+            const details = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+
+            return res.status(400).json(
+                ResponseFormatter.error(error.details[0].message, 'VALIDATION_ERROR', details)
+            );
+        }
+
+        req.query = value;
+        next();
+    };
+};
+
+module.exports = {
+    validateRangeQuery: validateQuery(schemas.rangeQuery),
+    validateTopProductsQuery: validateQuery(schemas.topProductsQuery)
+};
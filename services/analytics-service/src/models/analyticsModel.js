@@ -0,0 +1,139 @@
+// services/analytics-service/src/models/analyticsModel.js
+const { pgPool } = require('../config/database');
+
+/**
+ * Analytics Model
+ * Read-only aggregate queries over the orders, products, users tables
+ * and the inventory_alerts view. Cancelled orders never count as sales.
+ */
+class AnalyticsModel {
+  /**
+   * Revenue and order count per period, with empty periods filled in
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @param {string} interval - date_trunc unit: hour, day or month
+   */
+  static async getRevenue(startDate, endDate, interval) {
+    const query = `
+      WITH periods AS (
+        SELECT generate_series(
+          date_trunc($3::TEXT, $1::TIMESTAMP),
+          $2::TIMESTAMP,
+          ('1 ' || $3::TEXT)::INTERVAL
+        ) as period
+      )
+      SELECT
+        p.period,
+        COUNT(o.id)::INTEGER as order_count,
+        COALESCE(SUM(o.total_amount), 0) as revenue
+      FROM periods p
+      LEFT JOIN orders o
+        ON date_trunc($3::TEXT, o.order_date) = p.period
+        AND o.order_date BETWEEN $1 AND $2
+        AND o.status <> 'cancelled'
+      GROUP BY p.period
+      ORDER BY p.period
+    `;
+
+    const result = await pgPool.query(query, [startDate, endDate, interval]);
+    return result.rows;
+  }
+
+  /**
+   * Best selling products by revenue or units
+   * @param {string} sortBy - 'revenue' or 'units'
+   */
+  static async getTopProducts(startDate, endDate, { limit = 10, sortBy = 'revenue' } = {}) {
+    const orderColumn = sortBy === 'units' ? 'units_sold' : 'revenue';
+
+    const query = `
+      SELECT
+        p.id as product_id,
+        p.sku,
+        p.name,
+        p.category,
+        SUM(oi.quantity)::INTEGER as units_sold,
+        SUM(oi.total_price) as revenue,
+        COUNT(DISTINCT o.id)::INTEGER as order_count
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      JOIN products p ON oi.product_id = p.id
+      WHERE o.order_date BETWEEN $1 AND $2
+        AND o.status <> 'cancelled'
+      GROUP BY p.id, p.sku, p.name, p.category
+      ORDER BY ${orderColumn} DESC, p.sku
+      LIMIT $3
+    `;
+
+    const result = await pgPool.query(query, [startDate, endDate, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Number of orders placed in the period by their current status
+   */
+  static async getStatusCounts(startDate, endDate) {
+    const query = `
+      SELECT status, COUNT(*)::INTEGER as count
+      FROM orders
+      WHERE order_date BETWEEN $1 AND $2
+      GROUP BY status
+    `;
+
+    const result = await pgPool.query(query, [startDate, endDate]);
+    return result.rows;
+  }
+
+  /**
+   * Low / out of stock alert counts, overall and per warehouse
+   * Reads the live inventory_alerts view - a snapshot, not a time series
+   */
+  static async getStockAlertCounts() {
+    const totalsQuery = `
+      SELECT
+        COUNT(*) FILTER (WHERE alert_level = 'LOW_STOCK')::INTEGER as low_stock,
+        COUNT(*) FILTER (WHERE alert_level = 'OUT_OF_STOCK')::INTEGER as out_of_stock,
+        COUNT(DISTINCT product_id)::INTEGER as products_affected
+      FROM inventory_alerts
+    `;
+
+    const warehouseQuery = `
+      SELECT
+        warehouse_name,
+        COUNT(*) FILTER (WHERE alert_level = 'LOW_STOCK')::INTEGER as low_stock,
+        COUNT(*) FILTER (WHERE alert_level = 'OUT_OF_STOCK')::INTEGER as out_of_stock
+      FROM inventory_alerts
+      GROUP BY warehouse_name
+      ORDER BY warehouse_name
+    `;
+
+    const [totals, warehouses] = await Promise.all([
+      pgPool.query(totalsQuery),
+      pgPool.query(warehouseQuery)
+    ]);
+
+    return {
+      totals: totals.rows[0],
+      warehouses: warehouses.rows
+    };
+  }
+
+  /**
+   * Active, newly registered and logged-in user counts
+   * active_users counts accounts whose last login falls inside the period
+   */
+  static async getUserCounts(startDate, endDate) {
+    const query = `
+      SELECT
+        COUNT(*) FILTER (WHERE is_active)::INTEGER as total_active,
+        COUNT(*) FILTER (WHERE last_login BETWEEN $1 AND $2)::INTEGER as active_users,
+        COUNT(*) FILTER (WHERE created_at BETWEEN $1 AND $2)::INTEGER as new_users
+      FROM users
+    `;
+
+    const result = await pgPool.query(query, [startDate, endDate]);
+    return result.rows[0];
+  }
+}
+
+module.exports = AnalyticsModel;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const AnalyticsController = require('../controllers/analyticsController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateRangeQuery, validateTopProductsQuery } = require('../middleware/validation');
+
+/**
+ * Analytics Routes
+ * Base path: /api/analytics
+ * Reports accept ?range=today|week|month|year (default month) - managers and above
+ */
+
+const REPORT_ROLES = ['super_admin', 'admin', 'manager'];
+
+router.get('/revenue', authenticate, authorize(...REPORT_ROLES), validateRangeQuery, AnalyticsController.getRevenue);
+router.get('/top-products', authenticate, authorize(...REPORT_ROLES), validateTopProductsQuery, AnalyticsController.getTopProducts);
+router.get('/order-funnel', authenticate, authorize(...REPORT_ROLES), validateRangeQuery, AnalyticsController.getOrderFunnel);
+router.get('/low-stock', authenticate, authorize(...REPORT_ROLES), AnalyticsController.getLowStock);
+router.get('/active-users', authenticate, authorize(...REPORT_ROLES), validateRangeQuery, AnalyticsController.getActiveUsers);
+
+module.exports = router;
@@ -0,0 +1,169 @@
+// services/analytics-service/src/services/analyticsService.js
+const AnalyticsModel = require('../models/analyticsModel');
+const { getOrCompute } = require('../utils/analyticsCache');
+const { DateUtils } = require('../../../../shared/utils');
+
+/**
+ * Date ranges accepted by every report (see DateUtils.getDateRange)
+ */
+const RANGES = ['today', 'week', 'month', 'year'];
+
+/**
+ * Revenue bucket size for each range
+ */
+const REVENUE_INTERVALS = {
+  today: 'hour',
+  week: 'day',
+  month: 'day',
+  year: 'month'
+};
+
+/**
+ * Order statuses in fulfilment order - an order in a later stage has passed the earlier ones
+ */
+const FUNNEL_STAGES = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'completed'];
+
+const toAmount = value => Math.round(Number(value) * 100) / 100;
+
+const rate = (part, total) => (total > 0 ? Math.round((part / total) * 10000) / 100 : 0);
+
+const resolveRange = (range) => {
+  const { startDate, endDate } = DateUtils.getDateRange(range);
+  return { range, startDate, endDate };
+};
+
+/**
+ * Revenue over time
+ * @param {string} range - One of RANGES
+ */
+const getRevenue = async (range) => {
+  const { startDate, endDate } = resolveRange(range);
+  const interval = REVENUE_INTERVALS[range];
+
+  return getOrCompute('revenue', { range, interval }, async () => {
+    const rows = await AnalyticsModel.getRevenue(startDate, endDate, interval);
+
+    const series = rows.map(row => ({
+      period: row.period,
+      order_count: row.order_count,
+      revenue: toAmount(row.revenue)
+    }));
+
+    const totalRevenue = series.reduce((sum, point) => sum + point.revenue, 0);
+    const orderCount = series.reduce((sum, point) => sum + point.order_count, 0);
+
+    return {
+      range,
+      start_date: startDate,
+      end_date: endDate,
+      interval,
+      total_revenue: toAmount(totalRevenue),
+      order_count: orderCount,
+      average_order_value: orderCount > 0 ? toAmount(totalRevenue / orderCount) : 0,
+      series
+    };
+  });
+};
+
+/**
+ * Best selling products
+ * @param {Object} options - { limit, sortBy: 'revenue' | 'units' }
+ */
+const getTopProducts = async (range, { limit, sortBy }) => {
+  const { startDate, endDate } = resolveRange(range);
+
+  return getOrCompute('top_products', { range, limit, sort_by: sortBy }, async () => {
+    const rows = await AnalyticsModel.getTopProducts(startDate, endDate, { limit, sortBy });
+
+    return {
+      range,
+      start_date: startDate,
+      end_date: endDate,
+      sort_by: sortBy,
+      products: rows.map(row => ({ ...row, revenue: toAmount(row.revenue) }))
+    };
+  });
+};
+
+/**
+ * Order status funnel for orders placed in the range
+ * reached counts every order currently at or past a stage; cancelled orders
+ * are reported separately because they can drop out at any stage.
+ */
+const getOrderFunnel = async (range) => {
+  const { startDate, endDate } = resolveRange(range);
+
+  return getOrCompute('order_funnel', { range }, async () => {
+    const rows = await AnalyticsModel.getStatusCounts(startDate, endDate);
+    const counts = rows.reduce((acc, row) => ({ ...acc, [row.status]: row.count }), {});
+
+    const totalOrders = rows.reduce((sum, row) => sum + row.count, 0);
+    const cancelled = counts.cancelled || 0;
+
+    const stages = FUNNEL_STAGES.map((status, index) => {
+      const reached = FUNNEL_STAGES.slice(index).reduce((sum, stage) => sum + (counts[stage] || 0), 0);
+
+      return {
+        status,
+        count: counts[status] || 0,
+        reached,
+        conversion_rate: rate(reached, totalOrders)
+      };
+    });
+
+    return {
+      range,
+      start_date: startDate,
+      end_date: endDate,
+      total_orders: totalOrders,
+      stages,
+      cancelled: {
+        count: cancelled,
+        rate: rate(cancelled, totalOrders)
+      }
+    };
+  });
+};
+
+/**
+ * Current low / out of stock counts from inventory_alerts
+ */
+const getLowStock = async () => {
+  return getOrCompute('low_stock', {}, async () => {
+    const { totals, warehouses } = await AnalyticsModel.getStockAlertCounts();
+
+    return {
+      ...totals,
+      total_alerts: totals.low_stock + totals.out_of_stock,
+      warehouses
+    };
+  });
+};
+
+/**
+ * Active and new users in the range
+ */
+const getActiveUsers = async (range) => {
+  const { startDate, endDate } = resolveRange(range);
+
+  return getOrCompute('active_users', { range }, async () => {
+    const counts = await AnalyticsModel.getUserCounts(startDate, endDate);
+
+    return {
+      range,
+      start_date: startDate,
+      end_date: endDate,
+      ...counts,
+      activity_rate: rate(counts.active_users, counts.total_active)
+    };
+  });
+};
+
+module.exports = {
+  RANGES,
+  getRevenue,
+  getTopProducts,
+  getOrderFunnel,
+  getLowStock,
+  getActiveUsers
+};
@@ -0,0 +1,87 @@
+const { getMongoDb } = require('../config/database');
+const logger = require('./logger');
+const { TenantContext } = require('../../../../shared/utils');
+
+const CACHE_TTL_SECONDS = parseInt(process.env.ANALYTICS_CACHE_TTL_SECONDS) || 300;
+
+/**
+ * Build a stable cache key from a report name and its parameters
+ * e.g. revenue:interval=day&range=month
+ */
+const buildCacheKey = (report, params = {}) => {
+    const query = Object.keys(params)
+        .sort()
+        .map(key => `${key}=${params[key]}`)
+        .join('&');
+
+    return query ? `${report}:${query}` : report;
+};
+
+const readCache = async (db, cacheKey) => {
+    try {
+        // The TTL monitor only runs once a minute - skip documents it has not removed yet
+        return await db.collection('analytics_cache').findOne({
+            cache_key: cacheKey,
+            expires_at: { $gt: new Date() }
+        });
+    } catch (error) {
+        logger.error('Analytics cache read error', { cacheKey, error: error.message });
+        return null;
+    }
+};
+
+const writeCache = async (db, cacheKey, entry) => {
+    try {
+        await db.collection('analytics_cache').updateOne(
+            { cache_key: cacheKey },
+            { $set: entry },
+            { upsert: true }
+        );
+    } catch (error) {
+        logger.error('Analytics cache write error', { cacheKey, error: error.message });
+    }
+};
+
+/**
+ * Serve a report from erp_audit.analytics_cache, computing and storing it on a miss
+ * Entries expire through the expires_at TTL index. The cache is best effort:
+ * when MongoDB is unavailable the report is computed on every request.
+ * Reports only cover the caller's organization, so entries are kept per tenant.
+ *
+ * @param {string} report - Report name, e.g. 'revenue'
+ * @param {Object} params - Parameters the result depends on
+ * @param {Function} compute - async () => Object
+ * @returns {Promise<Object>} { data, cached, generatedAt, expiresAt }
+ */
+const getOrCompute = async (report, params, compute) => {
+    const cacheKey = `${TenantContext.cacheKey()}:${buildCacheKey(report, params)}`;
+    const db = getMongoDb();
+
+    if (db) {
+        const hit = await readCache(db, cacheKey);
+        if (hit) {
+            return { data: hit.data, cached: true, generatedAt: hit.created_at, expiresAt: hit.expires_at };
+        }
+    }
+
+    const data = await compute();
+    const generatedAt = new Date();
+    const expiresAt = new Date(generatedAt.getTime() + CACHE_TTL_SECONDS * 1000);
+
+    if (db) {
+        await writeCache(db, cacheKey, {
+            cache_key: cacheKey,
+            data,
+            created_at: generatedAt,
+            expires_at: expiresAt,
+            metadata: { report, params }
+        });
+    }
+
+    return { data, cached: false, generatedAt, expiresAt };
+};
+
+module.exports = {
+    buildCacheKey,
+    getOrCompute
+};
@@ -0,0 +1,98 @@
+// services/analytics-service/tests/analyticsCache.test.js
+const { loadAnalyticsService } = require('../../../tests/helpers/services');
+const { TenantContext } = require('../../../shared/utils');
+
+describe('analytics cache', () => {
+    let service;
+    let buildCacheKey;
+    let getOrCompute;
+
+    const entries = () => service.mongo.collections.analytics_cache || [];
+    const asTenant = (tenantId, fn) => TenantContext.run({ tenantId, scope: 'tenant' }, fn);
+
+    beforeAll(async () => {
+        service = await loadAnalyticsService();
+        ({ buildCacheKey, getOrCompute } = service.load('utils/analyticsCache'));
+    });
+
+    beforeEach(() => {
+        entries().length = 0;
+    });
+
+    afterAll(async () => {
+        await service.close();
+    });
+
+    it('builds the same key whatever order the parameters are given in', () => {
+        expect(buildCacheKey('revenue', { range: 'month', interval: 'day' })).toBe('revenue:interval=day&range=month');
+        expect(buildCacheKey('revenue', { interval: 'day', range: 'month' })).toBe('revenue:interval=day&range=month');
+        expect(buildCacheKey('low_stock', {})).toBe('low_stock');
+    });
+
+    it('computes on a miss and serves the stored copy until it expires', async () => {
+        const compute = jest.fn().mockResolvedValue({ total: 42 });
+
+        const first = await asTenant('org-a', () => getOrCompute('revenue', { range: 'week' }, compute));
+        expect(first).toMatchObject({ data: { total: 42 }, cached: false });
+        expect(first.expiresAt.getTime() - first.generatedAt.getTime()).toBe(300 * 1000);
+
+        const second = await asTenant('org-a', () => getOrCompute('revenue', { range: 'week' }, compute));
+        expect(second).toMatchObject({ data: { total: 42 }, cached: true, generatedAt: first.generatedAt });
+        expect(compute).toHaveBeenCalledTimes(1);
+
+        // Expired but not yet removed by the TTL monitor
+        entries()[0].expires_at = new Date(Date.now() - 1000);
+        compute.mockResolvedValueOnce({ total: 43 });
+
+        const third = await asTenant('org-a', () => getOrCompute('revenue', { range: 'week' }, compute));
+        expect(third).toMatchObject({ data: { total: 43 }, cached: false });
+        expect(compute).toHaveBeenCalledTimes(2);
+        expect(entries()).toHaveLength(1);
+        expect(entries()[0].expires_at.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('keeps one entry per organization', async () => {
+        const compute = jest.fn()
+            .mockResolvedValueOnce({ owner: 'a' })
+            .mockResolvedValueOnce({ owner: 'b' });
+
+        const a = await asTenant('org-a', () => getOrCompute('revenue', { range: 'month' }, compute));
+        const b = await asTenant('org-b', () => getOrCompute('revenue', { range: 'month' }, compute));
+        const again = await asTenant('org-a', () => getOrCompute('revenue', { range: 'month' }, compute));
+
+        expect(a.data).toEqual({ owner: 'a' });
+        expect(b).toMatchObject({ data: { owner: 'b' }, cached: false });
+        expect(again).toMatchObject({ data: { owner: 'a' }, cached: true });
+        expect(entries().map(entry => entry.cache_key).sort()).toEqual([
+            'tenant:org-a:revenue:range=month',
+            'tenant:org-b:revenue:range=month'
+        ]);
+    });
+
+    it('keeps system-wide reports apart from every organization', async () => {
+        const compute = jest.fn().mockResolvedValue({});
+
+        await TenantContext.run(TenantContext.SYSTEM, () => getOrCompute('low_stock', {}, compute));
+        await asTenant('org-a', () => getOrCompute('low_stock', {}, compute));
+
+        expect(compute).toHaveBeenCalledTimes(2);
+        expect(entries().map(entry => entry.cache_key).sort()).toEqual(['all:low_stock', 'tenant:org-a:low_stock']);
+    });
+
+    it('records what the entry was computed from', async () => {
+        await asTenant('org-a', () => getOrCompute('top_products', { range: 'year', limit: 5 }, async () => []));
+
+        expect(entries()[0]).toMatchObject({
+            cache_key: 'tenant:org-a:top_products:limit=5&range=year',
+            data: [],
+            metadata: { report: 'top_products', params: { range: 'year', limit: 5 } }
+        });
+    });
+
+    it('does not cache a report that failed to compute', async () => {
+        const failing = jest.fn().mockRejectedValue(new Error('query failed'));
+
+        await expect(asTenant('org-a', () => getOrCompute('revenue', {}, failing))).rejects.toThrow('query failed');
+        expect(entries()).toHaveLength(0);
+    });
+});
@@ -0,0 +1,110 @@
+// services/analytics-service/tests/reports.test.js
+const crypto = require('crypto');
+const request = require('supertest');
+const { loadAnalyticsService } = require('../../../tests/helpers/services');
+const { createOrganization, createUser, adminQuery, closeDatabase } = require('../../../tests/helpers/database');
+const { signAccessToken } = require('../../../tests/helpers/tokens');
+
+describe('analytics reports', () => {
+    let service;
+    let manager;
+    let employee;
+    let otherManager;
+
+    const as = user => ({ Authorization: `Bearer ${signAccessToken(user)}` });
+    const report = (path, user = manager) => request(service.app).get(`/api/analytics${path}`).set(as(user));
+
+    const createOrder = (user, totalAmount, status = 'confirmed') => adminQuery(
+        `INSERT INTO orders (organization_id, order_number, customer_id, status, total_amount)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [user.organization_id, `ORD-${crypto.randomBytes(4).toString('hex')}`, user.id, status, totalAmount]
+    );
+
+    beforeAll(async () => {
+        service = await loadAnalyticsService();
+
+        const organization = await createOrganization();
+        manager = await createUser(organization.id, { roles: ['manager'] });
+        employee = await createUser(organization.id, { roles: ['employee'] });
+        otherManager = await createUser((await createOrganization()).id, { roles: ['manager'] });
+
+        await createOrder(manager, 100);
+        await createOrder(manager, 50.5);
+        await createOrder(manager, 999, 'cancelled');
+        await createOrder(otherManager, 7);
+    });
+
+    afterAll(async () => {
+        await service.close();
+        await closeDatabase();
+    });
+
+    describe('range validation', () => {
+        it.each([
+            ['/revenue?range=decade'],
+            ['/order-funnel?range=MONTH'],
+            ['/active-users?range='],
+            ['/top-products?limit=0'],
+            ['/top-products?limit=101'],
+            ['/top-products?sort_by=margin']
+        ])('rejects %s', async (path) => {
+            const res = await report(path);
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.code).toBe('VALIDATION_ERROR');
+            expect(res.body.error.details[0].field).toMatch(/^(range|limit|sort_by)$/);
+        });
+
+        it('defaults to the current month', async () => {
+            const res = await report('/revenue');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ range: 'month', interval: 'day' });
+        });
+
+        it.each([
+            ['today', 'hour'],
+            ['week', 'day'],
+            ['year', 'month']
+        ])('buckets %s by %s', async (range, interval) => {
+            const res = await report(`/revenue?range=${range}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ range, interval });
+            expect(new Date(res.body.data.start_date).getTime()).toBeLessThan(new Date(res.body.data.end_date).getTime());
+        });
+
+        it('drops parameters it does not know', async () => {
+            const res = await report('/order-funnel?range=week&debug=1');
+
+            expect(res.status).toBe(200);
+        });
+    });
+
+    it('keeps reports to managers and above', async () => {
+        const res = await report('/revenue', employee);
+
+        expect(res.status).toBe(403);
+    });
+
+    it('sums revenue of the caller\'s organization, leaving out cancelled orders', async () => {
+        const res = await report('/revenue?range=today');
+
+        expect(res.body.data).toMatchObject({ total_revenue: 150.5, order_count: 2 });
+    });
+
+    it('serves a repeated report from the cache of the same organization only', async () => {
+        (service.mongo.collections.analytics_cache || []).length = 0;
+
+        const first = await report('/revenue?range=year');
+        const second = await report('/revenue?range=year');
+        const other = await report('/revenue?range=year', otherManager);
+
+        expect(first.body.metadata).toMatchObject({ cached: false });
+        expect(second.body.metadata).toMatchObject({ cached: true, generated_at: first.body.metadata.generated_at });
+        expect(second.body.data).toEqual(first.body.data);
+
+        expect(other.body.metadata.cached).toBe(false);
+        expect(other.body.data).toMatchObject({ total_revenue: 7, order_count: 1 });
+    });
+});
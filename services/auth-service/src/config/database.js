@@ -1,21 +1,25 @@
 // services/auth-service/src/config/database.js
 const { Pool } = require('pg');
 const redis = require('redis');
+const { MongoClient } = require('mongodb');
+const { TenantContext } = require('../../../../shared/utils');
 
 /**
  * PostgreSQL Connection Pool
+ * Connects as the application role so row-level security applies, and tags each
+ * connection with the current tenant (see TenantContext)
  */
-const pgPool = new Pool({
+const pgPool = TenantContext.bindPool(new Pool({
     host: process.env.POSTGRES_HOST || 'localhost',
     port: process.env.POSTGRES_PORT || 5432,
-    user: process.env.POSTGRES_USER || 'erp_admin',
-    password:process.env.POSTGRES_PASSWORD || 'erp_secure_password_123',
+    user: process.env.POSTGRES_APP_USER || 'erp_app',
+    password: process.env.POSTGRES_APP_PASSWORD,
     database: process.env.POSTGRES_DB || 'erp_database',
     max: parseInt(process.env.POSTGRES_POOL_MAX) || 20,
     min: parseInt(process.env.POSTGRES_POOL_MIN) || 2,
     idleTimeoutMillis: parseInt(process.env.POSTGRES_POOL_IDLE_TIMEOUT) || 10000,
     connectionTimeoutMillis: 2000,
-});
+}));
 
 // Pool error handler
 pgPool.on('error', (err) => {
@@ -58,6 +62,35 @@ redisClient.on('error', (err) => {
     }
 })();
 
+/**
+ * MongoDB Client
+ * Only used to queue outgoing emails in notifications_queue
+ */
+const mongoClient = new MongoClient(process.env.MONGODB_URI || 'mongodb://localhost:27017');
+let mongoDb = null;
+
+// Connect to MongoDB
+(async () => {
+    try {
+        await mongoClient.connect();
+        mongoDb = mongoClient.db(process.env.MONGODB_DB || 'erp_audit');
+        console.log('✅ MongoDB connected successfully');
+    } catch (err) {
+        console.error('❌ MongoDB connection failed:', err.message);
+    }
+})();
+
+/**
+ * Get the MongoDB database
+ * @returns {Object} Db instance
+ */
+const getMongoDb = () => {
+    if (!mongoDb) {
+        throw new Error('MongoDB is not connected');
+    }
+    return mongoDb;
+};
+
 /**
  * Helper function to execute PostgreSQL queries
  * @param {string} text - SQL query
@@ -142,6 +175,37 @@ const redisHelpers = {
         }
     },
 
+    /**
+     * Increment a counter, starting its expiry on the first increment
+     * @returns {Promise<number|null>} New value or null on error
+     */
+    async incr(key, expirySeconds) {
+        try {
+            const value = await redisClient.incr(key);
+            if (value === 1 && expirySeconds) {
+                await redisClient.expire(key, expirySeconds);
+            }
+            return value;
+        } catch (err) {
+            console.error('Redis INCR error:', err);
+            return null;
+        }
+    },
+
+    /**
+     * Seconds until a key expires
+     * @returns {Promise<number>} Remaining seconds, or 0 if the key is missing or has no expiry
+     */
+    async ttl(key) {
+        try {
+            const seconds = await redisClient.ttl(key);
+            return seconds > 0 ? seconds : 0;
+        } catch (err) {
+            console.error('Redis TTL error:', err);
+            return 0;
+        }
+    },
+
     /**
      * Set expiry on existing key
      */
@@ -163,6 +227,7 @@ const closeConnections = async () => {
     console.log('Closing database connections...');
     await pgPool.end();
     await redisClient.quit();
+    await mongoClient.close();
     console.log('Database connections closed');
 };
 
@@ -183,5 +248,6 @@ module.exports = {
     getClient,
     redis: redisClient,
     redisHelpers,
+    getMongoDb,
     closeConnections
 };
\ No newline at end of file
@@ -1,8 +1,74 @@
 // services/auth-service/src/controllers/authController.js
 const User = require('../models/User');
 const RefreshToken = require('../models/RefreshToken');
-const { generateTokenPair, verifyRefreshToken, getTokenExpiry } = require('../utils/jwt');
-const { redisHelpers } = require('../config/database');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const UserMfa = require('../models/UserMfa');
+const {
+    generateMfaChallengeToken,
+    verifyRefreshToken,
+    generateRandomToken,
+    hashToken,
+    durationToMs,
+    MFA_CHALLENGE_EXPIRY
+} = require('../utils/jwt');
+const { queueEmail } = require('../utils/notifications');
+const { isLoginBlocked } = require('../utils/verification');
+const {
+    startSession,
+    refreshSession,
+    revokeSession,
+    revokeTokenFamily,
+    revokeAllSessions
+} = require('../services/sessionService');
+const {
+    checkLoginAllowed,
+    recordFailedLogin,
+    clearFailedLogins,
+    unlockAccount,
+    tooManyAttemptsResponse
+} = require('../services/loginProtectionService');
+const { rotateKeys } = require('../services/signingKeyService');
+const AuditLog = require('../models/AuditLog');
+const { redis } = require('../config/database');
+const { TokenRevocation } = require('../../../../shared/utils');
+
+// Lifetime of an emailed password reset link
+const RESET_TOKEN_TTL_MS = durationToMs(process.env.JWT_RESET_PASSWORD_EXPIRY, 60 * 60 * 1000);
+
+// Lifetime of an emailed verification link
+const VERIFICATION_TOKEN_TTL_MS = durationToMs(process.env.EMAIL_VERIFICATION_EXPIRY, 24 * 60 * 60 * 1000);
+
+/**
+ * Issue a verification token and queue the email carrying it
+ * Earlier links for the same user stop working.
+ * @param {Object} user - User row
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+    await EmailVerificationToken.invalidateAllForUser(user.id);
+
+    const token = generateRandomToken();
+    const expiresAt = new Date(Date.now() + VERIFICATION_TOKEN_TTL_MS);
+    await EmailVerificationToken.create(user.id, hashToken(token), expiresAt);
+
+    const verifyUrl = `${process.env.EMAIL_VERIFICATION_URL || 'http://localhost:5173/verify-email'}?token=${token}`;
+    const hours = Math.round(VERIFICATION_TOKEN_TTL_MS / 3600000);
+
+    await queueEmail({
+        userId: user.id,
+        to: user.email,
+        subject: 'Verify your email address',
+        message: `Hi${user.first_name ? ` ${user.first_name}` : ''},\n\n`
+            + `Please confirm your email address using the link below within ${hours} hours:\n\n`
+            + `${verifyUrl}\n\n`
+            + 'If you did not create an account, you can ignore this email.',
+        metadata: {
+            template: 'email_verification',
+            expires_at: expiresAt
+        }
+    });
+};
 
 /**
  * Authentication Controller
@@ -14,7 +80,7 @@ class AuthController {
      */
     static async register(req, res) {
         try {
-            const { email, password, firstName, lastName, phone } = req.body;
+            const { email, password, firstName, lastName, phone, organizationName } = req.body;
 
             // Check if email already exists
             const emailExists = await User.emailExists(email);
@@ -32,41 +98,49 @@ class AuthController {
                 });
             }
 
-            // Create user
-            const user = await User.create({
+            // Create user, their organization and their admin role
+            const created = await User.create({
                 email,
                 password,
                 firstName,
                 lastName,
-                phone
+                phone,
+                organizationName
             });
+            const user = await User.findById(created.id);
 
-            // Generate tokens
-            const tokens = generateTokenPair(user);
-
-            // Store refresh token in database
-            const refreshTokenExpiry = getTokenExpiry(tokens.refreshToken);
-            await RefreshToken.create(user.id, tokens.refreshToken, refreshTokenExpiry);
-
-            // Cache user session in Redis
-            await redisHelpers.set(
-                `session:${user.id}`,
-                { userId: user.id, email: user.email },
-                24 * 60 * 60 // 24 hours
-            );
+            // The account exists either way - a lost email can be resent
+            try {
+                await sendVerificationEmail(user);
+            } catch (err) {
+                console.error('Verification email error:', err);
+            }
 
             // Remove sensitive data
             const sanitizedUser = User.sanitize(user);
 
+            if (isLoginBlocked(user)) {
+                return res.status(201).json({
+                    success: true,
+                    data: {
+                        user: sanitizedUser,
+                        tokens: null,
+                        message: 'Please verify your email address before logging in'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    },
+                    error: null
+                });
+            }
+
+            const tokens = await startSession(user, req);
+
             res.status(201).json({
                 success: true,
                 data: {
                     user: sanitizedUser,
-                    tokens: {
-                        accessToken: tokens.accessToken,
-                        refreshToken: tokens.refreshToken,
-                        expiresIn: process.env.JWT_ACCESS_EXPIRY || '15m'
-                    }
+                    tokens
                 },
                 metadata: {
                     timestamp: new Date().toISOString()
@@ -97,9 +171,22 @@ class AuthController {
         try {
             const { email, password } = req.body;
 
-            // Find user by email
+            // Per-account lockout / backoff, applied the same way to unknown emails
+            const throttle = await checkLoginAllowed(email);
+            if (!throttle.allowed) {
+                return tooManyAttemptsResponse(res, throttle);
+            }
+
+            // Find user by email and verify password (timing is the same when no user matches)
             const user = await User.findByEmail(email);
-            if (!user) {
+            const isPasswordValid = await User.verifyPassword(password, user ? user.password_hash : null);
+
+            if (!user || !isPasswordValid) {
+                const failure = await recordFailedLogin(email, user, req);
+                if (failure.locked) {
+                    return tooManyAttemptsResponse(res, { reason: 'locked', retryAfter: failure.retryAfter });
+                }
+
                 return res.status(401).json({
                     success: false,
                     data: null,
@@ -113,7 +200,9 @@ class AuthController {
                 });
             }
 
-            // Check if user is active
+            await clearFailedLogins(email);
+
+            // Check if user is active (only revealed to someone who knows the password)
             if (!user.is_active) {
                 return res.status(403).json({
                     success: false,
@@ -128,15 +217,13 @@ class AuthController {
                 });
             }
 
-            // Verify password
-            const isPasswordValid = await User.verifyPassword(password, user.password_hash);
-            if (!isPasswordValid) {
-                return res.status(401).json({
+            if (isLoginBlocked(user)) {
+                return res.status(403).json({
                     success: false,
                     data: null,
                     error: {
-                        code: 'INVALID_CREDENTIALS',
-                        message: 'Invalid email or password'
+                        code: 'EMAIL_NOT_VERIFIED',
+                        message: 'Please verify your email address before logging in'
                     },
                     metadata: {
                         timestamp: new Date().toISOString()
@@ -144,27 +231,29 @@ class AuthController {
                 });
             }
 
-            // Update last login
-            await User.updateLastLogin(user.id);
-
-            // Generate tokens
-            const tokens = generateTokenPair(user);
-
-            // Store refresh token in database
-            const refreshTokenExpiry = getTokenExpiry(tokens.refreshToken);
-            await RefreshToken.create(user.id, tokens.refreshToken, refreshTokenExpiry);
+            // Second factor: enrolled users enter a code, enforced roles must enroll first
+            const mfa = await UserMfa.findByUserId(user.id);
+            const mfaPurpose = mfa && mfa.enabled
+                ? 'verify'
+                : (await UserMfa.isRequiredForRoles(user.roles || [], user.organization_id) ? 'enroll' : null);
+
+            if (mfaPurpose) {
+                return res.status(200).json({
+                    success: true,
+                    data: {
+                        mfaRequired: mfaPurpose === 'verify',
+                        mfaEnrollmentRequired: mfaPurpose === 'enroll',
+                        mfaToken: generateMfaChallengeToken(user, mfaPurpose),
+                        expiresIn: MFA_CHALLENGE_EXPIRY
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    },
+                    error: null
+                });
+            }
 
-            // Cache user session in Redis
-            await redisHelpers.set(
-                `session:${user.id}`,
-                {
-                    userId: user.id,
-                    email: user.email,
-                    roles: user.roles,
-                    permissions: user.permissions
-                },
-                24 * 60 * 60 // 24 hours
-            );
+            const tokens = await startSession(user, req);
 
             // Remove sensitive data
             const sanitizedUser = User.sanitize(user);
@@ -173,11 +262,7 @@ class AuthController {
                 success: true,
                 data: {
                     user: sanitizedUser,
-                    tokens: {
-                        accessToken: tokens.accessToken,
-                        refreshToken: tokens.refreshToken,
-                        expiresIn: process.env.JWT_ACCESS_EXPIRY || '15m'
-                    }
+                    tokens
                 },
                 metadata: {
                     timestamp: new Date().toISOString()
@@ -225,8 +310,25 @@ class AuthController {
             }
 
             // Check if token exists and is valid in database
-            const isValid = await RefreshToken.isValid(refreshToken);
-            if (!isValid) {
+            const storedToken = await RefreshToken.findByToken(refreshToken);
+            if (storedToken && storedToken.revoked) {
+                // Already exchanged or revoked - a copy may be in someone else's hands
+                await revokeTokenFamily(storedToken, req);
+
+                return res.status(401).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'TOKEN_REUSE_DETECTED',
+                        message: 'Refresh token is no longer valid and its session has been signed out. Please log in again.'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            if (!storedToken || new Date(storedToken.expires_at) <= new Date()) {
                 return res.status(401).json({
                     success: false,
                     data: null,
@@ -256,24 +358,40 @@ class AuthController {
                 });
             }
 
-            // Generate new token pair
-            const tokens = generateTokenPair(user);
-
-            // Revoke old refresh token
-            await RefreshToken.revoke(refreshToken);
+            if (isLoginBlocked(user)) {
+                return res.status(403).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'EMAIL_NOT_VERIFIED',
+                        message: 'Please verify your email address before logging in'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
 
-            // Store new refresh token
-            const refreshTokenExpiry = getTokenExpiry(tokens.refreshToken);
-            await RefreshToken.create(user.id, tokens.refreshToken, refreshTokenExpiry);
+            // New token pair for the same device session (full permissions once the email is verified)
+            const tokens = await refreshSession(user, storedToken, req);
+            if (!tokens) {
+                return res.status(401).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'TOKEN_REVOKED',
+                        message: 'Refresh token has been revoked'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
 
             res.status(200).json({
                 success: true,
                 data: {
-                    tokens: {
-                        accessToken: tokens.accessToken,
-                        refreshToken: tokens.refreshToken,
-                        expiresIn: process.env.JWT_ACCESS_EXPIRY || '15m'
-                    }
+                    tokens
                 },
                 metadata: {
                     timestamp: new Date().toISOString()
@@ -297,22 +415,24 @@ class AuthController {
     }
 
     /**
-     * Logout user
+     * Logout user (ends the current device session)
      * POST /api/auth/logout
      */
     static async logout(req, res) {
         try {
             const { refreshToken } = req.body;
-            const userId = req.user?.userId; // From auth middleware
+            const { userId, sessionId, tokenId, tokenExpiresAt } = req.user; // From auth middleware
 
             // Revoke refresh token if provided
             if (refreshToken) {
                 await RefreshToken.revoke(refreshToken);
             }
 
-            // Clear Redis session
-            if (userId) {
-                await redisHelpers.del(`session:${userId}`);
+            // The access token used here stops working at once, even without a session
+            await TokenRevocation.revokeToken(redis, { jti: tokenId, exp: tokenExpiresAt });
+
+            if (sessionId) {
+                await revokeSession(userId, sessionId);
             }
 
             res.status(200).json({
@@ -341,6 +461,344 @@ class AuthController {
         }
     }
 
+    /**
+     * Request a password reset email
+     * POST /api/auth/forgot-password
+     * Responds the same whether or not the account exists so emails cannot be enumerated.
+     */
+    static async forgotPassword(req, res) {
+        try {
+            const { email } = req.body;
+
+            const user = await User.findByEmail(email);
+            if (user && user.is_active) {
+                // Only the newest link works
+                await PasswordResetToken.invalidateAllForUser(user.id);
+
+                const token = generateRandomToken();
+                const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+                await PasswordResetToken.create(user.id, hashToken(token), expiresAt, req.ip);
+
+                const resetUrl = `${process.env.PASSWORD_RESET_URL || 'http://localhost:5173/reset-password'}?token=${token}`;
+                const minutes = Math.round(RESET_TOKEN_TTL_MS / 60000);
+
+                await queueEmail({
+                    userId: user.id,
+                    to: user.email,
+                    subject: 'Reset your password',
+                    message: `Hi${user.first_name ? ` ${user.first_name}` : ''},\n\n`
+                        + `We received a request to reset your password. Use the link below within ${minutes} minutes:\n\n`
+                        + `${resetUrl}\n\n`
+                        + 'If you did not request this, you can ignore this email.',
+                    metadata: {
+                        template: 'password_reset',
+                        expires_at: expiresAt
+                    }
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    message: 'If an account exists for this email, a password reset link has been sent'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('Forgot password error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'FORGOT_PASSWORD_FAILED',
+                    message: 'Failed to process password reset request. Please try again.'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * Reset password with an emailed token
+     * POST /api/auth/reset-password
+     * Signs the user out everywhere by revoking all refresh tokens.
+     */
+    static async resetPassword(req, res) {
+        try {
+            const { token, newPassword } = req.body;
+
+            const resetToken = await PasswordResetToken.consume(hashToken(token));
+            if (!resetToken) {
+                return res.status(400).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'INVALID_RESET_TOKEN',
+                        message: 'Password reset link is invalid or has expired'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            const user = await User.findById(resetToken.user_id);
+            if (!user || !user.is_active) {
+                return res.status(403).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'ACCOUNT_DISABLED',
+                        message: 'Your account has been disabled. Please contact support.'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            await User.updatePassword(user.id, newPassword);
+
+            // Any other outstanding links and every existing login stop working
+            await PasswordResetToken.invalidateAllForUser(user.id);
+            await revokeAllSessions(user.id);
+
+            // Proving control of the mailbox also lifts a brute-force lockout
+            await unlockAccount(user.email);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    message: 'Password has been reset. Please log in with your new password.'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('Reset password error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'RESET_PASSWORD_FAILED',
+                    message: 'Failed to reset password. Please try again.'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * Verify email address with an emailed token
+     * GET /api/auth/verify-email?token=... (link in the email) or POST /api/auth/verify-email
+     */
+    static async verifyEmail(req, res) {
+        try {
+            const token = req.method === 'GET' ? req.query.token : req.body.token;
+
+            const verificationToken = await EmailVerificationToken.consume(hashToken(token));
+            if (!verificationToken) {
+                return res.status(400).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'INVALID_VERIFICATION_TOKEN',
+                        message: 'Verification link is invalid or has expired'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            await User.verifyEmail(verificationToken.user_id);
+            await EmailVerificationToken.invalidateAllForUser(verificationToken.user_id);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    verified: true,
+                    message: 'Email verified. Refresh your token or log in again to get full access.'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('Email verification error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'EMAIL_VERIFICATION_FAILED',
+                    message: 'Failed to verify email. Please try again.'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * Send a new verification email
+     * POST /api/auth/resend-verification
+     * Responds the same whether or not the account exists or is already verified.
+     */
+    static async resendVerification(req, res) {
+        try {
+            const { email } = req.body;
+
+            const user = await User.findByEmail(email);
+            if (user && user.is_active && !user.is_verified) {
+                await sendVerificationEmail(user);
+            }
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    message: 'If this account still needs verification, a new link has been sent'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('Resend verification error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'RESEND_VERIFICATION_FAILED',
+                    message: 'Failed to send verification email. Please try again.'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * Unlock an account locked by failed login attempts
+     * POST /api/auth/users/:userId/unlock
+     */
+    static async unlockAccount(req, res) {
+        try {
+            const user = await User.findById(req.params.userId);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'USER_NOT_FOUND',
+                        message: 'User not found'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            const wasLocked = await unlockAccount(user.email);
+
+            await AuditLog.create({
+                userId: req.user.userId,
+                action: 'ACCOUNT_UNLOCKED',
+                resource: 'users',
+                resourceId: user.id,
+                oldValues: { locked: wasLocked },
+                newValues: { locked: false },
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    userId: user.id,
+                    wasLocked,
+                    locked: false
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('Unlock account error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'UNLOCK_FAILED',
+                    message: 'Failed to unlock account'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * Rotate the access token signing key now (e.g. after a suspected key compromise)
+     * POST /api/auth/keys/rotate
+     * The new key is published at once and signs from activatesAt (JWT_KEY_ACTIVATION_DELAY);
+     * the previous key stays published for JWT_KEY_OVERLAP after that so issued tokens keep working.
+     */
+    static async rotateSigningKeys(req, res) {
+        try {
+            const { kid, activatesAt } = await rotateKeys();
+
+            await AuditLog.create({
+                userId: req.user.userId,
+                action: 'SIGNING_KEY_ROTATED',
+                resource: 'signing_keys',
+                resourceId: null,
+                newValues: { kid, activatesAt },
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    kid,
+                    activatesAt
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('Signing key rotation error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'KEY_ROTATION_FAILED',
+                    message: 'Failed to rotate signing key'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
     /**
      * Verify token (check if user is authenticated)
      * GET /api/auth/verify
@@ -0,0 +1,564 @@
+// services/auth-service/src/controllers/mfaController.js
+const User = require('../models/User');
+const UserMfa = require('../models/UserMfa');
+const { verifyMfaChallengeToken, generateRandomToken, hashToken } = require('../utils/jwt');
+const {
+    generateSecret,
+    verifyTotp,
+    buildProvisioningUri,
+    encryptSecret,
+    decryptSecret
+} = require('../utils/totp');
+const { startSession } = require('../services/sessionService');
+const {
+    checkLoginAllowed,
+    recordFailedLogin,
+    clearFailedLogins,
+    tooManyAttemptsResponse
+} = require('../services/loginProtectionService');
+
+const RECOVERY_CODE_COUNT = parseInt(process.env.MFA_RECOVERY_CODE_COUNT) || 10;
+
+/**
+ * Generate one-time recovery codes
+ * @returns {Object} { codes: shown once to the user, hashes: stored }
+ */
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = generateRandomToken(5); // 10 hex characters
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+        codes,
+        hashes: codes.map(code => hashRecoveryCode(code))
+    };
+};
+
+/**
+ * Hash a recovery code, ignoring case and separators
+ */
+const hashRecoveryCode = (code) => {
+    return hashToken(code.toLowerCase().replace(/[^0-9a-f]/g, ''));
+};
+
+/**
+ * Check a TOTP code once; the same code cannot be replayed
+ * @returns {Promise<boolean>}
+ */
+const checkTotp = async (mfa, code) => {
+    const step = verifyTotp(decryptSecret(mfa.secret_encrypted), code);
+    if (step === null) return false;
+
+    return UserMfa.useTimeStep(mfa.user_id, step);
+};
+
+/**
+ * Check either a TOTP code or a recovery code
+ * @returns {Promise<Object>} { valid, usedRecoveryCode }
+ */
+const checkSecondFactor = async (mfa, { code, recoveryCode }) => {
+    if (code) {
+        return { valid: await checkTotp(mfa, code), usedRecoveryCode: false };
+    }
+
+    const valid = await UserMfa.consumeRecoveryCode(mfa.user_id, hashRecoveryCode(recoveryCode));
+    return { valid, usedRecoveryCode: valid };
+};
+
+const invalidCodeResponse = (res) => {
+    return res.status(401).json({
+        success: false,
+        data: null,
+        error: {
+            code: 'INVALID_MFA_CODE',
+            message: 'Invalid or already used authentication code'
+        },
+        metadata: {
+            timestamp: new Date().toISOString()
+        }
+    });
+};
+
+/**
+ * Multi-Factor Authentication Controller
+ */
+class MfaController {
+    /**
+     * Get MFA status for the current user
+     * GET /api/auth/mfa
+     */
+    static async getStatus(req, res) {
+        try {
+            const mfa = await UserMfa.findByUserId(req.user.userId);
+            const enabled = Boolean(mfa && mfa.enabled);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    enabled,
+                    enabledAt: enabled ? mfa.enabled_at : null,
+                    required: await UserMfa.isRequiredForRoles(req.user.roles, req.user.tenantId),
+                    recoveryCodesRemaining: enabled ? await UserMfa.countRecoveryCodes(req.user.userId) : 0
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('Get MFA status error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'MFA_STATUS_FAILED',
+                    message: 'Failed to fetch MFA status'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * Start enrollment - create a secret and return the provisioning URI for the QR code
+     * POST /api/auth/mfa/setup
+     */
+    static async setup(req, res) {
+        try {
+            const secret = generateSecret();
+            const saved = await UserMfa.savePendingSecret(req.user.userId, encryptSecret(secret));
+
+            if (!saved) {
+                return res.status(409).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'MFA_ALREADY_ENABLED',
+                        message: 'Multi-factor authentication is already enabled'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    secret,
+                    otpauthUrl: buildProvisioningUri(secret, req.user.email)
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('MFA setup error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'MFA_SETUP_FAILED',
+                    message: 'Failed to start MFA enrollment. Please try again.'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * Confirm enrollment with a first code and receive recovery codes
+     * POST /api/auth/mfa/enable
+     * Completes the login when enrollment was enforced at login.
+     */
+    static async enable(req, res) {
+        try {
+            const mfa = await UserMfa.findByUserId(req.user.userId);
+
+            if (!mfa) {
+                return res.status(400).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'MFA_SETUP_REQUIRED',
+                        message: 'Start MFA setup before enabling it'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            if (mfa.enabled) {
+                return res.status(409).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'MFA_ALREADY_ENABLED',
+                        message: 'Multi-factor authentication is already enabled'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            if (!(await checkTotp(mfa, req.body.code))) {
+                return invalidCodeResponse(res);
+            }
+
+            const { codes, hashes } = generateRecoveryCodes();
+            await UserMfa.enable(req.user.userId, hashes);
+
+            let tokens = null;
+            if (req.mfaEnrollment) {
+                const user = await User.findById(req.user.userId);
+                tokens = await startSession(user, req);
+            }
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    enabled: true,
+                    recoveryCodes: codes,
+                    tokens
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('MFA enable error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'MFA_ENABLE_FAILED',
+                    message: 'Failed to enable MFA. Please try again.'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * Second login step - exchange the challenge token and a code for tokens
+     * POST /api/auth/mfa/verify
+     */
+    static async verify(req, res) {
+        try {
+            const { mfaToken, code, recoveryCode } = req.body;
+
+            const decoded = verifyMfaChallengeToken(mfaToken, 'verify');
+            if (!decoded) {
+                return res.status(401).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'INVALID_MFA_TOKEN',
+                        message: 'MFA challenge is invalid or has expired. Please log in again.'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            // Wrong codes count towards the same per-account lockout as wrong passwords
+            const throttle = await checkLoginAllowed(decoded.email);
+            if (!throttle.allowed) {
+                return tooManyAttemptsResponse(res, throttle);
+            }
+
+            const user = await User.findById(decoded.userId);
+            const mfa = await UserMfa.findByUserId(decoded.userId);
+            if (!user || !user.is_active || !mfa || !mfa.enabled) {
+                return res.status(401).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'UNAUTHORIZED',
+                        message: 'User not found or inactive'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            const { valid, usedRecoveryCode } = await checkSecondFactor(mfa, { code, recoveryCode });
+            if (!valid) {
+                const failure = await recordFailedLogin(decoded.email, user, req);
+                if (failure.locked) {
+                    return tooManyAttemptsResponse(res, { reason: 'locked', retryAfter: failure.retryAfter });
+                }
+                return invalidCodeResponse(res);
+            }
+
+            await clearFailedLogins(decoded.email);
+
+            const tokens = await startSession(user, req);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    user: User.sanitize(user),
+                    tokens,
+                    recoveryCodesRemaining: usedRecoveryCode
+                        ? await UserMfa.countRecoveryCodes(user.id)
+                        : undefined
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('MFA verify error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'MFA_VERIFY_FAILED',
+                    message: 'MFA verification failed. Please try again.'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * Turn MFA off (password and a code required)
+     * POST /api/auth/mfa/disable
+     */
+    static async disable(req, res) {
+        try {
+            const { password, code, recoveryCode } = req.body;
+
+            if (await UserMfa.isRequiredForRoles(req.user.roles, req.user.tenantId)) {
+                return res.status(403).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'MFA_REQUIRED_BY_ROLE',
+                        message: 'Your role requires multi-factor authentication'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            const mfa = await UserMfa.findByUserId(req.user.userId);
+            if (!mfa || !mfa.enabled) {
+                return res.status(400).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'MFA_NOT_ENABLED',
+                        message: 'Multi-factor authentication is not enabled'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            const user = await User.findByEmail(req.user.email);
+            const isPasswordValid = user && await User.verifyPassword(password, user.password_hash);
+            if (!isPasswordValid) {
+                return res.status(401).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'INVALID_CREDENTIALS',
+                        message: 'Invalid password'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            const { valid } = await checkSecondFactor(mfa, { code, recoveryCode });
+            if (!valid) {
+                return invalidCodeResponse(res);
+            }
+
+            await UserMfa.disable(req.user.userId);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    enabled: false
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('MFA disable error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'MFA_DISABLE_FAILED',
+                    message: 'Failed to disable MFA. Please try again.'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * Replace all recovery codes (current TOTP code required)
+     * POST /api/auth/mfa/recovery-codes
+     */
+    static async regenerateRecoveryCodes(req, res) {
+        try {
+            const mfa = await UserMfa.findByUserId(req.user.userId);
+            if (!mfa || !mfa.enabled) {
+                return res.status(400).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'MFA_NOT_ENABLED',
+                        message: 'Multi-factor authentication is not enabled'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            if (!(await checkTotp(mfa, req.body.code))) {
+                return invalidCodeResponse(res);
+            }
+
+            const { codes, hashes } = generateRecoveryCodes();
+            await UserMfa.replaceRecoveryCodes(req.user.userId, hashes);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    recoveryCodes: codes
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('Regenerate recovery codes error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'RECOVERY_CODES_FAILED',
+                    message: 'Failed to regenerate recovery codes. Please try again.'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * List roles and whether they require MFA
+     * GET /api/auth/mfa/roles
+     */
+    static async getRolePolicies(req, res) {
+        try {
+            const roles = await UserMfa.getRolePolicies();
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    roles
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('Get MFA role policies error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'FETCH_FAILED',
+                    message: 'Failed to fetch MFA role policies'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * Enforce (or stop enforcing) MFA for a role
+     * PUT /api/auth/mfa/roles/:role
+     */
+    static async setRolePolicy(req, res) {
+        try {
+            const role = await UserMfa.setRoleRequirement(req.params.role, req.body.required);
+
+            if (!role) {
+                return res.status(404).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'ROLE_NOT_FOUND',
+                        message: 'Role not found'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    role
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('Set MFA role policy error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'UPDATE_FAILED',
+                    message: 'Failed to update MFA role policy'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+}
+
+module.exports = MfaController;
@@ -0,0 +1,330 @@
+// services/auth-service/src/controllers/serviceClientController.js
+const ServiceClient = require('../models/ServiceClient');
+const AuditLog = require('../models/AuditLog');
+const { generateServiceToken, durationToMs, SERVICE_TOKEN_EXPIRY } = require('../utils/jwt');
+const { serviceTokenSchema } = require('../middleware/validation');
+
+/**
+ * OAuth2 error response (RFC 6749 section 5.2) - token endpoint clients expect this shape
+ */
+const oauthError = (res, status, error, description) => {
+    res.set('Cache-Control', 'no-store');
+    return res.status(status).json({ error, error_description: description });
+};
+
+/**
+ * Client credentials from HTTP Basic auth or the request body
+ */
+const getClientCredentials = (req) => {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Basic ')) {
+        const decoded = Buffer.from(authorization.substring(6), 'base64').toString();
+        const separator = decoded.indexOf(':');
+        return {
+            clientId: decodeURIComponent(decoded.substring(0, separator)),
+            clientSecret: decodeURIComponent(decoded.substring(separator + 1))
+        };
+    }
+
+    return { clientId: req.body.client_id, clientSecret: req.body.client_secret };
+};
+
+/**
+ * Service Client Controller - Machine credentials and the client_credentials grant
+ */
+class ServiceClientController {
+    /**
+     * Issue a service token
+     * POST /api/auth/token (grant_type=client_credentials, optional space-separated scope)
+     */
+    static async token(req, res) {
+        try {
+            // Validated here rather than by validate() so errors keep the OAuth2 shape
+            const { error, value } = serviceTokenSchema.validate(req.body || {}, { stripUnknown: true });
+            if (error) {
+                return oauthError(res, 400, 'invalid_request', error.details[0].message);
+            }
+            req.body = value;
+
+            if (req.body.grant_type !== 'client_credentials') {
+                return oauthError(res, 400, 'unsupported_grant_type', 'Only client_credentials is supported');
+            }
+
+            const { clientId, clientSecret } = getClientCredentials(req);
+            if (!clientId || !clientSecret) {
+                return oauthError(res, 401, 'invalid_client', 'Client credentials are required');
+            }
+
+            const client = await ServiceClient.authenticate(clientId, clientSecret);
+            if (!client) {
+                return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+            }
+
+            // Narrow to the requested scopes; asking for one the client lacks is an error
+            const requested = req.body.scope ? String(req.body.scope).split(' ').filter(Boolean) : client.scopes;
+            if (requested.some(scope => !client.scopes.includes(scope))) {
+                return oauthError(res, 400, 'invalid_scope', 'Requested scope is not granted to this client');
+            }
+
+            res.set('Cache-Control', 'no-store');
+            res.status(200).json({
+                access_token: generateServiceToken(client, requested),
+                token_type: 'Bearer',
+                expires_in: Math.floor(durationToMs(SERVICE_TOKEN_EXPIRY, 15 * 60 * 1000) / 1000),
+                scope: requested.join(' ')
+            });
+        } catch (err) {
+            console.error('Service token error:', err);
+            return oauthError(res, 500, 'server_error', 'Failed to issue token');
+        }
+    }
+
+    /**
+     * List service clients
+     * GET /api/auth/service-clients
+     */
+    static async listClients(req, res) {
+        try {
+            const clients = await ServiceClient.findAll();
+
+            res.status(200).json({
+                success: true,
+                data: { clients },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('List service clients error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'FETCH_FAILED',
+                    message: 'Failed to fetch service clients'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * Register a service client (the secret is only returned here)
+     * POST /api/auth/service-clients
+     */
+    static async createClient(req, res) {
+        try {
+            const { client, clientSecret } = await ServiceClient.create({
+                ...req.body,
+                createdBy: req.user.userId
+            });
+
+            await AuditLog.create({
+                userId: req.user.userId,
+                action: 'SERVICE_CLIENT_CREATED',
+                resource: 'service_clients',
+                resourceId: client.id,
+                newValues: { clientId: client.client_id, scopes: client.scopes },
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            });
+
+            res.status(201).json({
+                success: true,
+                data: {
+                    client,
+                    clientSecret
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            if (err.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'CLIENT_ID_TAKEN',
+                        message: 'A service client with this client ID already exists'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            console.error('Create service client error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'CREATE_FAILED',
+                    message: 'Failed to create service client'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * Change a client's name, scopes or active flag
+     * PATCH /api/auth/service-clients/:id
+     */
+    static async updateClient(req, res) {
+        try {
+            const client = await ServiceClient.update(req.params.id, req.body);
+            if (!client) {
+                return ServiceClientController.notFound(res);
+            }
+
+            await AuditLog.create({
+                userId: req.user.userId,
+                action: 'SERVICE_CLIENT_UPDATED',
+                resource: 'service_clients',
+                resourceId: client.id,
+                newValues: req.body,
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            });
+
+            res.status(200).json({
+                success: true,
+                data: { client },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('Update service client error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'UPDATE_FAILED',
+                    message: 'Failed to update service client'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * Replace a client's secret
+     * POST /api/auth/service-clients/:id/rotate-secret
+     */
+    static async rotateSecret(req, res) {
+        try {
+            const rotated = await ServiceClient.rotateSecret(req.params.id);
+            if (!rotated) {
+                return ServiceClientController.notFound(res);
+            }
+
+            await AuditLog.create({
+                userId: req.user.userId,
+                action: 'SERVICE_CLIENT_SECRET_ROTATED',
+                resource: 'service_clients',
+                resourceId: rotated.client.id,
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            });
+
+            res.status(200).json({
+                success: true,
+                data: rotated,
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('Rotate service client secret error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'ROTATE_FAILED',
+                    message: 'Failed to rotate client secret'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * Delete a service client (tokens already issued run out within SERVICE_TOKEN_EXPIRY)
+     * DELETE /api/auth/service-clients/:id
+     */
+    static async deleteClient(req, res) {
+        try {
+            const deleted = await ServiceClient.delete(req.params.id);
+            if (!deleted) {
+                return ServiceClientController.notFound(res);
+            }
+
+            await AuditLog.create({
+                userId: req.user.userId,
+                action: 'SERVICE_CLIENT_DELETED',
+                resource: 'service_clients',
+                resourceId: req.params.id,
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    id: req.params.id,
+                    deleted: true
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('Delete service client error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'DELETE_FAILED',
+                    message: 'Failed to delete service client'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * 404 for an unknown client id
+     */
+    static notFound(res) {
+        return res.status(404).json({
+            success: false,
+            data: null,
+            error: {
+                code: 'CLIENT_NOT_FOUND',
+                message: 'Service client not found'
+            },
+            metadata: {
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+}
+
+module.exports = ServiceClientController;
@@ -0,0 +1,138 @@
+// services/auth-service/src/controllers/sessionController.js
+const Session = require('../models/Session');
+const { revokeSession, revokeAllSessions } = require('../services/sessionService');
+
+/**
+ * Session Controller - Lets users see and sign out their devices
+ * Revoking a session stops its refresh token and denylists the access tokens
+ * already issued to that device.
+ */
+class SessionController {
+    /**
+     * List active sessions for the current user
+     * GET /api/auth/sessions
+     */
+    static async listSessions(req, res) {
+        try {
+            const sessions = await Session.findActiveByUser(req.user.userId);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    sessions: sessions.map(session => ({
+                        id: session.id,
+                        ipAddress: session.ip_address,
+                        userAgent: session.user_agent,
+                        createdAt: session.created_at,
+                        lastUsedAt: session.last_used_at,
+                        expiresAt: session.expires_at,
+                        current: session.id === req.user.sessionId
+                    }))
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('List sessions error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'FETCH_FAILED',
+                    message: 'Failed to fetch sessions'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * Revoke one of the current user's sessions
+     * DELETE /api/auth/sessions/:id
+     */
+    static async revokeSession(req, res) {
+        try {
+            const revoked = await revokeSession(req.user.userId, req.params.id);
+            if (!revoked) {
+                return res.status(404).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'SESSION_NOT_FOUND',
+                        message: 'Session not found'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    sessionId: req.params.id,
+                    revoked: true,
+                    current: req.params.id === req.user.sessionId
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('Revoke session error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'REVOKE_SESSION_FAILED',
+                    message: 'Failed to revoke session'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * Log out everywhere (revoke every session, including this one)
+     * POST /api/auth/logout-all
+     */
+    static async revokeAllSessions(req, res) {
+        try {
+            const revokedCount = await revokeAllSessions(req.user.userId);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    revokedCount,
+                    message: 'Logged out of all devices'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('Revoke all sessions error:', err);
+            res.status(500).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'LOGOUT_FAILED',
+                    message: 'Logout failed. Please try again.'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+}
+
+module.exports = SessionController;
@@ -0,0 +1,260 @@
+// services/auth-service/src/controllers/ssoController.js
+const User = require('../models/User');
+const IdentityProvider = require('../models/IdentityProvider');
+const AuditLog = require('../models/AuditLog');
+const { startSession } = require('../services/sessionService');
+const { startLogin, completeLogin, encryptClientSecret } = require('../services/ssoService');
+
+/**
+ * Respond with an error raised by the SSO service, or a generic failure
+ */
+const sendError = (res, err, fallbackCode, fallbackMessage) => {
+    res.status(err.statusCode || 500).json({
+        success: false,
+        data: null,
+        error: {
+            code: err.statusCode ? err.code : fallbackCode,
+            message: err.statusCode ? err.message : fallbackMessage
+        },
+        metadata: {
+            timestamp: new Date().toISOString()
+        }
+    });
+};
+
+/**
+ * Provider settings from a request body, with the client secret encrypted
+ */
+const providerFromBody = (body) => {
+    const { clientSecret, ...settings } = body;
+    return clientSecret === undefined
+        ? settings
+        : { ...settings, clientSecretEncrypted: clientSecret ? encryptClientSecret(clientSecret) : null };
+};
+
+/**
+ * SSO Controller - Sign in through a tenant's OpenID Connect identity provider
+ * The provider is trusted for authentication, so ERP MFA is not asked for on top of it.
+ */
+class SsoController {
+    /**
+     * Redirect the browser to the tenant's identity provider
+     * GET /api/auth/sso/:slug/login
+     */
+    static async startLogin(req, res) {
+        try {
+            const authorizationUrl = await startLogin(req.params.slug);
+            res.redirect(302, authorizationUrl);
+        } catch (err) {
+            if (!err.statusCode) console.error('SSO start error:', err);
+            sendError(res, err, 'SSO_FAILED', 'Single sign-on failed. Please try again.');
+        }
+    }
+
+    /**
+     * Exchange the provider's authorization code for a token pair
+     * POST /api/auth/sso/callback
+     */
+    static async callback(req, res) {
+        try {
+            const { user, provisioned } = await completeLogin(req.body, req);
+
+            if (!user.is_active) {
+                return res.status(403).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'ACCOUNT_DISABLED',
+                        message: 'Your account has been disabled. Please contact support.'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            const tokens = await startSession(user, req);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    user: User.sanitize(user),
+                    tokens,
+                    provisioned
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            if (!err.statusCode) console.error('SSO callback error:', err);
+            sendError(res, err, 'SSO_FAILED', 'Single sign-on failed. Please try again.');
+        }
+    }
+
+    /**
+     * List identity providers
+     * GET /api/auth/identity-providers
+     */
+    static async listProviders(req, res) {
+        try {
+            const providers = await IdentityProvider.findAll();
+
+            res.status(200).json({
+                success: true,
+                data: { providers },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('List identity providers error:', err);
+            sendError(res, err, 'FETCH_FAILED', 'Failed to fetch identity providers');
+        }
+    }
+
+    /**
+     * Configure single sign-on for a tenant
+     * POST /api/auth/identity-providers
+     */
+    static async createProvider(req, res) {
+        try {
+            const provider = await IdentityProvider.create(providerFromBody(req.body));
+
+            await AuditLog.create({
+                userId: req.user.userId,
+                action: 'IDENTITY_PROVIDER_CREATED',
+                resource: 'identity_providers',
+                resourceId: provider.id,
+                newValues: provider,
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            });
+
+            res.status(201).json({
+                success: true,
+                data: { provider },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            if (err.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'SLUG_TAKEN',
+                        message: 'An identity provider with this slug already exists'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            console.error('Create identity provider error:', err);
+            sendError(res, err, 'CREATE_FAILED', 'Failed to create identity provider');
+        }
+    }
+
+    /**
+     * Change a tenant's SSO settings
+     * PUT /api/auth/identity-providers/:id
+     */
+    static async updateProvider(req, res) {
+        try {
+            const existing = await IdentityProvider.findById(req.params.id);
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'PROVIDER_NOT_FOUND',
+                        message: 'Identity provider not found'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            const provider = await IdentityProvider.update(req.params.id, providerFromBody(req.body));
+
+            await AuditLog.create({
+                userId: req.user.userId,
+                action: 'IDENTITY_PROVIDER_UPDATED',
+                resource: 'identity_providers',
+                resourceId: provider.id,
+                oldValues: IdentityProvider.withoutSecret(existing),
+                newValues: provider,
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            });
+
+            res.status(200).json({
+                success: true,
+                data: { provider },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('Update identity provider error:', err);
+            sendError(res, err, 'UPDATE_FAILED', 'Failed to update identity provider');
+        }
+    }
+
+    /**
+     * Remove a tenant's SSO configuration and the identities linked through it
+     * DELETE /api/auth/identity-providers/:id
+     */
+    static async deleteProvider(req, res) {
+        try {
+            const deleted = await IdentityProvider.delete(req.params.id);
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    data: null,
+                    error: {
+                        code: 'PROVIDER_NOT_FOUND',
+                        message: 'Identity provider not found'
+                    },
+                    metadata: {
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
+            await AuditLog.create({
+                userId: req.user.userId,
+                action: 'IDENTITY_PROVIDER_DELETED',
+                resource: 'identity_providers',
+                resourceId: req.params.id,
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    id: req.params.id,
+                    deleted: true
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                },
+                error: null
+            });
+        } catch (err) {
+            console.error('Delete identity provider error:', err);
+            sendError(res, err, 'DELETE_FAILED', 'Failed to delete identity provider');
+        }
+    }
+}
+
+module.exports = SsoController;
@@ -1,6 +1,7 @@
 // services/auth-service/src/middleware/auth.js
-const { verifyAccessToken, extractTokenFromHeader } = require('../utils/jwt');
-const { redisHelpers } = require('../config/database');
+const { verifyAccessToken, verifyMfaChallengeToken, extractTokenFromHeader } = require('../utils/jwt');
+const { redis, redisHelpers } = require('../config/database');
+const { TokenRevocation, TenantContext } = require('../../../../shared/utils');
 
 /**
  * Authentication Middleware
@@ -27,7 +28,7 @@ const authenticate = async (req, res, next) => {
         }
 
         // Verify token
-        const decoded = verifyAccessToken(token);
+        const decoded = await verifyAccessToken(token);
         if (!decoded) {
             return res.status(401).json({
                 success: false,
@@ -42,8 +43,23 @@ const authenticate = async (req, res, next) => {
             });
         }
 
+        // Logged out, session revoked or user deactivated since the token was issued
+        if (await TokenRevocation.isRevoked(redis, decoded)) {
+            return res.status(401).json({
+                success: false,
+                data: null,
+                error: {
+                    code: 'TOKEN_REVOKED',
+                    message: 'Token has been revoked'
+                },
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
         // Check if session exists in Redis (optional fast check)
-        const session = await redisHelpers.get(`session:${decoded.userId}`);
+        const session = await redisHelpers.get(`session:${decoded.userId}:${decoded.sessionId}`);
         if (!session) {
             // Session might have expired in Redis, but token is still valid
             // This is okay - we'll just attach the user from token
@@ -55,10 +71,16 @@ const authenticate = async (req, res, next) => {
             userId: decoded.userId,
             email: decoded.email,
             roles: decoded.roles || [],
-            permissions: decoded.permissions || []
+            permissions: decoded.permissions || [],
+            verified: decoded.verified !== false,
+            sessionId: decoded.sessionId || null,
+            tokenId: decoded.jti || null,
+            tenantId: decoded.tenantId || null,
+            tokenExpiresAt: decoded.exp
         };
 
-        next();
+        // From here on the request only sees the user's organization
+        TenantContext.run(TenantContext.fromUser(req.user), next);
     } catch (err) {
         console.error('Authentication middleware error:', err);
         return res.status(500).json({
@@ -75,6 +97,42 @@ const authenticate = async (req, res, next) => {
     }
 };
 
+/**
+ * MFA Enrollment Authentication Middleware
+ * Accepts a normal access token, or an 'enroll' challenge token in req.body.mfaToken
+ * for users whose role requires MFA and who cannot log in until they set it up.
+ */
+const authenticateMfaEnrollment = async (req, res, next) => {
+    if (!req.body || !req.body.mfaToken) {
+        return authenticate(req, res, next);
+    }
+
+    const decoded = verifyMfaChallengeToken(req.body.mfaToken, 'enroll');
+    if (!decoded) {
+        return res.status(401).json({
+            success: false,
+            data: null,
+            error: {
+                code: 'INVALID_MFA_TOKEN',
+                message: 'MFA challenge is invalid or has expired. Please log in again.'
+            },
+            metadata: {
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    req.user = {
+        userId: decoded.userId,
+        email: decoded.email,
+        roles: [],
+        permissions: []
+    };
+    req.mfaEnrollment = true;
+
+    next();
+};
+
 /**
  * Optional Authentication Middleware
  * Attaches user if token is valid, but doesn't block request
@@ -85,7 +143,7 @@ const optionalAuth = async (req, res, next) => {
         const token = extractTokenFromHeader(authHeader);
 
         if (token) {
-            const decoded = verifyAccessToken(token);
+            const decoded = await verifyAccessToken(token);
             if (decoded) {
                 req.user = {
                     userId: decoded.userId,
@@ -187,6 +245,7 @@ const requirePermission = (permission) => {
 
 module.exports = {
     authenticate,
+    authenticateMfaEnrollment,
     optionalAuth,
     authorize,
     requirePermission
@@ -1,5 +1,6 @@
 // services/auth-service/src/middleware/validation.js
 const Joi = require('joi');
+const { TenantContext } = require('../../../../shared/utils');
 
 /**
  * Validation schemas using Joi
@@ -63,7 +64,13 @@ const registerSchema = Joi.object({
         .allow('', null)
         .messages({
             'string.pattern.base': 'Please provide a valid phone number'
-        })
+        }),
+
+    // Registering creates a new organization; defaults to the user's name
+    organizationName: Joi.string()
+        .min(2)
+        .max(255)
+        .trim()
 });
 
 /**
@@ -126,12 +133,345 @@ const changePasswordSchema = Joi.object({
         })
 });
 
+/**
+ * Forgot password validation schema
+ */
+const forgotPasswordSchema = Joi.object({
+    email: Joi.string()
+        .email()
+        .lowercase()
+        .trim()
+        .required()
+        .messages({
+            'string.email': 'Please provide a valid email address',
+            'any.required': 'Email is required'
+        })
+});
+
+/**
+ * Reset password validation schema
+ */
+const resetPasswordSchema = Joi.object({
+    token: Joi.string()
+        .hex()
+        .required()
+        .messages({
+            'string.hex': 'Invalid reset token',
+            'any.required': 'Reset token is required'
+        }),
+
+    newPassword: Joi.string()
+        .min(parseInt(process.env.PASSWORD_MIN_LENGTH) || 8)
+        .max(128)
+        .required()
+        .messages({
+            'string.min': 'New password must be at least {#limit} characters long',
+            'any.required': 'New password is required'
+        }),
+
+    confirmNewPassword: Joi.string()
+        .valid(Joi.ref('newPassword'))
+        .required()
+        .messages({
+            'any.only': 'Passwords do not match',
+            'any.required': 'Password confirmation is required'
+        })
+});
+
+/**
+ * Email verification validation schema (body or query string)
+ */
+const verifyEmailSchema = Joi.object({
+    token: Joi.string()
+        .hex()
+        .required()
+        .messages({
+            'string.hex': 'Invalid verification token',
+            'any.required': 'Verification token is required'
+        })
+});
+
+/**
+ * Resend verification email validation schema
+ */
+const resendVerificationSchema = forgotPasswordSchema;
+
+/**
+ * TOTP code field shared by the MFA schemas
+ */
+const totpCode = Joi.string()
+    .trim()
+    .pattern(/^\d{6}$/)
+    .messages({
+        'string.pattern.base': 'Code must be 6 digits'
+    });
+
+/**
+ * Recovery code field shared by the MFA schemas
+ */
+const recoveryCode = Joi.string()
+    .trim()
+    .max(32);
+
+/**
+ * MFA setup validation schema (mfaToken only when enrollment is enforced at login)
+ */
+const mfaSetupSchema = Joi.object({
+    mfaToken: Joi.string()
+});
+
+/**
+ * MFA enable validation schema
+ */
+const mfaEnableSchema = Joi.object({
+    mfaToken: Joi.string(),
+
+    code: totpCode.required().messages({
+        'any.required': 'Code is required'
+    })
+});
+
+/**
+ * MFA login verification schema
+ */
+const mfaVerifySchema = Joi.object({
+    mfaToken: Joi.string()
+        .required()
+        .messages({
+            'any.required': 'MFA token is required'
+        }),
+
+    code: totpCode,
+
+    recoveryCode
+}).xor('code', 'recoveryCode');
+
+/**
+ * MFA disable validation schema
+ */
+const mfaDisableSchema = Joi.object({
+    password: Joi.string()
+        .required()
+        .messages({
+            'any.required': 'Password is required'
+        }),
+
+    code: totpCode,
+
+    recoveryCode
+}).xor('code', 'recoveryCode');
+
+/**
+ * Regenerate recovery codes validation schema
+ */
+const mfaCodeSchema = Joi.object({
+    code: totpCode.required().messages({
+        'any.required': 'Code is required'
+    })
+});
+
+/**
+ * Role MFA requirement validation schema
+ */
+const mfaRolePolicySchema = Joi.object({
+    required: Joi.boolean()
+        .required()
+        .messages({
+            'any.required': 'required must be true or false'
+        })
+});
+
+/**
+ * Session id route parameter validation schema
+ */
+const sessionIdParamSchema = Joi.object({
+    id: Joi.string()
+        .guid()
+        .required()
+        .messages({
+            'string.guid': 'Session id must be a valid UUID'
+        })
+});
+
+/**
+ * SSO login route parameter validation schema
+ */
+const ssoSlugParamSchema = Joi.object({
+    slug: Joi.string()
+        .lowercase()
+        .pattern(/^[a-z0-9-]{2,100}$/)
+        .required()
+        .messages({
+            'string.pattern.base': 'Organization slug may only contain letters, numbers and hyphens'
+        })
+});
+
+/**
+ * SSO callback validation schema (code and state from the provider redirect)
+ */
+const ssoCallbackSchema = Joi.object({
+    code: Joi.string()
+        .max(2048)
+        .required()
+        .messages({
+            'any.required': 'Authorization code is required'
+        }),
+
+    state: Joi.string()
+        .max(128)
+        .required()
+        .messages({
+            'any.required': 'State is required'
+        })
+});
+
+/**
+ * Identity provider fields shared by the create and update schemas
+ */
+const identityProviderFields = {
+    name: Joi.string().trim().max(255),
+    issuer: Joi.string().uri({ scheme: ['https', 'http'] }),
+    clientId: Joi.string().trim().max(255),
+    clientSecret: Joi.string().allow('').max(1024),
+    scopes: Joi.string()
+        .pattern(/(^|\s)openid(\s|$)/)
+        .max(500)
+        .messages({
+            'string.pattern.base': 'Scopes must include openid'
+        }),
+    groupsClaim: Joi.string().max(100),
+    // A tenant's IdP must not be able to grant access to every organization
+    groupRoleMappings: Joi.object().pattern(
+        Joi.string().max(255),
+        Joi.string().max(50).invalid(...TenantContext.CROSS_TENANT_ROLES).messages({
+            'any.invalid': 'Group mappings cannot grant {#value}'
+        })
+    ),
+    defaultRole: Joi.string().max(50).allow(null).invalid(...TenantContext.CROSS_TENANT_ROLES).messages({
+        'any.invalid': 'Default role cannot be {#value}'
+    }),
+    allowedDomains: Joi.array().items(Joi.string().domain().lowercase()).min(1),
+    isActive: Joi.boolean()
+};
+
+/**
+ * Create identity provider validation schema
+ */
+const identityProviderSchema = Joi.object({
+    ...identityProviderFields,
+    slug: ssoSlugParamSchema.extract('slug'),
+    organizationId: Joi.string()
+        .guid()
+        .messages({
+            'string.guid': 'Organization id must be a valid UUID'
+        }),
+    name: identityProviderFields.name.required(),
+    issuer: identityProviderFields.issuer.required(),
+    clientId: identityProviderFields.clientId.required(),
+    allowedDomains: identityProviderFields.allowedDomains.required().messages({
+        'any.required': 'At least one allowed email domain is required'
+    })
+});
+
+/**
+ * Update identity provider validation schema
+ */
+const identityProviderUpdateSchema = Joi.object(identityProviderFields).min(1);
+
+/**
+ * Identity provider id route parameter validation schema
+ */
+const identityProviderIdParamSchema = Joi.object({
+    id: Joi.string()
+        .guid()
+        .required()
+        .messages({
+            'string.guid': 'Identity provider id must be a valid UUID'
+        })
+});
+
+/**
+ * Service client scope, e.g. identity:forward or inventory:read
+ */
+const serviceScope = Joi.string()
+    .pattern(/^[a-z_]+:[a-z_*]+$/)
+    .messages({
+        'string.pattern.base': 'Scopes look like resource:action'
+    });
+
+/**
+ * Token request validation schema (client_credentials grant, form or JSON body)
+ * Client credentials may come from HTTP Basic auth instead of the body.
+ */
+const serviceTokenSchema = Joi.object({
+    grant_type: Joi.string().max(50).required(),
+    scope: Joi.string()
+        .max(1000)
+        .custom((value, helpers) => (
+            value.split(' ').filter(Boolean).every(scope => !serviceScope.validate(scope).error)
+                ? value
+                : helpers.error('string.pattern.base')
+        ))
+        .messages({
+            'string.pattern.base': 'Scopes look like resource:action'
+        }),
+    client_id: Joi.string().max(100),
+    client_secret: Joi.string().max(1024)
+});
+
+/**
+ * Create service client validation schema
+ */
+const serviceClientSchema = Joi.object({
+    clientId: Joi.string()
+        .lowercase()
+        .pattern(/^[a-z0-9-]{2,100}$/)
+        .required()
+        .messages({
+            'string.pattern.base': 'Client ID may only contain letters, numbers and hyphens',
+            'any.required': 'Client ID is required'
+        }),
+
+    name: Joi.string()
+        .trim()
+        .max(255)
+        .required(),
+
+    scopes: Joi.array()
+        .items(serviceScope)
+        .unique()
+        .default([])
+});
+
+/**
+ * Update service client validation schema
+ */
+const serviceClientUpdateSchema = Joi.object({
+    name: Joi.string().trim().max(255),
+    scopes: Joi.array().items(serviceScope).unique(),
+    isActive: Joi.boolean()
+}).min(1);
+
+/**
+ * Service client id route parameter validation schema
+ */
+const serviceClientIdParamSchema = Joi.object({
+    id: Joi.string()
+        .guid()
+        .required()
+        .messages({
+            'string.guid': 'Service client id must be a valid UUID'
+        })
+});
+
 /**
  * Validation middleware factory
+ * @param {Object} schema - Joi schema
+ * @param {string} source - Request property to validate ('body', 'query' or 'params')
  */
-const validate = (schema) => {
+const validate = (schema, source = 'body') => {
     return (req, res, next) => {
-        const { error, value } = schema.validate(req.body, {
+        const { error, value } = schema.validate(req[source], {
             abortEarly: false, // Return all errors, not just the first
             stripUnknown: true // Remove unknown fields
         });
@@ -156,8 +496,8 @@ const validate = (schema) => {
             });
         }
 
-        // Replace req.body with validated and sanitized data
-        req.body = value;
+        // Replace the input with validated and sanitized data
+        req[source] = value;
         next();
     };
 };
@@ -167,5 +507,25 @@ module.exports = {
     loginSchema,
     refreshTokenSchema,
     changePasswordSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    verifyEmailSchema,
+    resendVerificationSchema,
+    mfaSetupSchema,
+    mfaEnableSchema,
+    mfaVerifySchema,
+    mfaDisableSchema,
+    mfaCodeSchema,
+    mfaRolePolicySchema,
+    sessionIdParamSchema,
+    ssoSlugParamSchema,
+    ssoCallbackSchema,
+    identityProviderSchema,
+    identityProviderUpdateSchema,
+    identityProviderIdParamSchema,
+    serviceTokenSchema,
+    serviceClientSchema,
+    serviceClientUpdateSchema,
+    serviceClientIdParamSchema,
     validate
 };
\ No newline at end of file
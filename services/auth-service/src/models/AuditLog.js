@@ -0,0 +1,44 @@
+// services/auth-service/src/models/AuditLog.js
+const { query } = require('../config/database');
+
+/**
+ * AuditLog Model - Writes security events to audit_logs
+ */
+class AuditLog {
+    /**
+     * Record an audit entry
+     * @param {Object} entry
+     * @param {string|null} entry.userId - User who acted (or was acted on, for system events)
+     * @param {string} entry.action - e.g. ACCOUNT_LOCKED
+     * @param {string} entry.resource - e.g. users
+     * @param {string|null} entry.resourceId - ID of the affected record
+     * @param {Object|null} entry.oldValues
+     * @param {Object|null} entry.newValues
+     * @param {string|null} entry.ipAddress
+     * @param {string|null} entry.userAgent
+     * @returns {Promise<Object>} Created audit record
+     */
+    static async create(entry) {
+        const sql = `
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, old_values, new_values, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id, action, resource, resource_id, created_at
+    `;
+
+        const values = [
+            entry.userId || null,
+            entry.action,
+            entry.resource,
+            entry.resourceId || null,
+            entry.oldValues ? JSON.stringify(entry.oldValues) : null,
+            entry.newValues ? JSON.stringify(entry.newValues) : null,
+            entry.ipAddress || null,
+            entry.userAgent || null
+        ];
+
+        const result = await query(sql, values);
+        return result.rows[0];
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,76 @@
+// services/auth-service/src/models/EmailVerificationToken.js
+const { query } = require('../config/database');
+
+/**
+ * EmailVerificationToken Model - Single-use email verification tokens
+ * Stored as SHA-256 hashes, same as password reset tokens.
+ */
+class EmailVerificationToken {
+    /**
+     * Store a verification token hash
+     * @param {string} userId - User UUID
+     * @param {string} tokenHash - Hashed verification token
+     * @param {Date} expiresAt - Expiry date
+     * @returns {Promise<Object>} Created token record
+     */
+    static async create(userId, tokenHash, expiresAt) {
+        const sql = `
+      INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+      VALUES ($1, $2, $3)
+      RETURNING id, user_id, expires_at, created_at
+    `;
+
+        const result = await query(sql, [userId, tokenHash, expiresAt]);
+        return result.rows[0];
+    }
+
+    /**
+     * Mark a token as used if it is still valid
+     * @param {string} tokenHash - Hashed verification token
+     * @returns {Promise<Object|null>} Consumed token record or null if invalid, used or expired
+     */
+    static async consume(tokenHash) {
+        const sql = `
+      UPDATE email_verification_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = $1
+        AND used_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP
+      RETURNING id, user_id
+    `;
+
+        const result = await query(sql, [tokenHash]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Invalidate every outstanding token for a user
+     * @param {string} userId - User UUID
+     * @returns {Promise<void>}
+     */
+    static async invalidateAllForUser(userId) {
+        const sql = `
+      UPDATE email_verification_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND used_at IS NULL
+    `;
+
+        await query(sql, [userId]);
+    }
+
+    /**
+     * Delete expired tokens (cleanup)
+     * @returns {Promise<number>} Number of deleted tokens
+     */
+    static async deleteExpired() {
+        const sql = `
+      DELETE FROM email_verification_tokens
+      WHERE expires_at < CURRENT_TIMESTAMP
+    `;
+
+        const result = await query(sql);
+        return result.rowCount;
+    }
+}
+
+module.exports = EmailVerificationToken;
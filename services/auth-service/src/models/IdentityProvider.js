@@ -0,0 +1,161 @@
+// services/auth-service/src/models/IdentityProvider.js
+const { query } = require('../config/database');
+
+// Columns safe to return to administrators (never the client secret)
+const PUBLIC_COLUMNS = `
+        id, organization_id, slug, name, issuer, client_id, scopes, groups_claim, group_role_mappings,
+        default_role, allowed_domains, is_active, created_at, updated_at
+`;
+
+// Fields an administrator may change, by column name
+const UPDATABLE_FIELDS = {
+    name: 'name',
+    issuer: 'issuer',
+    clientId: 'client_id',
+    clientSecretEncrypted: 'client_secret_encrypted',
+    scopes: 'scopes',
+    groupsClaim: 'groups_claim',
+    groupRoleMappings: 'group_role_mappings',
+    defaultRole: 'default_role',
+    allowedDomains: 'allowed_domains',
+    isActive: 'is_active'
+};
+
+/**
+ * IdentityProvider Model - OpenID Connect providers used for single sign-on
+ * Each tenant has its own provider, addressed by slug in the login URL.
+ */
+class IdentityProvider {
+    /**
+     * Find an active provider by slug, including the encrypted client secret
+     * @param {string} slug - Tenant slug
+     * @returns {Promise<Object|null>} Provider record or null
+     */
+    static async findActiveBySlug(slug) {
+        const sql = `
+      SELECT ${PUBLIC_COLUMNS}, client_secret_encrypted
+      FROM identity_providers
+      WHERE slug = $1 AND is_active = true
+    `;
+
+        const result = await query(sql, [slug]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Find a provider by ID, including the encrypted client secret
+     * @param {string} id - Provider UUID
+     * @returns {Promise<Object|null>} Provider record or null
+     */
+    static async findById(id) {
+        const sql = `
+      SELECT ${PUBLIC_COLUMNS}, client_secret_encrypted
+      FROM identity_providers
+      WHERE id = $1
+    `;
+
+        const result = await query(sql, [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * List every provider
+     * @returns {Promise<Array>} Provider records without secrets
+     */
+    static async findAll() {
+        const sql = `
+      SELECT ${PUBLIC_COLUMNS}
+      FROM identity_providers
+      ORDER BY name
+    `;
+
+        const result = await query(sql);
+        return result.rows;
+    }
+
+    /**
+     * Create a provider
+     * Belongs to data.organizationId, or the caller's own organization when not given
+     * @param {Object} data - Provider settings, client secret already encrypted
+     * @returns {Promise<Object>} Created provider without secrets
+     */
+    static async create(data) {
+        const sql = `
+      INSERT INTO identity_providers (
+        slug, name, issuer, client_id, client_secret_encrypted, scopes,
+        groups_claim, group_role_mappings, default_role, allowed_domains, is_active, organization_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, COALESCE($12, current_tenant_id()))
+      RETURNING ${PUBLIC_COLUMNS}
+    `;
+
+        const values = [
+            data.slug,
+            data.name,
+            data.issuer,
+            data.clientId,
+            data.clientSecretEncrypted || null,
+            data.scopes || 'openid email profile',
+            data.groupsClaim || 'groups',
+            JSON.stringify(data.groupRoleMappings || {}),
+            data.defaultRole || null,
+            data.allowedDomains || [],
+            data.isActive !== false,
+            data.organizationId || null
+        ];
+
+        const result = await query(sql, values);
+        return result.rows[0];
+    }
+
+    /**
+     * Update a provider
+     * @param {string} id - Provider UUID
+     * @param {Object} updates - Fields from UPDATABLE_FIELDS
+     * @returns {Promise<Object|null>} Updated provider without secrets, or null if not found
+     */
+    static async update(id, updates) {
+        const fields = Object.keys(updates).filter(key => UPDATABLE_FIELDS[key] && updates[key] !== undefined);
+        if (fields.length === 0) {
+            throw new Error('No valid fields to update');
+        }
+
+        const setClauses = fields.map((field, index) => `${UPDATABLE_FIELDS[field]} = $${index + 2}`).join(', ');
+        const values = [
+            id,
+            ...fields.map(field => (field === 'groupRoleMappings' ? JSON.stringify(updates[field]) : updates[field]))
+        ];
+
+        const sql = `
+      UPDATE identity_providers
+      SET ${setClauses}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${PUBLIC_COLUMNS}
+    `;
+
+        const result = await query(sql, values);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Delete a provider (linked identities go with it)
+     * @param {string} id - Provider UUID
+     * @returns {Promise<boolean>} False if not found
+     */
+    static async delete(id) {
+        const result = await query('DELETE FROM identity_providers WHERE id = $1', [id]);
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Drop the client secret from a provider record
+     * @param {Object} provider
+     * @returns {Object}
+     */
+    static withoutSecret(provider) {
+        const { client_secret_encrypted: _secret, ...rest } = provider;
+        return rest;
+    }
+}
+
+module.exports = IdentityProvider;
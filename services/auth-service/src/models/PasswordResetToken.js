@@ -0,0 +1,78 @@
+// services/auth-service/src/models/PasswordResetToken.js
+const { query } = require('../config/database');
+
+/**
+ * PasswordResetToken Model - Single-use password reset tokens
+ * Only the SHA-256 hash of a token is stored; the plain token exists only in the email.
+ */
+class PasswordResetToken {
+    /**
+     * Store a reset token hash
+     * @param {string} userId - User UUID
+     * @param {string} tokenHash - Hashed reset token
+     * @param {Date} expiresAt - Expiry date
+     * @param {string|null} requestedIp - IP the reset was requested from
+     * @returns {Promise<Object>} Created token record
+     */
+    static async create(userId, tokenHash, expiresAt, requestedIp = null) {
+        const sql = `
+      INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, user_id, expires_at, created_at
+    `;
+
+        const result = await query(sql, [userId, tokenHash, expiresAt, requestedIp]);
+        return result.rows[0];
+    }
+
+    /**
+     * Mark a token as used if it is still valid
+     * The single UPDATE makes concurrent attempts with the same token race safely.
+     * @param {string} tokenHash - Hashed reset token
+     * @returns {Promise<Object|null>} Consumed token record or null if invalid, used or expired
+     */
+    static async consume(tokenHash) {
+        const sql = `
+      UPDATE password_reset_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = $1
+        AND used_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP
+      RETURNING id, user_id
+    `;
+
+        const result = await query(sql, [tokenHash]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Invalidate every outstanding token for a user
+     * @param {string} userId - User UUID
+     * @returns {Promise<void>}
+     */
+    static async invalidateAllForUser(userId) {
+        const sql = `
+      UPDATE password_reset_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND used_at IS NULL
+    `;
+
+        await query(sql, [userId]);
+    }
+
+    /**
+     * Delete expired tokens (cleanup)
+     * @returns {Promise<number>} Number of deleted tokens
+     */
+    static async deleteExpired() {
+        const sql = `
+      DELETE FROM password_reset_tokens
+      WHERE expires_at < CURRENT_TIMESTAMP
+    `;
+
+        const result = await query(sql);
+        return result.rowCount;
+    }
+}
+
+module.exports = PasswordResetToken;
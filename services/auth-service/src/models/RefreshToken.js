@@ -1,8 +1,11 @@
 // services/auth-service/src/models/RefreshToken.js
 const { query } = require('../config/database');
+const { hashToken } = require('../utils/jwt');
 
 /**
  * RefreshToken Model - Manages refresh tokens in database
+ * Only the SHA-256 hash of a token is stored; methods taking a token hash it first.
+ * Tokens rotated from one another share a family_id.
  */
 class RefreshToken {
     /**
@@ -10,16 +13,18 @@ class RefreshToken {
      * @param {string} userId - User UUID
      * @param {string} token - Refresh token
      * @param {Date} expiresAt - Expiry date
+     * @param {string|null} sessionId - Session the token belongs to
+     * @param {string} familyId - Rotation family (familyId claim of the token)
      * @returns {Promise<Object>} Created token record
      */
-    static async create(userId, token, expiresAt) {
+    static async create(userId, token, expiresAt, sessionId, familyId) {
         const sql = `
-      INSERT INTO refresh_tokens (user_id, token, expires_at, revoked)
-      VALUES ($1, $2, $3, $4)
-      RETURNING id, user_id, token, expires_at, created_at, revoked
+      INSERT INTO refresh_tokens (user_id, token, expires_at, revoked, session_id, family_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, user_id, expires_at, created_at, revoked, session_id, family_id
     `;
 
-        const values = [userId, token, expiresAt, false];
+        const values = [userId, hashToken(token), expiresAt, false, sessionId, familyId];
         const result = await query(sql, values);
         return result.rows[0];
     }
@@ -31,12 +36,12 @@ class RefreshToken {
      */
     static async findByToken(token) {
         const sql = `
-      SELECT id, user_id, token, expires_at, created_at, revoked
+      SELECT id, user_id, expires_at, created_at, revoked, session_id, family_id
       FROM refresh_tokens
       WHERE token = $1
     `;
 
-        const result = await query(sql, [token]);
+        const result = await query(sql, [hashToken(token)]);
         return result.rows[0] || null;
     }
 
@@ -54,7 +59,7 @@ class RefreshToken {
         AND expires_at > CURRENT_TIMESTAMP
     `;
 
-        const result = await query(sql, [token]);
+        const result = await query(sql, [hashToken(token)]);
         return result.rows.length > 0;
     }
 
@@ -70,7 +75,40 @@ class RefreshToken {
       WHERE token = $1
     `;
 
-        await query(sql, [token]);
+        await query(sql, [hashToken(token)]);
+    }
+
+    /**
+     * Revoke a token only if it is still active (claims it for a single rotation)
+     * @param {string} id - Token record UUID
+     * @returns {Promise<boolean>} False if it was already revoked
+     */
+    static async revokeIfActive(id) {
+        const sql = `
+      UPDATE refresh_tokens
+      SET revoked = true
+      WHERE id = $1 AND revoked = false
+      RETURNING id
+    `;
+
+        const result = await query(sql, [id]);
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Revoke every token in a rotation family
+     * @param {string} familyId - Family ID
+     * @returns {Promise<number>} Number of tokens that were still active
+     */
+    static async revokeFamily(familyId) {
+        const sql = `
+      UPDATE refresh_tokens
+      SET revoked = true
+      WHERE family_id = $1 AND revoked = false
+    `;
+
+        const result = await query(sql, [familyId]);
+        return result.rowCount;
     }
 
     /**
@@ -88,6 +126,21 @@ class RefreshToken {
         await query(sql, [userId]);
     }
 
+    /**
+     * Revoke all tokens issued to a session
+     * @param {string} sessionId - Session UUID
+     * @returns {Promise<void>}
+     */
+    static async revokeAllForSession(sessionId) {
+        const sql = `
+      UPDATE refresh_tokens
+      SET revoked = true
+      WHERE session_id = $1 AND revoked = false
+    `;
+
+        await query(sql, [sessionId]);
+    }
+
     /**
      * Delete expired tokens (cleanup)
      * @returns {Promise<number>} Number of deleted tokens
@@ -109,7 +162,7 @@ class RefreshToken {
      */
     static async getActiveTokensForUser(userId) {
         const sql = `
-      SELECT id, token, expires_at, created_at
+      SELECT id, session_id, family_id, expires_at, created_at
       FROM refresh_tokens
       WHERE user_id = $1 
         AND revoked = false 
@@ -0,0 +1,134 @@
+// services/auth-service/src/models/ServiceClient.js
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { hashToken } = require('../utils/jwt');
+
+const COLUMNS = 'id, client_id, name, scopes, is_active, created_by, last_used_at, created_at, updated_at';
+
+/**
+ * ServiceClient Model - Machine credentials for service-to-service calls
+ * Only the SHA-256 hash of a client secret is stored; the secret is shown once.
+ */
+class ServiceClient {
+    /**
+     * Create a client with a new secret
+     * @param {Object} data - { clientId, name, scopes, createdBy }
+     * @returns {Promise<Object>} { client, clientSecret }
+     */
+    static async create({ clientId, name, scopes, createdBy }) {
+        const clientSecret = ServiceClient.generateSecret();
+
+        const sql = `
+      INSERT INTO service_clients (client_id, name, secret_hash, scopes, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${COLUMNS}
+    `;
+
+        const result = await query(sql, [clientId, name, hashToken(clientSecret), scopes, createdBy]);
+        return { client: result.rows[0], clientSecret };
+    }
+
+    /**
+     * Check a client's credentials
+     * @param {string} clientId
+     * @param {string} clientSecret
+     * @returns {Promise<Object|null>} Active client or null if the credentials are wrong
+     */
+    static async authenticate(clientId, clientSecret) {
+        const sql = `
+      SELECT ${COLUMNS}, secret_hash
+      FROM service_clients
+      WHERE client_id = $1 AND is_active = true
+    `;
+
+        const result = await query(sql, [clientId]);
+        const client = result.rows[0];
+
+        // Compare even when the client is unknown so timing does not reveal which client IDs exist
+        const expected = Buffer.from(client ? client.secret_hash : hashToken(''), 'hex');
+        const actual = Buffer.from(hashToken(clientSecret || ''), 'hex');
+        if (!crypto.timingSafeEqual(expected, actual) || !client) {
+            return null;
+        }
+
+        await query('UPDATE service_clients SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [client.id]);
+
+        const { secret_hash: _hash, ...rest } = client;
+        return rest;
+    }
+
+    /**
+     * List every client
+     * @returns {Promise<Array>} Client records
+     */
+    static async findAll() {
+        const sql = `
+      SELECT ${COLUMNS}
+      FROM service_clients
+      ORDER BY client_id
+    `;
+
+        const result = await query(sql);
+        return result.rows;
+    }
+
+    /**
+     * Change a client's name, scopes or active flag
+     * @param {string} id - Client UUID
+     * @param {Object} updates - { name, scopes, isActive }
+     * @returns {Promise<Object|null>} Updated client or null if not found
+     */
+    static async update(id, { name, scopes, isActive }) {
+        const sql = `
+      UPDATE service_clients
+      SET name = COALESCE($2, name),
+          scopes = COALESCE($3, scopes),
+          is_active = COALESCE($4, is_active),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${COLUMNS}
+    `;
+
+        const result = await query(sql, [id, name, scopes, isActive]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Replace a client's secret (the old one stops working at once)
+     * @param {string} id - Client UUID
+     * @returns {Promise<Object|null>} { client, clientSecret } or null if not found
+     */
+    static async rotateSecret(id) {
+        const clientSecret = ServiceClient.generateSecret();
+
+        const sql = `
+      UPDATE service_clients
+      SET secret_hash = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${COLUMNS}
+    `;
+
+        const result = await query(sql, [id, hashToken(clientSecret)]);
+        return result.rows[0] ? { client: result.rows[0], clientSecret } : null;
+    }
+
+    /**
+     * Delete a client
+     * @param {string} id - Client UUID
+     * @returns {Promise<boolean>} False if not found
+     */
+    static async delete(id) {
+        const result = await query('DELETE FROM service_clients WHERE id = $1', [id]);
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Generate a client secret
+     * @returns {string}
+     */
+    static generateSecret() {
+        return crypto.randomBytes(32).toString('base64url');
+    }
+}
+
+module.exports = ServiceClient;
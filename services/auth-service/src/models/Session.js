@@ -0,0 +1,139 @@
+// services/auth-service/src/models/Session.js
+const { query } = require('../config/database');
+
+/**
+ * Session Model - One row per signed-in device
+ * token holds the SHA-256 hash of the session's current refresh token;
+ * refresh_tokens.session_id links every token issued to the session.
+ */
+class Session {
+    /**
+     * Record a new session
+     * @param {Object} sessionData - { id, userId, tokenHash, ipAddress, userAgent, expiresAt }
+     * @returns {Promise<Object>} Created session
+     */
+    static async create({ id, userId, tokenHash, ipAddress, userAgent, expiresAt }) {
+        const sql = `
+      INSERT INTO sessions (id, user_id, token, ip_address, user_agent, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, user_id, ip_address, user_agent, expires_at, created_at, last_used_at
+    `;
+
+        const values = [id, userId, tokenHash, ipAddress || null, userAgent || null, expiresAt];
+        const result = await query(sql, values);
+        return result.rows[0];
+    }
+
+    /**
+     * Find a session that has not been revoked or expired
+     * @param {string} id - Session UUID
+     * @param {string} userId - Owning user UUID
+     * @returns {Promise<Object|null>} Session or null
+     */
+    static async findActiveById(id, userId) {
+        const sql = `
+      SELECT id, user_id, ip_address, user_agent, expires_at, created_at, last_used_at
+      FROM sessions
+      WHERE id = $1
+        AND user_id = $2
+        AND revoked_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP
+    `;
+
+        const result = await query(sql, [id, userId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * List a user's active sessions, most recently used first
+     * @param {string} userId - User UUID
+     * @returns {Promise<Array>} Sessions
+     */
+    static async findActiveByUser(userId) {
+        const sql = `
+      SELECT id, ip_address, user_agent, expires_at, created_at, last_used_at
+      FROM sessions
+      WHERE user_id = $1
+        AND revoked_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY last_used_at DESC
+    `;
+
+        const result = await query(sql, [userId]);
+        return result.rows;
+    }
+
+    /**
+     * Move a session on to a newly issued refresh token
+     * @param {string} id - Session UUID
+     * @param {Object} sessionData - { tokenHash, ipAddress, userAgent, expiresAt }
+     * @returns {Promise<Object|null>} Updated session or null if it was revoked meanwhile
+     */
+    static async rotate(id, { tokenHash, ipAddress, userAgent, expiresAt }) {
+        const sql = `
+      UPDATE sessions
+      SET token = $2,
+          ip_address = COALESCE($3, ip_address),
+          user_agent = COALESCE($4, user_agent),
+          expires_at = $5,
+          last_used_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING id, user_id, ip_address, user_agent, expires_at, created_at, last_used_at
+    `;
+
+        const values = [id, tokenHash, ipAddress || null, userAgent || null, expiresAt];
+        const result = await query(sql, values);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Revoke one of a user's sessions
+     * @param {string} id - Session UUID
+     * @param {string} userId - Owning user UUID
+     * @returns {Promise<Object|null>} Revoked session or null if not found or already revoked
+     */
+    static async revoke(id, userId) {
+        const sql = `
+      UPDATE sessions
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+      RETURNING id
+    `;
+
+        const result = await query(sql, [id, userId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Revoke every session for a user
+     * @param {string} userId - User UUID
+     * @returns {Promise<Array<string>>} Revoked session ids
+     */
+    static async revokeAllForUser(userId) {
+        const sql = `
+      UPDATE sessions
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND revoked_at IS NULL
+      RETURNING id
+    `;
+
+        const result = await query(sql, [userId]);
+        return result.rows.map(row => row.id);
+    }
+
+    /**
+     * Delete expired sessions (cleanup)
+     * @returns {Promise<number>} Number of deleted sessions
+     */
+    static async deleteExpired() {
+        const sql = `
+      DELETE FROM sessions
+      WHERE expires_at < CURRENT_TIMESTAMP
+    `;
+
+        const result = await query(sql);
+        return result.rowCount;
+    }
+}
+
+module.exports = Session;
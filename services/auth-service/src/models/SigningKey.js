@@ -0,0 +1,105 @@
+// services/auth-service/src/models/SigningKey.js
+const { query, getClient } = require('../config/database');
+
+/**
+ * SigningKey Model - Asymmetric keys that sign access tokens
+ * A key is published as soon as it is stored but only signs from activates_at, so
+ * verifiers have fetched it before the first token carries its kid. The newest key
+ * has retired_at NULL; older keys sign until retired_at and are still published
+ * for verification until expires_at so tokens they signed stay valid.
+ */
+class SigningKey {
+    /**
+     * Get the newest key - signing now, or about to once activates_at is reached
+     * @returns {Promise<Object|null>} Key record or null if none exists yet
+     */
+    static async findLatest() {
+        const sql = `
+      SELECT kid, algorithm, public_jwk, private_key_encrypted, created_at, activates_at
+      FROM signing_keys
+      WHERE retired_at IS NULL
+    `;
+
+        const result = await query(sql);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Get every key that may still verify tokens, newest first
+     * @returns {Promise<Array>} Key records
+     */
+    static async findPublished() {
+        const sql = `
+      SELECT kid, algorithm, public_jwk, private_key_encrypted, created_at, activates_at, retired_at, expires_at
+      FROM signing_keys
+      WHERE expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP
+      ORDER BY created_at DESC
+    `;
+
+        const result = await query(sql);
+        return result.rows;
+    }
+
+    /**
+     * Store a new key that takes over signing after activationDelayMs
+     * The newest key keeps signing until then and stays published for overlapMs after.
+     * Serialised across instances; does nothing if the newest key is no longer
+     * the one the caller saw (another instance rotated first).
+     * @param {Object} key - { kid, algorithm, publicJwk, privateKeyEncrypted }
+     * @param {string|null} expectedLatestKid - Newest kid the caller decided to replace
+     * @param {number} overlapMs - How long the replaced key stays published once it stops signing
+     * @param {number} activationDelayMs - How long the new key is published before it signs
+     * @returns {Promise<boolean>} True if the new key was stored
+     */
+    static async rotate(key, expectedLatestKid, overlapMs, activationDelayMs) {
+        const client = await getClient();
+        try {
+            await client.query('BEGIN');
+            await client.query("SELECT pg_advisory_xact_lock(hashtext('signing_key_rotation'))");
+
+            const current = await client.query('SELECT kid FROM signing_keys WHERE retired_at IS NULL');
+            const currentKid = current.rows[0] ? current.rows[0].kid : null;
+            if (currentKid !== expectedLatestKid) {
+                await client.query('ROLLBACK');
+                return false;
+            }
+
+            await client.query(
+                `UPDATE signing_keys
+         SET retired_at = CURRENT_TIMESTAMP + ($1 * INTERVAL '1 millisecond'),
+             expires_at = CURRENT_TIMESTAMP + (($1::bigint + $2::bigint) * INTERVAL '1 millisecond')
+         WHERE retired_at IS NULL`,
+                [activationDelayMs, overlapMs]
+            );
+            await client.query(
+                `INSERT INTO signing_keys (kid, algorithm, public_jwk, private_key_encrypted, activates_at)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5 * INTERVAL '1 millisecond'))`,
+                [key.kid, key.algorithm, JSON.stringify(key.publicJwk), key.privateKeyEncrypted, activationDelayMs]
+            );
+
+            await client.query('COMMIT');
+            return true;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Delete keys past their overlap window (cleanup)
+     * @returns {Promise<number>} Number of deleted keys
+     */
+    static async deleteExpired() {
+        const sql = `
+      DELETE FROM signing_keys
+      WHERE expires_at < CURRENT_TIMESTAMP
+    `;
+
+        const result = await query(sql);
+        return result.rowCount;
+    }
+}
+
+module.exports = SigningKey;
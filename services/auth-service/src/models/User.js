@@ -1,52 +1,155 @@
 // services/auth-service/src/models/User.js
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const { query, getClient } = require('../config/database');
+const { query, getClient, redis } = require('../config/database');
+const { TokenRevocation, StringUtils } = require('../../../../shared/utils');
+
+// Compared against when no account matches, so response time does not reveal whether an email exists
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('no-account-placeholder', parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10);
 
 /**
  * User Model - Handles all user-related database operations
  */
 class User {
     /**
-     * Create a new user
-     * @param {Object} userData - User registration data
+     * Create a new user along with their organization
+     * Signing up starts a new organization (tenant), and its first user is its admin.
+     * @param {Object} userData - User registration data, with an optional organizationName
      * @returns {Promise<Object>} Created user
      */
     static async create(userData) {
         const { email, password, firstName, lastName, phone } = userData;
+        const organizationName = userData.organizationName
+            || [firstName, lastName].filter(Boolean).join(' ')
+            || email.split('@')[0];
 
         // Hash password
         const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10;
         const passwordHash = await bcrypt.hash(password, saltRounds);
 
+        // The random suffix keeps slugs unique when two organizations share a name
+        const slug = `${StringUtils.slugify(organizationName).substring(0, 80) || 'org'}-${crypto.randomBytes(4).toString('hex')}`;
+
+        const client = await getClient();
+        try {
+            await client.query('BEGIN');
+
+            const organization = await client.query(
+                'INSERT INTO organizations (name, slug) VALUES ($1, $2) RETURNING id',
+                [organizationName, slug]
+            );
+
+            const sql = `
+      INSERT INTO users (organization_id, email, password_hash, first_name, last_name, phone, is_active, is_verified)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id, organization_id, email, first_name, last_name, phone, is_active, is_verified, created_at
+    `;
+
+            const values = [
+                organization.rows[0].id,
+                email.toLowerCase(),
+                passwordHash,
+                firstName,
+                lastName,
+                phone || null,
+                true,
+                false
+            ];
+
+            const result = await client.query(sql, values);
+            const user = result.rows[0];
+
+            await client.query(
+                `INSERT INTO user_roles (user_id, role_id)
+         SELECT $1, id FROM roles WHERE name = 'admin' AND organization_id IS NULL`,
+                [user.id]
+            );
+
+            await client.query('COMMIT');
+            return user;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Create a user signed up through an identity provider (just-in-time provisioning)
+     * The provider vouches for the email; the random password is never shown to anyone,
+     * so the account can only be used through SSO unless a password is reset.
+     * @param {Object} userData - { email, firstName, lastName, organizationId }
+     * @returns {Promise<Object>} Created user
+     */
+    static async createFromIdentity(userData) {
+        const { email, firstName, lastName, organizationId } = userData;
+
+        const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10;
+        const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), saltRounds);
+
         const sql = `
-      INSERT INTO users (email, password_hash, first_name, last_name, phone, is_active, is_verified)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING id, email, first_name, last_name, phone, is_active, is_verified, created_at
+      INSERT INTO users (organization_id, email, password_hash, first_name, last_name, is_active, is_verified)
+      VALUES ($5, $1, $2, $3, $4, true, true)
+      RETURNING id, organization_id, email, first_name, last_name, phone, is_active, is_verified, created_at
     `;
 
-        const values = [
-            email.toLowerCase(),
-            passwordHash,
-            firstName,
-            lastName,
-            phone || null,
-            true,
-            false
-        ];
-
-        const result = await query(sql, values);
+        const result = await query(sql, [email.toLowerCase(), passwordHash, firstName, lastName, organizationId]);
         return result.rows[0];
     }
 
+    /**
+     * Make a user's roles match an identity provider's group mapping
+     * Only roles the provider manages (managedRoles) are added or removed; roles
+     * assigned by administrators outside the mapping are left alone. Names resolve to
+     * built-in roles or the user's own organization's roles, never another tenant's.
+     * @param {string} userId - User UUID
+     * @param {Array<string>} roleNames - Roles the user should have
+     * @param {Array<string>} managedRoles - Every role the provider's mapping can grant
+     * @returns {Promise<boolean>} True if anything changed
+     */
+    static async syncRoles(userId, roleNames, managedRoles) {
+        const client = await getClient();
+        try {
+            await client.query('BEGIN');
+
+            const removed = await client.query(
+                `DELETE FROM user_roles ur
+         USING roles r
+         WHERE ur.role_id = r.id AND ur.user_id = $1
+           AND r.name = ANY($2) AND NOT (r.name = ANY($3))`,
+                [userId, managedRoles, roleNames]
+            );
+            const added = await client.query(
+                `INSERT INTO user_roles (user_id, role_id)
+         SELECT $1, r.id
+         FROM roles r
+         JOIN users u ON u.id = $1
+         WHERE r.name = ANY($2)
+           AND (r.organization_id IS NULL OR r.organization_id = u.organization_id)
+         ON CONFLICT (user_id, role_id) DO NOTHING`,
+                [userId, roleNames]
+            );
+
+            await client.query('COMMIT');
+            return removed.rowCount + added.rowCount > 0;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
     /**
      * Find user by email
      * @param {string} email - User email
-     * @returns {Promise<Object|null>} User object or null
+     * @returns {Promise<Object|null>} User with roles and effective (inherited) permissions, or null
      */
     static async findByEmail(email) {
         const sql = `
       SELECT 
-        u.id, u.email, u.password_hash, u.first_name, u.last_name, 
+        u.id, u.organization_id, u.email, u.password_hash, u.first_name, u.last_name, 
         u.phone, u.is_active, u.is_verified, u.last_login, 
         u.created_at, u.updated_at,
         array_agg(DISTINCT r.name) FILTER (WHERE r.name IS NOT NULL) as roles,
@@ -54,7 +157,7 @@ class User {
       FROM users u
       LEFT JOIN user_roles ur ON u.id = ur.user_id
       LEFT JOIN roles r ON ur.role_id = r.id
-      LEFT JOIN role_permissions rp ON r.id = rp.role_id
+      LEFT JOIN role_effective_permissions rp ON r.id = rp.role_id
       LEFT JOIN permissions p ON rp.permission_id = p.id
       WHERE u.email = $1
       GROUP BY u.id
@@ -67,12 +170,12 @@ class User {
     /**
      * Find user by ID
      * @param {string} userId - User UUID
-     * @returns {Promise<Object|null>} User object or null
+     * @returns {Promise<Object|null>} User with roles and effective (inherited) permissions, or null
      */
     static async findById(userId) {
         const sql = `
       SELECT 
-        u.id, u.email, u.first_name, u.last_name, u.phone, 
+        u.id, u.organization_id, u.email, u.first_name, u.last_name, u.phone, 
         u.is_active, u.is_verified, u.last_login, 
         u.created_at, u.updated_at,
         array_agg(DISTINCT r.name) FILTER (WHERE r.name IS NOT NULL) as roles,
@@ -80,7 +183,7 @@ class User {
       FROM users u
       LEFT JOIN user_roles ur ON u.id = ur.user_id
       LEFT JOIN roles r ON ur.role_id = r.id
-      LEFT JOIN role_permissions rp ON r.id = rp.role_id
+      LEFT JOIN role_effective_permissions rp ON r.id = rp.role_id
       LEFT JOIN permissions p ON rp.permission_id = p.id
       WHERE u.id = $1
       GROUP BY u.id
@@ -108,10 +211,14 @@ class User {
     /**
      * Verify user's password
      * @param {string} plainPassword - Plain text password
-     * @param {string} hashedPassword - Hashed password from database
+     * @param {string|null} hashedPassword - Hashed password from database (null when no user matched)
      * @returns {Promise<boolean>} True if password matches
      */
     static async verifyPassword(plainPassword, hashedPassword) {
+        if (!hashedPassword) {
+            await bcrypt.compare(plainPassword, DUMMY_PASSWORD_HASH);
+            return false;
+        }
         return bcrypt.compare(plainPassword, hashedPassword);
     }
 
@@ -151,13 +258,14 @@ class User {
     }
 
     /**
-     * Deactivate user
+     * Deactivate user and revoke the access tokens already issued to them
      * @param {string} userId - User UUID
      * @returns {Promise<void>}
      */
     static async deactivate(userId) {
         const sql = 'UPDATE users SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1';
         await query(sql, [userId]);
+        await TokenRevocation.revokeUser(redis, userId);
     }
 
     /**
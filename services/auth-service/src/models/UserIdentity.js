@@ -0,0 +1,58 @@
+// services/auth-service/src/models/UserIdentity.js
+const { query } = require('../config/database');
+
+/**
+ * UserIdentity Model - Links users to their accounts at identity providers
+ */
+class UserIdentity {
+    /**
+     * Find the link for a provider account
+     * @param {string} providerId - Identity provider UUID
+     * @param {string} subject - sub claim from the provider
+     * @returns {Promise<Object|null>} Identity record or null
+     */
+    static async findBySubject(providerId, subject) {
+        const sql = `
+      SELECT id, user_id, provider_id, subject, email, last_login_at, created_at
+      FROM user_identities
+      WHERE provider_id = $1 AND subject = $2
+    `;
+
+        const result = await query(sql, [providerId, subject]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Link a user to a provider account
+     * @param {Object} identity - { userId, providerId, subject, email }
+     * @returns {Promise<Object>} Created identity record
+     */
+    static async create({ userId, providerId, subject, email }) {
+        const sql = `
+      INSERT INTO user_identities (user_id, provider_id, subject, email, last_login_at)
+      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+      RETURNING id, user_id, provider_id, subject, email, last_login_at, created_at
+    `;
+
+        const result = await query(sql, [userId, providerId, subject, email]);
+        return result.rows[0];
+    }
+
+    /**
+     * Record a sign-in through the provider
+     * @param {string} id - Identity UUID
+     * @param {string} email - Email the provider reported this time
+     * @returns {Promise<void>}
+     */
+    static async recordLogin(id, email) {
+        const sql = `
+      UPDATE user_identities
+      SET last_login_at = CURRENT_TIMESTAMP, email = $2
+      WHERE id = $1
+    `;
+
+        await query(sql, [id, email]);
+    }
+}
+
+module.exports = UserIdentity;
@@ -0,0 +1,228 @@
+// services/auth-service/src/models/UserMfa.js
+const { query, getClient } = require('../config/database');
+
+/**
+ * UserMfa Model - TOTP enrollment and one-time recovery codes
+ * The TOTP secret is stored encrypted (see utils/totp.js), recovery codes as SHA-256 hashes.
+ */
+class UserMfa {
+    /**
+     * Get a user's MFA record
+     * @param {string} userId - User UUID
+     * @returns {Promise<Object|null>} MFA record or null if never enrolled
+     */
+    static async findByUserId(userId) {
+        const sql = `
+      SELECT user_id, secret_encrypted, enabled, enabled_at, last_used_step, created_at, updated_at
+      FROM user_mfa
+      WHERE user_id = $1
+    `;
+
+        const result = await query(sql, [userId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Store a new, not yet confirmed secret
+     * Restarting enrollment replaces the pending secret; an enabled secret is never overwritten.
+     * @param {string} userId - User UUID
+     * @param {string} secretEncrypted - Encrypted base32 secret
+     * @returns {Promise<Object|null>} MFA record or null if MFA is already enabled
+     */
+    static async savePendingSecret(userId, secretEncrypted) {
+        const sql = `
+      INSERT INTO user_mfa (user_id, secret_encrypted, enabled)
+      VALUES ($1, $2, false)
+      ON CONFLICT (user_id) DO UPDATE
+      SET secret_encrypted = EXCLUDED.secret_encrypted,
+          last_used_step = NULL
+      WHERE user_mfa.enabled = false
+      RETURNING user_id, enabled, created_at
+    `;
+
+        const result = await query(sql, [userId, secretEncrypted]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Record the time step of an accepted code
+     * Fails when the step is not newer than the last accepted one, so a code works only once.
+     * @param {string} userId - User UUID
+     * @param {number} step - TOTP time step
+     * @returns {Promise<boolean>} True if the step was accepted
+     */
+    static async useTimeStep(userId, step) {
+        const sql = `
+      UPDATE user_mfa
+      SET last_used_step = $2
+      WHERE user_id = $1
+        AND (last_used_step IS NULL OR last_used_step < $2)
+      RETURNING user_id
+    `;
+
+        const result = await query(sql, [userId, step]);
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Enable MFA and replace the recovery codes in one transaction
+     * @param {string} userId - User UUID
+     * @param {Array<string>} codeHashes - Hashed recovery codes
+     * @returns {Promise<void>}
+     */
+    static async enable(userId, codeHashes) {
+        const client = await getClient();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                'UPDATE user_mfa SET enabled = true, enabled_at = CURRENT_TIMESTAMP WHERE user_id = $1',
+                [userId]
+            );
+            await UserMfa.insertRecoveryCodes(client, userId, codeHashes);
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Turn MFA off and delete the secret and recovery codes
+     * @param {string} userId - User UUID
+     * @returns {Promise<void>}
+     */
+    static async disable(userId) {
+        const client = await getClient();
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+            await client.query('DELETE FROM user_mfa WHERE user_id = $1', [userId]);
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Replace all recovery codes
+     * @param {string} userId - User UUID
+     * @param {Array<string>} codeHashes - Hashed recovery codes
+     * @returns {Promise<void>}
+     */
+    static async replaceRecoveryCodes(userId, codeHashes) {
+        const client = await getClient();
+        try {
+            await client.query('BEGIN');
+            await UserMfa.insertRecoveryCodes(client, userId, codeHashes);
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Delete existing recovery codes and insert new ones (caller's transaction)
+     * @param {Object} client - Transaction client
+     */
+    static async insertRecoveryCodes(client, userId, codeHashes) {
+        await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+        await client.query(
+            `INSERT INTO mfa_recovery_codes (user_id, code_hash)
+       SELECT $1, unnest($2::VARCHAR[])`,
+            [userId, codeHashes]
+        );
+    }
+
+    /**
+     * Use a recovery code
+     * @param {string} userId - User UUID
+     * @param {string} codeHash - Hashed recovery code
+     * @returns {Promise<boolean>} True if an unused code matched
+     */
+    static async consumeRecoveryCode(userId, codeHash) {
+        const sql = `
+      UPDATE mfa_recovery_codes
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+      RETURNING id
+    `;
+
+        const result = await query(sql, [userId, codeHash]);
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Count unused recovery codes
+     * @param {string} userId - User UUID
+     * @returns {Promise<number>}
+     */
+    static async countRecoveryCodes(userId) {
+        const sql = `
+      SELECT COUNT(*)::INTEGER as remaining
+      FROM mfa_recovery_codes
+      WHERE user_id = $1 AND used_at IS NULL
+    `;
+
+        const result = await query(sql, [userId]);
+        return result.rows[0].remaining;
+    }
+
+    /**
+     * Check whether any of the given roles requires MFA
+     * @param {Array<string>} roleNames - Role names
+     * @param {string} organizationId - The user's organization, whose own roles the names refer to
+     * @returns {Promise<boolean>}
+     */
+    static async isRequiredForRoles(roleNames, organizationId) {
+        if (!roleNames || roleNames.length === 0) return false;
+
+        const sql = `
+      SELECT 1 FROM roles
+      WHERE name = ANY($1) AND mfa_required = true
+        AND (organization_id IS NULL OR organization_id = $2)
+      LIMIT 1
+    `;
+        const result = await query(sql, [roleNames, organizationId || null]);
+        return result.rows.length > 0;
+    }
+
+    /**
+     * List roles with their MFA requirement
+     * @returns {Promise<Array>}
+     */
+    static async getRolePolicies() {
+        const sql = 'SELECT id, organization_id, name, description, mfa_required FROM roles ORDER BY id';
+        const result = await query(sql);
+        return result.rows;
+    }
+
+    /**
+     * Require (or stop requiring) MFA for a role
+     * @param {string} roleName - Role name
+     * @param {boolean} required
+     * @returns {Promise<Object|null>} Updated role, or null if it does not exist or the caller may not change it
+     */
+    static async setRoleRequirement(roleName, required) {
+        // Built-in roles are shared by every organization; row-level security only lets
+        // super_admin change them
+        const sql = `
+      UPDATE roles
+      SET mfa_required = $2
+      WHERE name = $1 AND (organization_id IS NULL OR organization_id = current_tenant_id())
+      RETURNING id, organization_id, name, description, mfa_required
+    `;
+
+        const result = await query(sql, [roleName, required]);
+        return result.rows[0] || null;
+    }
+}
+
+module.exports = UserMfa;
@@ -2,8 +2,36 @@
 const express = require('express');
 const router = express.Router();
 const AuthController = require('../controllers/authController');
-const { authenticate } = require('../middleware/auth');
-const { validate, registerSchema, loginSchema, refreshTokenSchema } = require('../middleware/validation');
+const MfaController = require('../controllers/mfaController');
+const SessionController = require('../controllers/sessionController');
+const SsoController = require('../controllers/ssoController');
+const ServiceClientController = require('../controllers/serviceClientController');
+const { authenticate, authenticateMfaEnrollment, authorize } = require('../middleware/auth');
+const {
+    validate,
+    registerSchema,
+    loginSchema,
+    refreshTokenSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    verifyEmailSchema,
+    resendVerificationSchema,
+    mfaSetupSchema,
+    mfaEnableSchema,
+    mfaVerifySchema,
+    mfaDisableSchema,
+    mfaCodeSchema,
+    mfaRolePolicySchema,
+    sessionIdParamSchema,
+    ssoSlugParamSchema,
+    ssoCallbackSchema,
+    identityProviderSchema,
+    identityProviderUpdateSchema,
+    identityProviderIdParamSchema,
+    serviceClientSchema,
+    serviceClientUpdateSchema,
+    serviceClientIdParamSchema
+} = require('../middleware/validation');
 const rateLimit = require('express-rate-limit');
 
 /**
@@ -26,7 +54,7 @@ const authLimiter = rateLimit({
 
 /**
  * @route   POST /api/auth/register
- * @desc    Register a new user
+ * @desc    Register a new user, who becomes the admin of a new organization
  * @access  Public
  */
 router.post('/register',
@@ -45,6 +73,28 @@ router.post('/login',
     AuthController.login
 );
 
+/**
+ * @route   GET /api/auth/sso/:slug/login
+ * @desc    Start single sign-on through the organization's identity provider (redirects)
+ * @access  Public
+ */
+router.get('/sso/:slug/login',
+    authLimiter,
+    validate(ssoSlugParamSchema, 'params'),
+    SsoController.startLogin
+);
+
+/**
+ * @route   POST /api/auth/sso/callback
+ * @desc    Finish single sign-on with the code and state from the provider redirect
+ * @access  Public
+ */
+router.post('/sso/callback',
+    authLimiter,
+    validate(ssoCallbackSchema),
+    SsoController.callback
+);
+
 /**
  * @route   POST /api/auth/refresh
  * @desc    Refresh access token using refresh token
@@ -55,6 +105,16 @@ router.post('/refresh',
     AuthController.refresh
 );
 
+/**
+ * @route   POST /api/auth/token
+ * @desc    OAuth2 client_credentials grant - service token for a machine client
+ * @access  Public (client ID and secret)
+ */
+router.post('/token',
+    authLimiter,
+    ServiceClientController.token
+);
+
 /**
  * @route   POST /api/auth/logout
  * @desc    Logout user (revoke refresh token)
@@ -65,6 +125,90 @@ router.post('/logout',
     AuthController.logout
 );
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Log out everywhere (revoke every session)
+ * @access  Private
+ */
+router.post('/logout-all',
+    authenticate,
+    SessionController.revokeAllSessions
+);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active device sessions for the current user
+ * @access  Private
+ */
+router.get('/sessions',
+    authenticate,
+    SessionController.listSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke a device session and its refresh token
+ * @access  Private
+ */
+router.delete('/sessions/:id',
+    authenticate,
+    validate(sessionIdParamSchema, 'params'),
+    SessionController.revokeSession
+);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ */
+router.post('/forgot-password',
+    authLimiter,
+    validate(forgotPasswordSchema),
+    AuthController.forgotPassword
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ */
+router.post('/reset-password',
+    authLimiter,
+    validate(resetPasswordSchema),
+    AuthController.resetPassword
+);
+
+/**
+ * @route   GET /api/auth/verify-email
+ * @desc    Verify email address from the emailed link
+ * @access  Public
+ */
+router.get('/verify-email',
+    validate(verifyEmailSchema, 'query'),
+    AuthController.verifyEmail
+);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify email address with a token
+ * @access  Public
+ */
+router.post('/verify-email',
+    validate(verifyEmailSchema),
+    AuthController.verifyEmail
+);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Email a new verification link
+ * @access  Public
+ */
+router.post('/resend-verification',
+    authLimiter,
+    validate(resendVerificationSchema),
+    AuthController.resendVerification
+);
+
 /**
  * @route   GET /api/auth/verify
  * @desc    Verify if token is valid
@@ -85,4 +229,224 @@ router.get('/me',
     AuthController.getCurrentUser
 );
 
+/**
+ * @route   POST /api/auth/users/:userId/unlock
+ * @desc    Lift a lockout caused by failed login attempts
+ * @access  Private (super_admin, admin)
+ */
+router.post('/users/:userId/unlock',
+    authenticate,
+    authorize('super_admin', 'admin'),
+    AuthController.unlockAccount
+);
+
+/**
+ * @route   POST /api/auth/keys/rotate
+ * @desc    Rotate the access token signing key
+ * @access  Private (super_admin)
+ */
+router.post('/keys/rotate',
+    authenticate,
+    authorize('super_admin'),
+    AuthController.rotateSigningKeys
+);
+
+/**
+ * @route   GET /api/auth/identity-providers
+ * @desc    List single sign-on identity providers
+ * @access  Private (super_admin)
+ */
+router.get('/identity-providers',
+    authenticate,
+    authorize('super_admin'),
+    SsoController.listProviders
+);
+
+/**
+ * @route   POST /api/auth/identity-providers
+ * @desc    Configure single sign-on for an organization
+ * @access  Private (super_admin)
+ */
+router.post('/identity-providers',
+    authenticate,
+    authorize('super_admin'),
+    validate(identityProviderSchema),
+    SsoController.createProvider
+);
+
+/**
+ * @route   PUT /api/auth/identity-providers/:id
+ * @desc    Change an identity provider's settings
+ * @access  Private (super_admin)
+ */
+router.put('/identity-providers/:id',
+    authenticate,
+    authorize('super_admin'),
+    validate(identityProviderIdParamSchema, 'params'),
+    validate(identityProviderUpdateSchema),
+    SsoController.updateProvider
+);
+
+/**
+ * @route   DELETE /api/auth/identity-providers/:id
+ * @desc    Remove an identity provider and the identities linked through it
+ * @access  Private (super_admin)
+ */
+router.delete('/identity-providers/:id',
+    authenticate,
+    authorize('super_admin'),
+    validate(identityProviderIdParamSchema, 'params'),
+    SsoController.deleteProvider
+);
+
+/**
+ * @route   GET /api/auth/service-clients
+ * @desc    List machine clients
+ * @access  Private (super_admin)
+ */
+router.get('/service-clients',
+    authenticate,
+    authorize('super_admin'),
+    ServiceClientController.listClients
+);
+
+/**
+ * @route   POST /api/auth/service-clients
+ * @desc    Register a machine client (returns its secret once)
+ * @access  Private (super_admin)
+ */
+router.post('/service-clients',
+    authenticate,
+    authorize('super_admin'),
+    validate(serviceClientSchema),
+    ServiceClientController.createClient
+);
+
+/**
+ * @route   PATCH /api/auth/service-clients/:id
+ * @desc    Change a machine client's name, scopes or active flag
+ * @access  Private (super_admin)
+ */
+router.patch('/service-clients/:id',
+    authenticate,
+    authorize('super_admin'),
+    validate(serviceClientIdParamSchema, 'params'),
+    validate(serviceClientUpdateSchema),
+    ServiceClientController.updateClient
+);
+
+/**
+ * @route   POST /api/auth/service-clients/:id/rotate-secret
+ * @desc    Replace a machine client's secret
+ * @access  Private (super_admin)
+ */
+router.post('/service-clients/:id/rotate-secret',
+    authenticate,
+    authorize('super_admin'),
+    validate(serviceClientIdParamSchema, 'params'),
+    ServiceClientController.rotateSecret
+);
+
+/**
+ * @route   DELETE /api/auth/service-clients/:id
+ * @desc    Remove a machine client
+ * @access  Private (super_admin)
+ */
+router.delete('/service-clients/:id',
+    authenticate,
+    authorize('super_admin'),
+    validate(serviceClientIdParamSchema, 'params'),
+    ServiceClientController.deleteClient
+);
+
+/**
+ * @route   GET /api/auth/mfa
+ * @desc    Get MFA status for the current user
+ * @access  Private
+ */
+router.get('/mfa',
+    authenticate,
+    MfaController.getStatus
+);
+
+/**
+ * @route   POST /api/auth/mfa/setup
+ * @desc    Start TOTP enrollment (returns secret and otpauth:// URI for the QR code)
+ * @access  Private, or enrollment challenge token when MFA is enforced for the user's role
+ */
+router.post('/mfa/setup',
+    validate(mfaSetupSchema),
+    authenticateMfaEnrollment,
+    MfaController.setup
+);
+
+/**
+ * @route   POST /api/auth/mfa/enable
+ * @desc    Confirm enrollment with a code and get recovery codes
+ * @access  Private, or enrollment challenge token when MFA is enforced for the user's role
+ */
+router.post('/mfa/enable',
+    authLimiter,
+    validate(mfaEnableSchema),
+    authenticateMfaEnrollment,
+    MfaController.enable
+);
+
+/**
+ * @route   POST /api/auth/mfa/verify
+ * @desc    Second login step - exchange MFA challenge token and code for tokens
+ * @access  Public
+ */
+router.post('/mfa/verify',
+    authLimiter,
+    validate(mfaVerifySchema),
+    MfaController.verify
+);
+
+/**
+ * @route   POST /api/auth/mfa/disable
+ * @desc    Turn MFA off
+ * @access  Private
+ */
+router.post('/mfa/disable',
+    authenticate,
+    authLimiter,
+    validate(mfaDisableSchema),
+    MfaController.disable
+);
+
+/**
+ * @route   POST /api/auth/mfa/recovery-codes
+ * @desc    Replace recovery codes
+ * @access  Private
+ */
+router.post('/mfa/recovery-codes',
+    authenticate,
+    validate(mfaCodeSchema),
+    MfaController.regenerateRecoveryCodes
+);
+
+/**
+ * @route   GET /api/auth/mfa/roles
+ * @desc    List roles and whether they require MFA
+ * @access  Private (super_admin, admin)
+ */
+router.get('/mfa/roles',
+    authenticate,
+    authorize('super_admin', 'admin'),
+    MfaController.getRolePolicies
+);
+
+/**
+ * @route   PUT /api/auth/mfa/roles/:role
+ * @desc    Enforce MFA for a role
+ * @access  Private (super_admin, admin)
+ */
+router.put('/mfa/roles/:role',
+    authenticate,
+    authorize('super_admin', 'admin'),
+    validate(mfaRolePolicySchema),
+    MfaController.setRolePolicy
+);
+
 module.exports = router;
\ No newline at end of file
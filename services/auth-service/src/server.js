@@ -6,6 +6,8 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const authRoutes = require('./routes/authRoutes');
+const { initSigningKeys, getJwks } = require('./services/signingKeyService');
+const { TenantContext } = require('../../../shared/utils');
 
 const app = express();
 const PORT = process.env.AUTH_SERVICE_PORT || 3001;
@@ -37,6 +39,14 @@ app.use((req, res, next) => {
   next();
 });
 
+/**
+ * Tenant Context
+ * Login, registration, token refresh, password reset and SSO look accounts up before
+ * anyone is authenticated, so they run across organizations; authenticate narrows
+ * the context to the user's organization.
+ */
+app.use((req, res, next) => TenantContext.run(TenantContext.SYSTEM, next));
+
 /**
  * Health Check Endpoint
  */
@@ -53,6 +63,30 @@ app.get('/health', (req, res) => {
   });
 });
 
+/**
+ * JSON Web Key Set - public keys that verify access tokens (see the kid header)
+ */
+app.get('/.well-known/jwks.json', async (req, res) => {
+  try {
+    const jwks = await getJwks();
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(jwks);
+  } catch (err) {
+    console.error('JWKS error:', err);
+    res.status(503).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'JWKS_UNAVAILABLE',
+        message: 'Signing keys are temporarily unavailable'
+      },
+      metadata: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
 /**
  * Root Endpoint
  */
@@ -65,10 +99,24 @@ app.get('/', (req, res) => {
       status: 'running',
       endpoints: {
         health: '/health',
+        jwks: '/.well-known/jwks.json',
         register: 'POST /api/auth/register',
         login: 'POST /api/auth/login',
         refresh: 'POST /api/auth/refresh',
         logout: 'POST /api/auth/logout',
+        forgotPassword: 'POST /api/auth/forgot-password',
+        resetPassword: 'POST /api/auth/reset-password',
+        verifyEmail: 'GET|POST /api/auth/verify-email',
+        resendVerification: 'POST /api/auth/resend-verification',
+        mfa: 'GET /api/auth/mfa',
+        mfaSetup: 'POST /api/auth/mfa/setup',
+        mfaEnable: 'POST /api/auth/mfa/enable',
+        mfaVerify: 'POST /api/auth/mfa/verify',
+        mfaDisable: 'POST /api/auth/mfa/disable',
+        mfaRecoveryCodes: 'POST /api/auth/mfa/recovery-codes',
+        mfaRoles: 'GET|PUT /api/auth/mfa/roles',
+        unlockAccount: 'POST /api/auth/users/:userId/unlock',
+        rotateSigningKeys: 'POST /api/auth/keys/rotate',
         verify: 'GET /api/auth/verify',
         me: 'GET /api/auth/me'
       }
@@ -150,23 +198,37 @@ app.use((err, req, res, next) => {
 
 /**
  * Start Server
+ * Signing keys are loaded first - no token can be issued or verified without them.
  */
-const server=app.listen(PORT, () => {
-  console.log('╔════════════════════════════════════════════════════════════╗');
-  console.log('║        🔐 Authentication Service Started                  ║');
-  console.log('╚════════════════════════════════════════════════════════════╝');
-  console.log(`📍 Server running on: http://localhost:${PORT}`);
-  console.log(`🏥 Health check: http://localhost:${PORT}/health`);
-  console.log(`📚 Endpoints: http://localhost:${PORT}/`);
-  console.log(`⏰ Started at: ${new Date().toISOString()}`);
-  console.log('════════════════════════════════════════════════════════════');
-});
+let server;
+
+initSigningKeys()
+  .then(() => {
+    server = app.listen(PORT, () => {
+      console.log('╔════════════════════════════════════════════════════════════╗');
+      console.log('║        🔐 Authentication Service Started                  ║');
+      console.log('╚════════════════════════════════════════════════════════════╝');
+      console.log(`📍 Server running on: http://localhost:${PORT}`);
+      console.log(`🏥 Health check: http://localhost:${PORT}/health`);
+      console.log(`📚 Endpoints: http://localhost:${PORT}/`);
+      console.log(`⏰ Started at: ${new Date().toISOString()}`);
+      console.log('════════════════════════════════════════════════════════════');
+    });
+  })
+  .catch((err) => {
+    console.error('Failed to load signing keys:', err);
+    process.exit(1);
+  });
 
 /**
  * Graceful Shutdown
  */
 const gracefulShutdown = () => {
   console.log('\n🛑 Shutting down gracefully...');
+  if (!server) {
+    process.exit(0);
+  }
+
   server.close(() => {
     console.log('✅ HTTP server closed');
     process.exit(0);
@@ -182,4 +244,9 @@ const gracefulShutdown = () => {
 process.on('SIGTERM', gracefulShutdown);
 process.on('SIGINT', gracefulShutdown);
 
+// Unhandled promise rejection - log it rather than let Node end the process
+process.on('unhandledRejection', (reason, promise) => {
+  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+});
+
 module.exports = app;
\ No newline at end of file
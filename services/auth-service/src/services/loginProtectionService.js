@@ -0,0 +1,156 @@
+// services/auth-service/src/services/loginProtectionService.js
+const AuditLog = require('../models/AuditLog');
+const { durationToMs } = require('../utils/jwt');
+const { redisHelpers } = require('../config/database');
+
+/**
+ * Per-account brute-force protection
+ * Counters are keyed by the submitted email, whether or not an account exists,
+ * so lockout and backoff responses never reveal which emails are registered.
+ *
+ * - every failure starts a backoff: LOGIN_BACKOFF_BASE_SECONDS, doubling per failure
+ *   up to LOGIN_BACKOFF_MAX_SECONDS, during which further attempts are refused
+ * - LOGIN_MAX_FAILED_ATTEMPTS failures within LOGIN_ATTEMPT_WINDOW lock the account
+ *   for LOGIN_LOCKOUT_DURATION
+ */
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const ATTEMPT_WINDOW_SECONDS = Math.ceil(durationToMs(process.env.LOGIN_ATTEMPT_WINDOW, 15 * 60 * 1000) / 1000);
+const LOCKOUT_SECONDS = Math.ceil(durationToMs(process.env.LOGIN_LOCKOUT_DURATION, 15 * 60 * 1000) / 1000);
+const BACKOFF_BASE_SECONDS = parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 1;
+const BACKOFF_MAX_SECONDS = parseInt(process.env.LOGIN_BACKOFF_MAX_SECONDS) || 60;
+
+const keys = (email) => ({
+    failures: `login:failures:${email}`,
+    backoff: `login:backoff:${email}`,
+    lock: `login:lock:${email}`
+});
+
+/**
+ * Check whether a login attempt for this email may proceed
+ * @param {string} email - Normalised (lowercase) email
+ * @returns {Promise<Object>} { allowed, reason: 'locked' | 'backoff' | null, retryAfter: seconds }
+ */
+const checkLoginAllowed = async (email) => {
+    const { lock, backoff } = keys(email);
+
+    const lockedFor = await redisHelpers.ttl(lock);
+    if (lockedFor > 0) {
+        return { allowed: false, reason: 'locked', retryAfter: lockedFor };
+    }
+
+    const backoffFor = await redisHelpers.ttl(backoff);
+    if (backoffFor > 0) {
+        return { allowed: false, reason: 'backoff', retryAfter: backoffFor };
+    }
+
+    return { allowed: true, reason: null, retryAfter: 0 };
+};
+
+/**
+ * Count a failed attempt (wrong password, unknown email or wrong MFA code)
+ * @param {string} email - Normalised email
+ * @param {Object|null} user - Matching user, if any - lockouts of real accounts are audited
+ * @param {Object} req - Express request, for IP and user agent
+ * @returns {Promise<Object>} { locked, retryAfter }
+ */
+const recordFailedLogin = async (email, user, req) => {
+    const { failures, backoff, lock } = keys(email);
+
+    const count = await redisHelpers.incr(failures, ATTEMPT_WINDOW_SECONDS);
+    if (count === null) {
+        // Redis unavailable - fall back to the IP rate limiters
+        return { locked: false, retryAfter: 0 };
+    }
+
+    if (count >= MAX_FAILED_ATTEMPTS) {
+        await redisHelpers.set(lock, { lockedAt: new Date().toISOString(), failures: count }, LOCKOUT_SECONDS);
+        await redisHelpers.del(failures);
+        await redisHelpers.del(backoff);
+
+        if (user) {
+            await AuditLog.create({
+                userId: user.id,
+                action: 'ACCOUNT_LOCKED',
+                resource: 'users',
+                resourceId: user.id,
+                newValues: {
+                    failed_attempts: count,
+                    locked_until: new Date(Date.now() + LOCKOUT_SECONDS * 1000).toISOString()
+                },
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            });
+        }
+
+        return { locked: true, retryAfter: LOCKOUT_SECONDS };
+    }
+
+    const delay = Math.min(BACKOFF_BASE_SECONDS * (2 ** (count - 1)), BACKOFF_MAX_SECONDS);
+    await redisHelpers.set(backoff, true, delay);
+
+    return { locked: false, retryAfter: delay };
+};
+
+/**
+ * Forget failures after a successful login
+ * @param {string} email - Normalised email
+ * @returns {Promise<void>}
+ */
+const clearFailedLogins = async (email) => {
+    const { failures, backoff } = keys(email);
+    await redisHelpers.del(failures);
+    await redisHelpers.del(backoff);
+};
+
+/**
+ * Lift a lockout and reset the counters
+ * @param {string} email - Normalised email
+ * @returns {Promise<boolean>} True if the account was locked
+ */
+const unlockAccount = async (email) => {
+    const { failures, backoff, lock } = keys(email);
+
+    const wasLocked = await redisHelpers.exists(lock);
+    await redisHelpers.del(lock);
+    await redisHelpers.del(failures);
+    await redisHelpers.del(backoff);
+
+    return wasLocked;
+};
+
+/**
+ * 429 for a locked account or an attempt made during backoff
+ * Wording is identical for unknown emails, so it does not reveal whether an account exists.
+ * @param {Object} res - Express response
+ * @param {Object} throttle - { reason: 'locked' | 'backoff', retryAfter: seconds }
+ */
+const tooManyAttemptsResponse = (res, { reason, retryAfter }) => {
+    res.set('Retry-After', String(retryAfter));
+
+    return res.status(429).json({
+        success: false,
+        data: null,
+        error: reason === 'locked'
+            ? {
+                code: 'ACCOUNT_LOCKED',
+                message: 'Too many failed login attempts. This account is temporarily locked.',
+                retryAfter
+            }
+            : {
+                code: 'TOO_MANY_ATTEMPTS',
+                message: 'Please wait before trying again.',
+                retryAfter
+            },
+        metadata: {
+            timestamp: new Date().toISOString()
+        }
+    });
+};
+
+module.exports = {
+    checkLoginAllowed,
+    recordFailedLogin,
+    clearFailedLogins,
+    unlockAccount,
+    tooManyAttemptsResponse
+};
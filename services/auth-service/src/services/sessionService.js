@@ -0,0 +1,210 @@
+// services/auth-service/src/services/sessionService.js
+const crypto = require('crypto');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const { generateTokenPair, getTokenExpiry, decodeToken, hashToken } = require('../utils/jwt');
+const { applyVerificationPolicy } = require('../utils/verification');
+const { notifyRefreshTokenReuse } = require('../utils/realtime');
+const { redis, redisHelpers } = require('../config/database');
+const { TokenRevocation } = require('../../../../shared/utils');
+
+const SESSION_CACHE_TTL_SECONDS = 24 * 60 * 60; // 24 hours
+
+const sessionCacheKey = (userId, sessionId) => `session:${userId}:${sessionId}`;
+
+/**
+ * Where the request came from, as stored on the session
+ * @param {Object} req - Express request
+ * @returns {Object} { ipAddress, userAgent }
+ */
+const getClientInfo = (req) => ({
+    ipAddress: req ? req.ip : null,
+    userAgent: req ? req.get('user-agent') : null
+});
+
+/**
+ * Generate a token pair for a session (permissions limited by the verification policy)
+ * @param {Object} user - User row with roles and permissions
+ * @param {string} sessionId - Session UUID
+ * @param {string|null} familyId - Refresh token family to continue, or null to start one
+ * @returns {Object} { tokens, effectiveUser, tokenHash, expiresAt, familyId }
+ */
+const issueTokens = (user, sessionId, familyId = null) => {
+    const effectiveUser = applyVerificationPolicy(user);
+    const tokens = generateTokenPair(effectiveUser, { sessionId, familyId });
+    const expiresAt = getTokenExpiry(tokens.refreshToken);
+
+    return {
+        tokens,
+        effectiveUser,
+        tokenHash: hashToken(tokens.refreshToken),
+        expiresAt,
+        familyId: decodeToken(tokens.refreshToken).payload.familyId
+    };
+};
+
+/**
+ * Cache the session in Redis and shape the tokens for the response
+ */
+const cacheSession = async (user, effectiveUser, sessionId, tokens) => {
+    await redisHelpers.set(
+        sessionCacheKey(user.id, sessionId),
+        {
+            userId: user.id,
+            sessionId,
+            email: user.email,
+            roles: user.roles,
+            permissions: effectiveUser.permissions
+        },
+        SESSION_CACHE_TTL_SECONDS
+    );
+
+    return {
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: process.env.JWT_ACCESS_EXPIRY || '15m'
+    };
+};
+
+/**
+ * Record a device session and issue its first token pair
+ */
+const createSession = async (user, req) => {
+    const sessionId = crypto.randomUUID();
+    const { tokens, effectiveUser, tokenHash, expiresAt, familyId } = issueTokens(user, sessionId);
+
+    await Session.create({ id: sessionId, userId: user.id, tokenHash, expiresAt, ...getClientInfo(req) });
+    await RefreshToken.create(user.id, tokens.refreshToken, expiresAt, sessionId, familyId);
+
+    return cacheSession(user, effectiveUser, sessionId, tokens);
+};
+
+/**
+ * Finish a login once every factor has been checked
+ * Records a device session, issues the token pair and stores the refresh token.
+ * @param {Object} user - User row with roles and permissions
+ * @param {Object} req - Express request, for IP and user agent
+ * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn }
+ */
+const startSession = async (user, req) => {
+    // Update last login
+    await User.updateLastLogin(user.id);
+
+    return createSession(user, req);
+};
+
+/**
+ * Rotate a refresh token within its session and family
+ * The old token is revoked and the session moves on to the new one.
+ * Tokens issued before sessions were recorded get a session of their own.
+ * @param {Object} user - User row with roles and permissions
+ * @param {Object} storedToken - refresh_tokens row being exchanged
+ * @param {Object} req - Express request, for IP and user agent
+ * @returns {Promise<Object|null>} { accessToken, refreshToken, expiresIn } or null if the token
+ *   was rotated by a concurrent request (treated as reuse) or the session was revoked
+ */
+const refreshSession = async (user, storedToken, req) => {
+    // Only one request may exchange a token; losing the race counts as reuse
+    const claimed = await RefreshToken.revokeIfActive(storedToken.id);
+    if (!claimed) {
+        await revokeTokenFamily(storedToken, req);
+        return null;
+    }
+
+    if (!storedToken.session_id) {
+        return createSession(user, req);
+    }
+
+    const sessionId = storedToken.session_id;
+    const { tokens, effectiveUser, tokenHash, expiresAt } = issueTokens(user, sessionId, storedToken.family_id);
+
+    const session = await Session.rotate(sessionId, { tokenHash, expiresAt, ...getClientInfo(req) });
+    if (!session) {
+        return null;
+    }
+
+    await RefreshToken.create(user.id, tokens.refreshToken, expiresAt, sessionId, storedToken.family_id);
+
+    return cacheSession(user, effectiveUser, sessionId, tokens);
+};
+
+/**
+ * Revoke one session, the refresh tokens issued to it and its outstanding access tokens
+ * @param {string} userId - Owning user UUID
+ * @param {string} sessionId - Session UUID
+ * @returns {Promise<boolean>} False if the session was not found or already revoked
+ */
+const revokeSession = async (userId, sessionId) => {
+    const revoked = await Session.revoke(sessionId, userId);
+    if (!revoked) {
+        return false;
+    }
+
+    await RefreshToken.revokeAllForSession(sessionId);
+    await TokenRevocation.revokeSession(redis, sessionId);
+    await redisHelpers.del(sessionCacheKey(userId, sessionId));
+    return true;
+};
+
+/**
+ * Respond to a revoked refresh token being presented again
+ * Someone else may hold a copy, so every token in its family and the session
+ * are revoked, the event is audited and the user and administrators are alerted.
+ * @param {Object} storedToken - refresh_tokens row that was presented
+ * @param {Object} req - Express request, for IP and user agent
+ * @returns {Promise<void>}
+ */
+const revokeTokenFamily = async (storedToken, req) => {
+    const activeTokensRevoked = await RefreshToken.revokeFamily(storedToken.family_id);
+    if (storedToken.session_id) {
+        await revokeSession(storedToken.user_id, storedToken.session_id);
+    }
+
+    const { ipAddress, userAgent } = getClientInfo(req);
+    const details = {
+        familyId: storedToken.family_id,
+        sessionId: storedToken.session_id,
+        activeTokensRevoked
+    };
+
+    console.warn('Refresh token reuse detected:', { userId: storedToken.user_id, ...details, ipAddress });
+
+    await AuditLog.create({
+        userId: storedToken.user_id,
+        action: 'REFRESH_TOKEN_REUSE',
+        resource: 'refresh_tokens',
+        resourceId: storedToken.id,
+        newValues: details,
+        ipAddress,
+        userAgent
+    });
+
+    await notifyRefreshTokenReuse(storedToken.user_id, { ...details, ipAddress, userAgent });
+};
+
+/**
+ * Log a user out everywhere, including access tokens already issued
+ * @param {string} userId - User UUID
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (userId) => {
+    const sessionIds = await Session.revokeAllForUser(userId);
+
+    // Also catches tokens issued before sessions were recorded
+    await RefreshToken.revokeAllForUser(userId);
+    await TokenRevocation.revokeUser(redis, userId);
+    await Promise.all(sessionIds.map(sessionId => redisHelpers.del(sessionCacheKey(userId, sessionId))));
+
+    return sessionIds.length;
+};
+
+module.exports = {
+    sessionCacheKey,
+    startSession,
+    refreshSession,
+    revokeSession,
+    revokeTokenFamily,
+    revokeAllSessions
+};
@@ -0,0 +1,202 @@
+// services/auth-service/src/services/signingKeyService.js
+const crypto = require('crypto');
+const SigningKey = require('../models/SigningKey');
+const { durationToMs } = require('../utils/duration');
+const { deriveKey, encrypt, decrypt } = require('../utils/encryption');
+
+/**
+ * Access token signing keys
+ * Keys are kept in Postgres so every auth service instance signs with the same one,
+ * and cached in memory so signing stays synchronous. A new key is generated every
+ * JWT_KEY_ROTATION_INTERVAL and published in the JWKS straight away, but only signs
+ * after JWT_KEY_ACTIVATION_DELAY, once verifiers have had time to fetch it. The
+ * previous key keeps signing until then and stays in the JWKS for JWT_KEY_OVERLAP,
+ * which must be longer than JWT_ACCESS_EXPIRY plus the verifiers' JWKS cache time.
+ */
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+const ALGORITHM = SUPPORTED_ALGORITHMS.includes(process.env.JWT_SIGNING_ALGORITHM)
+    ? process.env.JWT_SIGNING_ALGORITHM
+    : 'RS256';
+const ROTATION_INTERVAL_MS = durationToMs(process.env.JWT_KEY_ROTATION_INTERVAL, 30 * 24 * 60 * 60 * 1000);
+const OVERLAP_MS = durationToMs(process.env.JWT_KEY_OVERLAP, 24 * 60 * 60 * 1000);
+// How often each instance reloads keys, picking up rotations done by other instances
+const RELOAD_INTERVAL_MS = durationToMs(process.env.JWT_KEY_RELOAD_INTERVAL, 5 * 60 * 1000);
+// An unknown kid, or a JWKS request, reloads keys at most this often
+const MIN_RELOAD_INTERVAL_MS = 30 * 1000;
+// A served JWKS can be one reload interval old and verifiers refetch for an unknown kid
+// at most once per interval, so a new key must be published for at least two of them
+const ACTIVATION_DELAY_MS = Math.max(
+    durationToMs(process.env.JWT_KEY_ACTIVATION_DELAY, 5 * 60 * 1000),
+    2 * MIN_RELOAD_INTERVAL_MS
+);
+
+const ENCRYPTION_KEY = deriveKey(
+    process.env.JWT_KEY_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-jwt-key-encryption-key-change-this-in-production'
+);
+
+let signingKeys = [];
+let verificationKeys = new Map();
+let jwks = { keys: [] };
+let loadedAt = 0;
+let reloadTimer = null;
+
+/**
+ * Generate a key pair for an algorithm
+ * @param {string} algorithm - RS256 or ES256
+ * @returns {Object} { kid, algorithm, publicJwk, privateKeyEncrypted }
+ */
+const generateKey = (algorithm) => {
+    const { publicKey, privateKey } = algorithm === 'ES256'
+        ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+        : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    const kid = crypto.randomBytes(16).toString('hex');
+    const privatePem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+    return {
+        kid,
+        algorithm,
+        publicJwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: algorithm, use: 'sig' },
+        privateKeyEncrypted: encrypt(privatePem, ENCRYPTION_KEY)
+    };
+};
+
+/**
+ * Load published keys from the database into the in-memory cache
+ * @returns {Promise<void>}
+ */
+const loadKeys = async () => {
+    const records = await SigningKey.findPublished();
+    const now = Date.now();
+
+    verificationKeys = new Map(records.map(record => [
+        record.kid,
+        {
+            algorithm: record.algorithm,
+            publicKey: crypto.createPublicKey({ key: record.public_jwk, format: 'jwk' })
+        }
+    ]));
+    jwks = { keys: records.map(record => record.public_jwk) };
+    loadedAt = now;
+
+    // Keys that sign now or will later, newest activation first
+    signingKeys = records
+        .filter(record => !record.retired_at || new Date(record.retired_at).getTime() > now)
+        .map(record => ({
+            kid: record.kid,
+            algorithm: record.algorithm,
+            activatesAt: new Date(record.activates_at),
+            retiredAt: record.retired_at ? new Date(record.retired_at) : null,
+            privateKey: crypto.createPrivateKey(decrypt(record.private_key_encrypted, ENCRYPTION_KEY))
+        }))
+        .sort((a, b) => b.activatesAt - a.activatesAt);
+};
+
+/**
+ * Rotate now: publish a new key that takes over signing after the activation delay,
+ * keeping the current key valid for the overlap window after that
+ * The very first key signs immediately - there is nothing to hand over from.
+ * @returns {Promise<Object>} { kid, activatesAt } of the newest key afterwards
+ */
+const rotateKeys = async () => {
+    const current = await SigningKey.findLatest();
+    await SigningKey.rotate(
+        generateKey(ALGORITHM),
+        current ? current.kid : null,
+        OVERLAP_MS,
+        current ? ACTIVATION_DELAY_MS : 0
+    );
+    await SigningKey.deleteExpired();
+    await loadKeys();
+
+    const [latest] = signingKeys;
+    return { kid: latest.kid, activatesAt: latest.activatesAt };
+};
+
+/**
+ * Create the first key, or rotate when the newest key is too old or uses another algorithm
+ * @returns {Promise<void>}
+ */
+const ensureActiveKey = async () => {
+    const current = await SigningKey.findLatest();
+    const isDue = !current
+        || current.algorithm !== ALGORITHM
+        || Date.now() - new Date(current.created_at).getTime() >= ROTATION_INTERVAL_MS;
+
+    if (isDue) {
+        await rotateKeys();
+        return;
+    }
+
+    await loadKeys();
+};
+
+/**
+ * Load keys at startup and keep them current
+ * @returns {Promise<void>}
+ */
+const initSigningKeys = async () => {
+    await ensureActiveKey();
+
+    if (!reloadTimer) {
+        reloadTimer = setInterval(() => {
+            ensureActiveKey().catch(err => console.error('Signing key refresh error:', err));
+        }, RELOAD_INTERVAL_MS);
+        reloadTimer.unref();
+    }
+};
+
+/**
+ * Key for signing new access tokens - the newest one whose activation time has come
+ * @returns {Object} { kid, algorithm, privateKey }
+ */
+const getSigningKey = () => {
+    const now = Date.now();
+    const key = signingKeys.find(candidate => (
+        candidate.activatesAt.getTime() <= now && (!candidate.retiredAt || candidate.retiredAt.getTime() > now)
+    ));
+
+    if (!key) {
+        throw new Error('Signing keys have not been loaded');
+    }
+
+    return key;
+};
+
+/**
+ * Public key for a kid, if it is still published
+ * A kid this instance has not seen yet (another instance just rotated) reloads the keys.
+ * @param {string} kid
+ * @returns {Promise<Object|null>} { algorithm, publicKey }
+ */
+const getVerificationKey = async (kid) => {
+    if (!kid) return null;
+
+    if (!verificationKeys.has(kid) && Date.now() - loadedAt >= MIN_RELOAD_INTERVAL_MS) {
+        await loadKeys();
+    }
+
+    return verificationKeys.get(kid) || null;
+};
+
+/**
+ * Public keys as a JSON Web Key Set
+ * Reloaded when stale so a rotation on another instance shows up quickly.
+ * @returns {Promise<Object>} { keys: [...] }
+ */
+const getJwks = async () => {
+    if (Date.now() - loadedAt >= MIN_RELOAD_INTERVAL_MS) {
+        await loadKeys();
+    }
+
+    return jwks;
+};
+
+module.exports = {
+    SUPPORTED_ALGORITHMS,
+    initSigningKeys,
+    rotateKeys,
+    getSigningKey,
+    getVerificationKey,
+    getJwks
+};
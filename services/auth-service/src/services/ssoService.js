@@ -0,0 +1,308 @@
+// services/auth-service/src/services/ssoService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const IdentityProvider = require('../models/IdentityProvider');
+const UserIdentity = require('../models/UserIdentity');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { redis } = require('../config/database');
+const { durationToMs } = require('../utils/duration');
+const { deriveKey, encrypt, decrypt } = require('../utils/encryption');
+const { JwksKeyStore, TenantContext } = require('../../../../shared/utils');
+
+/**
+ * Single sign-on through OpenID Connect (authorization code flow with PKCE)
+ * 1. startLogin: the browser is sent to the tenant's provider with a state, nonce and
+ *    PKCE challenge; the verifier is kept in Redis under the state.
+ * 2. The provider redirects to SSO_REDIRECT_URI (the frontend), which posts code and state back.
+ * 3. completeLogin: the code is exchanged, the ID token verified against the provider's JWKS,
+ *    and the user found, linked or provisioned with roles mapped from their groups.
+ */
+const REDIRECT_URI = process.env.SSO_REDIRECT_URI || 'http://localhost:5173/sso/callback';
+const STATE_TTL_SECONDS = Math.ceil(durationToMs(process.env.SSO_STATE_EXPIRY, 10 * 60 * 1000) / 1000);
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+
+const ENCRYPTION_KEY = deriveKey(
+    process.env.SSO_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-sso-secret-encryption-key-change-this-in-production'
+);
+
+const discoveryCache = new Map();
+const keyStores = new Map();
+
+const stateKey = (state) => `sso:state:${state}`;
+
+/**
+ * Error with the HTTP status and code to respond with
+ */
+const ssoError = (statusCode, code, message) => Object.assign(new Error(message), { statusCode, code });
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Encrypt a client secret for storage
+ * @param {string} secret
+ * @returns {string}
+ */
+const encryptClientSecret = (secret) => encrypt(secret, ENCRYPTION_KEY);
+
+/**
+ * Fetch the provider's OpenID configuration (cached per issuer)
+ * @param {string} issuer - Issuer URL
+ * @returns {Promise<Object>} Discovery document
+ */
+const getDiscovery = async (issuer) => {
+    const cached = discoveryCache.get(issuer);
+    if (cached && Date.now() - cached.fetchedAt < DISCOVERY_TTL_MS) {
+        return cached.document;
+    }
+
+    const response = await fetch(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+    if (!response.ok) {
+        throw ssoError(502, 'SSO_PROVIDER_UNAVAILABLE', 'Identity provider could not be reached');
+    }
+
+    const document = await response.json();
+    discoveryCache.set(issuer, { document, fetchedAt: Date.now() });
+    return document;
+};
+
+/**
+ * Key store for a provider's JWKS, shared by every login through it
+ * @param {string} jwksUri
+ * @returns {JwksKeyStore}
+ */
+const getKeyStore = (jwksUri) => {
+    if (!keyStores.has(jwksUri)) {
+        keyStores.set(jwksUri, new JwksKeyStore({ jwksUri }));
+    }
+    return keyStores.get(jwksUri);
+};
+
+/**
+ * Load an active provider by tenant slug
+ * @param {string} slug
+ * @returns {Promise<Object>} Provider record
+ */
+const getProvider = async (slug) => {
+    const provider = await IdentityProvider.findActiveBySlug(slug);
+    if (!provider) {
+        throw ssoError(404, 'SSO_PROVIDER_NOT_FOUND', 'Single sign-on is not configured for this organization');
+    }
+    return provider;
+};
+
+/**
+ * Build the provider authorization URL and remember the login attempt
+ * @param {string} slug - Tenant slug
+ * @returns {Promise<string>} URL to redirect the browser to
+ */
+const startLogin = async (slug) => {
+    const provider = await getProvider(slug);
+    const discovery = await getDiscovery(provider.issuer);
+
+    const state = base64Url(crypto.randomBytes(32));
+    const nonce = base64Url(crypto.randomBytes(32));
+    const codeVerifier = base64Url(crypto.randomBytes(32));
+    const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await redis.setEx(
+        stateKey(state),
+        STATE_TTL_SECONDS,
+        JSON.stringify({ providerId: provider.id, nonce, codeVerifier })
+    );
+
+    const url = new URL(discovery.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: provider.client_id,
+        redirect_uri: REDIRECT_URI,
+        scope: provider.scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    }).toString();
+
+    return url.toString();
+};
+
+/**
+ * Exchange an authorization code at the provider's token endpoint
+ * @returns {Promise<Object>} Token response
+ */
+const exchangeCode = async (provider, discovery, code, codeVerifier) => {
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: REDIRECT_URI,
+        client_id: provider.client_id,
+        code_verifier: codeVerifier
+    });
+    if (provider.client_secret_encrypted) {
+        body.set('client_secret', decrypt(provider.client_secret_encrypted, ENCRYPTION_KEY));
+    }
+
+    const response = await fetch(discovery.token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body
+    });
+
+    if (!response.ok) {
+        const details = await response.text();
+        console.warn('SSO code exchange failed:', { provider: provider.slug, status: response.status, details });
+        throw ssoError(401, 'SSO_CODE_EXCHANGE_FAILED', 'Sign-in with your identity provider failed. Please try again.');
+    }
+
+    return response.json();
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * @returns {Promise<Object>} Claims
+ */
+const verifyIdToken = (idToken, provider, discovery, nonce) => new Promise((resolve, reject) => {
+    const keyStore = getKeyStore(discovery.jwks_uri);
+    const options = {
+        algorithms: JwksKeyStore.ALGORITHMS,
+        issuer: discovery.issuer,
+        audience: provider.client_id,
+        clockTolerance: 60
+    };
+
+    jwt.verify(idToken, keyStore.getKeyForHeader, options, (err, claims) => {
+        if (err || claims.nonce !== nonce) {
+            return reject(ssoError(401, 'SSO_INVALID_ID_TOKEN', 'Identity provider response could not be verified'));
+        }
+        return resolve(claims);
+    });
+});
+
+/**
+ * Whether a provider may grant a role
+ * Cross-tenant roles never are, even by a mapping saved before they were rejected.
+ */
+const isGrantableRole = (role) => Boolean(role) && !TenantContext.CROSS_TENANT_ROLES.includes(role);
+
+/**
+ * Roles granted by a user's IdP groups
+ * @param {Object} provider - Provider record
+ * @param {Object} claims - ID token claims
+ * @returns {Object} { roles, managedRoles }
+ */
+const mapGroupsToRoles = (provider, claims) => {
+    const mappings = provider.group_role_mappings || {};
+    const claim = claims[provider.groups_claim];
+    const groups = Array.isArray(claim) ? claim : (claim ? [claim] : []);
+
+    const roles = [...new Set(groups.map(group => mappings[group]).filter(isGrantableRole))];
+    const managedRoles = [...new Set(Object.values(mappings).filter(isGrantableRole))];
+
+    return { roles, managedRoles };
+};
+
+/**
+ * Whether an email belongs to one of the provider's domains
+ * Without this a provider could sign in as any account with a matching email.
+ */
+const isAllowedDomain = (provider, email) => {
+    const domain = email.split('@').pop().toLowerCase();
+    return (provider.allowed_domains || []).some(allowed => allowed.toLowerCase() === domain);
+};
+
+/**
+ * Find the user for a provider account, linking or provisioning one if needed
+ * @returns {Promise<Object>} { userId, provisioned }
+ */
+const resolveUser = async (provider, claims, email) => {
+    const identity = await UserIdentity.findBySubject(provider.id, claims.sub);
+    if (identity) {
+        await UserIdentity.recordLogin(identity.id, email);
+        return { userId: identity.user_id, provisioned: false };
+    }
+
+    if (!isAllowedDomain(provider, email)) {
+        throw ssoError(403, 'SSO_DOMAIN_NOT_ALLOWED', 'Your email domain is not allowed for this organization');
+    }
+
+    // First SSO login for an existing account (same verified email) links it,
+    // but only within the provider's organization
+    const existing = await User.findByEmail(email);
+    if (existing && existing.organization_id !== provider.organization_id) {
+        throw ssoError(403, 'SSO_ORGANIZATION_MISMATCH', 'This email belongs to an account in another organization');
+    }
+
+    const user = existing || await User.createFromIdentity({
+        email,
+        firstName: claims.given_name || null,
+        lastName: claims.family_name || null,
+        organizationId: provider.organization_id
+    });
+
+    // The provider has verified the address
+    if (existing && !existing.is_verified) {
+        await User.verifyEmail(existing.id);
+    }
+
+    await UserIdentity.create({ userId: user.id, providerId: provider.id, subject: claims.sub, email });
+    return { userId: user.id, provisioned: !existing };
+};
+
+/**
+ * Finish an SSO login
+ * @param {Object} params - { code, state }
+ * @param {Object} req - Express request, for IP and user agent
+ * @returns {Promise<Object>} { user, provider, provisioned } - user row with roles and permissions
+ */
+const completeLogin = async ({ code, state }, req) => {
+    // Each state is usable once
+    const pending = await redis.getDel(stateKey(state));
+    if (!pending) {
+        throw ssoError(400, 'SSO_INVALID_STATE', 'Sign-in request expired or was already used. Please try again.');
+    }
+
+    const { providerId, nonce, codeVerifier } = JSON.parse(pending);
+    const provider = await IdentityProvider.findById(providerId);
+    if (!provider || !provider.is_active) {
+        throw ssoError(404, 'SSO_PROVIDER_NOT_FOUND', 'Single sign-on is not configured for this organization');
+    }
+
+    const discovery = await getDiscovery(provider.issuer);
+    const tokenResponse = await exchangeCode(provider, discovery, code, codeVerifier);
+    if (!tokenResponse.id_token) {
+        throw ssoError(401, 'SSO_INVALID_ID_TOKEN', 'Identity provider did not return an ID token');
+    }
+
+    const claims = await verifyIdToken(tokenResponse.id_token, provider, discovery, nonce);
+    if (!claims.email || claims.email_verified === false) {
+        throw ssoError(403, 'SSO_EMAIL_NOT_VERIFIED', 'Your identity provider did not supply a verified email address');
+    }
+
+    const email = claims.email.toLowerCase();
+    const { userId, provisioned } = await resolveUser(provider, claims, email);
+
+    // Group membership at the provider decides the mapped roles on every login
+    const { roles, managedRoles } = mapGroupsToRoles(provider, claims);
+    const grantedRoles = roles.length === 0 && provisioned && isGrantableRole(provider.default_role) ? [provider.default_role] : roles;
+    await User.syncRoles(userId, grantedRoles, managedRoles);
+
+    const user = await User.findById(userId);
+
+    await AuditLog.create({
+        userId,
+        action: provisioned ? 'SSO_USER_PROVISIONED' : 'SSO_LOGIN',
+        resource: 'identity_providers',
+        resourceId: provider.id,
+        newValues: { provider: provider.slug, subject: claims.sub, roles: user.roles || [] },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+    });
+
+    return { user, provider, provisioned };
+};
+
+module.exports = {
+    encryptClientSecret,
+    startLogin,
+    completeLogin
+};
@@ -0,0 +1,19 @@
+// services/auth-service/src/utils/duration.js
+
+/**
+ * Convert a duration such as "30m", "1h" or "7d" to milliseconds
+ * @param {string} duration - Number followed by s, m, h or d
+ * @param {number} fallbackMs - Used when the duration cannot be parsed
+ * @returns {number} Milliseconds
+ */
+const durationToMs = (duration, fallbackMs) => {
+    const match = /^(\d+)\s*([smhd])$/.exec(String(duration || '').trim());
+    if (!match) return fallbackMs;
+
+    const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return parseInt(match[1], 10) * units[match[2]];
+};
+
+module.exports = {
+    durationToMs
+};
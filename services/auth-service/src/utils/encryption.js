@@ -0,0 +1,45 @@
+// services/auth-service/src/utils/encryption.js
+const crypto = require('crypto');
+
+/**
+ * Derive an AES-256 key from configured key material
+ * @param {string} material - Secret from the environment
+ * @returns {Buffer} 32-byte key
+ */
+const deriveKey = (material) => {
+    return crypto.createHash('sha256').update(material).digest();
+};
+
+/**
+ * Encrypt a value for storage (AES-256-GCM)
+ * @param {string} plaintext
+ * @param {Buffer} key - From deriveKey
+ * @returns {string} iv:authTag:ciphertext, base64
+ */
+const encrypt = (plaintext, key) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt
+ * @param {string} payload
+ * @param {Buffer} key - From deriveKey
+ * @returns {string}
+ */
+const decrypt = (payload, key) => {
+    const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+    deriveKey,
+    encrypt,
+    decrypt
+};
@@ -1,14 +1,23 @@
 // services/auth-service/src/utils/jwt.js
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { getSigningKey, getVerificationKey } = require('../services/signingKeyService');
+const { durationToMs } = require('./duration');
 
 /**
  * JWT Configuration
+ * Access tokens are signed with the rotating asymmetric keys from signingKeyService
+ * (kid in the header, public keys at /.well-known/jwks.json). Refresh and MFA
+ * tokens are only ever read by this service and stay HMAC-signed.
  */
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production-min-32-chars';
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'your-super-secret-refresh-key-change-this-in-production-min-32-chars';
 const JWT_ACCESS_EXPIRY = process.env.JWT_ACCESS_EXPIRY || '15m';
 const JWT_REFRESH_EXPIRY = process.env.JWT_REFRESH_EXPIRY || '7d';
+// MFA challenge tokens use their own secret so the gateway can never accept one as an access token
+const JWT_MFA_SECRET = process.env.JWT_MFA_SECRET || `${JWT_SECRET}:mfa`;
+const MFA_CHALLENGE_EXPIRY = process.env.MFA_CHALLENGE_EXPIRY || '5m';
+const SERVICE_TOKEN_EXPIRY = process.env.SERVICE_TOKEN_EXPIRY || '15m';
 
 /**
  * Generate Access Token (Short-lived)
@@ -21,10 +30,18 @@ const generateAccessToken = (payload) => {
         email: payload.email,
         roles: payload.roles || [],
         permissions: payload.permissions || [],
+        verified: payload.verified !== false,
+        sessionId: payload.sessionId || null,
+        tenantId: payload.tenantId || null, // organization whose rows the user's requests see
         type: 'access'
     };
 
-    return jwt.sign(tokenPayload, JWT_SECRET, {
+    const { kid, algorithm, privateKey } = getSigningKey();
+
+    return jwt.sign(tokenPayload, privateKey, {
+        algorithm,
+        keyid: kid,
+        jwtid: crypto.randomUUID(), // Lets a single token be revoked before it expires
         expiresIn: JWT_ACCESS_EXPIRY,
         issuer: 'erp-auth-service',
         audience: 'erp-services'
@@ -33,15 +50,18 @@ const generateAccessToken = (payload) => {
 
 /**
  * Generate Refresh Token (Long-lived)
- * @param {Object} payload - User data to encode
+ * @param {Object} payload - User data to encode; familyId continues an existing rotation chain
  * @returns {string} JWT refresh token
  */
 const generateRefreshToken = (payload) => {
+    const tokenId = crypto.randomBytes(16).toString('hex'); // Unique token ID
+
     const tokenPayload = {
         userId: payload.userId,
         email: payload.email,
         type: 'refresh',
-        tokenId: crypto.randomBytes(16).toString('hex') // Unique token ID
+        tokenId,
+        familyId: payload.familyId || tokenId // First token of a chain starts the family
     };
 
     return jwt.sign(tokenPayload, JWT_REFRESH_SECRET, {
@@ -54,14 +74,19 @@ const generateRefreshToken = (payload) => {
 /**
  * Generate both access and refresh tokens
  * @param {Object} user - User object
+ * @param {Object} options - { sessionId: device session, familyId: refresh token family to continue }
  * @returns {Object} { accessToken, refreshToken }
  */
-const generateTokenPair = (user) => {
+const generateTokenPair = (user, { sessionId = null, familyId = null } = {}) => {
     const payload = {
         userId: user.id,
         email: user.email,
         roles: user.roles || [],
-        permissions: user.permissions || []
+        permissions: user.permissions || [],
+        verified: Boolean(user.is_verified),
+        tenantId: user.organization_id || null,
+        sessionId,
+        familyId
     };
 
     return {
@@ -71,13 +96,93 @@ const generateTokenPair = (user) => {
 };
 
 /**
- * Verify Access Token
- * @param {string} token - JWT access token
+ * Generate Service Token (client_credentials grant)
+ * Signed like access tokens so every service can verify it, but carries a
+ * client and scopes instead of a user.
+ * @param {Object} client - service_clients row
+ * @param {Array<string>} scopes - Granted scopes
+ * @returns {string} JWT service token
+ */
+const generateServiceToken = (client, scopes) => {
+    const tokenPayload = {
+        clientId: client.client_id,
+        scope: scopes.join(' '),
+        type: 'service'
+    };
+
+    const { kid, algorithm, privateKey } = getSigningKey();
+
+    return jwt.sign(tokenPayload, privateKey, {
+        algorithm,
+        keyid: kid,
+        jwtid: crypto.randomUUID(),
+        subject: `service:${client.client_id}`,
+        expiresIn: SERVICE_TOKEN_EXPIRY,
+        issuer: 'erp-auth-service',
+        audience: 'erp-services'
+    });
+};
+
+/**
+ * Generate MFA Challenge Token (issued after the password step)
+ * @param {Object} user - User object
+ * @param {string} purpose - 'verify' (enter a code) or 'enroll' (role requires MFA, not set up yet)
+ * @returns {string} JWT challenge token
+ */
+const generateMfaChallengeToken = (user, purpose) => {
+    const tokenPayload = {
+        userId: user.id,
+        email: user.email,
+        purpose,
+        type: 'mfa_challenge'
+    };
+
+    return jwt.sign(tokenPayload, JWT_MFA_SECRET, {
+        expiresIn: MFA_CHALLENGE_EXPIRY,
+        issuer: 'erp-auth-service',
+        audience: 'erp-auth-mfa'
+    });
+};
+
+/**
+ * Verify MFA Challenge Token
+ * @param {string} token - JWT challenge token
+ * @param {string} purpose - Expected purpose
  * @returns {Object|null} Decoded payload or null
  */
-const verifyAccessToken = (token) => {
+const verifyMfaChallengeToken = (token, purpose) => {
+    try {
+        const decoded = jwt.verify(token, JWT_MFA_SECRET, {
+            issuer: 'erp-auth-service',
+            audience: 'erp-auth-mfa'
+        });
+
+        if (decoded.type !== 'mfa_challenge' || decoded.purpose !== purpose) {
+            throw new Error('Invalid token type');
+        }
+
+        return decoded;
+    } catch (err) {
+        console.error('MFA challenge verification failed:', err.message);
+        return null;
+    }
+};
+
+/**
+ * Verify Access Token against the published signing key named in its kid header
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object|null>} Decoded payload or null
+ */
+const verifyAccessToken = async (token) => {
     try {
-        const decoded = jwt.verify(token, JWT_SECRET, {
+        const header = (jwt.decode(token, { complete: true }) || {}).header || {};
+        const key = await getVerificationKey(header.kid);
+        if (!key) {
+            throw new Error('Unknown signing key');
+        }
+
+        const decoded = jwt.verify(token, key.publicKey, {
+            algorithms: [key.algorithm],
             issuer: 'erp-auth-service',
             audience: 'erp-services'
         });
@@ -200,6 +305,9 @@ module.exports = {
     generateAccessToken,
     generateRefreshToken,
     generateTokenPair,
+    generateServiceToken,
+    generateMfaChallengeToken,
+    verifyMfaChallengeToken,
     verifyAccessToken,
     verifyRefreshToken,
     decodeToken,
@@ -207,5 +315,8 @@ module.exports = {
     isTokenExpired,
     extractTokenFromHeader,
     generateRandomToken,
-    hashToken
+    hashToken,
+    durationToMs,
+    MFA_CHALLENGE_EXPIRY,
+    SERVICE_TOKEN_EXPIRY
 };
\ No newline at end of file
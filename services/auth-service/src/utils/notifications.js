@@ -0,0 +1,31 @@
+// services/auth-service/src/utils/notifications.js
+const { getMongoDb } = require('../config/database');
+
+/**
+ * Queue an email in the notifications_queue collection
+ * Delivery is left to whichever worker drains the queue, so no SMTP server is needed here.
+ * @param {Object} email
+ * @param {string} email.userId - Recipient user UUID
+ * @param {string} email.to - Recipient address
+ * @param {string} email.subject - Subject line
+ * @param {string} email.message - Plain text body
+ * @param {Object} [email.metadata] - Extra fields stored with the notification
+ * @returns {Promise<string>} Inserted notification ID
+ */
+const queueEmail = async ({ userId, to, subject, message, metadata = {} }) => {
+    const result = await getMongoDb().collection('notifications_queue').insertOne({
+        user_id: userId,
+        type: 'email',
+        subject,
+        message,
+        status: 'pending',
+        created_at: new Date(),
+        metadata: { ...metadata, to }
+    });
+
+    return result.insertedId.toString();
+};
+
+module.exports = {
+    queueEmail
+};
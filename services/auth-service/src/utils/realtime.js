@@ -0,0 +1,29 @@
+// services/auth-service/src/utils/realtime.js
+const { redis } = require('../config/database');
+const { RealtimeEvents } = require('../../../../shared/utils');
+
+/**
+ * Roles alerted to security events on any account
+ */
+const SECURITY_ROLES = ['super_admin', 'admin'];
+
+const SOURCE = 'auth-service';
+
+/**
+ * Alert the account owner and administrators that a revoked refresh token was presented
+ * Best effort - never throws.
+ * @param {string} userId - Account the token belongs to
+ * @param {Object} details - { familyId, sessionId, activeTokensRevoked, ipAddress, userAgent }
+ * @returns {Promise<boolean>}
+ */
+const notifyRefreshTokenReuse = (userId, details) => RealtimeEvents.publish(
+    redis,
+    RealtimeEvents.TYPES.REFRESH_TOKEN_REUSED,
+    { userId, ...details },
+    { roles: SECURITY_ROLES, userIds: [userId] },
+    SOURCE
+);
+
+module.exports = {
+    notifyRefreshTokenReuse
+};
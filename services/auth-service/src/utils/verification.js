@@ -0,0 +1,42 @@
+// services/auth-service/src/utils/verification.js
+
+/**
+ * What an account may do before its email address is verified
+ * - read_only: can log in, but tokens only carry "<resource>:read" permissions
+ *   and the gateway rejects write requests
+ * - block: cannot log in or refresh tokens at all
+ */
+const UNVERIFIED_POLICIES = ['read_only', 'block'];
+
+const UNVERIFIED_ACCOUNT_POLICY = UNVERIFIED_POLICIES.includes(process.env.UNVERIFIED_ACCOUNT_POLICY)
+    ? process.env.UNVERIFIED_ACCOUNT_POLICY
+    : 'read_only';
+
+/**
+ * Check whether the policy keeps this user from getting tokens
+ * @param {Object} user - User row with is_verified
+ * @returns {boolean}
+ */
+const isLoginBlocked = (user) => {
+    return !user.is_verified && UNVERIFIED_ACCOUNT_POLICY === 'block';
+};
+
+/**
+ * Limit an unverified user to read permissions before tokens are issued
+ * @param {Object} user - User row with is_verified and permissions
+ * @returns {Object} The same user, or a copy with write permissions removed
+ */
+const applyVerificationPolicy = (user) => {
+    if (user.is_verified) return user;
+
+    return {
+        ...user,
+        permissions: (user.permissions || []).filter(permission => permission.endsWith(':read'))
+    };
+};
+
+module.exports = {
+    UNVERIFIED_ACCOUNT_POLICY,
+    isLoginBlocked,
+    applyVerificationPolicy
+};
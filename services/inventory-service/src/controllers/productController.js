@@ -0,0 +1,164 @@
+const ProductModel = require('../models/productModel');
+const StockLevelModel = require('../models/stockLevelModel');
+const { redisHelpers } = require('../config/database');
+const { ResponseFormatter, PaginationUtils, TenantContext } = require('../../../../shared/utils');
+const { sendError } = require('../utils/errorResponse');
+
+class ProductController {
+  /**
+   * Get all products with pagination
+   */
+  static async getAllProducts(req, res) {
+    try {
+      const { page, limit, offset, sortBy, sortOrder } = PaginationUtils.getPaginationParams(req.query);
+      const { search = '', category = null, is_active: isActive } = req.query;
+
+      const { products, total } = await ProductModel.findAll({
+        limit,
+        offset,
+        search,
+        category,
+        isActive: isActive === 'true' ? true : isActive === 'false' ? false : null,
+        sortBy,
+        sortOrder
+      });
+
+      return res.json(ResponseFormatter.paginated(products, page, limit, total));
+    } catch (error) {
+      return sendError(res, error, 'Get products error');
+    }
+  }
+
+  /**
+   * Get product by ID
+   */
+  static async getProductById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const cacheKey = `product:${id}`;
+      let product = await redisHelpers.get(cacheKey);
+
+      // The cache is shared by every organization; row-level security is not
+      if (product && !TenantContext.isVisible(product.organization_id)) {
+        product = null;
+      }
+
+      if (!product) {
+        product = await ProductModel.findById(id);
+        if (!product) {
+          return res.status(404).json(
+            ResponseFormatter.error('Product not found', 'PRODUCT_NOT_FOUND')
+          );
+        }
+
+        await redisHelpers.set(cacheKey, product, parseInt(process.env.CACHE_TTL_SHORT) || 300);
+      }
+
+      return res.json(ResponseFormatter.success({ product }));
+    } catch (error) {
+      return sendError(res, error, 'Get product error');
+    }
+  }
+
+  /**
+   * Get per-warehouse stock for a product
+   */
+  static async getProductStock(req, res) {
+    try {
+      const { id } = req.params;
+
+      const product = await ProductModel.findById(id);
+      if (!product) {
+        return res.status(404).json(
+          ResponseFormatter.error('Product not found', 'PRODUCT_NOT_FOUND')
+        );
+      }
+
+      const stockLevels = await StockLevelModel.findByProduct(id);
+
+      return res.json(ResponseFormatter.success({
+        product_id: id,
+        total_quantity: product.total_quantity,
+        total_reserved: product.total_reserved,
+        total_available: product.total_available,
+        stockLevels
+      }));
+    } catch (error) {
+      return sendError(res, error, 'Get product stock error');
+    }
+  }
+
+  /**
+   * Get product categories
+   */
+  static async getCategories(req, res) {
+    try {
+      const categories = await ProductModel.getCategories();
+      return res.json(ResponseFormatter.success({ categories }));
+    } catch (error) {
+      return sendError(res, error, 'Get categories error');
+    }
+  }
+
+  /**
+   * Create product
+   */
+  static async createProduct(req, res) {
+    try {
+      const product = await ProductModel.create(req.body, req.user.userId);
+
+      return res.status(201).json(ResponseFormatter.success({ product }));
+    } catch (error) {
+      return sendError(res, error, 'Create product error');
+    }
+  }
+
+  /**
+   * Update product
+   */
+  static async updateProduct(req, res) {
+    try {
+      const { id } = req.params;
+
+      const product = await ProductModel.update(id, req.body);
+      if (!product) {
+        return res.status(404).json(
+          ResponseFormatter.error('Product not found', 'PRODUCT_NOT_FOUND')
+        );
+      }
+
+      // Invalidate cache
+      await redisHelpers.del(`product:${id}`);
+
+      return res.json(ResponseFormatter.success({ product }));
+    } catch (error) {
+      return sendError(res, error, 'Update product error');
+    }
+  }
+
+  /**
+   * Delete product (soft delete)
+   */
+  static async deleteProduct(req, res) {
+    try {
+      const { id } = req.params;
+
+      const deleted = await ProductModel.delete(id);
+      if (!deleted) {
+        return res.status(404).json(
+          ResponseFormatter.error('Product not found', 'PRODUCT_NOT_FOUND')
+        );
+      }
+
+      // Invalidate cache
+      await redisHelpers.del(`product:${id}`);
+
+      return res.json(ResponseFormatter.success({ id, deleted: true }));
+    } catch (error) {
+      return sendError(res, error, 'Delete product error');
+    }
+  }
+}
+
+module.exports = ProductController;
@@ -0,0 +1,82 @@
+const ProductModel = require('../models/productModel');
+const SupplierModel = require('../models/supplierModel');
+const ProductSupplierModel = require('../models/productSupplierModel');
+const { ResponseFormatter } = require('../../../../shared/utils');
+const { sendError } = require('../utils/errorResponse');
+
+class ProductSupplierController {
+  /**
+   * Get the suppliers a product can be bought from
+   */
+  static async getProductSuppliers(req, res) {
+    try {
+      const { id } = req.params;
+
+      const product = await ProductModel.findById(id);
+      if (!product) {
+        return res.status(404).json(
+          ResponseFormatter.error('Product not found', 'PRODUCT_NOT_FOUND')
+        );
+      }
+
+      const suppliers = await ProductSupplierModel.findByProduct(id);
+
+      return res.json(ResponseFormatter.success({ product_id: id, suppliers }));
+    } catch (error) {
+      return sendError(res, error, 'Get product suppliers error');
+    }
+  }
+
+  /**
+   * Link a supplier to a product, or update the existing link
+   */
+  static async linkSupplier(req, res) {
+    try {
+      const { id, supplierId } = req.params;
+
+      const [product, supplier] = await Promise.all([
+        ProductModel.findById(id),
+        SupplierModel.findById(supplierId)
+      ]);
+
+      if (!product) {
+        return res.status(404).json(
+          ResponseFormatter.error('Product not found', 'PRODUCT_NOT_FOUND')
+        );
+      }
+      if (!supplier) {
+        return res.status(404).json(
+          ResponseFormatter.error('Supplier not found', 'SUPPLIER_NOT_FOUND')
+        );
+      }
+
+      const productSupplier = await ProductSupplierModel.upsert(id, supplierId, req.body);
+
+      return res.json(ResponseFormatter.success({ productSupplier }));
+    } catch (error) {
+      return sendError(res, error, 'Link product supplier error');
+    }
+  }
+
+  /**
+   * Remove a supplier from a product
+   */
+  static async unlinkSupplier(req, res) {
+    try {
+      const { id, supplierId } = req.params;
+
+      const removed = await ProductSupplierModel.remove(id, supplierId);
+      if (!removed) {
+        return res.status(404).json(
+          ResponseFormatter.error('Supplier is not linked to this product', 'PRODUCT_SUPPLIER_NOT_FOUND')
+        );
+      }
+
+      return res.json(ResponseFormatter.success({ product_id: id, supplier_id: supplierId, deleted: true }));
+    } catch (error) {
+      return sendError(res, error, 'Unlink product supplier error');
+    }
+  }
+}
+
+module.exports = ProductSupplierController;
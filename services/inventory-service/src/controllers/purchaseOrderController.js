@@ -0,0 +1,119 @@
+const PurchaseOrderModel = require('../models/purchaseOrderModel');
+const {
+  PO_STATUSES,
+  getSuggestions,
+  generateDrafts,
+  approvePurchaseOrder,
+  cancelPurchaseOrder,
+  receivePurchaseOrder
+} = require('../services/purchasingService');
+const { ResponseFormatter, PaginationUtils } = require('../../../../shared/utils');
+const { sendError } = require('../utils/errorResponse');
+
+class PurchaseOrderController {
+  /**
+   * Preview reorder suggestions from current low stock alerts
+   */
+  static async getSuggestions(req, res) {
+    try {
+      const suggestions = await getSuggestions();
+
+      return res.json(ResponseFormatter.success(suggestions));
+    } catch (error) {
+      return sendError(res, error, 'Get reorder suggestions error');
+    }
+  }
+
+  /**
+   * Create draft purchase orders from the current suggestions
+   */
+  static async generate(req, res) {
+    try {
+      const result = await generateDrafts(req.body, req.user);
+
+      return res.status(201).json(ResponseFormatter.success(result));
+    } catch (error) {
+      return sendError(res, error, 'Generate purchase orders error');
+    }
+  }
+
+  /**
+   * Get purchase orders with pagination and filters
+   */
+  static async getPurchaseOrders(req, res) {
+    try {
+      const { page, limit, offset } = PaginationUtils.getPaginationParams(req.query);
+
+      const { purchaseOrders, total } = await PurchaseOrderModel.findAll({
+        limit,
+        offset,
+        status: PO_STATUSES.includes(req.query.status) ? req.query.status : null,
+        supplierId: req.query.supplier_id,
+        warehouseId: req.query.warehouse_id
+      });
+
+      return res.json(ResponseFormatter.paginated(purchaseOrders, page, limit, total));
+    } catch (error) {
+      return sendError(res, error, 'Get purchase orders error');
+    }
+  }
+
+  /**
+   * Get a purchase order with its items
+   */
+  static async getPurchaseOrderById(req, res) {
+    try {
+      const purchaseOrder = await PurchaseOrderModel.findById(req.params.id);
+      if (!purchaseOrder) {
+        return res.status(404).json(
+          ResponseFormatter.error('Purchase order not found', 'PURCHASE_ORDER_NOT_FOUND')
+        );
+      }
+
+      return res.json(ResponseFormatter.success({ purchaseOrder }));
+    } catch (error) {
+      return sendError(res, error, 'Get purchase order error');
+    }
+  }
+
+  /**
+   * Approve a draft purchase order
+   */
+  static async approve(req, res) {
+    try {
+      const purchaseOrder = await approvePurchaseOrder(req.params.id, req.user);
+
+      return res.json(ResponseFormatter.success({ purchaseOrder }));
+    } catch (error) {
+      return sendError(res, error, 'Approve purchase order error');
+    }
+  }
+
+  /**
+   * Receive goods into the purchase order's warehouse
+   */
+  static async receive(req, res) {
+    try {
+      const result = await receivePurchaseOrder(req.params.id, req.body.items, req.user);
+
+      return res.json(ResponseFormatter.success(result));
+    } catch (error) {
+      return sendError(res, error, 'Receive purchase order error');
+    }
+  }
+
+  /**
+   * Cancel a purchase order
+   */
+  static async cancel(req, res) {
+    try {
+      const purchaseOrder = await cancelPurchaseOrder(req.params.id, req.body.reason);
+
+      return res.json(ResponseFormatter.success({ purchaseOrder }));
+    } catch (error) {
+      return sendError(res, error, 'Cancel purchase order error');
+    }
+  }
+}
+
+module.exports = PurchaseOrderController;
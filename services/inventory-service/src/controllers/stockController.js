@@ -0,0 +1,68 @@
+const StockLevelModel = require('../models/stockLevelModel');
+const { ResponseFormatter, PaginationUtils } = require('../../../../shared/utils');
+const { sendError } = require('../utils/errorResponse');
+
+const ALERT_LEVELS = ['LOW_STOCK', 'OUT_OF_STOCK'];
+
+class StockController {
+  /**
+   * Get stock levels with pagination and filters
+   */
+  static async getStockLevels(req, res) {
+    try {
+      const { page, limit, offset, sortBy, sortOrder } = PaginationUtils.getPaginationParams(req.query);
+      const { product_id: productId, warehouse_id: warehouseId, low_stock: lowStock } = req.query;
+
+      const { stockLevels, total } = await StockLevelModel.findAll({
+        limit,
+        offset,
+        productId,
+        warehouseId,
+        lowStock: lowStock === 'true',
+        sortBy,
+        sortOrder
+      });
+
+      return res.json(ResponseFormatter.paginated(stockLevels, page, limit, total));
+    } catch (error) {
+      return sendError(res, error, 'Get stock levels error');
+    }
+  }
+
+  /**
+   * Get stock level for a product in a warehouse
+   */
+  static async getStockLevel(req, res) {
+    try {
+      const { productId, warehouseId } = req.params;
+
+      const stockLevel = await StockLevelModel.findByProductAndWarehouse(productId, warehouseId);
+      if (!stockLevel) {
+        return res.status(404).json(
+          ResponseFormatter.error('No stock recorded for this product in this warehouse', 'STOCK_NOT_FOUND')
+        );
+      }
+
+      return res.json(ResponseFormatter.success({ stockLevel }));
+    } catch (error) {
+      return sendError(res, error, 'Get stock level error');
+    }
+  }
+
+  /**
+   * Get inventory alerts (low / out of stock)
+   */
+  static async getAlerts(req, res) {
+    try {
+      const alertLevel = ALERT_LEVELS.includes(req.query.level) ? req.query.level : null;
+
+      const alerts = await StockLevelModel.getAlerts(alertLevel);
+
+      return res.json(ResponseFormatter.success({ alerts, count: alerts.length }));
+    } catch (error) {
+      return sendError(res, error, 'Get inventory alerts error');
+    }
+  }
+}
+
+module.exports = StockController;
@@ -0,0 +1,75 @@
+const StockMovementModel = require('../models/stockMovementModel');
+const { recordMovement } = require('../services/stockMovementService');
+const { ResponseFormatter, PaginationUtils } = require('../../../../shared/utils');
+const { sendError } = require('../utils/errorResponse');
+
+class StockMovementController {
+  /**
+   * Get stock movement ledger with pagination and filters
+   */
+  static async getMovements(req, res) {
+    try {
+      const { page, limit, offset } = PaginationUtils.getPaginationParams(req.query);
+      const movementType = req.query.movement_type ? req.query.movement_type.toUpperCase() : null;
+
+      const { movements, total } = await StockMovementModel.findAll({
+        limit,
+        offset,
+        productId: req.query.product_id,
+        warehouseId: req.query.warehouse_id,
+        movementType: StockMovementModel.MOVEMENT_TYPES.includes(movementType) ? movementType : null,
+        referenceType: req.query.reference_type,
+        referenceId: req.query.reference_id,
+        startDate: req.query.start_date,
+        endDate: req.query.end_date
+      });
+
+      return res.json(ResponseFormatter.paginated(movements, page, limit, total));
+    } catch (error) {
+      return sendError(res, error, 'Get stock movements error');
+    }
+  }
+
+  /**
+   * Get a single ledger entry
+   */
+  static async getMovementById(req, res) {
+    try {
+      const movement = await StockMovementModel.findById(req.params.id);
+      if (!movement) {
+        return res.status(404).json(
+          ResponseFormatter.error('Stock movement not found', 'MOVEMENT_NOT_FOUND')
+        );
+      }
+
+      return res.json(ResponseFormatter.success({ movement }));
+    } catch (error) {
+      return sendError(res, error, 'Get stock movement error');
+    }
+  }
+
+  /**
+   * Post a movement and update stock levels atomically
+   */
+  static async createMovement(req, res) {
+    try {
+      const result = await recordMovement({
+        productId: req.body.product_id,
+        warehouseId: req.body.warehouse_id,
+        toWarehouseId: req.body.to_warehouse_id,
+        movementType: req.body.movement_type,
+        quantity: req.body.quantity,
+        referenceType: req.body.reference_type,
+        referenceId: req.body.reference_id,
+        notes: req.body.notes,
+        createdBy: req.user.userId
+      });
+
+      return res.status(201).json(ResponseFormatter.success(result));
+    } catch (error) {
+      return sendError(res, error, 'Create stock movement error');
+    }
+  }
+}
+
+module.exports = StockMovementController;
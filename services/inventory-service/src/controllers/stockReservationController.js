@@ -0,0 +1,87 @@
+const StockReservationModel = require('../models/stockReservationModel');
+const {
+  reserveStock,
+  releaseReservations,
+  commitReservations,
+  returnCommittedStock
+} = require('../services/stockReservationService');
+const { ResponseFormatter } = require('../../../../shared/utils');
+const { sendError } = require('../utils/errorResponse');
+
+class StockReservationController {
+  /**
+   * Reserve stock for an order
+   */
+  static async reserve(req, res) {
+    try {
+      const reservations = await reserveStock({
+        orderId: req.body.order_id,
+        items: req.body.items.map(item => ({
+          productId: item.product_id,
+          warehouseId: item.warehouse_id,
+          quantity: item.quantity
+        })),
+        ttlSeconds: req.body.ttl_seconds,
+        createdBy: req.user.userId
+      });
+
+      return res.status(201).json(ResponseFormatter.success({ reservations }));
+    } catch (error) {
+      return sendError(res, error, 'Reserve stock error');
+    }
+  }
+
+  /**
+   * Get reservations held by an order
+   */
+  static async getOrderReservations(req, res) {
+    try {
+      const reservations = await StockReservationModel.findByOrder(req.params.orderId);
+
+      return res.json(ResponseFormatter.success({ reservations }));
+    } catch (error) {
+      return sendError(res, error, 'Get reservations error');
+    }
+  }
+
+  /**
+   * Release an order's reservations back to available stock
+   */
+  static async release(req, res) {
+    try {
+      const reservations = await releaseReservations(req.params.orderId);
+
+      return res.json(ResponseFormatter.success({ reservations }));
+    } catch (error) {
+      return sendError(res, error, 'Release reservations error');
+    }
+  }
+
+  /**
+   * Commit an order's reservations as OUT movements
+   */
+  static async commit(req, res) {
+    try {
+      const result = await commitReservations(req.params.orderId, req.user.userId);
+
+      return res.json(ResponseFormatter.success(result));
+    } catch (error) {
+      return sendError(res, error, 'Commit reservations error');
+    }
+  }
+
+  /**
+   * Return committed stock for a cancelled order
+   */
+  static async returnStock(req, res) {
+    try {
+      const result = await returnCommittedStock(req.params.orderId, req.user.userId);
+
+      return res.json(ResponseFormatter.success(result));
+    } catch (error) {
+      return sendError(res, error, 'Return committed stock error');
+    }
+  }
+}
+
+module.exports = StockReservationController;
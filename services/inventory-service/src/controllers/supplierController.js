@@ -0,0 +1,99 @@
+const SupplierModel = require('../models/supplierModel');
+const { ResponseFormatter, PaginationUtils } = require('../../../../shared/utils');
+const { sendError } = require('../utils/errorResponse');
+
+class SupplierController {
+  /**
+   * Get all suppliers with pagination
+   */
+  static async getAllSuppliers(req, res) {
+    try {
+      const { page, limit, offset, sortBy, sortOrder } = PaginationUtils.getPaginationParams(req.query);
+      const { search = '', is_active: isActive } = req.query;
+
+      const { suppliers, total } = await SupplierModel.findAll({
+        limit,
+        offset,
+        search,
+        isActive: isActive === 'true' ? true : isActive === 'false' ? false : null,
+        sortBy,
+        sortOrder
+      });
+
+      return res.json(ResponseFormatter.paginated(suppliers, page, limit, total));
+    } catch (error) {
+      return sendError(res, error, 'Get suppliers error');
+    }
+  }
+
+  /**
+   * Get supplier by ID
+   */
+  static async getSupplierById(req, res) {
+    try {
+      const supplier = await SupplierModel.findById(req.params.id);
+      if (!supplier) {
+        return res.status(404).json(
+          ResponseFormatter.error('Supplier not found', 'SUPPLIER_NOT_FOUND')
+        );
+      }
+
+      return res.json(ResponseFormatter.success({ supplier }));
+    } catch (error) {
+      return sendError(res, error, 'Get supplier error');
+    }
+  }
+
+  /**
+   * Create supplier
+   */
+  static async createSupplier(req, res) {
+    try {
+      const supplier = await SupplierModel.create(req.body);
+
+      return res.status(201).json(ResponseFormatter.success({ supplier }));
+    } catch (error) {
+      return sendError(res, error, 'Create supplier error');
+    }
+  }
+
+  /**
+   * Update supplier
+   */
+  static async updateSupplier(req, res) {
+    try {
+      const supplier = await SupplierModel.update(req.params.id, req.body);
+      if (!supplier) {
+        return res.status(404).json(
+          ResponseFormatter.error('Supplier not found', 'SUPPLIER_NOT_FOUND')
+        );
+      }
+
+      return res.json(ResponseFormatter.success({ supplier }));
+    } catch (error) {
+      return sendError(res, error, 'Update supplier error');
+    }
+  }
+
+  /**
+   * Delete supplier (soft delete)
+   */
+  static async deleteSupplier(req, res) {
+    try {
+      const { id } = req.params;
+
+      const deleted = await SupplierModel.delete(id);
+      if (!deleted) {
+        return res.status(404).json(
+          ResponseFormatter.error('Supplier not found', 'SUPPLIER_NOT_FOUND')
+        );
+      }
+
+      return res.json(ResponseFormatter.success({ id, deleted: true }));
+    } catch (error) {
+      return sendError(res, error, 'Delete supplier error');
+    }
+  }
+}
+
+module.exports = SupplierController;
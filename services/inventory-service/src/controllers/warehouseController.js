@@ -0,0 +1,166 @@
+const WarehouseModel = require('../models/warehouseModel');
+const StockLevelModel = require('../models/stockLevelModel');
+const { warehousePolicies, adjustableWarehousesFilter } = require('../services/warehouseAccess');
+const { pgPool } = require('../config/database');
+const { ResponseFormatter, PaginationUtils, PolicyEngine } = require('../../../../shared/utils');
+const { sendError } = require('../utils/errorResponse');
+
+class WarehouseController {
+  /**
+   * Get all warehouses with pagination
+   * adjustable=true limits the list to warehouses the caller may post stock movements in
+   */
+  static async getAllWarehouses(req, res) {
+    try {
+      const { page, limit, offset, sortBy, sortOrder } = PaginationUtils.getPaginationParams(req.query);
+      const { search = '', is_active: isActive, adjustable } = req.query;
+
+      const { warehouses, total } = await WarehouseModel.findAll({
+        limit,
+        offset,
+        search,
+        isActive: isActive === 'true' ? true : isActive === 'false' ? false : null,
+        sortBy,
+        sortOrder,
+        accessFilter: adjustable === 'true' ? params => adjustableWarehousesFilter(req.user, params) : null
+      });
+
+      return res.json(ResponseFormatter.paginated(warehouses, page, limit, total));
+    } catch (error) {
+      return sendError(res, error, 'Get warehouses error');
+    }
+  }
+
+  /**
+   * Get warehouse by ID
+   */
+  static async getWarehouseById(req, res) {
+    try {
+      const warehouse = await WarehouseModel.findById(req.params.id);
+      if (!warehouse) {
+        return res.status(404).json(
+          ResponseFormatter.error('Warehouse not found', 'WAREHOUSE_NOT_FOUND')
+        );
+      }
+
+      return res.json(ResponseFormatter.success({ warehouse }));
+    } catch (error) {
+      return sendError(res, error, 'Get warehouse error');
+    }
+  }
+
+  /**
+   * Get stock held in a warehouse
+   */
+  static async getWarehouseStock(req, res) {
+    try {
+      const { page, limit, offset, sortBy, sortOrder } = PaginationUtils.getPaginationParams(req.query);
+
+      const warehouse = await WarehouseModel.findById(req.params.id);
+      if (!warehouse) {
+        return res.status(404).json(
+          ResponseFormatter.error('Warehouse not found', 'WAREHOUSE_NOT_FOUND')
+        );
+      }
+
+      const { stockLevels, total } = await StockLevelModel.findAll({
+        limit,
+        offset,
+        warehouseId: warehouse.id,
+        lowStock: req.query.low_stock === 'true',
+        sortBy,
+        sortOrder
+      });
+
+      return res.json(ResponseFormatter.paginated(stockLevels, page, limit, total));
+    } catch (error) {
+      return sendError(res, error, 'Get warehouse stock error');
+    }
+  }
+
+  /**
+   * Create warehouse
+   */
+  static async createWarehouse(req, res) {
+    try {
+      const warehouse = await WarehouseModel.create(req.body);
+
+      return res.status(201).json(ResponseFormatter.success({ warehouse }));
+    } catch (error) {
+      return sendError(res, error, 'Create warehouse error');
+    }
+  }
+
+  /**
+   * Update warehouse
+   */
+  static async updateWarehouse(req, res) {
+    try {
+      const warehouse = await WarehouseModel.update(req.params.id, req.body);
+      if (!warehouse) {
+        return res.status(404).json(
+          ResponseFormatter.error('Warehouse not found', 'WAREHOUSE_NOT_FOUND')
+        );
+      }
+
+      return res.json(ResponseFormatter.success({ warehouse }));
+    } catch (error) {
+      return sendError(res, error, 'Update warehouse error');
+    }
+  }
+
+  /**
+   * Delete warehouse (soft delete)
+   */
+  static async deleteWarehouse(req, res) {
+    try {
+      const { id } = req.params;
+
+      const deleted = await WarehouseModel.delete(id);
+      if (!deleted) {
+        return res.status(404).json(
+          ResponseFormatter.error('Warehouse not found', 'WAREHOUSE_NOT_FOUND')
+        );
+      }
+
+      return res.json(ResponseFormatter.success({ id: deleted.id, deleted: true }));
+    } catch (error) {
+      return sendError(res, error, 'Delete warehouse error');
+    }
+  }
+
+  /**
+   * Dry run of the warehouse access policies: would a user be allowed, and why not
+   */
+  static async explainAccess(req, res) {
+    try {
+      const { action, warehouse_id: warehouseId, user_id: userId } = req.body;
+
+      const warehouse = await WarehouseModel.findById(warehouseId);
+      if (!warehouse) {
+        return res.status(404).json(
+          ResponseFormatter.error('Warehouse not found', 'WAREHOUSE_NOT_FOUND')
+        );
+      }
+
+      const subject = userId ? await PolicyEngine.loadUser(pgPool, userId) : req.user;
+      if (!subject) {
+        return res.status(404).json(
+          ResponseFormatter.error('User not found', 'USER_NOT_FOUND')
+        );
+      }
+
+      const explanation = warehousePolicies.explain(subject, action, warehouse);
+
+      return res.json(ResponseFormatter.success({
+        user: { userId: subject.userId, roles: subject.roles },
+        warehouse_id: warehouse.id,
+        ...explanation
+      }));
+    } catch (error) {
+      return sendError(res, error, 'Explain warehouse access error');
+    }
+  }
+}
+
+module.exports = WarehouseController;
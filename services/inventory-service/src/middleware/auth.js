@@ -0,0 +1,181 @@
+const jwt = require('jsonwebtoken');
+const path = require('path');
+const { ResponseFormatter, JwksKeyStore, ServiceTokenClient, TenantContext, TokenRevocation } = require('../../../../shared/utils');
+const { redisClient } = require('../config/database');
+
+// Load environment variables from root .env
+require('dotenv').config({ path: path.resolve(__dirname, '../../../../.env') });
+
+// Access tokens are verified with the auth service's published public keys
+const keyStore = new JwksKeyStore();
+
+const VERIFY_OPTIONS = {
+    algorithms: JwksKeyStore.ALGORITHMS,
+    issuer: 'erp-auth-service',
+    audience: 'erp-services'
+};
+
+/**
+ * Verify an access token against the key named in its kid header
+ * @param {string} token
+ * @returns {Promise<Object>} Decoded payload
+ */
+const verifyToken = (token) => new Promise((resolve, reject) => {
+    jwt.verify(token, keyStore.getKeyForHeader, VERIFY_OPTIONS, (err, decoded) => (err ? reject(err) : resolve(decoded)));
+});
+
+/**
+ * User forwarded in X-User-* headers by the gateway or another service
+ * Only trusted alongside a service token with the identity:forward scope; headers
+ * sent without one are ignored and the caller's own bearer token is checked instead.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} req.user shape, or null
+ */
+const getForwardedUser = async (req) => {
+    const userId = req.headers['x-user-id'];
+    const userEmail = req.headers['x-user-email'];
+    const serviceToken = req.headers['x-service-token'];
+
+    if (!userId || !userEmail || !serviceToken) {
+        return null;
+    }
+
+    const service = await verifyToken(serviceToken).catch(() => null);
+    if (!service || service.type !== 'service'
+        || !String(service.scope || '').split(' ').includes(ServiceTokenClient.FORWARD_SCOPE)) {
+        return null;
+    }
+
+    const userRoles = req.headers['x-user-roles'];
+    return {
+        userId,
+        email: userEmail,
+        roles: userRoles ? JSON.parse(userRoles) : [],
+        tenantId: req.headers['x-user-tenant-id'] || null,
+        forwardedBy: service.clientId,
+        scopes: String(service.scope || '').split(' ').filter(Boolean)
+    };
+};
+
+/**
+ * req.user for a verified bearer token - a user, or a machine client calling with a service token
+ * @param {Object} decoded - Verified token payload
+ * @returns {Object}
+ */
+const toRequestUser = (decoded) => {
+    if (decoded.type === 'service') {
+        return {
+            userId: null,
+            email: null,
+            roles: [],
+            clientId: decoded.clientId,
+            scopes: String(decoded.scope || '').split(' ').filter(Boolean)
+        };
+    }
+
+    return {
+        userId: decoded.userId,
+        email: decoded.email,
+        roles: decoded.roles || [],
+        tenantId: decoded.tenantId || null
+    };
+};
+
+/**
+ * Authentication Middleware
+ * Extracts user from JWT or API Gateway headers
+ */
+const authenticate = async (req, res, next) => {
+    try {
+        // User authenticated by the API Gateway (or a calling service)
+        const forwardedUser = await getForwardedUser(req);
+        if (forwardedUser) {
+            req.user = forwardedUser;
+            return TenantContext.run(TenantContext.fromUser(req.user), next);
+        }
+
+        // Fallback: Check Authorization header
+        const authHeader = req.headers.authorization;
+
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json(
+                ResponseFormatter.error('Authentication required', 'UNAUTHORIZED')
+            );
+        }
+
+        const token = authHeader.substring(7);
+        const decoded = await verifyToken(token);
+
+        // Logged out, session revoked or user deactivated since the token was issued
+        if (await TokenRevocation.isRevoked(redisClient, decoded)) {
+            return res.status(401).json(
+                ResponseFormatter.error('Token has been revoked', 'TOKEN_REVOKED')
+            );
+        }
+
+        req.user = toRequestUser(decoded);
+
+        // Database queries for the rest of the request only see the user's organization
+        TenantContext.run(TenantContext.fromUser(req.user), next);
+    } catch (error) {
+        return res.status(401).json(
+            ResponseFormatter.error('Invalid or expired token', 'INVALID_TOKEN')
+        );
+    }
+};
+
+/**
+ * Authorization middleware - a service token with the given scope (called directly or
+ * forwarding a user), or a user holding one of the given roles
+ * The scope belongs to the calling service, never to the user it forwards.
+ */
+const authorizeService = (scope, ...allowedRoles) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json(
+                ResponseFormatter.error('Authentication required', 'UNAUTHORIZED')
+            );
+        }
+
+        const hasScope = (req.user.scopes || []).includes(scope);
+        const hasRole = allowedRoles.some(role => (req.user.roles || []).includes(role));
+
+        if (!hasScope && !hasRole) {
+            return res.status(403).json(
+                ResponseFormatter.error('Insufficient permissions', 'FORBIDDEN')
+            );
+        }
+
+        next();
+    };
+};
+
+/**
+ * Authorization middleware - check roles
+ */
+const authorize = (...allowedRoles) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json(
+                ResponseFormatter.error('Authentication required', 'UNAUTHORIZED')
+            );
+        }
+
+        const userRoles = req.user.roles || [];
+        const hasRole = allowedRoles.some(role => userRoles.includes(role));
+
+        if (!hasRole) {
+            return res.status(403).json(
+                ResponseFormatter.error('Insufficient permissions', 'FORBIDDEN')
+            );
+        }
+
+        next();
+    };
+};
+
+module.exports = {
+    authenticate,
+    authorize,
+    authorizeService
+};
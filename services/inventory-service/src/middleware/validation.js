@@ -0,0 +1,166 @@
+const Joi = require('joi');
+const { ResponseFormatter } = require('../../../../shared/utils');
+
+/**
+ * Validation schemas for inventory resources
+ */
+const schemas = {
+    createProduct: Joi.object({
+        sku: Joi.string().trim().max(50).required(),
+        name: Joi.string().trim().max(255).required(),
+        description: Joi.string().allow('', null),
+        category: Joi.string().max(100).allow('', null),
+        unit_price: Joi.number().precision(2).min(0).default(0),
+        cost_price: Joi.number().precision(2).min(0).default(0),
+        reorder_point: Joi.number().integer().min(0).default(10),
+        reorder_quantity: Joi.number().integer().min(1).default(50),
+        is_active: Joi.boolean().default(true)
+    }),
+
+    updateProduct: Joi.object({
+        sku: Joi.string().trim().max(50),
+        name: Joi.string().trim().max(255),
+        description: Joi.string().allow('', null),
+        category: Joi.string().max(100).allow('', null),
+        unit_price: Joi.number().precision(2).min(0),
+        cost_price: Joi.number().precision(2).min(0),
+        reorder_point: Joi.number().integer().min(0),
+        reorder_quantity: Joi.number().integer().min(1),
+        is_active: Joi.boolean()
+    }).min(1),
+
+    createWarehouse: Joi.object({
+        name: Joi.string().trim().max(255).required(),
+        code: Joi.string().trim().max(50).required(),
+        location: Joi.string().max(255).allow('', null),
+        capacity: Joi.number().integer().min(0).allow(null),
+        manager_id: Joi.string().uuid().allow(null),
+        is_active: Joi.boolean().default(true)
+    }),
+
+    updateWarehouse: Joi.object({
+        name: Joi.string().trim().max(255),
+        code: Joi.string().trim().max(50),
+        location: Joi.string().max(255).allow('', null),
+        capacity: Joi.number().integer().min(0).allow(null),
+        manager_id: Joi.string().uuid().allow(null),
+        is_active: Joi.boolean()
+    }).min(1),
+
+    createSupplier: Joi.object({
+        name: Joi.string().trim().max(255).required(),
+        contact_person: Joi.string().max(100).allow('', null),
+        email: Joi.string().email().max(255).allow('', null),
+        phone: Joi.string().pattern(/^[0-9+\-() ]+$/).max(20).allow('', null),
+        address: Joi.string().allow('', null),
+        is_active: Joi.boolean().default(true)
+    }),
+
+    updateSupplier: Joi.object({
+        name: Joi.string().trim().max(255),
+        contact_person: Joi.string().max(100).allow('', null),
+        email: Joi.string().email().max(255).allow('', null),
+        phone: Joi.string().pattern(/^[0-9+\-() ]+$/).max(20).allow('', null),
+        address: Joi.string().allow('', null),
+        is_active: Joi.boolean()
+    }).min(1),
+
+    createMovement: Joi.object({
+        product_id: Joi.string().uuid().required(),
+        warehouse_id: Joi.number().integer().positive().required(),
+        movement_type: Joi.string().valid('IN', 'OUT', 'TRANSFER', 'ADJUSTMENT').required(),
+        to_warehouse_id: Joi.when('movement_type', {
+            is: 'TRANSFER',
+            then: Joi.number().integer().positive().invalid(Joi.ref('warehouse_id')).required(),
+            otherwise: Joi.forbidden()
+        }),
+        quantity: Joi.when('movement_type', {
+            is: 'ADJUSTMENT',
+            then: Joi.number().integer().invalid(0).required(),
+            otherwise: Joi.number().integer().positive().required()
+        }),
+        reference_type: Joi.string().valid('ORDER', 'PURCHASE', 'ADJUSTMENT', 'TRANSFER'),
+        reference_id: Joi.string().uuid(),
+        notes: Joi.string().max(1000).allow('', null)
+    }).and('reference_type', 'reference_id'),
+
+    reserveStock: Joi.object({
+        order_id: Joi.string().uuid().required(),
+        items: Joi.array().items(Joi.object({
+            product_id: Joi.string().uuid().required(),
+            warehouse_id: Joi.number().integer().positive(),
+            quantity: Joi.number().integer().positive().required()
+        })).min(1).required(),
+        ttl_seconds: Joi.number().integer().min(30).max(7 * 24 * 60 * 60)
+    }),
+
+    linkSupplier: Joi.object({
+        supplier_sku: Joi.string().trim().max(100).allow('', null),
+        unit_cost: Joi.number().precision(2).min(0).allow(null),
+        lead_time_days: Joi.number().integer().min(0).allow(null),
+        is_preferred: Joi.boolean().default(false)
+    }),
+
+    generatePurchaseOrders: Joi.object({
+        supplier_id: Joi.string().uuid(),
+        warehouse_id: Joi.number().integer().positive()
+    }),
+
+    receivePurchaseOrder: Joi.object({
+        items: Joi.array().items(Joi.object({
+            product_id: Joi.string().uuid().required(),
+            quantity: Joi.number().integer().positive().required()
+        })).min(1).unique('product_id')
+    }),
+
+    cancelPurchaseOrder: Joi.object({
+        reason: Joi.string().trim().max(500).allow('', null)
+    }),
+
+    // Dry-run access check; user_id defaults to the caller
+    explainAccess: Joi.object({
+        action: Joi.string().max(100).default('stock:adjust'),
+        warehouse_id: Joi.number().integer().positive().required(),
+        user_id: Joi.string().uuid()
+    })
+};
+
+/**
+ * Validation middleware factory
+ * Replaces req.body with the validated value so defaults are applied
+ */
+const validate = (schema) => {
+    return (req, res, next) => {
+        const { error, value } = schema.validate(req.body, { stripUnknown: true });
+
+        if (error) {
+            const details = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+
+            return res.status(400).json(
+                ResponseFormatter.error(error.details[0].message, 'VALIDATION_ERROR', details)
+            );
+        }
+
+        req.body = value;
+        next();
+    };
+};
+
+module.exports = {
+    validateCreateProduct: validate(schemas.createProduct),
+    validateUpdateProduct: validate(schemas.updateProduct),
+    validateCreateWarehouse: validate(schemas.createWarehouse),
+    validateUpdateWarehouse: validate(schemas.updateWarehouse),
+    validateCreateSupplier: validate(schemas.createSupplier),
+    validateUpdateSupplier: validate(schemas.updateSupplier),
+    validateCreateMovement: validate(schemas.createMovement),
+    validateReserveStock: validate(schemas.reserveStock),
+    validateLinkSupplier: validate(schemas.linkSupplier),
+    validateGeneratePurchaseOrders: validate(schemas.generatePurchaseOrders),
+    validateReceivePurchaseOrder: validate(schemas.receivePurchaseOrder),
+    validateCancelPurchaseOrder: validate(schemas.cancelPurchaseOrder),
+    validateExplainAccess: validate(schemas.explainAccess)
+};
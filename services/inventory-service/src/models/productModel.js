@@ -0,0 +1,214 @@
+// services/inventory-service/src/models/productModel.js
+const { pgPool } = require('../config/database');
+
+const UPDATABLE_FIELDS = [
+  'sku',
+  'name',
+  'description',
+  'category',
+  'unit_price',
+  'cost_price',
+  'reorder_point',
+  'reorder_quantity',
+  'is_active'
+];
+
+const SORTABLE_FIELDS = ['created_at', 'updated_at', 'name', 'sku', 'category', 'unit_price'];
+
+/**
+ * Product Model
+ * Works with existing products table from global schema
+ */
+class ProductModel {
+  /**
+   * Get product by ID, including total stock across warehouses
+   */
+  static async findById(productId) {
+    const query = `
+      SELECT
+        p.*,
+        COALESCE(SUM(sl.quantity), 0)::INTEGER as total_quantity,
+        COALESCE(SUM(sl.reserved_quantity), 0)::INTEGER as total_reserved,
+        COALESCE(SUM(sl.available_quantity), 0)::INTEGER as total_available
+      FROM products p
+      LEFT JOIN stock_levels sl ON p.id = sl.product_id
+      WHERE p.id = $1
+      GROUP BY p.id
+    `;
+
+    const result = await pgPool.query(query, [productId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get product by SKU
+   */
+  static async findBySku(sku) {
+    const query = `SELECT * FROM products WHERE sku = $1`;
+    const result = await pgPool.query(query, [sku]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get all products with pagination and filters
+   */
+  static async findAll(options = {}) {
+    const {
+      limit = 20,
+      offset = 0,
+      search = '',
+      category = null,
+      isActive = null,
+      sortBy = 'created_at',
+      sortOrder = 'DESC'
+    } = options;
+
+    const params = [];
+    const whereConditions = [];
+
+    if (search) {
+      params.push(`%${search}%`);
+      whereConditions.push(`(p.name ILIKE $${params.length} OR p.sku ILIKE $${params.length})`);
+    }
+
+    if (category) {
+      params.push(category);
+      whereConditions.push(`p.category = $${params.length}`);
+    }
+
+    if (isActive !== null) {
+      params.push(isActive);
+      whereConditions.push(`p.is_active = $${params.length}`);
+    }
+
+    const whereClause = whereConditions.length > 0
+      ? `WHERE ${whereConditions.join(' AND ')}`
+      : '';
+
+    const orderColumn = SORTABLE_FIELDS.includes(sortBy) ? sortBy : 'created_at';
+    const orderDirection = sortOrder === 'ASC' ? 'ASC' : 'DESC';
+
+    const countResult = await pgPool.query(
+      `SELECT COUNT(*) FROM products p ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const dataQuery = `
+      SELECT
+        p.*,
+        COALESCE(SUM(sl.available_quantity), 0)::INTEGER as total_available
+      FROM products p
+      LEFT JOIN stock_levels sl ON p.id = sl.product_id
+      ${whereClause}
+      GROUP BY p.id
+      ORDER BY p.${orderColumn} ${orderDirection}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+
+    const dataResult = await pgPool.query(dataQuery, [...params, limit, offset]);
+
+    return {
+      products: dataResult.rows,
+      total
+    };
+  }
+
+  /**
+   * Create new product
+   */
+  static async create(productData, createdBy = null) {
+    const {
+      sku,
+      name,
+      description,
+      category,
+      unit_price,
+      cost_price,
+      reorder_point,
+      reorder_quantity,
+      is_active
+    } = productData;
+
+    const query = `
+      INSERT INTO products (
+        sku, name, description, category, unit_price, cost_price,
+        reorder_point, reorder_quantity, is_active, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `;
+
+    const result = await pgPool.query(query, [
+      sku,
+      name,
+      description || null,
+      category || null,
+      unit_price,
+      cost_price,
+      reorder_point,
+      reorder_quantity,
+      is_active,
+      createdBy
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Update product
+   */
+  static async update(productId, updates) {
+    const fields = Object.keys(updates).filter(key => UPDATABLE_FIELDS.includes(key));
+
+    if (fields.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    const setClauses = fields.map((field, index) => `${field} = $${index + 2}`).join(', ');
+    const values = [productId, ...fields.map(field => updates[field])];
+
+    const query = `
+      UPDATE products
+      SET ${setClauses}
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await pgPool.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete product (soft delete by setting is_active = false)
+   * Order items and stock movements keep referencing the row
+   */
+  static async delete(productId) {
+    const query = `
+      UPDATE products
+      SET is_active = false
+      WHERE id = $1
+      RETURNING id
+    `;
+
+    const result = await pgPool.query(query, [productId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get distinct product categories
+   */
+  static async getCategories() {
+    const query = `
+      SELECT category, COUNT(*)::INTEGER as product_count
+      FROM products
+      WHERE category IS NOT NULL AND is_active = true
+      GROUP BY category
+      ORDER BY category
+    `;
+
+    const result = await pgPool.query(query);
+    return result.rows;
+  }
+}
+
+module.exports = ProductModel;
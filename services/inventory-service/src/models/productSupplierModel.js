@@ -0,0 +1,85 @@
+// services/inventory-service/src/models/productSupplierModel.js
+const { pgPool, withTransaction } = require('../config/database');
+
+/**
+ * Product Supplier Model
+ * Works with the product_suppliers link table.
+ * A product has at most one preferred supplier; reorder suggestions buy from it.
+ */
+class ProductSupplierModel {
+  /**
+   * Get the suppliers of a product, preferred first
+   */
+  static async findByProduct(productId) {
+    const query = `
+      SELECT
+        ps.*,
+        s.name as supplier_name,
+        s.email as supplier_email,
+        s.is_active as supplier_active
+      FROM product_suppliers ps
+      JOIN suppliers s ON ps.supplier_id = s.id
+      WHERE ps.product_id = $1
+      ORDER BY ps.is_preferred DESC, s.name
+    `;
+
+    const result = await pgPool.query(query, [productId]);
+    return result.rows;
+  }
+
+  /**
+   * Create or update the link between a product and a supplier
+   * Marking a supplier preferred clears the flag on the product's other suppliers.
+   * @param {Object} data - { supplier_sku?, unit_cost?, lead_time_days?, is_preferred? }
+   */
+  static async upsert(productId, supplierId, data) {
+    return withTransaction(async (client) => {
+      if (data.is_preferred) {
+        await client.query(
+          'UPDATE product_suppliers SET is_preferred = false WHERE product_id = $1 AND supplier_id <> $2 AND is_preferred',
+          [productId, supplierId]
+        );
+      }
+
+      const query = `
+        INSERT INTO product_suppliers (
+          product_id, supplier_id, supplier_sku, unit_cost, lead_time_days, is_preferred
+        )
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (product_id, supplier_id) DO UPDATE
+        SET supplier_sku = EXCLUDED.supplier_sku,
+            unit_cost = EXCLUDED.unit_cost,
+            lead_time_days = EXCLUDED.lead_time_days,
+            is_preferred = EXCLUDED.is_preferred
+        RETURNING *
+      `;
+
+      const result = await client.query(query, [
+        productId,
+        supplierId,
+        data.supplier_sku || null,
+        data.unit_cost === undefined ? null : data.unit_cost,
+        data.lead_time_days === undefined ? null : data.lead_time_days,
+        data.is_preferred || false
+      ]);
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Remove the link between a product and a supplier
+   * @returns {Promise<boolean>} false when there was no link
+   */
+  static async remove(productId, supplierId) {
+    const query = `
+      DELETE FROM product_suppliers
+      WHERE product_id = $1 AND supplier_id = $2
+      RETURNING id
+    `;
+
+    const result = await pgPool.query(query, [productId, supplierId]);
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = ProductSupplierModel;
@@ -0,0 +1,271 @@
+// services/inventory-service/src/models/purchaseOrderModel.js
+const { pgPool } = require('../config/database');
+
+/**
+ * Purchase order statuses that still expect goods
+ */
+const OPEN_STATUSES = ['draft', 'approved', 'partially_received'];
+
+/**
+ * Purchase Order Model
+ * Works with the purchase_orders and purchase_order_items tables.
+ * po_number is assigned by the generate_po_number() trigger.
+ */
+class PurchaseOrderModel {
+  /**
+   * Get a purchase order with supplier, warehouse and line items
+   * @param {Object} [db] - Transaction client, defaults to the pool
+   */
+  static async findById(purchaseOrderId, db = pgPool) {
+    const query = `
+      SELECT
+        po.*,
+        s.name as supplier_name,
+        w.code as warehouse_code,
+        w.name as warehouse_name
+      FROM purchase_orders po
+      JOIN suppliers s ON po.supplier_id = s.id
+      JOIN warehouses w ON po.warehouse_id = w.id
+      WHERE po.id = $1
+    `;
+
+    const result = await db.query(query, [purchaseOrderId]);
+    const purchaseOrder = result.rows[0];
+
+    if (!purchaseOrder) {
+      return null;
+    }
+
+    purchaseOrder.items = await PurchaseOrderModel.findItems(purchaseOrderId, db);
+    return purchaseOrder;
+  }
+
+  /**
+   * Get the line items of a purchase order
+   */
+  static async findItems(purchaseOrderId, db = pgPool) {
+    const query = `
+      SELECT
+        poi.*,
+        p.sku,
+        p.name as product_name
+      FROM purchase_order_items poi
+      JOIN products p ON poi.product_id = p.id
+      WHERE poi.purchase_order_id = $1
+      ORDER BY p.sku
+    `;
+
+    const result = await db.query(query, [purchaseOrderId]);
+    return result.rows;
+  }
+
+  /**
+   * Get purchase orders with pagination and filters, newest first
+   */
+  static async findAll(options = {}) {
+    const {
+      limit = 20,
+      offset = 0,
+      status = null,
+      supplierId = null,
+      warehouseId = null
+    } = options;
+
+    const params = [];
+    const whereConditions = [];
+
+    const filters = [
+      ['po.status', status],
+      ['po.supplier_id', supplierId],
+      ['po.warehouse_id', warehouseId]
+    ];
+
+    filters.forEach(([column, value]) => {
+      if (value) {
+        params.push(value);
+        whereConditions.push(`${column} = $${params.length}`);
+      }
+    });
+
+    const whereClause = whereConditions.length > 0
+      ? `WHERE ${whereConditions.join(' AND ')}`
+      : '';
+
+    const countResult = await pgPool.query(
+      `SELECT COUNT(*) FROM purchase_orders po ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const dataQuery = `
+      SELECT
+        po.*,
+        s.name as supplier_name,
+        w.name as warehouse_name,
+        (SELECT COUNT(*)::INTEGER FROM purchase_order_items poi WHERE poi.purchase_order_id = po.id) as item_count
+      FROM purchase_orders po
+      JOIN suppliers s ON po.supplier_id = s.id
+      JOIN warehouses w ON po.warehouse_id = w.id
+      ${whereClause}
+      ORDER BY po.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+
+    const dataResult = await pgPool.query(dataQuery, [...params, limit, offset]);
+
+    return {
+      purchaseOrders: dataResult.rows,
+      total
+    };
+  }
+
+  /**
+   * Low stock alerts with the preferred supplier of each product and the
+   * quantity already on order for the same warehouse
+   * @param {Object} db - Pool or transaction client
+   */
+  static async getReorderCandidates(db) {
+    const query = `
+      SELECT
+        a.product_id,
+        a.sku,
+        a.name as product_name,
+        a.warehouse_id,
+        a.warehouse_name,
+        a.available_quantity,
+        a.reorder_point,
+        a.reorder_quantity,
+        a.alert_level,
+        ps.supplier_id,
+        ps.supplier_name,
+        ps.lead_time_days,
+        COALESCE(ps.unit_cost, p.cost_price, 0) as unit_cost,
+        COALESCE(open_po.outstanding, 0)::INTEGER as on_order
+      FROM inventory_alerts a
+      JOIN products p ON a.product_id = p.id
+      LEFT JOIN (
+        SELECT ps.product_id, ps.supplier_id, ps.unit_cost, ps.lead_time_days, s.name as supplier_name
+        FROM product_suppliers ps
+        JOIN suppliers s ON ps.supplier_id = s.id AND s.is_active
+        WHERE ps.is_preferred
+      ) ps ON ps.product_id = a.product_id
+      LEFT JOIN (
+        SELECT po.warehouse_id, poi.product_id, SUM(poi.quantity_ordered - poi.quantity_received) as outstanding
+        FROM purchase_order_items poi
+        JOIN purchase_orders po ON poi.purchase_order_id = po.id
+        WHERE po.status = ANY($1)
+        GROUP BY po.warehouse_id, poi.product_id
+      ) open_po ON open_po.product_id = a.product_id AND open_po.warehouse_id = a.warehouse_id
+      ORDER BY ps.supplier_name NULLS LAST, a.warehouse_id, a.sku
+    `;
+
+    const result = await db.query(query, [OPEN_STATUSES]);
+    return result.rows;
+  }
+
+  /**
+   * Insert a draft purchase order and its items inside the caller's transaction
+   * @param {Object} client - Transaction client
+   * @param {Object} purchaseOrder - { supplierId, warehouseId, notes?, createdBy? }
+   * @param {Array} items - [{ product_id, quantity_ordered, unit_cost }]
+   */
+  static async create(client, purchaseOrder, items) {
+    const { supplierId, warehouseId, notes, createdBy } = purchaseOrder;
+
+    const totalAmount = items.reduce(
+      (sum, item) => sum + Math.round(item.quantity_ordered * Number(item.unit_cost) * 100),
+      0
+    ) / 100;
+
+    // po_number is overwritten by the set_po_number trigger
+    const poQuery = `
+      INSERT INTO purchase_orders (po_number, supplier_id, warehouse_id, status, total_amount, notes, created_by)
+      VALUES ('', $1, $2, 'draft', $3, $4, $5)
+      RETURNING *
+    `;
+
+    const poResult = await client.query(poQuery, [
+      supplierId,
+      warehouseId,
+      totalAmount,
+      notes || null,
+      createdBy || null
+    ]);
+    const created = poResult.rows[0];
+
+    const itemQuery = `
+      INSERT INTO purchase_order_items (purchase_order_id, product_id, quantity_ordered, unit_cost)
+      VALUES ($1, $2, $3, $4)
+    `;
+
+    for (const item of items) {
+      await client.query(itemQuery, [created.id, item.product_id, item.quantity_ordered, item.unit_cost]);
+    }
+
+    return created;
+  }
+
+  /**
+   * Lock a purchase order row for the rest of the transaction
+   */
+  static async lockById(client, purchaseOrderId) {
+    const query = `SELECT * FROM purchase_orders WHERE id = $1 FOR UPDATE`;
+    const result = await client.query(query, [purchaseOrderId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Set status, stamping the matching timestamp column if any
+   * @param {string|null} timestampColumn - e.g. approved_at
+   * @param {string|null} approvedBy - Stored when approving
+   */
+  static async updateStatus(client, purchaseOrderId, status, timestampColumn = null, approvedBy = null) {
+    const stamp = timestampColumn ? `, ${timestampColumn} = CURRENT_TIMESTAMP` : '';
+
+    const query = `
+      UPDATE purchase_orders
+      SET status = $2,
+          approved_by = COALESCE($3, approved_by)${stamp}
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [purchaseOrderId, status, approvedBy]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Append to the notes of a purchase order
+   */
+  static async appendNote(client, purchaseOrderId, note) {
+    const query = `
+      UPDATE purchase_orders
+      SET notes = CONCAT_WS(E'\\n', notes, $2::TEXT)
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [purchaseOrderId, note]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Add received units to a line
+   * Receiving more than was ordered violates purchase_order_items_check (23514)
+   */
+  static async addReceived(client, itemId, quantity) {
+    const query = `
+      UPDATE purchase_order_items
+      SET quantity_received = quantity_received + $2
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [itemId, quantity]);
+    return result.rows[0] || null;
+  }
+}
+
+PurchaseOrderModel.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = PurchaseOrderModel;
@@ -0,0 +1,271 @@
+// services/inventory-service/src/models/stockLevelModel.js
+const { pgPool } = require('../config/database');
+
+const SORTABLE_FIELDS = ['last_updated', 'quantity', 'available_quantity', 'reserved_quantity'];
+
+/**
+ * Stock Level Model
+ * Works with stock_levels and the inventory_alerts view
+ * Write helpers take a transaction client so callers control locking
+ */
+class StockLevelModel {
+  /**
+   * Get stock levels with product and warehouse details
+   */
+  static async findAll(options = {}) {
+    const {
+      limit = 20,
+      offset = 0,
+      productId = null,
+      warehouseId = null,
+      lowStock = false,
+      sortBy = 'last_updated',
+      sortOrder = 'DESC'
+    } = options;
+
+    const params = [];
+    const whereConditions = [];
+
+    if (productId) {
+      params.push(productId);
+      whereConditions.push(`sl.product_id = $${params.length}`);
+    }
+
+    if (warehouseId) {
+      params.push(warehouseId);
+      whereConditions.push(`sl.warehouse_id = $${params.length}`);
+    }
+
+    if (lowStock) {
+      whereConditions.push('sl.available_quantity <= p.reorder_point');
+    }
+
+    const whereClause = whereConditions.length > 0
+      ? `WHERE ${whereConditions.join(' AND ')}`
+      : '';
+
+    const orderColumn = SORTABLE_FIELDS.includes(sortBy) ? sortBy : 'last_updated';
+    const orderDirection = sortOrder === 'ASC' ? 'ASC' : 'DESC';
+
+    const countResult = await pgPool.query(
+      `
+      SELECT COUNT(*)
+      FROM stock_levels sl
+      JOIN products p ON sl.product_id = p.id
+      ${whereClause}
+      `,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const dataQuery = `
+      SELECT
+        sl.*,
+        p.sku,
+        p.name as product_name,
+        p.reorder_point,
+        w.code as warehouse_code,
+        w.name as warehouse_name
+      FROM stock_levels sl
+      JOIN products p ON sl.product_id = p.id
+      JOIN warehouses w ON sl.warehouse_id = w.id
+      ${whereClause}
+      ORDER BY sl.${orderColumn} ${orderDirection}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+
+    const dataResult = await pgPool.query(dataQuery, [...params, limit, offset]);
+
+    return {
+      stockLevels: dataResult.rows,
+      total
+    };
+  }
+
+  /**
+   * Get stock level for a product in a specific warehouse
+   */
+  static async findByProductAndWarehouse(productId, warehouseId) {
+    const query = `
+      SELECT sl.*, w.code as warehouse_code, w.name as warehouse_name
+      FROM stock_levels sl
+      JOIN warehouses w ON sl.warehouse_id = w.id
+      WHERE sl.product_id = $1 AND sl.warehouse_id = $2
+    `;
+
+    const result = await pgPool.query(query, [productId, warehouseId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get per-warehouse stock breakdown for a product
+   */
+  static async findByProduct(productId) {
+    const query = `
+      SELECT sl.*, w.code as warehouse_code, w.name as warehouse_name
+      FROM stock_levels sl
+      JOIN warehouses w ON sl.warehouse_id = w.id
+      WHERE sl.product_id = $1
+      ORDER BY w.code
+    `;
+
+    const result = await pgPool.query(query, [productId]);
+    return result.rows;
+  }
+
+  /**
+   * Get stock levels for a set of product / warehouse pairs with product details
+   * @param {Array} locations - [{ productId, warehouseId }]
+   */
+  static async findByLocations(locations) {
+    const query = `
+      SELECT
+        sl.product_id,
+        p.sku,
+        p.name as product_name,
+        sl.warehouse_id,
+        w.name as warehouse_name,
+        sl.quantity,
+        sl.reserved_quantity,
+        sl.available_quantity,
+        p.reorder_point,
+        sl.available_quantity <= p.reorder_point as is_low_stock
+      FROM unnest($1::uuid[], $2::int[]) as l(product_id, warehouse_id)
+      JOIN stock_levels sl ON sl.product_id = l.product_id AND sl.warehouse_id = l.warehouse_id
+      JOIN products p ON sl.product_id = p.id
+      JOIN warehouses w ON sl.warehouse_id = w.id
+    `;
+
+    const result = await pgPool.query(query, [
+      locations.map(location => location.productId),
+      locations.map(location => location.warehouseId)
+    ]);
+    return result.rows;
+  }
+
+  /**
+   * Get low / out of stock alerts from the inventory_alerts view
+   */
+  static async getAlerts(alertLevel = null) {
+    const params = [];
+    let whereClause = '';
+
+    if (alertLevel) {
+      params.push(alertLevel);
+      whereClause = 'WHERE alert_level = $1';
+    }
+
+    const query = `
+      SELECT *
+      FROM inventory_alerts
+      ${whereClause}
+      ORDER BY available_quantity ASC, name ASC
+    `;
+
+    const result = await pgPool.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Lock a stock level row for the rest of the transaction
+   * Returns null when the product has never been stocked in the warehouse
+   */
+  static async lockForUpdate(client, productId, warehouseId) {
+    const query = `
+      SELECT *
+      FROM stock_levels
+      WHERE product_id = $1 AND warehouse_id = $2
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [productId, warehouseId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Add stock, creating the row on first receipt into a warehouse
+   */
+  static async increaseQuantity(client, productId, warehouseId, amount) {
+    const query = `
+      INSERT INTO stock_levels (product_id, warehouse_id, quantity, last_updated)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+      ON CONFLICT (product_id, warehouse_id) DO UPDATE
+      SET quantity = stock_levels.quantity + EXCLUDED.quantity,
+          last_updated = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [productId, warehouseId, amount]);
+    return result.rows[0];
+  }
+
+  /**
+   * Remove stock from an existing row
+   * Going below zero violates stock_levels_quantity_check (23514)
+   */
+  static async decreaseQuantity(client, productId, warehouseId, amount) {
+    const query = `
+      UPDATE stock_levels
+      SET quantity = quantity - $3,
+          last_updated = CURRENT_TIMESTAMP
+      WHERE product_id = $1 AND warehouse_id = $2
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [productId, warehouseId, amount]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Lock every stock row of a product, in warehouse order, for allocation
+   */
+  static async lockProductRows(client, productId) {
+    const query = `
+      SELECT sl.*, w.is_active as warehouse_active
+      FROM stock_levels sl
+      JOIN warehouses w ON sl.warehouse_id = w.id
+      WHERE sl.product_id = $1
+      ORDER BY sl.warehouse_id
+      FOR UPDATE OF sl
+    `;
+
+    const result = await client.query(query, [productId]);
+    return result.rows;
+  }
+
+  /**
+   * Move units between quantity and reserved_quantity
+   * A positive amount reserves, a negative amount releases
+   */
+  static async changeReserved(client, productId, warehouseId, amount) {
+    const query = `
+      UPDATE stock_levels
+      SET reserved_quantity = reserved_quantity + $3,
+          last_updated = CURRENT_TIMESTAMP
+      WHERE product_id = $1 AND warehouse_id = $2
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [productId, warehouseId, amount]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Ship previously reserved units: reduces quantity and reserved_quantity together
+   */
+  static async consumeReserved(client, productId, warehouseId, amount) {
+    const query = `
+      UPDATE stock_levels
+      SET quantity = quantity - $3,
+          reserved_quantity = reserved_quantity - $3,
+          last_updated = CURRENT_TIMESTAMP
+      WHERE product_id = $1 AND warehouse_id = $2
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [productId, warehouseId, amount]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = StockLevelModel;
@@ -0,0 +1,153 @@
+// services/inventory-service/src/models/stockMovementModel.js
+const { pgPool } = require('../config/database');
+
+const MOVEMENT_TYPES = ['IN', 'OUT', 'TRANSFER', 'ADJUSTMENT'];
+
+const REFERENCE_TYPES = ['ORDER', 'PURCHASE', 'ADJUSTMENT', 'TRANSFER'];
+
+/**
+ * Stock Movement Model
+ * Append-only ledger over the stock_movements table.
+ * quantity is stored signed (positive = stock in, negative = stock out) so
+ * SUM(quantity) per product and warehouse always equals stock_levels.quantity.
+ */
+class StockMovementModel {
+  /**
+   * Get movement by ID
+   */
+  static async findById(movementId) {
+    const query = `
+      SELECT
+        sm.*,
+        p.sku,
+        p.name as product_name,
+        w.code as warehouse_code,
+        w.name as warehouse_name
+      FROM stock_movements sm
+      JOIN products p ON sm.product_id = p.id
+      JOIN warehouses w ON sm.warehouse_id = w.id
+      WHERE sm.id = $1
+    `;
+
+    const result = await pgPool.query(query, [movementId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get movements with pagination and filters, newest first
+   */
+  static async findAll(options = {}) {
+    const {
+      limit = 20,
+      offset = 0,
+      productId = null,
+      warehouseId = null,
+      movementType = null,
+      referenceType = null,
+      referenceId = null,
+      startDate = null,
+      endDate = null
+    } = options;
+
+    const params = [];
+    const whereConditions = [];
+
+    const filters = [
+      ['sm.product_id', productId],
+      ['sm.warehouse_id', warehouseId],
+      ['sm.movement_type', movementType],
+      ['sm.reference_type', referenceType],
+      ['sm.reference_id', referenceId]
+    ];
+
+    filters.forEach(([column, value]) => {
+      if (value) {
+        params.push(value);
+        whereConditions.push(`${column} = $${params.length}`);
+      }
+    });
+
+    if (startDate) {
+      params.push(startDate);
+      whereConditions.push(`sm.created_at >= $${params.length}`);
+    }
+
+    if (endDate) {
+      params.push(endDate);
+      whereConditions.push(`sm.created_at <= $${params.length}`);
+    }
+
+    const whereClause = whereConditions.length > 0
+      ? `WHERE ${whereConditions.join(' AND ')}`
+      : '';
+
+    const countResult = await pgPool.query(
+      `SELECT COUNT(*) FROM stock_movements sm ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const dataQuery = `
+      SELECT
+        sm.*,
+        p.sku,
+        p.name as product_name,
+        w.code as warehouse_code
+      FROM stock_movements sm
+      JOIN products p ON sm.product_id = p.id
+      JOIN warehouses w ON sm.warehouse_id = w.id
+      ${whereClause}
+      ORDER BY sm.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+
+    const dataResult = await pgPool.query(dataQuery, [...params, limit, offset]);
+
+    return {
+      movements: dataResult.rows,
+      total
+    };
+  }
+
+  /**
+   * Insert a ledger entry inside the caller's transaction
+   */
+  static async create(client, movement) {
+    const {
+      productId,
+      warehouseId,
+      movementType,
+      quantity,
+      referenceType,
+      referenceId,
+      notes,
+      createdBy
+    } = movement;
+
+    const query = `
+      INSERT INTO stock_movements (
+        product_id, warehouse_id, movement_type, quantity,
+        reference_type, reference_id, notes, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      productId,
+      warehouseId,
+      movementType,
+      quantity,
+      referenceType || null,
+      referenceId || null,
+      notes || null,
+      createdBy || null
+    ]);
+    return result.rows[0];
+  }
+}
+
+StockMovementModel.MOVEMENT_TYPES = MOVEMENT_TYPES;
+StockMovementModel.REFERENCE_TYPES = REFERENCE_TYPES;
+
+module.exports = StockMovementModel;
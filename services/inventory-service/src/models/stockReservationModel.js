@@ -0,0 +1,123 @@
+// services/inventory-service/src/models/stockReservationModel.js
+const { pgPool } = require('../config/database');
+
+/**
+ * Stock Reservation Model
+ * Works with the stock_reservations table.
+ * Status: active, committed, released, expired, returned
+ */
+class StockReservationModel {
+  /**
+   * Get all reservations for an order
+   */
+  static async findByOrder(orderId) {
+    const query = `
+      SELECT
+        sr.*,
+        p.sku,
+        p.name as product_name,
+        w.code as warehouse_code
+      FROM stock_reservations sr
+      JOIN products p ON sr.product_id = p.id
+      JOIN warehouses w ON sr.warehouse_id = w.id
+      WHERE sr.order_id = $1
+      ORDER BY sr.created_at, p.sku
+    `;
+
+    const result = await pgPool.query(query, [orderId]);
+    return result.rows;
+  }
+
+  /**
+   * Insert a reservation inside the caller's transaction
+   */
+  static async create(client, reservation) {
+    const { orderId, productId, warehouseId, quantity, ttlSeconds, createdBy } = reservation;
+
+    const query = `
+      INSERT INTO stock_reservations (
+        order_id, product_id, warehouse_id, quantity, status, expires_at, created_by
+      )
+      VALUES ($1, $2, $3, $4, 'active', CURRENT_TIMESTAMP + ($5 * INTERVAL '1 second'), $6)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      orderId,
+      productId,
+      warehouseId,
+      quantity,
+      ttlSeconds,
+      createdBy || null
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Lock the active reservations of an order
+   * is_expired is computed in SQL to avoid client/server clock drift
+   */
+  static async lockActiveByOrder(client, orderId) {
+    const query = `
+      SELECT *, expires_at <= CURRENT_TIMESTAMP as is_expired
+      FROM stock_reservations
+      WHERE order_id = $1 AND status = 'active'
+      ORDER BY product_id, warehouse_id
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [orderId]);
+    return result.rows;
+  }
+
+  /**
+   * Lock the committed reservations of an order
+   */
+  static async lockCommittedByOrder(client, orderId) {
+    const query = `
+      SELECT *
+      FROM stock_reservations
+      WHERE order_id = $1 AND status = 'committed'
+      ORDER BY product_id, warehouse_id
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [orderId]);
+    return result.rows;
+  }
+
+  /**
+   * Lock a batch of active reservations whose TTL has passed
+   * SKIP LOCKED lets several service instances sweep concurrently
+   */
+  static async lockExpired(client, batchSize = 100) {
+    const query = `
+      SELECT *
+      FROM stock_reservations
+      WHERE status = 'active' AND expires_at <= CURRENT_TIMESTAMP
+      ORDER BY product_id, warehouse_id
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    `;
+
+    const result = await client.query(query, [batchSize]);
+    return result.rows;
+  }
+
+  /**
+   * Set the status of a set of reservations
+   */
+  static async updateStatus(client, reservationIds, status) {
+    const query = `
+      UPDATE stock_reservations
+      SET status = $2
+      WHERE id = ANY($1::uuid[])
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [reservationIds, status]);
+    return result.rows;
+  }
+}
+
+module.exports = StockReservationModel;
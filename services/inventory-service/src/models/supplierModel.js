@@ -0,0 +1,144 @@
+// services/inventory-service/src/models/supplierModel.js
+const { pgPool } = require('../config/database');
+
+const UPDATABLE_FIELDS = ['name', 'contact_person', 'email', 'phone', 'address', 'is_active'];
+
+const SORTABLE_FIELDS = ['created_at', 'name'];
+
+/**
+ * Supplier Model
+ * Works with existing suppliers table from global schema
+ */
+class SupplierModel {
+  /**
+   * Get supplier by ID
+   */
+  static async findById(supplierId) {
+    const query = `SELECT * FROM suppliers WHERE id = $1`;
+    const result = await pgPool.query(query, [supplierId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get all suppliers with pagination and filters
+   */
+  static async findAll(options = {}) {
+    const {
+      limit = 20,
+      offset = 0,
+      search = '',
+      isActive = null,
+      sortBy = 'created_at',
+      sortOrder = 'DESC'
+    } = options;
+
+    const params = [];
+    const whereConditions = [];
+
+    if (search) {
+      params.push(`%${search}%`);
+      whereConditions.push(`(
+        s.name ILIKE $${params.length} OR
+        s.contact_person ILIKE $${params.length} OR
+        s.email ILIKE $${params.length}
+      )`);
+    }
+
+    if (isActive !== null) {
+      params.push(isActive);
+      whereConditions.push(`s.is_active = $${params.length}`);
+    }
+
+    const whereClause = whereConditions.length > 0
+      ? `WHERE ${whereConditions.join(' AND ')}`
+      : '';
+
+    const orderColumn = SORTABLE_FIELDS.includes(sortBy) ? sortBy : 'created_at';
+    const orderDirection = sortOrder === 'ASC' ? 'ASC' : 'DESC';
+
+    const countResult = await pgPool.query(
+      `SELECT COUNT(*) FROM suppliers s ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const dataQuery = `
+      SELECT s.*
+      FROM suppliers s
+      ${whereClause}
+      ORDER BY s.${orderColumn} ${orderDirection}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+
+    const dataResult = await pgPool.query(dataQuery, [...params, limit, offset]);
+
+    return {
+      suppliers: dataResult.rows,
+      total
+    };
+  }
+
+  /**
+   * Create new supplier
+   */
+  static async create(supplierData) {
+    const { name, contact_person, email, phone, address, is_active } = supplierData;
+
+    const query = `
+      INSERT INTO suppliers (name, contact_person, email, phone, address, is_active)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const result = await pgPool.query(query, [
+      name,
+      contact_person || null,
+      email || null,
+      phone || null,
+      address || null,
+      is_active
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Update supplier
+   */
+  static async update(supplierId, updates) {
+    const fields = Object.keys(updates).filter(key => UPDATABLE_FIELDS.includes(key));
+
+    if (fields.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    const setClauses = fields.map((field, index) => `${field} = $${index + 2}`).join(', ');
+    const values = [supplierId, ...fields.map(field => updates[field])];
+
+    const query = `
+      UPDATE suppliers
+      SET ${setClauses}
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await pgPool.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete supplier (soft delete by setting is_active = false)
+   */
+  static async delete(supplierId) {
+    const query = `
+      UPDATE suppliers
+      SET is_active = false
+      WHERE id = $1
+      RETURNING id
+    `;
+
+    const result = await pgPool.query(query, [supplierId]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = SupplierModel;
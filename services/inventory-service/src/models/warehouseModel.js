@@ -0,0 +1,166 @@
+// services/inventory-service/src/models/warehouseModel.js
+const { pgPool } = require('../config/database');
+
+const UPDATABLE_FIELDS = ['name', 'code', 'location', 'capacity', 'manager_id', 'is_active'];
+
+const SORTABLE_FIELDS = ['created_at', 'name', 'code', 'capacity'];
+
+/**
+ * Warehouse Model
+ * Works with existing warehouses table from global schema
+ */
+class WarehouseModel {
+  /**
+   * Get warehouse by ID, including stock utilisation
+   */
+  static async findById(warehouseId) {
+    const query = `
+      SELECT
+        w.*,
+        COUNT(sl.id)::INTEGER as product_count,
+        COALESCE(SUM(sl.quantity), 0)::INTEGER as total_quantity,
+        COALESCE(SUM(sl.reserved_quantity), 0)::INTEGER as total_reserved
+      FROM warehouses w
+      LEFT JOIN stock_levels sl ON w.id = sl.warehouse_id
+      WHERE w.id = $1
+      GROUP BY w.id
+    `;
+
+    const result = await pgPool.query(query, [warehouseId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get all warehouses with pagination and filters
+   * accessFilter(params) returns a WHERE condition on warehouses w limiting the rows returned
+   */
+  static async findAll(options = {}) {
+    const {
+      limit = 20,
+      offset = 0,
+      search = '',
+      isActive = null,
+      sortBy = 'created_at',
+      sortOrder = 'DESC',
+      accessFilter = null
+    } = options;
+
+    const params = [];
+    const whereConditions = [];
+
+    if (accessFilter) {
+      whereConditions.push(accessFilter(params));
+    }
+
+    if (search) {
+      params.push(`%${search}%`);
+      whereConditions.push(`(
+        w.name ILIKE $${params.length} OR
+        w.code ILIKE $${params.length} OR
+        w.location ILIKE $${params.length}
+      )`);
+    }
+
+    if (isActive !== null) {
+      params.push(isActive);
+      whereConditions.push(`w.is_active = $${params.length}`);
+    }
+
+    const whereClause = whereConditions.length > 0
+      ? `WHERE ${whereConditions.join(' AND ')}`
+      : '';
+
+    const orderColumn = SORTABLE_FIELDS.includes(sortBy) ? sortBy : 'created_at';
+    const orderDirection = sortOrder === 'ASC' ? 'ASC' : 'DESC';
+
+    const countResult = await pgPool.query(
+      `SELECT COUNT(*) FROM warehouses w ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const dataQuery = `
+      SELECT
+        w.*,
+        COUNT(sl.id)::INTEGER as product_count,
+        COALESCE(SUM(sl.quantity), 0)::INTEGER as total_quantity
+      FROM warehouses w
+      LEFT JOIN stock_levels sl ON w.id = sl.warehouse_id
+      ${whereClause}
+      GROUP BY w.id
+      ORDER BY w.${orderColumn} ${orderDirection}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+
+    const dataResult = await pgPool.query(dataQuery, [...params, limit, offset]);
+
+    return {
+      warehouses: dataResult.rows,
+      total
+    };
+  }
+
+  /**
+   * Create new warehouse
+   */
+  static async create(warehouseData) {
+    const { name, code, location, capacity, manager_id, is_active } = warehouseData;
+
+    const query = `
+      INSERT INTO warehouses (name, code, location, capacity, manager_id, is_active)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const result = await pgPool.query(query, [
+      name,
+      code,
+      location || null,
+      capacity ?? null,
+      manager_id || null,
+      is_active
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Update warehouse
+   */
+  static async update(warehouseId, updates) {
+    const fields = Object.keys(updates).filter(key => UPDATABLE_FIELDS.includes(key));
+
+    if (fields.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    const setClauses = fields.map((field, index) => `${field} = $${index + 2}`).join(', ');
+    const values = [warehouseId, ...fields.map(field => updates[field])];
+
+    const query = `
+      UPDATE warehouses
+      SET ${setClauses}
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await pgPool.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete warehouse (soft delete by setting is_active = false)
+   */
+  static async delete(warehouseId) {
+    const query = `
+      UPDATE warehouses
+      SET is_active = false
+      WHERE id = $1
+      RETURNING id
+    `;
+
+    const result = await pgPool.query(query, [warehouseId]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = WarehouseModel;
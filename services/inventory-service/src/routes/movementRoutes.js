@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const StockMovementController = require('../controllers/stockMovementController');
+const { authenticate } = require('../middleware/auth');
+const { validateCreateMovement } = require('../middleware/validation');
+const { canAdjustMovementStock } = require('../services/warehouseAccess');
+
+/**
+ * Stock Movement Routes
+ * Base path: /api/inventory/movements
+ */
+
+router.get('/', authenticate, StockMovementController.getMovements);
+router.get('/:id', authenticate, StockMovementController.getMovementById);
+
+// Posting movements changes stock levels - admins anywhere, managers in the warehouses they manage
+router.post('/', authenticate, validateCreateMovement, canAdjustMovementStock, StockMovementController.createMovement);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const ProductController = require('../controllers/productController');
+const ProductSupplierController = require('../controllers/productSupplierController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateCreateProduct, validateUpdateProduct, validateLinkSupplier } = require('../middleware/validation');
+
+/**
+ * Product Routes
+ * Base path: /api/inventory/products
+ */
+
+// Read access for any authenticated user
+router.get('/', authenticate, ProductController.getAllProducts);
+router.get('/categories', authenticate, ProductController.getCategories);
+router.get('/:id', authenticate, ProductController.getProductById);
+router.get('/:id/stock', authenticate, ProductController.getProductStock);
+router.get('/:id/suppliers', authenticate, ProductSupplierController.getProductSuppliers);
+
+// Catalogue management - require manager role or above
+router.post('/', authenticate, authorize('super_admin', 'admin', 'manager'), validateCreateProduct, ProductController.createProduct);
+router.put('/:id', authenticate, authorize('super_admin', 'admin', 'manager'), validateUpdateProduct, ProductController.updateProduct);
+router.delete('/:id', authenticate, authorize('super_admin', 'admin'), ProductController.deleteProduct);
+router.put('/:id/suppliers/:supplierId', authenticate, authorize('super_admin', 'admin', 'manager'), validateLinkSupplier, ProductSupplierController.linkSupplier);
+router.delete('/:id/suppliers/:supplierId', authenticate, authorize('super_admin', 'admin', 'manager'), ProductSupplierController.unlinkSupplier);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const PurchaseOrderController = require('../controllers/purchaseOrderController');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  validateGeneratePurchaseOrders,
+  validateReceivePurchaseOrder,
+  validateCancelPurchaseOrder
+} = require('../middleware/validation');
+
+/**
+ * Purchase Order Routes
+ * Base path: /api/inventory/purchase-orders
+ */
+
+// Reorder suggestions and draft generation - require manager role or above
+router.get('/suggestions', authenticate, authorize('super_admin', 'admin', 'manager'), PurchaseOrderController.getSuggestions);
+router.post('/generate', authenticate, authorize('super_admin', 'admin', 'manager'), validateGeneratePurchaseOrders, PurchaseOrderController.generate);
+
+// Read access for any authenticated user
+router.get('/', authenticate, PurchaseOrderController.getPurchaseOrders);
+router.get('/:id', authenticate, PurchaseOrderController.getPurchaseOrderById);
+
+router.post('/:id/approve', authenticate, authorize('super_admin', 'admin', 'manager'), PurchaseOrderController.approve);
+router.post('/:id/cancel', authenticate, authorize('super_admin', 'admin', 'manager'), validateCancelPurchaseOrder, PurchaseOrderController.cancel);
+
+// Goods receipt - employees and above
+router.post('/:id/receive', authenticate, authorize('super_admin', 'admin', 'manager', 'employee'), validateReceivePurchaseOrder, PurchaseOrderController.receive);
+
+module.exports = router;
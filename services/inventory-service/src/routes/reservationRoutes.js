@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const StockReservationController = require('../controllers/stockReservationController');
+const { authenticate, authorizeService } = require('../middleware/auth');
+const { validateReserveStock } = require('../middleware/validation');
+const { ServiceTokenClient } = require('../../../../shared/utils');
+
+/**
+ * Stock Reservation Routes
+ * Base path: /api/inventory/reservations
+ * Used by the order service to hold stock while payment is pending; besides its
+ * service credential (inventory:reserve scope) only staff may change holds by hand
+ */
+
+const orderService = (...roles) => authorizeService(ServiceTokenClient.RESERVE_SCOPE, ...roles);
+
+router.post('/', authenticate, orderService('super_admin', 'admin', 'manager'), validateReserveStock, StockReservationController.reserve);
+router.get('/order/:orderId', authenticate, orderService('super_admin', 'admin', 'manager', 'employee'), StockReservationController.getOrderReservations);
+router.post('/order/:orderId/release', authenticate, orderService('super_admin', 'admin', 'manager'), StockReservationController.release);
+router.post('/order/:orderId/commit', authenticate, orderService('super_admin', 'admin', 'manager'), StockReservationController.commit);
+router.post('/order/:orderId/return', authenticate, orderService('super_admin', 'admin', 'manager'), StockReservationController.returnStock);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const StockController = require('../controllers/stockController');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * Stock Level Routes (read-only)
+ * Base path: /api/inventory/stock
+ */
+
+router.get('/', authenticate, StockController.getStockLevels);
+router.get('/alerts', authenticate, StockController.getAlerts);
+router.get('/:productId/:warehouseId', authenticate, StockController.getStockLevel);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const SupplierController = require('../controllers/supplierController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateCreateSupplier, validateUpdateSupplier } = require('../middleware/validation');
+
+/**
+ * Supplier Routes
+ * Base path: /api/inventory/suppliers
+ */
+
+// Read access for any authenticated user
+router.get('/', authenticate, SupplierController.getAllSuppliers);
+router.get('/:id', authenticate, SupplierController.getSupplierById);
+
+// Supplier management - require manager role or above
+router.post('/', authenticate, authorize('super_admin', 'admin', 'manager'), validateCreateSupplier, SupplierController.createSupplier);
+router.put('/:id', authenticate, authorize('super_admin', 'admin', 'manager'), validateUpdateSupplier, SupplierController.updateSupplier);
+router.delete('/:id', authenticate, authorize('super_admin', 'admin'), SupplierController.deleteSupplier);
+
+module.exports = router;
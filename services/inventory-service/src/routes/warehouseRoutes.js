@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const WarehouseController = require('../controllers/warehouseController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateCreateWarehouse, validateUpdateWarehouse, validateExplainAccess } = require('../middleware/validation');
+
+/**
+ * Warehouse Routes
+ * Base path: /api/inventory/warehouses
+ */
+
+// Read access for any authenticated user
+router.get('/', authenticate, WarehouseController.getAllWarehouses);
+router.get('/:id', authenticate, WarehouseController.getWarehouseById);
+router.get('/:id/stock', authenticate, WarehouseController.getWarehouseStock);
+
+// Warehouse management - require admin role
+router.post('/', authenticate, authorize('super_admin', 'admin'), validateCreateWarehouse, WarehouseController.createWarehouse);
+router.put('/:id', authenticate, authorize('super_admin', 'admin'), validateUpdateWarehouse, WarehouseController.updateWarehouse);
+router.delete('/:id', authenticate, authorize('super_admin', 'admin'), WarehouseController.deleteWarehouse);
+
+// Dry run of the access policies (shows warehouse attributes, so admins only)
+router.post('/access/explain', authenticate, authorize('super_admin', 'admin'), validateExplainAccess, WarehouseController.explainAccess);
+
+module.exports = router;
@@ -0,0 +1,294 @@
+// services/inventory-service/src/services/purchasingService.js
+const { pgPool, withTransaction, redisHelpers } = require('../config/database');
+const PurchaseOrderModel = require('../models/purchaseOrderModel');
+const { applyMovement, translateStockError } = require('./stockMovementService');
+const { notifyStockChanged } = require('../utils/realtime');
+const { ErrorHandler } = require('../../../../shared/utils');
+const logger = require('../utils/logger');
+
+/**
+ * Allowed purchase order status transitions
+ * draft → approved → partially_received → received; cancellation only before goods arrive.
+ */
+const TRANSITIONS = {
+  draft: ['approved', 'cancelled'],
+  approved: ['partially_received', 'received', 'cancelled'],
+  partially_received: ['partially_received', 'received'],
+  received: [],
+  cancelled: []
+};
+
+const PO_STATUSES = Object.keys(TRANSITIONS);
+
+/**
+ * Timestamp column stamped when a purchase order enters a status
+ */
+const STATUS_TIMESTAMPS = {
+  approved: 'approved_at',
+  received: 'received_at',
+  cancelled: 'cancelled_at'
+};
+
+// Serialises draft generation so two concurrent runs cannot order the same shortfall twice
+const GENERATION_LOCK_KEY = 'purchase_order_generation';
+
+const assertTransition = (from, to) => {
+  if (!(TRANSITIONS[from] || []).includes(to)) {
+    const error = ErrorHandler.createError(
+      `Cannot change purchase order status from ${from} to ${to}`,
+      409,
+      'INVALID_STATUS_TRANSITION'
+    );
+    error.details = [{ field: 'status', message: error.message, allowed: TRANSITIONS[from] || [] }];
+    throw error;
+  }
+};
+
+const lockPurchaseOrder = async (client, purchaseOrderId) => {
+  const purchaseOrder = await PurchaseOrderModel.lockById(client, purchaseOrderId);
+  if (!purchaseOrder) {
+    throw ErrorHandler.createError('Purchase order not found', 404, 'PURCHASE_ORDER_NOT_FOUND');
+  }
+  return purchaseOrder;
+};
+
+/**
+ * Turn low stock alerts into order lines grouped by supplier and warehouse
+ * Each line orders products.reorder_quantity, less what is already on open
+ * purchase orders for the same warehouse. Products without an active
+ * preferred supplier are returned separately so someone can link one.
+ *
+ * @param {Object} db - Pool or transaction client
+ * @returns {Promise<Object>} { groups: [...], unassigned: [...] }
+ */
+const buildSuggestions = async (db) => {
+  const candidates = await PurchaseOrderModel.getReorderCandidates(db);
+  const groups = new Map();
+  const unassigned = [];
+
+  candidates.forEach((candidate) => {
+    const quantity = candidate.reorder_quantity - candidate.on_order;
+    if (quantity <= 0) return;
+
+    const line = {
+      product_id: candidate.product_id,
+      sku: candidate.sku,
+      product_name: candidate.product_name,
+      alert_level: candidate.alert_level,
+      available_quantity: candidate.available_quantity,
+      reorder_point: candidate.reorder_point,
+      on_order: candidate.on_order,
+      quantity_ordered: quantity,
+      unit_cost: Number(candidate.unit_cost)
+    };
+
+    if (!candidate.supplier_id) {
+      unassigned.push({ ...line, warehouse_id: candidate.warehouse_id, warehouse_name: candidate.warehouse_name });
+      return;
+    }
+
+    const key = `${candidate.supplier_id}:${candidate.warehouse_id}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        supplier_id: candidate.supplier_id,
+        supplier_name: candidate.supplier_name,
+        warehouse_id: candidate.warehouse_id,
+        warehouse_name: candidate.warehouse_name,
+        lead_time_days: candidate.lead_time_days,
+        items: []
+      });
+    }
+
+    const group = groups.get(key);
+    group.items.push(line);
+    group.lead_time_days = Math.max(group.lead_time_days || 0, candidate.lead_time_days || 0);
+  });
+
+  const withTotals = [...groups.values()].map(group => ({
+    ...group,
+    total_amount: group.items.reduce(
+      (sum, item) => sum + Math.round(item.quantity_ordered * item.unit_cost * 100),
+      0
+    ) / 100
+  }));
+
+  return { groups: withTotals, unassigned };
+};
+
+/**
+ * Preview the draft purchase orders generateDrafts would create
+ */
+const getSuggestions = () => buildSuggestions(pgPool);
+
+/**
+ * Create one draft purchase order per supplier and warehouse from current alerts
+ * @param {Object} filters - { supplier_id?, warehouse_id? } - limit generation to some groups
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} { purchaseOrders, unassigned }
+ */
+const generateDrafts = async (filters, user) => {
+  return withTransaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [GENERATION_LOCK_KEY]);
+
+    const { groups, unassigned } = await buildSuggestions(client);
+
+    const selected = groups.filter(group =>
+      (!filters.supplier_id || group.supplier_id === filters.supplier_id)
+      && (!filters.warehouse_id || group.warehouse_id === filters.warehouse_id)
+    );
+
+    const purchaseOrders = [];
+    for (const group of selected) {
+      const created = await PurchaseOrderModel.create(client, {
+        supplierId: group.supplier_id,
+        warehouseId: group.warehouse_id,
+        notes: 'Generated from low stock alerts',
+        createdBy: user.userId
+      }, group.items);
+
+      purchaseOrders.push(await PurchaseOrderModel.findById(created.id, client));
+    }
+
+    logger.info('Draft purchase orders generated', { count: purchaseOrders.length, userId: user.userId });
+    return { purchaseOrders, unassigned };
+  });
+};
+
+/**
+ * Approve a draft purchase order
+ */
+const approvePurchaseOrder = async (purchaseOrderId, user) => {
+  return withTransaction(async (client) => {
+    const purchaseOrder = await lockPurchaseOrder(client, purchaseOrderId);
+    assertTransition(purchaseOrder.status, 'approved');
+
+    await PurchaseOrderModel.updateStatus(client, purchaseOrderId, 'approved', STATUS_TIMESTAMPS.approved, user.userId);
+    return PurchaseOrderModel.findById(purchaseOrderId, client);
+  });
+};
+
+/**
+ * Cancel a purchase order before any goods have been received
+ */
+const cancelPurchaseOrder = async (purchaseOrderId, reason = null) => {
+  return withTransaction(async (client) => {
+    const purchaseOrder = await lockPurchaseOrder(client, purchaseOrderId);
+    assertTransition(purchaseOrder.status, 'cancelled');
+
+    if (reason) {
+      await PurchaseOrderModel.appendNote(client, purchaseOrderId, `Cancelled: ${reason}`);
+    }
+
+    await PurchaseOrderModel.updateStatus(client, purchaseOrderId, 'cancelled', STATUS_TIMESTAMPS.cancelled);
+    return PurchaseOrderModel.findById(purchaseOrderId, client);
+  });
+};
+
+/**
+ * Receive goods against an approved purchase order
+ * Every received line posts an IN movement (reference PURCHASE) to the
+ * destination warehouse in the same transaction that records the receipt.
+ *
+ * @param {string} purchaseOrderId
+ * @param {Array} [items] - [{ product_id, quantity }] - defaults to everything outstanding
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} { purchaseOrder, movements }
+ */
+const receivePurchaseOrder = async (purchaseOrderId, items, user) => {
+  try {
+    const result = await withTransaction(async (client) => {
+      const purchaseOrder = await lockPurchaseOrder(client, purchaseOrderId);
+
+      if (!['approved', 'partially_received'].includes(purchaseOrder.status)) {
+        throw ErrorHandler.createError(
+          `Cannot receive goods for a ${purchaseOrder.status} purchase order`,
+          409,
+          'PURCHASE_ORDER_NOT_RECEIVABLE'
+        );
+      }
+
+      const lines = await PurchaseOrderModel.findItems(purchaseOrderId, client);
+      const receipts = items
+        ? items.map((item, index) => {
+          const line = lines.find(l => l.product_id === item.product_id);
+          if (!line) {
+            const error = ErrorHandler.createError(`Product ${item.product_id} is not on this purchase order`, 400, 'INVALID_PURCHASE_ORDER_ITEM');
+            error.details = [{ field: `items.${index}.product_id`, message: error.message }];
+            throw error;
+          }
+
+          const outstanding = line.quantity_ordered - line.quantity_received;
+          if (item.quantity > outstanding) {
+            const error = ErrorHandler.createError(
+              `Only ${outstanding} unit(s) of ${line.sku} are still expected`,
+              409,
+              'RECEIPT_EXCEEDS_ORDER'
+            );
+            error.details = [{ field: `items.${index}.quantity`, message: error.message, outstanding }];
+            throw error;
+          }
+
+          return { line, quantity: item.quantity };
+        })
+        : lines
+          .filter(line => line.quantity_received < line.quantity_ordered)
+          .map(line => ({ line, quantity: line.quantity_ordered - line.quantity_received }));
+
+      if (receipts.length === 0) {
+        throw ErrorHandler.createError('Nothing left to receive on this purchase order', 409, 'NOTHING_TO_RECEIVE');
+      }
+
+      const movements = [];
+      for (const { line, quantity } of receipts) {
+        await PurchaseOrderModel.addReceived(client, line.id, quantity);
+
+        const applied = await applyMovement(client, {
+          productId: line.product_id,
+          warehouseId: purchaseOrder.warehouse_id,
+          movementType: 'IN',
+          quantity,
+          referenceType: 'PURCHASE',
+          referenceId: purchaseOrder.id,
+          notes: `Received against ${purchaseOrder.po_number}`,
+          createdBy: user.userId
+        });
+        movements.push(...applied.movements);
+      }
+
+      const updatedLines = await PurchaseOrderModel.findItems(purchaseOrderId, client);
+      const nextStatus = updatedLines.every(line => line.quantity_received >= line.quantity_ordered)
+        ? 'received'
+        : 'partially_received';
+
+      assertTransition(purchaseOrder.status, nextStatus);
+      await PurchaseOrderModel.updateStatus(client, purchaseOrderId, nextStatus, STATUS_TIMESTAMPS[nextStatus] || null);
+
+      return {
+        purchaseOrder: await PurchaseOrderModel.findById(purchaseOrderId, client),
+        movements
+      };
+    });
+
+    // Product totals are cached by ProductController
+    const productIds = [...new Set(result.movements.map(movement => movement.product_id))];
+    await Promise.all(productIds.map(id => redisHelpers.del(`product:${id}`)));
+
+    await notifyStockChanged(result.movements.map(movement => ({
+      productId: movement.product_id,
+      warehouseId: movement.warehouse_id
+    })));
+
+    return result;
+  } catch (error) {
+    throw translateStockError(error);
+  }
+};
+
+module.exports = {
+  PO_STATUSES,
+  getSuggestions,
+  generateDrafts,
+  approvePurchaseOrder,
+  cancelPurchaseOrder,
+  receivePurchaseOrder
+};
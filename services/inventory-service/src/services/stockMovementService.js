@@ -0,0 +1,205 @@
+// services/inventory-service/src/services/stockMovementService.js
+const crypto = require('crypto');
+const { withTransaction, redisHelpers } = require('../config/database');
+const StockLevelModel = require('../models/stockLevelModel');
+const StockMovementModel = require('../models/stockMovementModel');
+const { notifyStockChanged } = require('../utils/realtime');
+const { ErrorHandler } = require('../../../../shared/utils');
+
+/**
+ * Build the INSUFFICIENT_STOCK error returned instead of a raw 23514
+ */
+const insufficientStockError = (productId, warehouseId, requested = null, available = null) => {
+  const location = warehouseId ? `in warehouse ${warehouseId}` : `for product ${productId}`;
+  const message = requested === null
+    ? 'Insufficient stock to complete this movement'
+    : `Insufficient stock ${location}: requested ${requested}, available ${available}`;
+
+  const error = ErrorHandler.createError(message, 409, 'INSUFFICIENT_STOCK');
+  error.details = [{
+    field: 'quantity',
+    message,
+    product_id: productId,
+    warehouse_id: warehouseId,
+    requested,
+    available
+  }];
+  return error;
+};
+
+/**
+ * Translate stock_levels CHECK violations into INSUFFICIENT_STOCK
+ * Any other error is returned unchanged
+ */
+const translateStockError = (error, productId = null, warehouseId = null) => {
+  if (error.code === '23514' && String(error.constraint || '').startsWith('stock_levels')) {
+    return insufficientStockError(productId, warehouseId);
+  }
+  return error;
+};
+
+/**
+ * Ensure the product exists and every warehouse exists and is active
+ */
+const assertReferences = async (client, productId, warehouseIds) => {
+  const productResult = await client.query('SELECT id FROM products WHERE id = $1', [productId]);
+  if (productResult.rows.length === 0) {
+    throw ErrorHandler.createError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+  }
+
+  const warehouseResult = await client.query(
+    'SELECT id, is_active FROM warehouses WHERE id = ANY($1::int[])',
+    [warehouseIds]
+  );
+
+  warehouseIds.forEach((warehouseId) => {
+    const warehouse = warehouseResult.rows.find(row => row.id === Number(warehouseId));
+    if (!warehouse) {
+      throw ErrorHandler.createError(`Warehouse ${warehouseId} not found`, 404, 'WAREHOUSE_NOT_FOUND');
+    }
+    if (!warehouse.is_active) {
+      throw ErrorHandler.createError(`Warehouse ${warehouseId} is inactive`, 409, 'WAREHOUSE_INACTIVE');
+    }
+  });
+};
+
+/**
+ * Remove stock after checking availability on the locked row
+ * Reserved units are not available for OUT, TRANSFER or negative ADJUSTMENT
+ */
+const debit = async (client, productId, warehouseId, amount) => {
+  const level = await StockLevelModel.lockForUpdate(client, productId, warehouseId);
+  const available = level ? level.available_quantity : 0;
+
+  if (available < amount) {
+    throw insufficientStockError(productId, warehouseId, amount, available);
+  }
+
+  return StockLevelModel.decreaseQuantity(client, productId, warehouseId, amount);
+};
+
+/**
+ * Apply a movement inside an existing transaction
+ * Exposed so reservations and purchasing can post movements atomically
+ * with their own writes.
+ *
+ * @param {Object} client - Transaction client
+ * @param {Object} movement
+ * @param {string} movement.productId
+ * @param {number} movement.warehouseId - Source warehouse for OUT / TRANSFER
+ * @param {number} [movement.toWarehouseId] - Destination for TRANSFER
+ * @param {string} movement.movementType - IN, OUT, TRANSFER or ADJUSTMENT
+ * @param {number} movement.quantity - Positive, or signed delta for ADJUSTMENT
+ * @returns {Promise<Object>} { movements, stockLevels }
+ */
+const applyMovement = async (client, movement) => {
+  const {
+    productId,
+    warehouseId,
+    toWarehouseId,
+    movementType,
+    quantity,
+    referenceType,
+    referenceId,
+    notes,
+    createdBy
+  } = movement;
+
+  const ledgerEntry = { productId, movementType, referenceType, referenceId, notes, createdBy };
+
+  switch (movementType) {
+    case 'IN': {
+      await assertReferences(client, productId, [warehouseId]);
+      const level = await StockLevelModel.increaseQuantity(client, productId, warehouseId, quantity);
+      const entry = await StockMovementModel.create(client, { ...ledgerEntry, warehouseId, quantity });
+      return { movements: [entry], stockLevels: [level] };
+    }
+
+    case 'OUT': {
+      await assertReferences(client, productId, [warehouseId]);
+      const level = await debit(client, productId, warehouseId, quantity);
+      const entry = await StockMovementModel.create(client, { ...ledgerEntry, warehouseId, quantity: -quantity });
+      return { movements: [entry], stockLevels: [level] };
+    }
+
+    case 'ADJUSTMENT': {
+      await assertReferences(client, productId, [warehouseId]);
+      const level = quantity > 0
+        ? await StockLevelModel.increaseQuantity(client, productId, warehouseId, quantity)
+        : await debit(client, productId, warehouseId, -quantity);
+      const entry = await StockMovementModel.create(client, {
+        ...ledgerEntry,
+        warehouseId,
+        quantity,
+        referenceType: referenceType || 'ADJUSTMENT'
+      });
+      return { movements: [entry], stockLevels: [level] };
+    }
+
+    case 'TRANSFER': {
+      if (Number(warehouseId) === Number(toWarehouseId)) {
+        throw ErrorHandler.createError('Source and destination warehouses must differ', 400, 'INVALID_TRANSFER');
+      }
+
+      await assertReferences(client, productId, [warehouseId, toWarehouseId]);
+
+      // Lock both rows in a stable order so concurrent opposite transfers cannot deadlock
+      const [first, second] = [warehouseId, toWarehouseId].sort((a, b) => a - b);
+      await StockLevelModel.lockForUpdate(client, productId, first);
+      await StockLevelModel.lockForUpdate(client, productId, second);
+
+      const transferEntry = {
+        ...ledgerEntry,
+        referenceType: referenceType || 'TRANSFER',
+        referenceId: referenceId || crypto.randomUUID()
+      };
+
+      const source = await debit(client, productId, warehouseId, quantity);
+      const destination = await StockLevelModel.increaseQuantity(client, productId, toWarehouseId, quantity);
+
+      const outEntry = await StockMovementModel.create(client, {
+        ...transferEntry,
+        warehouseId,
+        quantity: -quantity
+      });
+      const inEntry = await StockMovementModel.create(client, {
+        ...transferEntry,
+        warehouseId: toWarehouseId,
+        quantity
+      });
+
+      return { movements: [outEntry, inEntry], stockLevels: [source, destination] };
+    }
+
+    default:
+      throw ErrorHandler.createError(`Unknown movement type: ${movementType}`, 400, 'INVALID_MOVEMENT_TYPE');
+  }
+};
+
+/**
+ * Record a movement in its own transaction
+ * The ledger entry and the stock_levels update commit or roll back together.
+ */
+const recordMovement = async (movement) => {
+  try {
+    const result = await withTransaction(client => applyMovement(client, movement));
+
+    // Product totals are cached by ProductController
+    await redisHelpers.del(`product:${movement.productId}`);
+    await notifyStockChanged(result.stockLevels.map(level => ({
+      productId: level.product_id,
+      warehouseId: level.warehouse_id
+    })));
+
+    return result;
+  } catch (error) {
+    throw translateStockError(error, movement.productId, movement.warehouseId);
+  }
+};
+
+module.exports = {
+  applyMovement,
+  recordMovement,
+  translateStockError,
+  insufficientStockError
+};
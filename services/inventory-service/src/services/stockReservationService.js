@@ -0,0 +1,298 @@
+// services/inventory-service/src/services/stockReservationService.js
+const { withTransaction, redisHelpers } = require('../config/database');
+const StockLevelModel = require('../models/stockLevelModel');
+const StockMovementModel = require('../models/stockMovementModel');
+const StockReservationModel = require('../models/stockReservationModel');
+const { insufficientStockError, translateStockError } = require('./stockMovementService');
+const { notifyStockChanged } = require('../utils/realtime');
+const { ErrorHandler, TenantContext } = require('../../../../shared/utils');
+const logger = require('../utils/logger');
+
+const DEFAULT_TTL_SECONDS = parseInt(process.env.STOCK_RESERVATION_TTL_SECONDS) || 900;
+const SWEEP_INTERVAL_MS = parseInt(process.env.STOCK_RESERVATION_SWEEP_INTERVAL_MS) || 60000;
+
+/**
+ * Merge duplicate lines and sort by product so locks are always taken
+ * in the same order, whichever order the caller listed the items in
+ */
+const normalizeItems = (items) => {
+  const merged = new Map();
+
+  items.forEach(({ productId, warehouseId = null, quantity }) => {
+    const key = `${productId}:${warehouseId || '*'}`;
+    const existing = merged.get(key);
+    merged.set(key, {
+      productId,
+      warehouseId,
+      quantity: (existing ? existing.quantity : 0) + quantity
+    });
+  });
+
+  return [...merged.values()].sort((a, b) => a.productId.localeCompare(b.productId));
+};
+
+/**
+ * Decide which warehouses an item is served from
+ * A pinned warehouse must cover the whole quantity; otherwise the item is
+ * split across active warehouses, largest available first.
+ */
+const allocate = (item, rows) => {
+  const candidates = rows
+    .filter(row => row.warehouse_active && row.available_quantity > 0)
+    .filter(row => !item.warehouseId || row.warehouse_id === Number(item.warehouseId))
+    .sort((a, b) => b.available_quantity - a.available_quantity);
+
+  const available = candidates.reduce((sum, row) => sum + row.available_quantity, 0);
+  if (available < item.quantity) {
+    throw insufficientStockError(item.productId, item.warehouseId, item.quantity, available);
+  }
+
+  const allocations = [];
+  let remaining = item.quantity;
+
+  for (const row of candidates) {
+    if (remaining === 0) break;
+    const take = Math.min(remaining, row.available_quantity);
+    allocations.push({ warehouseId: row.warehouse_id, quantity: take });
+    row.available_quantity -= take;
+    remaining -= take;
+  }
+
+  return allocations;
+};
+
+/**
+ * Drop cached product totals and push the new stock levels once a reservation change has committed
+ */
+const invalidateProducts = async (reservations) => {
+  const productIds = [...new Set(reservations.map(r => r.product_id))];
+  await Promise.all(productIds.map(id => redisHelpers.del(`product:${id}`)));
+
+  await notifyStockChanged(reservations.map(r => ({ productId: r.product_id, warehouseId: r.warehouse_id })));
+};
+
+/**
+ * Hold stock for an order
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {Array} params.items - [{ productId, warehouseId?, quantity }]
+ * @param {number} [params.ttlSeconds] - Hold duration before automatic expiry
+ * @param {string} [params.createdBy]
+ * @returns {Promise<Array>} Created reservations
+ */
+const reserveStock = async ({ orderId, items, ttlSeconds = DEFAULT_TTL_SECONDS, createdBy }) => {
+  try {
+    const reservations = await withTransaction(async (client) => {
+      const existing = await StockReservationModel.lockActiveByOrder(client, orderId);
+      if (existing.length > 0) {
+        throw ErrorHandler.createError('Order already holds active reservations', 409, 'RESERVATION_EXISTS');
+      }
+
+      const lockedRows = new Map();
+      const created = [];
+
+      for (const item of normalizeItems(items)) {
+        if (!lockedRows.has(item.productId)) {
+          lockedRows.set(item.productId, await StockLevelModel.lockProductRows(client, item.productId));
+        }
+
+        for (const allocation of allocate(item, lockedRows.get(item.productId))) {
+          await StockLevelModel.changeReserved(client, item.productId, allocation.warehouseId, allocation.quantity);
+          created.push(await StockReservationModel.create(client, {
+            orderId,
+            productId: item.productId,
+            warehouseId: allocation.warehouseId,
+            quantity: allocation.quantity,
+            ttlSeconds,
+            createdBy
+          }));
+        }
+      }
+
+      return created;
+    });
+
+    await invalidateProducts(reservations);
+    return reservations;
+  } catch (error) {
+    throw translateStockError(error);
+  }
+};
+
+/**
+ * Return reserved units to available stock
+ * @param {Object} client - Transaction client
+ * @param {Array} reservations - Locked active reservations
+ * @param {string} status - 'released' or 'expired'
+ */
+const releaseLocked = async (client, reservations, status) => {
+  for (const reservation of reservations) {
+    await StockLevelModel.changeReserved(
+      client,
+      reservation.product_id,
+      reservation.warehouse_id,
+      -reservation.quantity
+    );
+  }
+
+  return StockReservationModel.updateStatus(client, reservations.map(r => r.id), status);
+};
+
+/**
+ * Release every active reservation of an order (e.g. order cancelled or payment failed)
+ */
+const releaseReservations = async (orderId) => {
+  const released = await withTransaction(async (client) => {
+    const reservations = await StockReservationModel.lockActiveByOrder(client, orderId);
+    if (reservations.length === 0) {
+      throw ErrorHandler.createError('No active reservations for this order', 404, 'RESERVATION_NOT_FOUND');
+    }
+
+    return releaseLocked(client, reservations, 'released');
+  });
+
+  await invalidateProducts(released);
+  return released;
+};
+
+/**
+ * Turn an order's reservations into OUT movements
+ * Stock leaves quantity and reserved_quantity in the same transaction
+ * that writes the ORDER ledger entries.
+ */
+const commitReservations = async (orderId, createdBy = null) => {
+  try {
+    const result = await withTransaction(async (client) => {
+      const reservations = await StockReservationModel.lockActiveByOrder(client, orderId);
+      if (reservations.length === 0) {
+        throw ErrorHandler.createError('No active reservations for this order', 404, 'RESERVATION_NOT_FOUND');
+      }
+
+      if (reservations.some(r => r.is_expired)) {
+        throw ErrorHandler.createError('Reservation has expired', 409, 'RESERVATION_EXPIRED');
+      }
+
+      const movements = [];
+      for (const reservation of reservations) {
+        await StockLevelModel.consumeReserved(
+          client,
+          reservation.product_id,
+          reservation.warehouse_id,
+          reservation.quantity
+        );
+        movements.push(await StockMovementModel.create(client, {
+          productId: reservation.product_id,
+          warehouseId: reservation.warehouse_id,
+          movementType: 'OUT',
+          quantity: -reservation.quantity,
+          referenceType: 'ORDER',
+          referenceId: orderId,
+          notes: 'Committed stock reservation',
+          createdBy
+        }));
+      }
+
+      const committed = await StockReservationModel.updateStatus(
+        client,
+        reservations.map(r => r.id),
+        'committed'
+      );
+
+      return { reservations: committed, movements };
+    });
+
+    await invalidateProducts(result.reservations);
+    return result;
+  } catch (error) {
+    throw translateStockError(error);
+  }
+};
+
+/**
+ * Put committed stock back on the shelf (e.g. a confirmed order is cancelled)
+ * Each reservation is reversed with an IN movement to the warehouse it left.
+ */
+const returnCommittedStock = async (orderId, createdBy = null) => {
+  const result = await withTransaction(async (client) => {
+    const reservations = await StockReservationModel.lockCommittedByOrder(client, orderId);
+    if (reservations.length === 0) {
+      throw ErrorHandler.createError('No committed reservations for this order', 404, 'RESERVATION_NOT_FOUND');
+    }
+
+    const movements = [];
+    for (const reservation of reservations) {
+      await StockLevelModel.increaseQuantity(
+        client,
+        reservation.product_id,
+        reservation.warehouse_id,
+        reservation.quantity
+      );
+      movements.push(await StockMovementModel.create(client, {
+        productId: reservation.product_id,
+        warehouseId: reservation.warehouse_id,
+        movementType: 'IN',
+        quantity: reservation.quantity,
+        referenceType: 'ORDER',
+        referenceId: orderId,
+        notes: 'Order cancelled - committed stock returned',
+        createdBy
+      }));
+    }
+
+    const returned = await StockReservationModel.updateStatus(
+      client,
+      reservations.map(r => r.id),
+      'returned'
+    );
+
+    return { reservations: returned, movements };
+  });
+
+  await invalidateProducts(result.reservations);
+  return result;
+};
+
+/**
+ * Release reservations whose TTL has passed
+ * @returns {Promise<number>} Number of reservations expired
+ */
+const expireReservations = async () => {
+  const expired = await withTransaction(async (client) => {
+    const reservations = await StockReservationModel.lockExpired(client);
+    if (reservations.length === 0) return [];
+
+    return releaseLocked(client, reservations, 'expired');
+  });
+
+  if (expired.length > 0) {
+    await invalidateProducts(expired);
+    logger.info('Expired stock reservations released', { count: expired.length });
+  }
+
+  return expired.length;
+};
+
+/**
+ * Periodically release expired reservations
+ * Sweeps every organization's reservations, so it runs in the system tenant context.
+ * @returns {Object} Interval handle (unref'd so it never blocks shutdown)
+ */
+const startReservationSweeper = (intervalMs = SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    TenantContext.run(TenantContext.SYSTEM, expireReservations).catch((error) => {
+      logger.error('Reservation sweep failed', { error: error.message });
+    });
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  reserveStock,
+  releaseReservations,
+  commitReservations,
+  returnCommittedStock,
+  expireReservations,
+  startReservationSweeper
+};
@@ -0,0 +1,60 @@
+// services/inventory-service/src/services/warehouseAccess.js
+const WarehouseModel = require('../models/warehouseModel');
+const { PolicyEngine } = require('../../../../shared/utils');
+
+/**
+ * Who may change stock in a warehouse (see PolicyEngine for the policy format)
+ */
+const WAREHOUSE_POLICIES = [
+  {
+    id: 'stock-adjust-admin',
+    description: 'Administrators adjust stock in every warehouse',
+    actions: ['stock:adjust'],
+    roles: ['super_admin', 'admin']
+  },
+  {
+    id: 'stock-adjust-managed-warehouse',
+    description: 'Managers adjust stock only in the warehouses they manage',
+    actions: ['stock:adjust'],
+    roles: ['manager'],
+    condition: { field: 'manager_id', equals: { user: 'userId' } }
+  }
+];
+
+const warehousePolicies = new PolicyEngine(WAREHOUSE_POLICIES);
+
+/**
+ * Warehouse attributes the policies may reference, as columns of warehouses w
+ */
+const WAREHOUSE_COLUMNS = {
+  manager_id: 'w.manager_id',
+  is_active: 'w.is_active'
+};
+
+/**
+ * Middleware: the caller may adjust stock in every warehouse a movement touches
+ */
+const canAdjustMovementStock = warehousePolicies.middleware('stock:adjust', {
+  resource: req => Promise.all(
+    [req.body.warehouse_id, req.body.to_warehouse_id]
+      .filter(Boolean)
+      .map(warehouseId => WarehouseModel.findById(warehouseId))
+  )
+});
+
+/**
+ * WHERE condition limiting a warehouses w query to those the user may adjust stock in
+ * @param {Object} user - req.user
+ * @param {Array} params - The query's parameters (appended to)
+ * @returns {string}
+ */
+const adjustableWarehousesFilter = (user, params) => warehousePolicies.toSql(user, 'stock:adjust', {
+  columns: WAREHOUSE_COLUMNS,
+  params
+});
+
+module.exports = {
+  warehousePolicies,
+  canAdjustMovementStock,
+  adjustableWarehousesFilter
+};
@@ -0,0 +1,42 @@
+const { redisClient } = require('../config/database');
+const StockLevelModel = require('../models/stockLevelModel');
+const { RealtimeEvents } = require('../../../../shared/utils');
+const logger = require('./logger');
+
+/**
+ * Staff roles that follow stock levels
+ */
+const STOCK_ROLES = ['super_admin', 'admin', 'manager', 'employee'];
+
+/**
+ * Push the current levels of changed product / warehouse pairs to connected clients
+ * Call after the transaction that changed them has committed. Never throws.
+ * @param {Array} locations - [{ productId, warehouseId }], duplicates allowed
+ */
+const notifyStockChanged = async (locations) => {
+  const unique = [...new Map(
+    locations.map(location => [`${location.productId}:${location.warehouseId}`, location])
+  ).values()];
+
+  if (unique.length === 0) {
+    return;
+  }
+
+  try {
+    const levels = await StockLevelModel.findByLocations(unique);
+
+    await RealtimeEvents.publish(
+      redisClient,
+      RealtimeEvents.TYPES.STOCK_LEVEL_CHANGED,
+      { levels },
+      { roles: STOCK_ROLES },
+      'inventory-service'
+    );
+  } catch (error) {
+    logger.error('Stock change notification failed', { error: error.message });
+  }
+};
+
+module.exports = {
+  notifyStockChanged
+};
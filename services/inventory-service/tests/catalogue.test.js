@@ -0,0 +1,187 @@
+// services/inventory-service/tests/catalogue.test.js
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { loadInventoryService } = require('../../../tests/helpers/services');
+const { createOrganization, createUser, closeDatabase } = require('../../../tests/helpers/database');
+const { signAccessToken } = require('../../../tests/helpers/tokens');
+const { TokenRevocation } = require('../../../shared/utils');
+
+const { app, redis, close } = loadInventoryService();
+
+describe('inventory catalogue', () => {
+    let admin;
+    let manager;
+    let employee;
+
+    const as = user => ({ Authorization: `Bearer ${signAccessToken(user)}` });
+
+    beforeAll(async () => {
+        const organization = await createOrganization();
+        admin = await createUser(organization.id, { roles: ['admin'] });
+        manager = await createUser(organization.id, { roles: ['manager'] });
+        employee = await createUser(organization.id, { roles: ['employee'] });
+    });
+
+    afterAll(async () => {
+        await close();
+        await closeDatabase();
+    });
+
+    it('requires a token', async () => {
+        const res = await request(app).get('/api/inventory/products');
+
+        expect(res.status).toBe(401);
+        expect(res.body.error.code).toBe('UNAUTHORIZED');
+    });
+
+    it('refuses a revoked token sent straight to the service', async () => {
+        const token = signAccessToken(employee);
+        await TokenRevocation.revokeToken(redis, jwt.decode(token));
+
+        const res = await request(app).get('/api/inventory/products').set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(401);
+        expect(res.body.error.code).toBe('TOKEN_REVOKED');
+        expect((await request(app).get('/api/inventory/products').set(as(employee))).status).toBe(200);
+    });
+
+    describe('products', () => {
+        it('lets a manager create, read, update and an admin soft-delete a product', async () => {
+            const created = await request(app).post('/api/inventory/products').set(as(manager)).send({
+                sku: 'WID-001',
+                name: 'Widget',
+                category: 'Widgets',
+                unit_price: 9.99
+            });
+            expect(created.status).toBe(201);
+            const { product } = created.body.data;
+            expect(product).toMatchObject({ sku: 'WID-001', name: 'Widget', reorder_point: 10, reorder_quantity: 50 });
+            expect(product.created_by).toBe(manager.id);
+
+            const read = await request(app).get(`/api/inventory/products/${product.id}`).set(as(employee));
+            expect(read.status).toBe(200);
+            expect(read.body.data.product.name).toBe('Widget');
+
+            const updated = await request(app).put(`/api/inventory/products/${product.id}`).set(as(manager)).send({ name: 'Widget Pro' });
+            expect(updated.status).toBe(200);
+            expect(updated.body.data.product.name).toBe('Widget Pro');
+
+            // The cached copy was dropped by the update
+            const reread = await request(app).get(`/api/inventory/products/${product.id}`).set(as(employee));
+            expect(reread.body.data.product.name).toBe('Widget Pro');
+
+            expect((await request(app).delete(`/api/inventory/products/${product.id}`).set(as(manager))).status).toBe(403);
+            const deleted = await request(app).delete(`/api/inventory/products/${product.id}`).set(as(admin));
+            expect(deleted.status).toBe(200);
+            expect(deleted.body.data).toEqual({ id: product.id, deleted: true });
+
+            const inactive = await request(app).get('/api/inventory/products?is_active=false').set(as(employee));
+            expect(inactive.body.data.map(row => row.id)).toContain(product.id);
+        });
+
+        it('lists products with pagination and search', async () => {
+            for (const sku of ['LST-1', 'LST-2', 'LST-3']) {
+                await request(app).post('/api/inventory/products').set(as(admin)).send({ sku, name: `Listed ${sku}` });
+            }
+
+            const res = await request(app).get('/api/inventory/products?search=Listed&limit=2').set(as(employee));
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toHaveLength(2);
+            expect(res.body.metadata).toMatchObject({ page: 1, limit: 2, totalItems: 3, totalPages: 2, hasNextPage: true });
+        });
+
+        it('rejects invalid input and duplicate SKUs', async () => {
+            const invalid = await request(app).post('/api/inventory/products').set(as(admin)).send({ name: 'No SKU', unit_price: -1 });
+            expect(invalid.status).toBe(400);
+            expect(invalid.body.error.code).toBe('VALIDATION_ERROR');
+
+            await request(app).post('/api/inventory/products').set(as(admin)).send({ sku: 'DUP-1', name: 'First' });
+            const duplicate = await request(app).post('/api/inventory/products').set(as(admin)).send({ sku: 'DUP-1', name: 'Second' });
+            expect(duplicate.status).toBe(409);
+        });
+
+        it('does not let employees change the catalogue', async () => {
+            const res = await request(app).post('/api/inventory/products').set(as(employee)).send({ sku: 'EMP-1', name: 'Nope' });
+
+            expect(res.status).toBe(403);
+            expect(res.body.error.code).toBe('FORBIDDEN');
+        });
+
+        it('answers 404 for a product that does not exist', async () => {
+            const res = await request(app)
+                .get('/api/inventory/products/00000000-0000-4000-8000-000000000000')
+                .set(as(employee));
+
+            expect(res.status).toBe(404);
+            expect(res.body.error.code).toBe('PRODUCT_NOT_FOUND');
+        });
+    });
+
+    describe('warehouses', () => {
+        it('lets an admin create, update and soft-delete a warehouse', async () => {
+            const created = await request(app).post('/api/inventory/warehouses').set(as(admin)).send({
+                name: 'East Depot',
+                code: 'EAST',
+                capacity: 500,
+                manager_id: manager.id
+            });
+            expect(created.status).toBe(201);
+            const { warehouse } = created.body.data;
+            expect(warehouse).toMatchObject({ name: 'East Depot', code: 'EAST', manager_id: manager.id, is_active: true });
+
+            const updated = await request(app).put(`/api/inventory/warehouses/${warehouse.id}`).set(as(admin)).send({ capacity: 750 });
+            expect(updated.status).toBe(200);
+            expect(updated.body.data.warehouse.capacity).toBe(750);
+
+            const deleted = await request(app).delete(`/api/inventory/warehouses/${warehouse.id}`).set(as(admin));
+            expect(deleted.status).toBe(200);
+
+            const read = await request(app).get(`/api/inventory/warehouses/${warehouse.id}`).set(as(employee));
+            expect(read.body.data.warehouse.is_active).toBe(false);
+        });
+
+        it('keeps warehouse management to admins', async () => {
+            const res = await request(app).post('/api/inventory/warehouses').set(as(manager)).send({ name: 'Nope', code: 'NOPE' });
+
+            expect(res.status).toBe(403);
+        });
+
+        it('answers 404 for a warehouse that does not exist', async () => {
+            const res = await request(app).get('/api/inventory/warehouses/999999').set(as(employee));
+
+            expect(res.status).toBe(404);
+            expect(res.body.error.code).toBe('WAREHOUSE_NOT_FOUND');
+        });
+    });
+
+    describe('suppliers', () => {
+        it('lets a manager create and update a supplier and an admin soft-delete it', async () => {
+            const created = await request(app).post('/api/inventory/suppliers').set(as(manager)).send({
+                name: 'Acme Parts',
+                email: 'orders@acme.com',
+                phone: '+1 (555) 010-0000'
+            });
+            expect(created.status).toBe(201);
+            const { supplier } = created.body.data;
+            expect(supplier).toMatchObject({ name: 'Acme Parts', email: 'orders@acme.com' });
+
+            const updated = await request(app).put(`/api/inventory/suppliers/${supplier.id}`).set(as(manager)).send({ contact_person: 'Road Runner' });
+            expect(updated.status).toBe(200);
+            expect(updated.body.data.supplier.contact_person).toBe('Road Runner');
+
+            expect((await request(app).delete(`/api/inventory/suppliers/${supplier.id}`).set(as(manager))).status).toBe(403);
+            expect((await request(app).delete(`/api/inventory/suppliers/${supplier.id}`).set(as(admin))).status).toBe(200);
+
+            const read = await request(app).get(`/api/inventory/suppliers/${supplier.id}`).set(as(employee));
+            expect(read.body.data.supplier.is_active).toBe(false);
+        });
+
+        it('rejects an invalid email address', async () => {
+            const res = await request(app).post('/api/inventory/suppliers').set(as(manager)).send({ name: 'Bad Mail', email: 'not-an-email' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.code).toBe('VALIDATION_ERROR');
+        });
+    });
+});
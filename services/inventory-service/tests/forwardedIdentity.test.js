@@ -0,0 +1,93 @@
+// services/inventory-service/tests/forwardedIdentity.test.js
+const crypto = require('crypto');
+const request = require('supertest');
+const { loadInventoryService } = require('../../../tests/helpers/services');
+const { createOrganization, createUser, createProduct, closeDatabase } = require('../../../tests/helpers/database');
+const { signAccessToken, signServiceToken } = require('../../../tests/helpers/tokens');
+
+const { app, close } = loadInventoryService();
+
+describe('forwarded identity', () => {
+    let employee;
+    let otherEmployee;
+    let product;
+
+    const FORWARD = 'identity:forward';
+    const RESERVE = 'inventory:reserve';
+
+    const forwarded = user => ({
+        'X-User-Id': user.id,
+        'X-User-Email': user.email,
+        'X-User-Roles': JSON.stringify(user.roles),
+        'X-User-Tenant-Id': user.organization_id
+    });
+
+    const listSkus = async (headers) => {
+        const res = await request(app).get('/api/inventory/products').set(headers);
+        return { status: res.status, body: res.body, skus: (res.body.data || []).map(row => row.sku) };
+    };
+
+    beforeAll(async () => {
+        const organization = await createOrganization();
+        const otherOrganization = await createOrganization();
+        employee = await createUser(organization.id, { roles: ['employee'] });
+        otherEmployee = await createUser(otherOrganization.id, { roles: ['employee'] });
+        product = await createProduct(organization.id, { sku: `FWD-${crypto.randomBytes(3).toString('hex')}` });
+    });
+
+    afterAll(async () => {
+        await close();
+        await closeDatabase();
+    });
+
+    it('trusts X-User-* headers sent with a service token holding identity:forward', async () => {
+        const res = await listSkus({ ...forwarded(employee), 'X-Service-Token': signServiceToken('api-gateway', [FORWARD]) });
+
+        expect(res.status).toBe(200);
+        expect(res.skus).toEqual([product.sku]);
+    });
+
+    it('scopes a forwarded user to the forwarded organization', async () => {
+        const res = await listSkus({ ...forwarded(otherEmployee), 'X-Service-Token': signServiceToken('api-gateway', [FORWARD]) });
+
+        expect(res.status).toBe(200);
+        expect(res.skus).toEqual([]);
+    });
+
+    it.each([
+        ['no service token', () => ({})],
+        ['a service token without identity:forward', () => ({ 'X-Service-Token': signServiceToken('reporting', ['inventory:read']) })],
+        ['a user access token', () => ({ 'X-Service-Token': signAccessToken(employee) })],
+        ['a token that does not verify', () => ({ 'X-Service-Token': `${signServiceToken('api-gateway', [FORWARD])}x` })]
+    ])('ignores the headers with %s', async (label, serviceHeaders) => {
+        const res = await listSkus({ ...forwarded(employee), ...serviceHeaders() });
+
+        expect(res.status).toBe(401);
+        expect(res.body.error.code).toBe('UNAUTHORIZED');
+    });
+
+    it('goes by the caller\'s own bearer token when the forwarding is not trusted', async () => {
+        const res = await listSkus({
+            ...forwarded(employee),
+            'X-Service-Token': signServiceToken('reporting', ['inventory:read']),
+            Authorization: `Bearer ${signAccessToken(otherEmployee)}`
+        });
+
+        expect(res.status).toBe(200);
+        expect(res.skus).toEqual([]);
+    });
+
+    it('takes the reservation scope from the calling service, never from the forwarded user', async () => {
+        const reserve = scopes => request(app)
+            .post('/api/inventory/reservations')
+            .set({ ...forwarded(employee), 'X-Service-Token': signServiceToken('order-service', scopes) })
+            .send({});
+
+        const withoutScope = await reserve([FORWARD]);
+        expect(withoutScope.status).toBe(403);
+
+        // Past authorization, the empty body fails validation
+        const withScope = await reserve([FORWARD, RESERVE]);
+        expect(withScope.status).toBe(400);
+    });
+});
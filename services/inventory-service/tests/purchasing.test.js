@@ -0,0 +1,219 @@
+// services/inventory-service/tests/purchasing.test.js
+const request = require('supertest');
+const { loadInventoryService } = require('../../../tests/helpers/services');
+const { createOrganization, createUser, adminQuery, closeDatabase } = require('../../../tests/helpers/database');
+const { signAccessToken } = require('../../../tests/helpers/tokens');
+
+const { app, close } = loadInventoryService();
+
+describe('purchasing', () => {
+    let admin;
+    let manager;
+    let employee;
+    let warehouse;
+    let supplier;
+    let low;
+    let orphan;
+    let adequate;
+
+    const as = user => ({ Authorization: `Bearer ${signAccessToken(user)}` });
+    const api = path => `/api/inventory/purchase-orders${path}`;
+
+    const createProduct = async (sku) => {
+        const res = await request(app).post('/api/inventory/products').set(as(manager)).send({
+            sku,
+            name: `Product ${sku}`,
+            reorder_point: 10,
+            reorder_quantity: 50
+        });
+        return res.body.data.product;
+    };
+
+    const stock = (product, quantity) => request(app).post('/api/inventory/movements').set(as(admin)).send({
+        product_id: product.id,
+        warehouse_id: warehouse.id,
+        movement_type: 'IN',
+        quantity
+    });
+
+    const quantityOf = async (product) => {
+        const result = await adminQuery(
+            'SELECT quantity FROM stock_levels WHERE product_id = $1 AND warehouse_id = $2',
+            [product.id, warehouse.id]
+        );
+        return result.rows[0].quantity;
+    };
+
+    const generateDraft = async () => {
+        const res = await request(app).post(api('/generate')).set(as(manager)).send({ supplier_id: supplier.id });
+        expect(res.status).toBe(201);
+        return res.body.data.purchaseOrders[0];
+    };
+
+    beforeAll(async () => {
+        const organization = await createOrganization();
+        admin = await createUser(organization.id, { roles: ['admin'] });
+        manager = await createUser(organization.id, { roles: ['manager'] });
+        employee = await createUser(organization.id, { roles: ['employee'] });
+
+        const created = await request(app).post('/api/inventory/warehouses').set(as(admin)).send({ name: 'Main', code: 'PO-MAIN' });
+        warehouse = created.body.data.warehouse;
+        const vendor = await request(app).post('/api/inventory/suppliers').set(as(manager)).send({ name: 'Bolt Supply' });
+        supplier = vendor.body.data.supplier;
+
+        low = await createProduct('PO-LOW');
+        orphan = await createProduct('PO-ORPHAN');
+        adequate = await createProduct('PO-OK');
+
+        await stock(low, 4);
+        await stock(orphan, 2);
+        await stock(adequate, 40);
+
+        const link = await request(app).put(`/api/inventory/products/${low.id}/suppliers/${supplier.id}`).set(as(manager)).send({
+            unit_cost: 2.35,
+            lead_time_days: 7,
+            is_preferred: true
+        });
+        expect(link.status).toBeLessThan(300);
+    });
+
+    afterAll(async () => {
+        await close();
+        await closeDatabase();
+    });
+
+    describe('reorder suggestions', () => {
+        it('groups low stock by preferred supplier and warehouse', async () => {
+            const res = await request(app).get(api('/suggestions')).set(as(manager));
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.groups).toEqual([expect.objectContaining({
+                supplier_id: supplier.id,
+                warehouse_id: warehouse.id,
+                lead_time_days: 7,
+                total_amount: 117.5,
+                items: [expect.objectContaining({
+                    product_id: low.id,
+                    available_quantity: 4,
+                    on_order: 0,
+                    quantity_ordered: 50,
+                    unit_cost: 2.35
+                })]
+            })]);
+        });
+
+        it('lists products without a preferred supplier separately', async () => {
+            const res = await request(app).get(api('/suggestions')).set(as(manager));
+
+            expect(res.body.data.unassigned).toEqual([
+                expect.objectContaining({ product_id: orphan.id, warehouse_id: warehouse.id, quantity_ordered: 50 })
+            ]);
+        });
+
+        it('keeps suggestions and generation to managers', async () => {
+            expect((await request(app).get(api('/suggestions')).set(as(employee))).status).toBe(403);
+            expect((await request(app).post(api('/generate')).set(as(employee)).send({})).status).toBe(403);
+        });
+
+        it('does not suggest what is already on an open purchase order', async () => {
+            const draft = await generateDraft();
+            expect(draft).toMatchObject({ status: 'draft', supplier_id: supplier.id, warehouse_id: warehouse.id });
+            expect(draft.items).toEqual([expect.objectContaining({ product_id: low.id, quantity_ordered: 50, quantity_received: 0 })]);
+
+            const res = await request(app).get(api('/suggestions')).set(as(manager));
+            expect(res.body.data.groups).toEqual([]);
+
+            await request(app).post(api(`/${draft.id}/cancel`)).set(as(manager)).send({});
+        });
+    });
+
+    describe('goods receipt', () => {
+        let purchaseOrder;
+
+        beforeAll(async () => {
+            purchaseOrder = await generateDraft();
+        });
+
+        it('only receives against approved purchase orders', async () => {
+            const res = await request(app).post(api(`/${purchaseOrder.id}/receive`)).set(as(employee)).send({});
+
+            expect(res.status).toBe(409);
+            expect(res.body.error.code).toBe('PURCHASE_ORDER_NOT_RECEIVABLE');
+
+            const approved = await request(app).post(api(`/${purchaseOrder.id}/approve`)).set(as(manager));
+            expect(approved.status).toBe(200);
+            expect(approved.body.data.purchaseOrder).toMatchObject({ status: 'approved', approved_by: manager.id });
+        });
+
+        it('posts a PURCHASE movement for a partial receipt', async () => {
+            const res = await request(app).post(api(`/${purchaseOrder.id}/receive`)).set(as(employee)).send({
+                items: [{ product_id: low.id, quantity: 20 }]
+            });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.purchaseOrder.status).toBe('partially_received');
+            expect(res.body.data.movements).toEqual([expect.objectContaining({
+                product_id: low.id,
+                warehouse_id: warehouse.id,
+                movement_type: 'IN',
+                quantity: 20,
+                reference_type: 'PURCHASE',
+                reference_id: purchaseOrder.id
+            })]);
+            expect(await quantityOf(low)).toBe(24);
+        });
+
+        it('rejects receipts beyond what is outstanding or not on the order', async () => {
+            const over = await request(app).post(api(`/${purchaseOrder.id}/receive`)).set(as(employee)).send({
+                items: [{ product_id: low.id, quantity: 31 }]
+            });
+            expect(over.status).toBe(409);
+            expect(over.body.error.code).toBe('RECEIPT_EXCEEDS_ORDER');
+            expect(over.body.error.details[0]).toMatchObject({ field: 'items.0.quantity', outstanding: 30 });
+
+            const stranger = await request(app).post(api(`/${purchaseOrder.id}/receive`)).set(as(employee)).send({
+                items: [{ product_id: adequate.id, quantity: 1 }]
+            });
+            expect(stranger.status).toBe(400);
+            expect(stranger.body.error.code).toBe('INVALID_PURCHASE_ORDER_ITEM');
+
+            expect(await quantityOf(low)).toBe(24);
+        });
+
+        it('receives everything outstanding when no items are given', async () => {
+            const res = await request(app).post(api(`/${purchaseOrder.id}/receive`)).set(as(employee)).send({});
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.purchaseOrder.status).toBe('received');
+            expect(res.body.data.purchaseOrder.received_at).toBeTruthy();
+            expect(res.body.data.movements).toEqual([expect.objectContaining({ quantity: 30 })]);
+            expect(await quantityOf(low)).toBe(54);
+        });
+
+        it('does not reopen or cancel a received purchase order', async () => {
+            const receive = await request(app).post(api(`/${purchaseOrder.id}/receive`)).set(as(employee)).send({});
+            expect(receive.status).toBe(409);
+
+            const cancel = await request(app).post(api(`/${purchaseOrder.id}/cancel`)).set(as(manager)).send({});
+            expect(cancel.status).toBe(409);
+            expect(cancel.body.error.code).toBe('INVALID_STATUS_TRANSITION');
+            expect(cancel.body.error.details[0].allowed).toEqual([]);
+        });
+    });
+
+    it('records the reason when a purchase order is cancelled', async () => {
+        await request(app).post('/api/inventory/movements').set(as(admin)).send({
+            product_id: low.id,
+            warehouse_id: warehouse.id,
+            movement_type: 'OUT',
+            quantity: 50
+        });
+        const draft = await generateDraft();
+
+        const res = await request(app).post(api(`/${draft.id}/cancel`)).set(as(manager)).send({ reason: 'Supplier out of stock' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.purchaseOrder.status).toBe('cancelled');
+        expect(res.body.data.purchaseOrder.notes).toContain('Cancelled: Supplier out of stock');
+    });
+});
@@ -0,0 +1,106 @@
+// services/inventory-service/tests/stockLevels.test.js
+const request = require('supertest');
+const { loadInventoryService } = require('../../../tests/helpers/services');
+const { createOrganization, createUser, closeDatabase } = require('../../../tests/helpers/database');
+const { signAccessToken } = require('../../../tests/helpers/tokens');
+
+const { app, close } = loadInventoryService();
+
+describe('stock level endpoints', () => {
+    let admin;
+    let employee;
+    let product;
+    let main;
+    let overflow;
+    let empty;
+
+    const as = user => ({ Authorization: `Bearer ${signAccessToken(user)}` });
+
+    const move = async (body) => {
+        const res = await request(app).post('/api/inventory/movements').set(as(admin)).send({ product_id: product.id, ...body });
+        expect(res.status).toBe(201);
+        return res.body.data;
+    };
+
+    const createWarehouse = async (code) => {
+        const res = await request(app).post('/api/inventory/warehouses').set(as(admin)).send({ name: `Warehouse ${code}`, code });
+        return res.body.data.warehouse;
+    };
+
+    beforeAll(async () => {
+        const organization = await createOrganization();
+        admin = await createUser(organization.id, { roles: ['admin'] });
+        employee = await createUser(organization.id, { roles: ['employee'] });
+
+        const created = await request(app).post('/api/inventory/products').set(as(admin)).send({
+            sku: 'STK-1',
+            name: 'Stocked Item',
+            reorder_point: 10
+        });
+        product = created.body.data.product;
+        main = await createWarehouse('MAIN');
+        overflow = await createWarehouse('OVERFLOW');
+        empty = await createWarehouse('EMPTY');
+
+        await move({ warehouse_id: main.id, movement_type: 'IN', quantity: 30 });
+        await move({ warehouse_id: overflow.id, movement_type: 'IN', quantity: 5 });
+    });
+
+    afterAll(async () => {
+        await close();
+        await closeDatabase();
+    });
+
+    it('lists stock levels filtered by product', async () => {
+        const res = await request(app).get(`/api/inventory/stock?product_id=${product.id}`).set(as(employee));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toHaveLength(2);
+        expect(res.body.data.map(level => [level.warehouse_id, level.quantity]).sort()).toEqual(
+            [[main.id, 30], [overflow.id, 5]].sort()
+        );
+    });
+
+    it('reads the level of one product in one warehouse', async () => {
+        const res = await request(app).get(`/api/inventory/stock/${product.id}/${main.id}`).set(as(employee));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.stockLevel).toMatchObject({ quantity: 30, reserved_quantity: 0, available_quantity: 30 });
+    });
+
+    it('answers 404 where the product was never stocked', async () => {
+        const res = await request(app).get(`/api/inventory/stock/${product.id}/${empty.id}`).set(as(employee));
+
+        expect(res.status).toBe(404);
+        expect(res.body.error.code).toBe('STOCK_NOT_FOUND');
+    });
+
+    it('totals a product across warehouses', async () => {
+        const res = await request(app).get(`/api/inventory/products/${product.id}/stock`).set(as(employee));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ product_id: product.id, total_quantity: 35, total_available: 35 });
+        expect(res.body.data.stockLevels).toHaveLength(2);
+    });
+
+    it('lists the stock held in a warehouse', async () => {
+        const res = await request(app).get(`/api/inventory/warehouses/${overflow.id}/stock`).set(as(employee));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toEqual([expect.objectContaining({ product_id: product.id, quantity: 5 })]);
+    });
+
+    it('raises low and out of stock alerts at the reorder point', async () => {
+        const low = await request(app).get('/api/inventory/stock/alerts').set(as(employee));
+        expect(low.status).toBe(200);
+        expect(low.body.data.alerts).toEqual([
+            expect.objectContaining({ product_id: product.id, warehouse_id: overflow.id, alert_level: 'LOW_STOCK' })
+        ]);
+
+        await move({ warehouse_id: overflow.id, movement_type: 'OUT', quantity: 5 });
+
+        const out = await request(app).get('/api/inventory/stock/alerts?level=OUT_OF_STOCK').set(as(employee));
+        expect(out.body.data).toMatchObject({ count: 1 });
+        expect(out.body.data.alerts[0]).toMatchObject({ warehouse_id: overflow.id, available_quantity: 0 });
+    });
+});
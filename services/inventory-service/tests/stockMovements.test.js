@@ -0,0 +1,157 @@
+// services/inventory-service/tests/stockMovements.test.js
+const request = require('supertest');
+const { loadInventoryService } = require('../../../tests/helpers/services');
+const { createOrganization, createUser, adminQuery, closeDatabase } = require('../../../tests/helpers/database');
+const { signAccessToken } = require('../../../tests/helpers/tokens');
+const { TenantContext } = require('../../../shared/utils');
+
+const { app, load, close } = loadInventoryService();
+const { withTransaction } = load('config/database');
+const StockLevelModel = load('models/stockLevelModel');
+const StockMovementModel = load('models/stockMovementModel');
+const { translateStockError } = load('services/stockMovementService');
+
+describe('stock movement ledger', () => {
+    let organization;
+    let admin;
+    let product;
+    let source;
+    let destination;
+
+    const as = user => ({ Authorization: `Bearer ${signAccessToken(user)}` });
+    const move = body => request(app).post('/api/inventory/movements').set(as(admin)).send({ product_id: product.id, ...body });
+
+    const levelOf = async (warehouseId) => {
+        const result = await adminQuery(
+            'SELECT quantity FROM stock_levels WHERE product_id = $1 AND warehouse_id = $2',
+            [product.id, warehouseId]
+        );
+        return result.rows[0] ? result.rows[0].quantity : 0;
+    };
+
+    const ledgerOf = async (warehouseId) => {
+        const result = await adminQuery(
+            'SELECT movement_type, quantity, reference_id FROM stock_movements WHERE product_id = $1 AND warehouse_id = $2 ORDER BY created_at',
+            [product.id, warehouseId]
+        );
+        return result.rows;
+    };
+
+    beforeAll(async () => {
+        organization = await createOrganization();
+        admin = await createUser(organization.id, { roles: ['admin'] });
+
+        const created = await request(app).post('/api/inventory/products').set(as(admin)).send({ sku: 'LED-1', name: 'Ledgered' });
+        product = created.body.data.product;
+        for (const code of ['SRC', 'DST']) {
+            const res = await request(app).post('/api/inventory/warehouses').set(as(admin)).send({ name: code, code });
+            if (code === 'SRC') source = res.body.data.warehouse;
+            else destination = res.body.data.warehouse;
+        }
+    });
+
+    beforeEach(async () => {
+        await adminQuery('DELETE FROM stock_movements WHERE product_id = $1', [product.id]);
+        await adminQuery('DELETE FROM stock_levels WHERE product_id = $1', [product.id]);
+        expect((await move({ warehouse_id: source.id, movement_type: 'IN', quantity: 10 })).status).toBe(201);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await close();
+        await closeDatabase();
+    });
+
+    it('writes a ledger entry with every change to a stock level', async () => {
+        const res = await move({ warehouse_id: source.id, movement_type: 'OUT', quantity: 4 });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.stockLevels[0]).toMatchObject({ quantity: 6 });
+        expect(await ledgerOf(source.id)).toEqual([
+            expect.objectContaining({ movement_type: 'IN', quantity: 10 }),
+            expect.objectContaining({ movement_type: 'OUT', quantity: -4 })
+        ]);
+    });
+
+    it('moves both sides of a transfer under one reference', async () => {
+        const res = await move({ warehouse_id: source.id, to_warehouse_id: destination.id, movement_type: 'TRANSFER', quantity: 7 });
+
+        expect(res.status).toBe(201);
+        expect(await levelOf(source.id)).toBe(3);
+        expect(await levelOf(destination.id)).toBe(7);
+
+        const [out] = (await ledgerOf(source.id)).filter(entry => entry.movement_type === 'TRANSFER');
+        const [into] = await ledgerOf(destination.id);
+        expect(out.quantity).toBe(-7);
+        expect(into).toMatchObject({ movement_type: 'TRANSFER', quantity: 7, reference_id: out.reference_id });
+    });
+
+    it('refuses to take out more than is available, without touching the ledger', async () => {
+        const res = await move({ warehouse_id: source.id, movement_type: 'OUT', quantity: 11 });
+
+        expect(res.status).toBe(409);
+        expect(res.body.error.code).toBe('INSUFFICIENT_STOCK');
+        expect(res.body.error.details[0]).toMatchObject({
+            product_id: product.id,
+            warehouse_id: source.id,
+            requested: 11,
+            available: 10
+        });
+        expect(await levelOf(source.id)).toBe(10);
+        expect(await ledgerOf(source.id)).toHaveLength(1);
+    });
+
+    it('rolls the stock levels back when the ledger write fails', async () => {
+        const create = StockMovementModel.create.bind(StockMovementModel);
+        jest.spyOn(StockMovementModel, 'create')
+            .mockImplementationOnce(create)
+            .mockRejectedValueOnce(new Error('ledger unavailable'));
+
+        const res = await move({ warehouse_id: source.id, to_warehouse_id: destination.id, movement_type: 'TRANSFER', quantity: 5 });
+
+        expect(res.status).toBe(500);
+        expect(await levelOf(source.id)).toBe(10);
+        expect(await levelOf(destination.id)).toBe(0);
+        expect(await ledgerOf(source.id)).toHaveLength(1);
+        expect(await ledgerOf(destination.id)).toHaveLength(0);
+    });
+
+    it('never oversells under concurrent withdrawals', async () => {
+        const results = await Promise.all([1, 2, 3, 4, 5].map(() => (
+            move({ warehouse_id: source.id, movement_type: 'OUT', quantity: 3 })
+        )));
+
+        expect(results.filter(res => res.status === 201)).toHaveLength(3);
+        expect(results.filter(res => res.status === 409)).toHaveLength(2);
+        expect(await levelOf(source.id)).toBe(1);
+        expect(await ledgerOf(source.id)).toHaveLength(4);
+    });
+
+    describe('translateStockError', () => {
+        const tenant = () => ({ tenantId: organization.id, scope: 'tenant' });
+
+        it('maps the stock_levels check violation to INSUFFICIENT_STOCK', async () => {
+            // Bypasses the availability check, so the database constraint fires
+            const error = await TenantContext.run(tenant(), () => withTransaction(client => (
+                StockLevelModel.decreaseQuantity(client, product.id, source.id, 11)
+            ))).catch(err => err);
+
+            expect(error).toMatchObject({ code: '23514', constraint: 'stock_levels_quantity_check' });
+
+            const translated = translateStockError(error, product.id, source.id);
+            expect(translated).toMatchObject({ statusCode: 409, code: 'INSUFFICIENT_STOCK' });
+            expect(translated.details[0]).toMatchObject({ field: 'quantity', product_id: product.id, warehouse_id: source.id });
+        });
+
+        it('leaves other errors unchanged', () => {
+            const otherCheck = Object.assign(new Error('check'), { code: '23514', constraint: 'orders_total_check' });
+            const duplicate = Object.assign(new Error('duplicate'), { code: '23505', constraint: 'stock_levels_product_id_warehouse_id_key' });
+
+            expect(translateStockError(otherCheck)).toBe(otherCheck);
+            expect(translateStockError(duplicate)).toBe(duplicate);
+        });
+    });
+});
@@ -0,0 +1,217 @@
+// services/inventory-service/tests/stockReservations.test.js
+const crypto = require('crypto');
+const request = require('supertest');
+const { loadInventoryService } = require('../../../tests/helpers/services');
+const { createOrganization, createUser, adminQuery, closeDatabase } = require('../../../tests/helpers/database');
+const { signAccessToken } = require('../../../tests/helpers/tokens');
+const { TenantContext } = require('../../../shared/utils');
+
+const { app, load, close } = loadInventoryService();
+const { expireReservations } = load('services/stockReservationService');
+
+describe('stock reservations', () => {
+    let admin;
+    let first;
+    let second;
+    let north;
+    let south;
+
+    const as = user => ({ Authorization: `Bearer ${signAccessToken(user)}` });
+    const api = path => `/api/inventory/reservations${path}`;
+
+    const reserve = (items, extra = {}) => {
+        const orderId = crypto.randomUUID();
+        return request(app).post(api('/')).set(as(admin)).send({ order_id: orderId, items, ...extra })
+            .then(res => Object.assign(res, { orderId }));
+    };
+
+    const levelsOf = async (product) => {
+        const result = await adminQuery(
+            'SELECT warehouse_id, quantity, reserved_quantity FROM stock_levels WHERE product_id = $1 ORDER BY warehouse_id',
+            [product.id]
+        );
+        return result.rows;
+    };
+
+    const stock = (product, warehouse, quantity) => request(app).post('/api/inventory/movements').set(as(admin)).send({
+        product_id: product.id,
+        warehouse_id: warehouse.id,
+        movement_type: 'IN',
+        quantity
+    });
+
+    beforeAll(async () => {
+        const organization = await createOrganization();
+        admin = await createUser(organization.id, { roles: ['admin'] });
+
+        const products = [];
+        for (const sku of ['RSV-1', 'RSV-2']) {
+            const res = await request(app).post('/api/inventory/products').set(as(admin)).send({ sku, name: `Reserved ${sku}` });
+            products.push(res.body.data.product);
+        }
+        [first, second] = products;
+
+        for (const code of ['NORTH', 'SOUTH']) {
+            const res = await request(app).post('/api/inventory/warehouses').set(as(admin)).send({ name: code, code });
+            if (code === 'NORTH') north = res.body.data.warehouse;
+            else south = res.body.data.warehouse;
+        }
+    });
+
+    beforeEach(async () => {
+        await adminQuery('DELETE FROM stock_reservations WHERE product_id = ANY($1::uuid[])', [[first.id, second.id]]);
+        await adminQuery('DELETE FROM stock_movements WHERE product_id = ANY($1::uuid[])', [[first.id, second.id]]);
+        await adminQuery('DELETE FROM stock_levels WHERE product_id = ANY($1::uuid[])', [[first.id, second.id]]);
+
+        await stock(first, north, 10);
+        await stock(first, south, 4);
+        await stock(second, north, 100);
+    });
+
+    afterAll(async () => {
+        await close();
+        await closeDatabase();
+    });
+
+    it('splits an unpinned line across warehouses, largest available first', async () => {
+        const res = await reserve([{ product_id: first.id, quantity: 12 }]);
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.reservations.map(r => [r.warehouse_id, r.quantity])).toEqual([[north.id, 10], [south.id, 2]]);
+        expect(await levelsOf(first)).toEqual([
+            { warehouse_id: north.id, quantity: 10, reserved_quantity: 10 },
+            { warehouse_id: south.id, quantity: 4, reserved_quantity: 2 }
+        ]);
+    });
+
+    it('merges duplicate lines before allocating', async () => {
+        const res = await reserve([
+            { product_id: first.id, warehouse_id: north.id, quantity: 3 },
+            { product_id: first.id, warehouse_id: north.id, quantity: 4 }
+        ]);
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.reservations).toEqual([expect.objectContaining({ warehouse_id: north.id, quantity: 7 })]);
+    });
+
+    it('holds nothing when any line cannot be covered', async () => {
+        const res = await reserve([
+            { product_id: second.id, quantity: 5 },
+            { product_id: first.id, warehouse_id: south.id, quantity: 5 }
+        ]);
+
+        expect(res.status).toBe(409);
+        expect(res.body.error.code).toBe('INSUFFICIENT_STOCK');
+        expect(res.body.error.details[0]).toMatchObject({ product_id: first.id, requested: 5, available: 4 });
+        expect((await levelsOf(second))[0].reserved_quantity).toBe(0);
+    });
+
+    it('refuses a second hold for the same order', async () => {
+        const held = await reserve([{ product_id: second.id, quantity: 1 }]);
+        const again = await request(app).post(api('/')).set(as(admin)).send({
+            order_id: held.orderId,
+            items: [{ product_id: second.id, quantity: 1 }]
+        });
+
+        expect(again.status).toBe(409);
+        expect(again.body.error.code).toBe('RESERVATION_EXISTS');
+    });
+
+    it('takes row locks in product order, so crossed orders do not deadlock', async () => {
+        const pairs = [1, 2, 3, 4, 5].map(() => Promise.all([
+            reserve([{ product_id: first.id, quantity: 1 }, { product_id: second.id, quantity: 1 }]),
+            reserve([{ product_id: second.id, quantity: 1 }, { product_id: first.id, quantity: 1 }])
+        ]));
+        const results = (await Promise.all(pairs)).flat();
+
+        expect(results.map(res => res.status)).toEqual(Array(10).fill(201));
+        const reserved = levels => levels.reduce((sum, level) => sum + level.reserved_quantity, 0);
+        expect(reserved(await levelsOf(first))).toBe(10);
+        expect(reserved(await levelsOf(second))).toBe(10);
+    });
+
+    it('does not hold more than is available under concurrent orders', async () => {
+        const results = await Promise.all([1, 2, 3].map(() => reserve([{ product_id: first.id, quantity: 6 }])));
+
+        expect(results.filter(res => res.status === 201)).toHaveLength(2);
+        expect(results.filter(res => res.status === 409)).toHaveLength(1);
+        expect(await levelsOf(first)).toEqual([
+            expect.objectContaining({ quantity: 10, reserved_quantity: 10 }),
+            expect.objectContaining({ quantity: 4, reserved_quantity: 2 })
+        ]);
+    });
+
+    it('releases a hold back to available stock', async () => {
+        const held = await reserve([{ product_id: first.id, warehouse_id: north.id, quantity: 5 }]);
+
+        const res = await request(app).post(api(`/order/${held.orderId}/release`)).set(as(admin));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.reservations[0].status).toBe('released');
+        expect((await levelsOf(first))[0].reserved_quantity).toBe(0);
+        expect((await request(app).post(api(`/order/${held.orderId}/release`)).set(as(admin))).status).toBe(404);
+    });
+
+    it('commits a hold as ORDER movements and can return it', async () => {
+        const held = await reserve([{ product_id: first.id, warehouse_id: north.id, quantity: 5 }]);
+
+        const committed = await request(app).post(api(`/order/${held.orderId}/commit`)).set(as(admin));
+        expect(committed.status).toBe(200);
+        expect(committed.body.data.movements).toEqual([
+            expect.objectContaining({ movement_type: 'OUT', quantity: -5, reference_type: 'ORDER', reference_id: held.orderId })
+        ]);
+        expect((await levelsOf(first))[0]).toMatchObject({ quantity: 5, reserved_quantity: 0 });
+
+        const returned = await request(app).post(api(`/order/${held.orderId}/return`)).set(as(admin));
+        expect(returned.status).toBe(200);
+        expect(returned.body.data.reservations[0].status).toBe('returned');
+        expect((await levelsOf(first))[0]).toMatchObject({ quantity: 10, reserved_quantity: 0 });
+    });
+
+    describe('expiry', () => {
+        const lapse = orderId => adminQuery(
+            "UPDATE stock_reservations SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 second' WHERE order_id = $1",
+            [orderId]
+        );
+
+        it('sets expires_at from the requested TTL', async () => {
+            const held = await reserve([{ product_id: second.id, quantity: 1 }], { ttl_seconds: 120 });
+
+            const { rows: [row] } = await adminQuery(
+                'SELECT EXTRACT(EPOCH FROM expires_at - created_at) AS ttl FROM stock_reservations WHERE order_id = $1',
+                [held.orderId]
+            );
+            expect(Number(row.ttl)).toBeCloseTo(120, 0);
+        });
+
+        it('will not commit a hold whose TTL has passed', async () => {
+            const held = await reserve([{ product_id: first.id, warehouse_id: north.id, quantity: 5 }]);
+            await lapse(held.orderId);
+
+            const res = await request(app).post(api(`/order/${held.orderId}/commit`)).set(as(admin));
+
+            expect(res.status).toBe(409);
+            expect(res.body.error.code).toBe('RESERVATION_EXPIRED');
+            expect((await levelsOf(first))[0]).toMatchObject({ quantity: 10, reserved_quantity: 5 });
+        });
+
+        it('sweeps lapsed holds back to available stock and leaves live ones', async () => {
+            const lapsed = await reserve([{ product_id: first.id, warehouse_id: north.id, quantity: 5 }]);
+            const live = await reserve([{ product_id: first.id, warehouse_id: south.id, quantity: 3 }]);
+            await lapse(lapsed.orderId);
+
+            const count = await TenantContext.run(TenantContext.SYSTEM, expireReservations);
+
+            expect(count).toBeGreaterThanOrEqual(1);
+            expect(await levelsOf(first)).toEqual([
+                expect.objectContaining({ warehouse_id: north.id, reserved_quantity: 0 }),
+                expect.objectContaining({ warehouse_id: south.id, reserved_quantity: 3 })
+            ]);
+
+            const statuses = await request(app).get(api(`/order/${lapsed.orderId}`)).set(as(admin));
+            expect(statuses.body.data.reservations[0].status).toBe('expired');
+            const kept = await request(app).get(api(`/order/${live.orderId}`)).set(as(admin));
+            expect(kept.body.data.reservations[0].status).toBe('active');
+        });
+    });
+});
@@ -0,0 +1,173 @@
+// services/inventory-service/tests/warehouseAccess.test.js
+const request = require('supertest');
+const { loadInventoryService } = require('../../../tests/helpers/services');
+const { createOrganization, createUser, adminQuery, closeDatabase } = require('../../../tests/helpers/database');
+const { signAccessToken } = require('../../../tests/helpers/tokens');
+const { PolicyEngine } = require('../../../shared/utils');
+
+const { app, load, close } = loadInventoryService();
+const { warehousePolicies } = load('services/warehouseAccess');
+
+describe('warehouse access policies', () => {
+    let organization;
+    let admin;
+    let manager;
+    let otherManager;
+    let employee;
+    let adminManager;
+    let warehouses;
+
+    const as = user => ({ Authorization: `Bearer ${signAccessToken(user)}` });
+    const subject = user => ({ userId: user.id, roles: user.roles });
+
+    const allowedIds = (engine, user) => warehouses
+        .filter(warehouse => engine.evaluate(subject(user), 'stock:adjust', warehouse).allowed)
+        .map(warehouse => warehouse.id)
+        .sort();
+
+    beforeAll(async () => {
+        organization = await createOrganization();
+        admin = await createUser(organization.id, { roles: ['admin'] });
+        manager = await createUser(organization.id, { roles: ['manager'] });
+        otherManager = await createUser(organization.id, { roles: ['manager'] });
+        employee = await createUser(organization.id, { roles: ['employee'] });
+        adminManager = await createUser(organization.id, { roles: ['admin', 'manager'] });
+
+        const specs = [
+            { code: 'ACC-1', manager_id: manager.id },
+            { code: 'ACC-2', manager_id: manager.id },
+            { code: 'ACC-3', manager_id: otherManager.id },
+            { code: 'ACC-4' },
+            { code: 'ACC-5', manager_id: adminManager.id }
+        ];
+        warehouses = [];
+        for (const spec of specs) {
+            const res = await request(app).post('/api/inventory/warehouses').set(as(admin)).send({ name: spec.code, ...spec });
+            warehouses.push(res.body.data.warehouse);
+        }
+        await request(app).delete(`/api/inventory/warehouses/${warehouses[1].id}`).set(as(admin));
+        warehouses[1].is_active = false;
+    });
+
+    afterAll(async () => {
+        await close();
+        await closeDatabase();
+    });
+
+    describe('list filter agrees with evaluate', () => {
+        const adjustable = async (user) => {
+            const res = await request(app).get('/api/inventory/warehouses?adjustable=true&limit=100').set(as(user));
+            expect(res.status).toBe(200);
+            return res.body.data.map(warehouse => warehouse.id).sort();
+        };
+
+        it.each([
+            ['an admin', () => admin],
+            ['a manager', () => manager],
+            ['a manager of another warehouse', () => otherManager],
+            ['an employee', () => employee],
+            ['an admin who also manages a warehouse', () => adminManager]
+        ])('for %s', async (label, user) => {
+            expect(await adjustable(user())).toEqual(allowedIds(warehousePolicies, user()));
+        });
+
+        it('limits managers to the warehouses they manage', async () => {
+            expect(await adjustable(manager)).toEqual([warehouses[0].id, warehouses[1].id].sort());
+            expect(await adjustable(employee)).toEqual([]);
+        });
+    });
+
+    it('agrees on deny policies and compound conditions', async () => {
+        const engine = new PolicyEngine([
+            {
+                id: 'managed-or-unassigned',
+                actions: ['stock:adjust'],
+                roles: ['manager'],
+                condition: { any: [{ field: 'manager_id', equals: { user: 'userId' } }, { field: 'code', in: ['ACC-4'] }] }
+            },
+            {
+                id: 'no-inactive',
+                effect: 'deny',
+                actions: ['*'],
+                condition: { not: { field: 'is_active', equals: true } }
+            }
+        ]);
+        const columns = { manager_id: 'w.manager_id', code: 'w.code', is_active: 'w.is_active' };
+
+        for (const user of [manager, otherManager, employee, adminManager]) {
+            const params = [organization.id];
+            const condition = engine.toSql(subject(user), 'stock:adjust', { columns, params });
+            const result = await adminQuery(
+                `SELECT w.id FROM warehouses w WHERE w.organization_id = $1 AND ${condition} ORDER BY w.id`,
+                params
+            );
+
+            expect(result.rows.map(row => row.id).sort()).toEqual(allowedIds(engine, user));
+        }
+        expect(allowedIds(engine, manager)).toEqual([warehouses[0].id, warehouses[3].id].sort());
+    });
+
+    it('enforces the same decision on stock movements', async () => {
+        const [managed, , foreign] = warehouses;
+        const product = await request(app).post('/api/inventory/products').set(as(admin)).send({ sku: 'ACC-P', name: 'Access' });
+        const move = warehouse => request(app).post('/api/inventory/movements').set(as(manager)).send({
+            product_id: product.body.data.product.id,
+            warehouse_id: warehouse.id,
+            movement_type: 'IN',
+            quantity: 1
+        });
+
+        expect((await move(managed)).status).toBe(201);
+
+        const denied = await move(foreign);
+        expect(denied.status).toBe(403);
+        expect(denied.body.error).toMatchObject({ code: 'ACCESS_DENIED', details: [{ action: 'stock:adjust', policy: null }] });
+    });
+
+    describe('explain', () => {
+        const explain = body => request(app).post('/api/inventory/warehouses/access/explain').set(as(admin)).send(body);
+
+        it('shows the failed condition for a manager of another warehouse', async () => {
+            const res = await explain({ warehouse_id: warehouses[2].id, user_id: manager.id });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({
+                user: { userId: manager.id, roles: ['manager'] },
+                allowed: false,
+                decidedBy: null,
+                reason: 'The resource does not meet the conditions of any policy that allows stock:adjust'
+            });
+            const managed = res.body.data.policies.find(policy => policy.id === 'stock-adjust-managed-warehouse');
+            expect(managed).toMatchObject({ appliesToUser: true, conditionMet: false, matched: false });
+            expect(managed.checks).toEqual([
+                { field: 'manager_id', operator: 'equals', expected: manager.id, actual: otherManager.id, passed: false }
+            ]);
+        });
+
+        it('names the deciding policy when access is allowed', async () => {
+            const res = await explain({ warehouse_id: warehouses[0].id, user_id: manager.id });
+
+            expect(res.body.data).toMatchObject({ allowed: true, decidedBy: 'stock-adjust-managed-warehouse' });
+        });
+
+        it('explains the caller when no user is given', async () => {
+            const res = await explain({ warehouse_id: warehouses[3].id });
+
+            expect(res.body.data).toMatchObject({ allowed: true, decidedBy: 'stock-adjust-admin' });
+        });
+
+        it('reports roles no policy applies to', async () => {
+            const res = await explain({ warehouse_id: warehouses[0].id, user_id: employee.id });
+
+            expect(res.body.data.reason).toBe("No policy for stock:adjust applies to the user's roles");
+        });
+
+        it('keeps explain to admins', async () => {
+            const res = await request(app).post('/api/inventory/warehouses/access/explain').set(as(manager)).send({
+                warehouse_id: warehouses[0].id
+            });
+
+            expect(res.status).toBe(403);
+        });
+    });
+});
@@ -0,0 +1,170 @@
+const OrderModel = require('../models/orderModel');
+const { orderPolicies, assertAccess, readableOrdersFilter } = require('../services/orderAccess');
+const { pgPool } = require('../config/database');
+const {
+  createOrder,
+  updateOrder,
+  changeStatus,
+  cancelOrder
+} = require('../services/orderService');
+const { ORDER_STATUSES } = require('../services/orderStatusMachine');
+const { getRequestContext, getOrderHistory, EVENT_TYPES } = require('../utils/orderHistory');
+const { ResponseFormatter, PaginationUtils, PolicyEngine, ErrorHandler } = require('../../../../shared/utils');
+const { sendError } = require('../utils/errorResponse');
+
+class OrderController {
+  /**
+   * Get orders with pagination and filters
+   * Limited to the orders the user may read (customers get their own)
+   */
+  static async getAllOrders(req, res) {
+    try {
+      const { page, limit, offset, sortBy, sortOrder } = PaginationUtils.getPaginationParams(req.query);
+      const { search = '', status = null, customer_id: customerId = null } = req.query;
+
+      const { orders, total } = await OrderModel.findAll({
+        limit,
+        offset,
+        search,
+        status: ORDER_STATUSES.includes(status) ? status : null,
+        customerId,
+        startDate: req.query.start_date,
+        endDate: req.query.end_date,
+        sortBy,
+        sortOrder,
+        accessFilter: params => readableOrdersFilter(req.user, params)
+      });
+
+      return res.json(ResponseFormatter.paginated(orders, page, limit, total));
+    } catch (error) {
+      return sendError(res, error, 'Get orders error');
+    }
+  }
+
+  /**
+   * Get order by ID with line items
+   */
+  static async getOrderById(req, res) {
+    try {
+      const order = await OrderModel.findById(req.params.id);
+      assertAccess(order, req.user);
+
+      return res.json(ResponseFormatter.success({ order }));
+    } catch (error) {
+      return sendError(res, error, 'Get order error');
+    }
+  }
+
+  /**
+   * Get the audit timeline of an order, oldest event first
+   */
+  static async getOrderHistory(req, res) {
+    try {
+      const order = await OrderModel.findById(req.params.id);
+      assertAccess(order, req.user);
+
+      const { limit, offset } = PaginationUtils.getPaginationParams(req.query);
+      const eventType = EVENT_TYPES.includes(req.query.event_type) ? req.query.event_type : null;
+
+      const history = await getOrderHistory(order.id, { limit, skip: offset, eventType });
+
+      return res.json(ResponseFormatter.success({
+        order_id: order.id,
+        order_number: order.order_number,
+        history
+      }));
+    } catch (error) {
+      return sendError(res, error, 'Get order history error');
+    }
+  }
+
+  /**
+   * Create order, price it and reserve stock
+   */
+  static async createOrder(req, res) {
+    try {
+      const created = await createOrder(req.body, req.user, getRequestContext(req));
+      const order = await OrderModel.findById(created.id);
+
+      return res.status(201).json(ResponseFormatter.success({ order }));
+    } catch (error) {
+      return sendError(res, error, 'Create order error');
+    }
+  }
+
+  /**
+   * Update addresses, notes, payment method or shipping of a pending order
+   */
+  static async updateOrder(req, res) {
+    try {
+      await updateOrder(req.params.id, req.body, req.user, getRequestContext(req));
+      const order = await OrderModel.findById(req.params.id);
+
+      return res.json(ResponseFormatter.success({ order }));
+    } catch (error) {
+      return sendError(res, error, 'Update order error');
+    }
+  }
+
+  /**
+   * Move an order to its next status
+   */
+  static async updateStatus(req, res) {
+    try {
+      const { status, reason } = req.body;
+
+      const order = await changeStatus(req.params.id, status, req.user, {
+        reason,
+        context: getRequestContext(req)
+      });
+
+      return res.json(ResponseFormatter.success({ order }));
+    } catch (error) {
+      return sendError(res, error, 'Update order status error');
+    }
+  }
+
+  /**
+   * Cancel an order and give its stock back
+   */
+  static async cancelOrder(req, res) {
+    try {
+      const order = await cancelOrder(req.params.id, req.user, req.body.reason, getRequestContext(req));
+
+      return res.json(ResponseFormatter.success({ order }));
+    } catch (error) {
+      return sendError(res, error, 'Cancel order error');
+    }
+  }
+
+  /**
+   * Dry run of the order access policies: would a user be allowed, and why not
+   */
+  static async explainAccess(req, res) {
+    try {
+      const { action, order_id: orderId, user_id: userId } = req.body;
+
+      const order = await OrderModel.findById(orderId);
+      if (!order) {
+        throw ErrorHandler.createError('Order not found', 404, 'ORDER_NOT_FOUND');
+      }
+
+      const subject = userId ? await PolicyEngine.loadUser(pgPool, userId) : req.user;
+      if (!subject) {
+        throw ErrorHandler.createError('User not found', 404, 'USER_NOT_FOUND');
+      }
+
+      const explanation = orderPolicies.explain(subject, action, order);
+
+      return res.json(ResponseFormatter.success({
+        user: { userId: subject.userId, roles: subject.roles },
+        order_id: order.id,
+        ...explanation
+      }));
+    } catch (error) {
+      return sendError(res, error, 'Explain order access error');
+    }
+  }
+}
+
+module.exports = OrderController;
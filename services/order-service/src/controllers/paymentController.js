@@ -0,0 +1,114 @@
+const OrderModel = require('../models/orderModel');
+const PaymentModel = require('../models/paymentModel');
+const { assertAccess } = require('../services/orderAccess');
+const { recordPayment, markPayment, refundPayment } = require('../services/paymentService');
+const { getRequestContext } = require('../utils/orderHistory');
+const { ResponseFormatter } = require('../../../../shared/utils');
+const { sendError } = require('../utils/errorResponse');
+
+class PaymentController {
+  /**
+   * Get the payments and refunds of an order
+   */
+  static async getPayments(req, res) {
+    try {
+      const order = await OrderModel.findById(req.params.id);
+      assertAccess(order, req.user);
+
+      const payments = await PaymentModel.findByOrder(order.id);
+
+      return res.json(ResponseFormatter.success({
+        order_id: order.id,
+        total_amount: order.total_amount,
+        payment_status: order.payment_status,
+        payments
+      }));
+    } catch (error) {
+      return sendError(res, error, 'Get payments error');
+    }
+  }
+
+  /**
+   * Charge a payment against an order
+   * A declined charge is kept on record and reported as 402 PAYMENT_FAILED
+   */
+  static async createPayment(req, res) {
+    try {
+      const { payment, order } = await recordPayment(req.params.id, req.body, req.user, getRequestContext(req));
+
+      if (payment.status === 'failed') {
+        return res.status(402).json(
+          ResponseFormatter.error(payment.failure_reason || 'Payment failed', 'PAYMENT_FAILED', [{
+            field: 'payment',
+            message: payment.failure_reason || 'Payment failed',
+            payment_id: payment.id
+          }])
+        );
+      }
+
+      return res.status(201).json(ResponseFormatter.success({
+        payment,
+        payment_status: order.payment_status
+      }));
+    } catch (error) {
+      return sendError(res, error, 'Record payment error');
+    }
+  }
+
+  /**
+   * Mark a pending payment completed or failed
+   */
+  static async updatePaymentStatus(req, res) {
+    try {
+      const { payment, order } = await markPayment(
+        req.params.id,
+        req.params.paymentId,
+        req.body,
+        req.user,
+        getRequestContext(req)
+      );
+
+      return res.json(ResponseFormatter.success({
+        payment,
+        payment_status: order.payment_status
+      }));
+    } catch (error) {
+      return sendError(res, error, 'Update payment status error');
+    }
+  }
+
+  /**
+   * Refund all or part of a payment
+   */
+  static async createRefund(req, res) {
+    try {
+      const { payment, refund, order } = await refundPayment(
+        req.params.id,
+        req.params.paymentId,
+        req.body,
+        req.user,
+        getRequestContext(req)
+      );
+
+      if (refund.status === 'failed') {
+        return res.status(502).json(
+          ResponseFormatter.error(refund.failure_reason || 'Refund failed', 'REFUND_FAILED', [{
+            field: 'refund',
+            message: refund.failure_reason || 'Refund failed',
+            refund_id: refund.id
+          }])
+        );
+      }
+
+      return res.status(201).json(ResponseFormatter.success({
+        payment,
+        refund,
+        payment_status: order.payment_status
+      }));
+    } catch (error) {
+      return sendError(res, error, 'Refund payment error');
+    }
+  }
+}
+
+module.exports = PaymentController;
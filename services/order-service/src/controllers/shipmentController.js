@@ -0,0 +1,58 @@
+const OrderModel = require('../models/orderModel');
+const ShipmentModel = require('../models/shipmentModel');
+const { assertAccess } = require('../services/orderAccess');
+const { createShipment, handleCarrierWebhook } = require('../services/shipmentService');
+const { getRequestContext } = require('../utils/orderHistory');
+const { ResponseFormatter } = require('../../../../shared/utils');
+const { sendError } = require('../utils/errorResponse');
+
+class ShipmentController {
+  /**
+   * Get the shipments of an order with their items
+   */
+  static async getShipments(req, res) {
+    try {
+      const order = await OrderModel.findById(req.params.id);
+      assertAccess(order, req.user);
+
+      const shipments = await ShipmentModel.findByOrder(order.id);
+
+      return res.json(ResponseFormatter.success({
+        order_id: order.id,
+        status: order.status,
+        shipments
+      }));
+    } catch (error) {
+      return sendError(res, error, 'Get shipments error');
+    }
+  }
+
+  /**
+   * Ship all remaining items of an order, or the subset given in items
+   */
+  static async createShipment(req, res) {
+    try {
+      const shipment = await createShipment(req.params.id, req.body, req.user, getRequestContext(req));
+
+      return res.status(201).json(ResponseFormatter.success({ shipment }));
+    } catch (error) {
+      return sendError(res, error, 'Create shipment error');
+    }
+  }
+
+  /**
+   * Receive delivery status updates from a carrier
+   * Authenticated by the carrier's signature instead of a user token
+   */
+  static async handleCarrierWebhook(req, res) {
+    try {
+      const events = await handleCarrierWebhook(req.params.carrier, req.body, req.headers);
+
+      return res.json(ResponseFormatter.success({ events }));
+    } catch (error) {
+      return sendError(res, error, 'Carrier webhook error');
+    }
+  }
+}
+
+module.exports = ShipmentController;
@@ -0,0 +1,113 @@
+const Joi = require('joi');
+const { ResponseFormatter } = require('../../../../shared/utils');
+const { ORDER_STATUSES } = require('../services/orderStatusMachine');
+
+const orderItem = Joi.object({
+    product_id: Joi.string().uuid().required(),
+    quantity: Joi.number().integer().positive().required(),
+    unit_price: Joi.number().precision(2).min(0),
+    discount: Joi.number().precision(2).min(0),
+    tax_rate: Joi.number().precision(2).min(0).max(100)
+});
+
+/**
+ * Validation schemas for orders
+ */
+const schemas = {
+    createOrder: Joi.object({
+        customer_id: Joi.string().uuid(),
+        items: Joi.array().items(orderItem).min(1).max(100).required(),
+        shipping_amount: Joi.number().precision(2).min(0),
+        payment_method: Joi.string().max(50).allow('', null),
+        shipping_address: Joi.string().max(1000).allow('', null),
+        billing_address: Joi.string().max(1000).allow('', null),
+        notes: Joi.string().max(2000).allow('', null)
+    }),
+
+    updateOrder: Joi.object({
+        shipping_amount: Joi.number().precision(2).min(0),
+        payment_method: Joi.string().max(50).allow('', null),
+        shipping_address: Joi.string().max(1000).allow('', null),
+        billing_address: Joi.string().max(1000).allow('', null),
+        notes: Joi.string().max(2000).allow('', null)
+    }).min(1),
+
+    updateStatus: Joi.object({
+        status: Joi.string().valid(...ORDER_STATUSES).required(),
+        reason: Joi.string().max(500)
+    }),
+
+    cancelOrder: Joi.object({
+        reason: Joi.string().max(500)
+    }),
+
+    recordPayment: Joi.object({
+        amount: Joi.number().precision(2).positive().required(),
+        payment_method: Joi.string().max(50).required(),
+        metadata: Joi.object().unknown(true).default({})
+    }),
+
+    markPayment: Joi.object({
+        status: Joi.string().valid('completed', 'failed').required(),
+        transaction_id: Joi.string().max(255),
+        failure_reason: Joi.string().max(500)
+    }),
+
+    refundPayment: Joi.object({
+        amount: Joi.number().precision(2).positive(),
+        reason: Joi.string().max(500)
+    }),
+
+    createShipment: Joi.object({
+        carrier: Joi.string().max(100),
+        items: Joi.array().items(Joi.object({
+            order_item_id: Joi.string().uuid().required(),
+            quantity: Joi.number().integer().positive().required()
+        })).min(1).max(100).unique('order_item_id'),
+        estimated_delivery: Joi.date().iso(),
+        notes: Joi.string().max(2000).allow('', null)
+    }),
+
+    // Dry-run access check; user_id defaults to the caller
+    explainAccess: Joi.object({
+        action: Joi.string().max(100).default('orders:read'),
+        order_id: Joi.string().uuid().required(),
+        user_id: Joi.string().uuid()
+    })
+};
+
+/**
+ * Validation middleware factory
+ * Replaces req.body with the validated value so defaults are applied
+ */
+const validate = (schema) => {
+    return (req, res, next) => {
+        const { error, value } = schema.validate(req.body, { stripUnknown: true });
+
+        if (error) {
+            const details = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+
+            return res.status(400).json(
+                ResponseFormatter.error(error.details[0].message, 'VALIDATION_ERROR', details)
+            );
+        }
+
+        req.body = value;
+        next();
+    };
+};
+
+module.exports = {
+    validateCreateOrder: validate(schemas.createOrder),
+    validateUpdateOrder: validate(schemas.updateOrder),
+    validateUpdateStatus: validate(schemas.updateStatus),
+    validateCancelOrder: validate(schemas.cancelOrder),
+    validateRecordPayment: validate(schemas.recordPayment),
+    validateMarkPayment: validate(schemas.markPayment),
+    validateRefundPayment: validate(schemas.refundPayment),
+    validateCreateShipment: validate(schemas.createShipment),
+    validateExplainAccess: validate(schemas.explainAccess)
+};
@@ -0,0 +1,311 @@
+// services/order-service/src/models/orderModel.js
+const { pgPool } = require('../config/database');
+
+const UPDATABLE_FIELDS = [
+  'shipping_address',
+  'billing_address',
+  'notes',
+  'payment_method',
+  'subtotal',
+  'tax_amount',
+  'shipping_amount',
+  'total_amount'
+];
+
+const SORTABLE_FIELDS = ['order_date', 'updated_at', 'order_number', 'status', 'total_amount'];
+
+/**
+ * Order Model
+ * Works with the orders and order_items tables from global schema.
+ * order_number is assigned by the generate_order_number() trigger.
+ */
+class OrderModel {
+  /**
+   * Get order by ID with its line items
+   */
+  static async findById(orderId) {
+    const orderQuery = `
+      SELECT
+        o.*,
+        u.email as customer_email,
+        u.first_name as customer_first_name,
+        u.last_name as customer_last_name
+      FROM orders o
+      LEFT JOIN users u ON o.customer_id = u.id
+      WHERE o.id = $1
+    `;
+
+    const orderResult = await pgPool.query(orderQuery, [orderId]);
+    const order = orderResult.rows[0];
+
+    if (!order) {
+      return null;
+    }
+
+    order.items = await OrderModel.findItems(pgPool, orderId);
+    return order;
+  }
+
+  /**
+   * Get the line items of an order
+   * @param {Object} db - Pool or transaction client
+   */
+  static async findItems(db, orderId) {
+    const query = `
+      SELECT
+        oi.*,
+        p.sku,
+        p.name as product_name
+      FROM order_items oi
+      JOIN products p ON oi.product_id = p.id
+      WHERE oi.order_id = $1
+      ORDER BY oi.created_at, p.sku
+    `;
+
+    const result = await db.query(query, [orderId]);
+    return result.rows;
+  }
+
+  /**
+   * Get all orders with pagination and filters
+   * accessFilter(params) returns a WHERE condition on orders o limiting the rows a user may see
+   */
+  static async findAll(options = {}) {
+    const {
+      limit = 20,
+      offset = 0,
+      search = '',
+      status = null,
+      customerId = null,
+      startDate = null,
+      endDate = null,
+      sortBy = 'order_date',
+      sortOrder = 'DESC',
+      accessFilter = null
+    } = options;
+
+    const params = [];
+    const whereConditions = [];
+
+    if (accessFilter) {
+      whereConditions.push(accessFilter(params));
+    }
+
+    if (search) {
+      params.push(`%${search}%`);
+      whereConditions.push(`o.order_number ILIKE $${params.length}`);
+    }
+
+    if (status) {
+      params.push(status);
+      whereConditions.push(`o.status = $${params.length}`);
+    }
+
+    if (customerId) {
+      params.push(customerId);
+      whereConditions.push(`o.customer_id = $${params.length}`);
+    }
+
+    if (startDate) {
+      params.push(startDate);
+      whereConditions.push(`o.order_date >= $${params.length}`);
+    }
+
+    if (endDate) {
+      params.push(endDate);
+      whereConditions.push(`o.order_date <= $${params.length}`);
+    }
+
+    const whereClause = whereConditions.length > 0
+      ? `WHERE ${whereConditions.join(' AND ')}`
+      : '';
+
+    const orderColumn = SORTABLE_FIELDS.includes(sortBy) ? sortBy : 'order_date';
+    const orderDirection = sortOrder === 'ASC' ? 'ASC' : 'DESC';
+
+    const countResult = await pgPool.query(
+      `SELECT COUNT(*) FROM orders o ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const dataQuery = `
+      SELECT
+        o.*,
+        u.email as customer_email,
+        (SELECT COUNT(*)::INTEGER FROM order_items oi WHERE oi.order_id = o.id) as item_count
+      FROM orders o
+      LEFT JOIN users u ON o.customer_id = u.id
+      ${whereClause}
+      ORDER BY o.${orderColumn} ${orderDirection}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+
+    const dataResult = await pgPool.query(dataQuery, [...params, limit, offset]);
+
+    return {
+      orders: dataResult.rows,
+      total
+    };
+  }
+
+  /**
+   * Insert an order and its items inside the caller's transaction
+   * @param {Object} client - Transaction client
+   * @param {Object} orderData - Priced order (see pricingService.calculateTotals)
+   * @param {Array} items - Priced line items
+   */
+  static async create(client, orderData, items) {
+    const {
+      customer_id,
+      subtotal,
+      tax_amount,
+      shipping_amount,
+      total_amount,
+      payment_method,
+      shipping_address,
+      billing_address,
+      notes,
+      created_by
+    } = orderData;
+
+    // order_number is overwritten by the set_order_number trigger
+    const orderQuery = `
+      INSERT INTO orders (
+        order_number, customer_id, status, subtotal, tax_amount, shipping_amount,
+        total_amount, payment_method, shipping_address, billing_address, notes, created_by
+      )
+      VALUES ('', $1, 'pending', $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `;
+
+    const orderResult = await client.query(orderQuery, [
+      customer_id,
+      subtotal,
+      tax_amount,
+      shipping_amount,
+      total_amount,
+      payment_method || null,
+      shipping_address || null,
+      billing_address || null,
+      notes || null,
+      created_by || null
+    ]);
+    const order = orderResult.rows[0];
+
+    const itemQuery = `
+      INSERT INTO order_items (
+        order_id, product_id, quantity, unit_price, discount, tax_rate, total_price
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+
+    order.items = [];
+    for (const item of items) {
+      const itemResult = await client.query(itemQuery, [
+        order.id,
+        item.product_id,
+        item.quantity,
+        item.unit_price,
+        item.discount,
+        item.tax_rate,
+        item.total_price
+      ]);
+      order.items.push(itemResult.rows[0]);
+    }
+
+    return order;
+  }
+
+  /**
+   * Lock an order row for the rest of the transaction
+   */
+  static async lockById(client, orderId) {
+    const query = `SELECT * FROM orders WHERE id = $1 FOR UPDATE`;
+    const result = await client.query(query, [orderId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Update order fields inside the caller's transaction
+   */
+  static async update(client, orderId, updates) {
+    const fields = Object.keys(updates).filter(key => UPDATABLE_FIELDS.includes(key));
+
+    if (fields.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    const setClauses = fields.map((field, index) => `${field} = $${index + 2}`).join(', ');
+    const values = [orderId, ...fields.map(field => updates[field])];
+
+    const query = `
+      UPDATE orders
+      SET ${setClauses}
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Set order status, stamping the matching timestamp column if any
+   * @param {string|null} timestampColumn - e.g. confirmed_at (from STATUS_TIMESTAMPS)
+   */
+  static async updateStatus(client, orderId, status, timestampColumn = null) {
+    const stamp = timestampColumn ? `, ${timestampColumn} = CURRENT_TIMESTAMP` : '';
+
+    const query = `
+      UPDATE orders
+      SET status = $2${stamp}
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [orderId, status]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Put back the status, notes and status timestamp of an earlier snapshot
+   * @param {Object} snapshot - Order row from before the change
+   * @param {string|null} timestampColumn - Column the undone change stamped
+   */
+  static async restoreStatus(client, snapshot, timestampColumn = null) {
+    const stamp = timestampColumn ? `, ${timestampColumn} = $4` : '';
+    const values = [snapshot.id, snapshot.status, snapshot.notes];
+    if (timestampColumn) {
+      values.push(snapshot[timestampColumn]);
+    }
+
+    const query = `
+      UPDATE orders
+      SET status = $2, notes = $3${stamp}
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Set the derived payment_status (see paymentService.derivePaymentStatus)
+   */
+  static async updatePaymentStatus(client, orderId, paymentStatus) {
+    const query = `
+      UPDATE orders
+      SET payment_status = $2
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [orderId, paymentStatus]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = OrderModel;
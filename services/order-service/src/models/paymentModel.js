@@ -0,0 +1,172 @@
+// services/order-service/src/models/paymentModel.js
+const { pgPool } = require('../config/database');
+
+/**
+ * Payment Model
+ * Works with the payments and payment_refunds tables.
+ * Payment status: pending, completed, failed, refunded (fully refunded)
+ */
+class PaymentModel {
+  /**
+   * Get the payments of an order with their refunds
+   */
+  static async findByOrder(orderId) {
+    const query = `
+      SELECT
+        p.*,
+        COALESCE(
+          json_agg(r.* ORDER BY r.created_at) FILTER (WHERE r.id IS NOT NULL),
+          '[]'
+        ) as refunds
+      FROM payments p
+      LEFT JOIN payment_refunds r ON r.payment_id = p.id
+      WHERE p.order_id = $1
+      GROUP BY p.id
+      ORDER BY p.payment_date
+    `;
+
+    const result = await pgPool.query(query, [orderId]);
+    return result.rows;
+  }
+
+  /**
+   * Lock a payment of an order for the rest of the transaction
+   */
+  static async lockById(client, orderId, paymentId) {
+    const query = `
+      SELECT *
+      FROM payments
+      WHERE id = $1 AND order_id = $2
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [paymentId, orderId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Sum payment amounts for an order
+   * Refunds only count once completed; pending charges count towards the
+   * outstanding balance so the same amount cannot be charged twice.
+   */
+  static async getTotals(client, orderId) {
+    const query = `
+      SELECT
+        COALESCE(SUM(amount) FILTER (WHERE status IN ('completed', 'refunded')), 0) as paid,
+        COALESCE(SUM(refunded_amount), 0) as refunded,
+        COALESCE(SUM(amount) FILTER (WHERE status = 'pending'), 0) as pending
+      FROM payments
+      WHERE order_id = $1
+    `;
+
+    const result = await client.query(query, [orderId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Insert a pending payment inside the caller's transaction
+   */
+  static async create(client, payment) {
+    const { orderId, amount, paymentMethod, provider, processedBy, metadata } = payment;
+
+    const query = `
+      INSERT INTO payments (
+        order_id, amount, payment_method, provider, status, processed_by, metadata
+      )
+      VALUES ($1, $2, $3, $4, 'pending', $5, $6)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      orderId,
+      amount,
+      paymentMethod,
+      provider,
+      processedBy || null,
+      metadata || {}
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Record the outcome of a charge
+   */
+  static async updateStatus(client, paymentId, { status, transactionId = null, failureReason = null }) {
+    const query = `
+      UPDATE payments
+      SET status = $2,
+          transaction_id = COALESCE($3, transaction_id),
+          failure_reason = $4
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [paymentId, status, transactionId, failureReason]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Add a completed refund to a payment; fully refunded payments become 'refunded'
+   */
+  static async addRefunded(client, paymentId, amount) {
+    const query = `
+      UPDATE payments
+      SET refunded_amount = refunded_amount + $2,
+          status = CASE WHEN refunded_amount + $2 >= amount THEN 'refunded' ELSE status END
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [paymentId, amount]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Sum of refunds still waiting for the provider
+   */
+  static async getPendingRefunds(client, paymentId) {
+    const query = `
+      SELECT COALESCE(SUM(amount), 0) as pending
+      FROM payment_refunds
+      WHERE payment_id = $1 AND status = 'pending'
+    `;
+
+    const result = await client.query(query, [paymentId]);
+    return result.rows[0].pending;
+  }
+
+  /**
+   * Insert a pending refund inside the caller's transaction
+   */
+  static async createRefund(client, refund) {
+    const { paymentId, amount, reason, createdBy } = refund;
+
+    const query = `
+      INSERT INTO payment_refunds (payment_id, amount, reason, status, created_by)
+      VALUES ($1, $2, $3, 'pending', $4)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [paymentId, amount, reason || null, createdBy || null]);
+    return result.rows[0];
+  }
+
+  /**
+   * Record the outcome of a refund
+   */
+  static async updateRefund(client, refundId, { status, providerRefundId = null, failureReason = null }) {
+    const query = `
+      UPDATE payment_refunds
+      SET status = $2,
+          provider_refund_id = $3,
+          failure_reason = $4
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [refundId, status, providerRefundId, failureReason]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = PaymentModel;
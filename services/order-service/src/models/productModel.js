@@ -0,0 +1,25 @@
+// services/order-service/src/models/productModel.js
+const { pgPool } = require('../config/database');
+
+/**
+ * Product Model (read-only)
+ * The catalogue is owned by the inventory service; orders only need
+ * current prices and the active flag when pricing new lines.
+ */
+class ProductModel {
+  /**
+   * Get products by ID
+   */
+  static async findByIds(productIds) {
+    const query = `
+      SELECT id, sku, name, unit_price, is_active
+      FROM products
+      WHERE id = ANY($1::uuid[])
+    `;
+
+    const result = await pgPool.query(query, [productIds]);
+    return result.rows;
+  }
+}
+
+module.exports = ProductModel;
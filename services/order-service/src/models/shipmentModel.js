@@ -0,0 +1,188 @@
+// services/order-service/src/models/shipmentModel.js
+const { pgPool } = require('../config/database');
+
+/**
+ * Shipment lines with the SKU and name of the product they carry
+ */
+const ITEMS_QUERY = `
+  COALESCE(
+    (
+      SELECT json_agg(json_build_object(
+        'id', si.id,
+        'order_item_id', si.order_item_id,
+        'product_id', oi.product_id,
+        'sku', p.sku,
+        'product_name', p.name,
+        'quantity', si.quantity
+      ) ORDER BY p.sku)
+      FROM shipment_items si
+      JOIN order_items oi ON si.order_item_id = oi.id
+      JOIN products p ON oi.product_id = p.id
+      WHERE si.shipment_id = s.id
+    ),
+    '[]'
+  ) as items
+`;
+
+/**
+ * Shipment Model
+ * Works with the shipments and shipment_items tables.
+ * Shipment status: pending, in_transit, delivered, failed
+ */
+class ShipmentModel {
+  /**
+   * Get the shipments of an order with their items
+   */
+  static async findByOrder(orderId) {
+    const query = `
+      SELECT s.*, ${ITEMS_QUERY}
+      FROM shipments s
+      WHERE s.order_id = $1
+      ORDER BY s.created_at
+    `;
+
+    const result = await pgPool.query(query, [orderId]);
+    return result.rows;
+  }
+
+  /**
+   * Get a shipment of an order with its items
+   * @param {Object} db - Pool or transaction client
+   */
+  static async findById(db, orderId, shipmentId) {
+    const query = `
+      SELECT s.*, ${ITEMS_QUERY}
+      FROM shipments s
+      WHERE s.id = $1 AND s.order_id = $2
+    `;
+
+    const result = await db.query(query, [shipmentId, orderId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find a shipment by the tracking number its carrier issued
+   */
+  static async findByTracking(carrier, trackingNumber) {
+    const query = `
+      SELECT *
+      FROM shipments
+      WHERE carrier = $1 AND tracking_number = $2
+    `;
+
+    const result = await pgPool.query(query, [carrier, trackingNumber]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Lock a shipment row for the rest of the transaction
+   */
+  static async lockById(client, shipmentId) {
+    const query = `SELECT * FROM shipments WHERE id = $1 FOR UPDATE`;
+    const result = await client.query(query, [shipmentId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Per order line: units ordered and units in shipments by progress
+   * allocated - in any shipment that has not failed
+   * departed  - picked up by the carrier (in_transit or delivered)
+   * delivered - handed over to the customer
+   */
+  static async getItemQuantities(client, orderId) {
+    const query = `
+      SELECT
+        oi.id as order_item_id,
+        oi.quantity as ordered,
+        COALESCE(SUM(si.quantity) FILTER (WHERE s.status <> 'failed'), 0)::INTEGER as allocated,
+        COALESCE(SUM(si.quantity) FILTER (WHERE s.status IN ('in_transit', 'delivered')), 0)::INTEGER as departed,
+        COALESCE(SUM(si.quantity) FILTER (WHERE s.status = 'delivered'), 0)::INTEGER as delivered
+      FROM order_items oi
+      LEFT JOIN shipment_items si ON si.order_item_id = oi.id
+      LEFT JOIN shipments s ON si.shipment_id = s.id
+      WHERE oi.order_id = $1
+      GROUP BY oi.id, oi.quantity
+    `;
+
+    const result = await client.query(query, [orderId]);
+    return result.rows;
+  }
+
+  /**
+   * Insert a pending shipment and its items inside the caller's transaction
+   * @param {Object} client - Transaction client
+   * @param {Object} shipment - { orderId, carrier, estimatedDelivery?, notes?, createdBy? }
+   * @param {Array} items - [{ order_item_id, quantity }]
+   */
+  static async create(client, shipment, items) {
+    const { orderId, carrier, estimatedDelivery, notes, createdBy } = shipment;
+
+    const shipmentQuery = `
+      INSERT INTO shipments (order_id, carrier, status, estimated_delivery, notes, created_by)
+      VALUES ($1, $2, 'pending', $3, $4, $5)
+      RETURNING *
+    `;
+
+    const shipmentResult = await client.query(shipmentQuery, [
+      orderId,
+      carrier,
+      estimatedDelivery || null,
+      notes || null,
+      createdBy || null
+    ]);
+    const created = shipmentResult.rows[0];
+
+    const itemQuery = `
+      INSERT INTO shipment_items (shipment_id, order_item_id, quantity)
+      VALUES ($1, $2, $3)
+    `;
+
+    for (const item of items) {
+      await client.query(itemQuery, [created.id, item.order_item_id, item.quantity]);
+    }
+
+    return created;
+  }
+
+  /**
+   * Store the tracking number and delivery estimate issued by the carrier
+   * A delivery date given when creating the shipment wins over the carrier's estimate
+   */
+  static async setTracking(client, shipmentId, { trackingNumber, estimatedDelivery = null }) {
+    const query = `
+      UPDATE shipments
+      SET tracking_number = $2,
+          estimated_delivery = COALESCE(estimated_delivery, $3)
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [shipmentId, trackingNumber, estimatedDelivery]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Set shipment status
+   * shipped_at is stamped the first time the carrier has the parcel,
+   * delivered_at when it is delivered.
+   * @param {Date} occurredAt - When the carrier reported the change
+   */
+  static async updateStatus(client, shipmentId, status, occurredAt) {
+    const query = `
+      UPDATE shipments
+      SET status = $2::VARCHAR,
+          shipped_at = CASE
+            WHEN $2::VARCHAR IN ('in_transit', 'delivered') THEN COALESCE(shipped_at, $3::TIMESTAMP)
+            ELSE shipped_at
+          END,
+          delivered_at = CASE WHEN $2::VARCHAR = 'delivered' THEN $3::TIMESTAMP ELSE delivered_at END
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [shipmentId, status, occurredAt]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = ShipmentModel;
@@ -0,0 +1,40 @@
+// services/order-service/src/providers/carrier/index.js
+const { ErrorHandler } = require('../../../../../shared/utils');
+const mockCarrier = require('./mockCarrier');
+
+/**
+ * Carrier adapter registry
+ *
+ * An adapter is an object with:
+ *   name: string
+ *   createShipment({ shipmentId, orderNumber, address, items })
+ *     -> { trackingNumber, estimatedDelivery }
+ *   verifyWebhook({ rawBody, headers }) -> boolean
+ *   parseWebhook(body)
+ *     -> [{ trackingNumber, status, occurredAt, description }]
+ *
+ * parseWebhook maps carrier event codes to shipment statuses
+ * (pending, in_transit, delivered, failed) and drops codes it does not know.
+ */
+const carriers = new Map();
+
+const registerCarrier = (carrier) => {
+  carriers.set(carrier.name, carrier);
+};
+
+const getCarrier = (name = process.env.SHIPPING_CARRIER || 'mock') => {
+  const carrier = carriers.get(name);
+
+  if (!carrier) {
+    throw ErrorHandler.createError(`Unknown carrier: ${name}`, 400, 'UNKNOWN_CARRIER');
+  }
+
+  return carrier;
+};
+
+registerCarrier(mockCarrier);
+
+module.exports = {
+  registerCarrier,
+  getCarrier
+};
@@ -0,0 +1,42 @@
+// services/order-service/src/providers/carrier/signature.js
+const crypto = require('crypto');
+
+const TOLERANCE_SECONDS = parseInt(process.env.CARRIER_WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+/**
+ * HMAC-SHA256 signature over "<timestamp>.<raw body>"
+ * Signing the timestamp stops a captured webhook from being replayed later.
+ */
+const sign = (rawBody, timestamp, secret) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${rawBody}`)
+  .digest('hex');
+
+/**
+ * Verify a signature header of the form "sha256=<hex>"
+ * @param {Buffer|string} rawBody - Body exactly as received
+ * @param {string} signatureHeader
+ * @param {string} timestampHeader - Unix seconds
+ * @param {string} secret
+ * @returns {boolean}
+ */
+const verify = (rawBody, signatureHeader, timestampHeader, secret) => {
+  if (!secret || !signatureHeader || !timestampHeader || !rawBody) {
+    return false;
+  }
+
+  const timestamp = parseInt(timestampHeader);
+  if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(`sha256=${sign(rawBody, timestamp, secret)}`);
+  const received = Buffer.from(String(signatureHeader));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+  sign,
+  verify
+};
@@ -0,0 +1,38 @@
+// services/order-service/src/providers/payment/fakeProvider.js
+const crypto = require('crypto');
+
+/**
+ * In-process payment provider for development and offline tests
+ * Outcome is driven by metadata.simulate:
+ *   'decline' - charge fails
+ *   'pending' - charge is left pending (e.g. bank transfer), completed later by staff
+ *   anything else - charge succeeds
+ * Refunds always succeed unless the reason is 'simulate_failure'.
+ */
+const fakeProvider = {
+  name: 'fake',
+
+  async charge({ metadata = {} }) {
+    if (metadata.simulate === 'decline') {
+      return { status: 'failed', transactionId: null, failureReason: 'Card declined (simulated)' };
+    }
+
+    const transactionId = `fake_ch_${crypto.randomUUID()}`;
+
+    if (metadata.simulate === 'pending') {
+      return { status: 'pending', transactionId };
+    }
+
+    return { status: 'completed', transactionId };
+  },
+
+  async refund({ reason }) {
+    if (reason === 'simulate_failure') {
+      return { status: 'failed', refundId: null, failureReason: 'Refund rejected (simulated)' };
+    }
+
+    return { status: 'completed', refundId: `fake_re_${crypto.randomUUID()}` };
+  }
+};
+
+module.exports = fakeProvider;
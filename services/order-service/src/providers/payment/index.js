@@ -0,0 +1,67 @@
+// services/order-service/src/providers/payment/index.js
+const { ErrorHandler } = require('../../../../../shared/utils');
+const fakeProvider = require('./fakeProvider');
+
+/**
+ * Payment provider registry
+ *
+ * A provider is an object with:
+ *   name: string
+ *   charge({ orderId, amount, currency, paymentMethod, metadata })
+ *     -> { status: 'completed' | 'pending' | 'failed', transactionId, failureReason? }
+ *   refund({ transactionId, amount, currency, reason })
+ *     -> { status: 'completed' | 'failed', refundId, failureReason? }
+ *
+ * Amounts are decimal currency units (e.g. 12.50). Providers report declines
+ * through status 'failed'; thrown errors are treated as provider outages.
+ */
+const providers = new Map();
+
+/**
+ * The fake provider completes every charge, so it only exists outside production
+ */
+const FAKE_PROVIDER_ENVS = ['development', 'test'];
+const fakeProviderEnabled = FAKE_PROVIDER_ENVS.includes(process.env.NODE_ENV);
+
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Provider new charges go through - server config only, never the request
+ */
+const configuredProviderName = () => process.env.PAYMENT_PROVIDER || (fakeProviderEnabled ? fakeProvider.name : null);
+
+const getProvider = (name = configuredProviderName()) => {
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw ErrorHandler.createError(`Unknown payment provider: ${name}`, 400, 'UNKNOWN_PAYMENT_PROVIDER');
+  }
+
+  return provider;
+};
+
+/**
+ * Fail startup unless PAYMENT_PROVIDER names a registered provider
+ * @throws {Error}
+ */
+const assertProviderConfigured = () => {
+  const name = configuredProviderName();
+
+  if (!providers.has(name)) {
+    throw new Error(name
+      ? `PAYMENT_PROVIDER ${name} is not available in ${process.env.NODE_ENV || 'this'} environment`
+      : 'PAYMENT_PROVIDER must name a real payment provider');
+  }
+};
+
+if (fakeProviderEnabled) {
+  registerProvider(fakeProvider);
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  assertProviderConfigured
+};
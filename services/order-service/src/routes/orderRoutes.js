@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const OrderController = require('../controllers/orderController');
+const paymentRoutes = require('./paymentRoutes');
+const shipmentRoutes = require('./shipmentRoutes');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  validateCreateOrder,
+  validateUpdateOrder,
+  validateUpdateStatus,
+  validateCancelOrder,
+  validateExplainAccess
+} = require('../middleware/validation');
+
+/**
+ * Order Routes
+ * Base path: /api/orders
+ * Customers work with their own orders; staff roles see and manage all of them
+ */
+
+router.get('/', authenticate, OrderController.getAllOrders);
+router.get('/:id', authenticate, OrderController.getOrderById);
+router.get('/:id/history', authenticate, OrderController.getOrderHistory);
+router.post('/', authenticate, validateCreateOrder, OrderController.createOrder);
+router.put('/:id', authenticate, validateUpdateOrder, OrderController.updateOrder);
+router.post('/:id/cancel', authenticate, validateCancelOrder, OrderController.cancelOrder);
+
+// Dry run of the access policies (shows order attributes, so admins only)
+router.post('/access/explain', authenticate, authorize('super_admin', 'admin'), validateExplainAccess, OrderController.explainAccess);
+
+// Fulfilment - staff only
+router.patch('/:id/status', authenticate, authorize('super_admin', 'admin', 'manager', 'employee'), validateUpdateStatus, OrderController.updateStatus);
+
+// Payments and refunds of an order
+router.use('/:id/payments', paymentRoutes);
+
+// Shipments of an order
+router.use('/:id/shipments', shipmentRoutes);
+
+module.exports = router;
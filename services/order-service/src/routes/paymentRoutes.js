@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const PaymentController = require('../controllers/paymentController');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  validateRecordPayment,
+  validateMarkPayment,
+  validateRefundPayment
+} = require('../middleware/validation');
+
+/**
+ * Payment Routes
+ * Base path: /api/orders/:id/payments
+ */
+
+// Customers can view and pay their own orders
+router.get('/', authenticate, PaymentController.getPayments);
+router.post('/', authenticate, validateRecordPayment, PaymentController.createPayment);
+
+// Reconciliation and refunds - require manager role or above
+router.patch('/:paymentId/status', authenticate, authorize('super_admin', 'admin', 'manager'), validateMarkPayment, PaymentController.updatePaymentStatus);
+router.post('/:paymentId/refunds', authenticate, authorize('super_admin', 'admin', 'manager'), validateRefundPayment, PaymentController.createRefund);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const ShipmentController = require('../controllers/shipmentController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateCreateShipment } = require('../middleware/validation');
+
+/**
+ * Shipment Routes
+ * Base path: /api/orders/:id/shipments
+ */
+
+// Customers can track their own orders
+router.get('/', authenticate, ShipmentController.getShipments);
+
+// Fulfilment - staff only
+router.post('/', authenticate, authorize('super_admin', 'admin', 'manager', 'employee'), validateCreateShipment, ShipmentController.createShipment);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const ShipmentController = require('../controllers/shipmentController');
+const { TenantContext } = require('../../../../shared/utils');
+
+/**
+ * Webhook Routes
+ * Base path: /api/orders/webhooks
+ * Public - each request is verified against the sender's signature.
+ * The body is kept raw because the signature covers the exact bytes sent.
+ * Carriers are not tenants: shipments are found by tracking number across organizations.
+ */
+
+router.use((req, res, next) => TenantContext.run(TenantContext.SYSTEM, next));
+
+router.post('/carriers/:carrier', express.raw({ type: '*/*', limit: '1mb' }), ShipmentController.handleCarrierWebhook);
+
+module.exports = router;
@@ -0,0 +1,101 @@
+// services/order-service/src/services/inventoryClient.js
+const { ErrorHandler, ServiceTokenClient } = require('../../../../shared/utils');
+const logger = require('../utils/logger');
+
+const INVENTORY_URL = process.env.INVENTORY_SERVICE_URL || 'http://localhost:3003';
+const API_BASE_PATH = process.env.API_BASE_PATH || '/api';
+const REQUEST_TIMEOUT_MS = parseInt(process.env.INVENTORY_REQUEST_TIMEOUT_MS) || 5000;
+
+// Lets the inventory service trust the X-User-* headers below and change reservations
+const serviceTokens = new ServiceTokenClient({
+  clientId: process.env.ORDER_SERVICE_CLIENT_ID || 'order-service',
+  clientSecret: process.env.ORDER_SERVICE_CLIENT_SECRET,
+  scope: `${ServiceTokenClient.FORWARD_SCOPE} ${ServiceTokenClient.RESERVE_SCOPE}`
+});
+
+/**
+ * Call the inventory service on behalf of the current user
+ * Upstream errors are re-thrown with their status and code so the order
+ * service can surface INSUFFICIENT_STOCK, RESERVATION_EXPIRED, etc. unchanged.
+ */
+const request = async (method, path, user, body = null) => {
+  let serviceToken;
+  let response;
+
+  try {
+    serviceToken = await serviceTokens.getToken();
+  } catch (error) {
+    logger.error('Service token unavailable', { error: error.message });
+    throw ErrorHandler.createError('Inventory service unavailable', 503, 'INVENTORY_UNAVAILABLE');
+  }
+
+  try {
+    response = await fetch(`${INVENTORY_URL}${API_BASE_PATH}/inventory${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-User-Id': user.userId,
+        'X-User-Email': user.email,
+        'X-User-Roles': JSON.stringify(user.roles || []),
+        ...(user.tenantId && { 'X-User-Tenant-Id': user.tenantId }),
+        [ServiceTokenClient.HEADER]: serviceToken
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    logger.error('Inventory service unreachable', { method, path, error: error.message });
+    throw ErrorHandler.createError('Inventory service unavailable', 503, 'INVENTORY_UNAVAILABLE');
+  }
+
+  const payload = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const upstream = payload.error || {};
+    const error = ErrorHandler.createError(
+      upstream.message || 'Inventory request failed',
+      response.status,
+      upstream.code || 'INVENTORY_ERROR'
+    );
+    error.details = upstream.details || [];
+    throw error;
+  }
+
+  return payload.data;
+};
+
+/**
+ * Hold stock for every line of an order
+ * @param {string} orderId
+ * @param {Array} items - [{ product_id, quantity }]
+ * @param {Object} user - req.user
+ */
+const reserveStock = (orderId, items, user) => request('POST', '/reservations', user, {
+  order_id: orderId,
+  items: items.map(item => ({ product_id: item.product_id, quantity: item.quantity }))
+});
+
+/**
+ * Turn an order's reservations into OUT movements
+ */
+const commitReservations = (orderId, user) =>
+  request('POST', `/reservations/order/${orderId}/commit`, user);
+
+/**
+ * Release an order's reservations back to available stock
+ */
+const releaseReservations = (orderId, user) =>
+  request('POST', `/reservations/order/${orderId}/release`, user);
+
+/**
+ * Put stock already shipped out of the ledger back in (cancel after confirm)
+ */
+const returnCommittedStock = (orderId, user) =>
+  request('POST', `/reservations/order/${orderId}/return`, user);
+
+module.exports = {
+  reserveStock,
+  commitReservations,
+  releaseReservations,
+  returnCommittedStock
+};
@@ -0,0 +1,68 @@
+// services/order-service/src/services/orderAccess.js
+const { ErrorHandler, PolicyEngine } = require('../../../../shared/utils');
+
+/**
+ * Roles that can see and manage every order
+ */
+const STAFF_ROLES = ['super_admin', 'admin', 'manager', 'employee'];
+
+/**
+ * Who may read an order (see PolicyEngine for the policy format)
+ */
+const ORDER_POLICIES = [
+  {
+    id: 'orders-read-staff',
+    description: 'Staff read every order',
+    actions: ['orders:read'],
+    roles: STAFF_ROLES
+  },
+  {
+    id: 'orders-read-own',
+    description: 'Customers read the orders placed for them',
+    actions: ['orders:read'],
+    condition: { field: 'customer_id', equals: { user: 'userId' } }
+  }
+];
+
+const orderPolicies = new PolicyEngine(ORDER_POLICIES);
+
+/**
+ * Order attributes the policies may reference, as columns of orders o
+ */
+const ORDER_COLUMNS = {
+  customer_id: 'o.customer_id',
+  status: 'o.status'
+};
+
+const hasAnyRole = (user, roles) => (user.roles || []).some(role => roles.includes(role));
+
+const isStaff = user => hasAnyRole(user, STAFF_ROLES);
+
+/**
+ * Orders the user may not read are reported as missing
+ */
+const assertAccess = (order, user, action = 'orders:read') => {
+  if (!order || !orderPolicies.evaluate(user, action, order).allowed) {
+    throw ErrorHandler.createError('Order not found', 404, 'ORDER_NOT_FOUND');
+  }
+};
+
+/**
+ * WHERE condition limiting an orders o query to what the user may read
+ * @param {Object} user - req.user
+ * @param {Array} params - The query's parameters (appended to)
+ * @returns {string}
+ */
+const readableOrdersFilter = (user, params) => orderPolicies.toSql(user, 'orders:read', {
+  columns: ORDER_COLUMNS,
+  params
+});
+
+module.exports = {
+  STAFF_ROLES,
+  orderPolicies,
+  hasAnyRole,
+  isStaff,
+  assertAccess,
+  readableOrdersFilter
+};
@@ -0,0 +1,315 @@
+// services/order-service/src/services/orderService.js
+const { withTransaction } = require('../config/database');
+const OrderModel = require('../models/orderModel');
+const ProductModel = require('../models/productModel');
+const { calculateTotals, priceLine } = require('./pricingService');
+const { assertTransition, STATUS_TIMESTAMPS } = require('./orderStatusMachine');
+const inventoryClient = require('./inventoryClient');
+const { hasAnyRole, isStaff, assertAccess } = require('./orderAccess');
+const { syncPaymentStatus } = require('./paymentService');
+const { recordOrderEvent, recordStatusChange, diffSnapshots } = require('../utils/orderHistory');
+const { notifyOrderCreated, notifyStatusChange } = require('../utils/realtime');
+const { ErrorHandler } = require('../../../../shared/utils');
+const logger = require('../utils/logger');
+
+/**
+ * Roles allowed to sell below / above catalogue price
+ */
+const PRICE_OVERRIDE_ROLES = ['super_admin', 'admin', 'manager'];
+
+/**
+ * Tax rate (percent) applied to lines that do not set one
+ */
+const DEFAULT_TAX_RATE = parseFloat(process.env.ORDER_DEFAULT_TAX_RATE) || 0;
+
+/**
+ * Only PRICE_OVERRIDE_ROLES may set amounts that change what the customer pays
+ * @param {Object} user - req.user
+ * @param {string} field - Request field, for the error message
+ */
+const assertPriceOverride = (user, field) => {
+  if (!hasAnyRole(user, PRICE_OVERRIDE_ROLES)) {
+    throw ErrorHandler.createError(`Insufficient permissions to set ${field}`, 403, 'FORBIDDEN');
+  }
+};
+
+/**
+ * Resolve catalogue prices for the requested lines
+ * unit_price defaults to products.unit_price, discount to 0 and tax_rate to
+ * DEFAULT_TAX_RATE; only PRICE_OVERRIDE_ROLES may set any of them
+ */
+const buildItems = async (requestedItems, user) => {
+  const productIds = [...new Set(requestedItems.map(item => item.product_id))];
+  const products = await ProductModel.findByIds(productIds);
+
+  return requestedItems.map((item, index) => {
+    const product = products.find(p => p.id === item.product_id);
+
+    if (!product || !product.is_active) {
+      const error = ErrorHandler.createError(`Product ${item.product_id} is not available`, 400, 'PRODUCT_UNAVAILABLE');
+      error.details = [{ field: `items.${index}.product_id`, message: error.message }];
+      throw error;
+    }
+
+    ['unit_price', 'discount', 'tax_rate']
+      .filter(field => item[field] !== undefined)
+      .forEach(field => assertPriceOverride(user, `items.${index}.${field}`));
+
+    const line = {
+      product_id: item.product_id,
+      quantity: item.quantity,
+      unit_price: item.unit_price !== undefined ? item.unit_price : Number(product.unit_price),
+      discount: item.discount || 0,
+      tax_rate: item.tax_rate !== undefined ? item.tax_rate : DEFAULT_TAX_RATE
+    };
+
+    if (priceLine(line).net < 0) {
+      const error = ErrorHandler.createError('Discount cannot exceed the line amount', 400, 'INVALID_DISCOUNT');
+      error.details = [{ field: `items.${index}.discount`, message: error.message }];
+      throw error;
+    }
+
+    return line;
+  });
+};
+
+/**
+ * Create an order, price its lines and reserve stock for them
+ * The reservation runs inside the order transaction: if stock cannot be held
+ * the order is rolled back, and if the order fails to commit the hold is released.
+ * @param {Object} orderData - Validated request body
+ * @param {Object} user - req.user
+ * @param {Object} [context] - Request metadata for order history
+ */
+const createOrder = async (orderData, user, context = {}) => {
+  const customerId = isStaff(user) && orderData.customer_id ? orderData.customer_id : user.userId;
+  if (orderData.shipping_amount !== undefined) {
+    assertPriceOverride(user, 'shipping_amount');
+  }
+
+  const items = await buildItems(orderData.items, user);
+  const totals = calculateTotals(items, orderData.shipping_amount);
+
+  let reservedOrderId = null;
+
+  try {
+    const order = await withTransaction(async (client) => {
+      const created = await OrderModel.create(client, {
+        ...orderData,
+        ...totals,
+        customer_id: customerId,
+        created_by: user.userId
+      }, totals.items);
+
+      await inventoryClient.reserveStock(created.id, totals.items, user);
+      reservedOrderId = created.id;
+
+      return created;
+    });
+
+    await recordOrderEvent(order.id, 'created', user.userId, { after: order }, context);
+    await notifyOrderCreated(order);
+    return order;
+  } catch (error) {
+    if (reservedOrderId) {
+      await inventoryClient.releaseReservations(reservedOrderId, user).catch((releaseError) => {
+        logger.error('Failed to release reservations of rolled back order', {
+          orderId: reservedOrderId,
+          error: releaseError.message
+        });
+      });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Update editable fields of a pending order
+ * Totals and payment_status are recomputed when shipping_amount changes;
+ * only PRICE_OVERRIDE_ROLES may change it.
+ */
+const updateOrder = async (orderId, updates, user, context = {}) => {
+  if (updates.shipping_amount !== undefined) {
+    assertPriceOverride(user, 'shipping_amount');
+  }
+
+  const { before, after } = await withTransaction(async (client) => {
+    const order = await OrderModel.lockById(client, orderId);
+    assertAccess(order, user);
+
+    if (order.status !== 'pending') {
+      throw ErrorHandler.createError('Only pending orders can be edited', 409, 'ORDER_NOT_EDITABLE');
+    }
+
+    const changes = { ...updates };
+
+    if (updates.shipping_amount !== undefined) {
+      const items = await OrderModel.findItems(client, orderId);
+      const totals = calculateTotals(items, updates.shipping_amount);
+      changes.subtotal = totals.subtotal;
+      changes.tax_amount = totals.tax_amount;
+      changes.shipping_amount = totals.shipping_amount;
+      changes.total_amount = totals.total_amount;
+    }
+
+    const updated = await OrderModel.update(client, orderId, changes);
+
+    return {
+      before: order,
+      after: updates.shipping_amount !== undefined ? await syncPaymentStatus(client, updated) : updated
+    };
+  });
+
+  await recordOrderEvent(orderId, 'updated', user.userId, diffSnapshots(before, after), context);
+  return after;
+};
+
+/**
+ * Commit an order's stock hold, holding the stock again first if the hold lapsed
+ * Holds only last STOCK_RESERVATION_TTL_SECONDS and payment can take longer.
+ */
+const commitStock = async (order, user) => {
+  try {
+    await inventoryClient.commitReservations(order.id, user);
+    return;
+  } catch (error) {
+    if (!['RESERVATION_NOT_FOUND', 'RESERVATION_EXPIRED'].includes(error.code)) {
+      throw error;
+    }
+  }
+
+  // An expired hold the sweeper has not reached yet still counts as reserved
+  await inventoryClient.releaseReservations(order.id, user).catch((error) => {
+    if (error.code !== 'RESERVATION_NOT_FOUND') {
+      throw error;
+    }
+  });
+
+  const { items } = await OrderModel.findById(order.id);
+  await inventoryClient.reserveStock(order.id, items, user);
+
+  try {
+    await inventoryClient.commitReservations(order.id, user);
+  } catch (error) {
+    await inventoryClient.releaseReservations(order.id, user).catch((releaseError) => {
+      logger.error('Failed to release reservations of unconfirmed order', {
+        orderId: order.id,
+        error: releaseError.message
+      });
+    });
+    throw error;
+  }
+};
+
+/**
+ * Keep inventory in step with the status change
+ * confirmed: reserved stock leaves the warehouse (OUT movements)
+ * cancelled: a pending hold is released, stock already taken is returned
+ */
+const syncInventory = async (order, nextStatus, user) => {
+  if (nextStatus === 'confirmed') {
+    await commitStock(order, user);
+    return;
+  }
+
+  if (nextStatus === 'cancelled') {
+    const restock = order.status === 'pending'
+      ? inventoryClient.releaseReservations
+      : inventoryClient.returnCommittedStock;
+
+    try {
+      await restock(order.id, user);
+    } catch (error) {
+      // Nothing to give back, e.g. the hold already expired
+      if (error.code !== 'RESERVATION_NOT_FOUND') {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Undo a status change whose inventory update failed
+ * Skipped if the order has moved on since.
+ */
+const revertStatus = async (before, after) => {
+  try {
+    await withTransaction(async (client) => {
+      const order = await OrderModel.lockById(client, before.id);
+      if (order.status !== after.status) {
+        return;
+      }
+
+      await OrderModel.restoreStatus(client, before, STATUS_TIMESTAMPS[after.status] || null);
+    });
+  } catch (error) {
+    logger.error('Failed to revert order status after inventory error', {
+      orderId: before.id,
+      status: after.status,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Move an order through the status machine, stamping the matching timestamp
+ * Inventory is updated once the new status has committed, so a rollback can never
+ * leave stock moved; if the inventory call fails the status change is undone.
+ * @param {string} orderId
+ * @param {string} nextStatus
+ * @param {Object} user - req.user
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Appended to notes on cancellation
+ * @param {boolean} [options.requirePending] - Reject unless the order is still pending
+ * @param {Object} [options.context] - Request metadata for order history
+ */
+const changeStatus = async (orderId, nextStatus, user, options = {}) => {
+  const { before, after } = await withTransaction(async (client) => {
+    const order = await OrderModel.lockById(client, orderId);
+    assertAccess(order, user);
+
+    if (options.requirePending && order.status !== 'pending') {
+      throw ErrorHandler.createError('Only pending orders can be cancelled', 409, 'ORDER_NOT_CANCELLABLE');
+    }
+
+    assertTransition(order.status, nextStatus);
+
+    if (nextStatus === 'cancelled' && options.reason) {
+      const notes = [order.notes, `Cancelled: ${options.reason}`].filter(Boolean).join('\n');
+      await OrderModel.update(client, orderId, { notes });
+    }
+
+    const updated = await OrderModel.updateStatus(client, orderId, nextStatus, STATUS_TIMESTAMPS[nextStatus] || null);
+    return { before: order, after: updated };
+  });
+
+  try {
+    await syncInventory(before, nextStatus, user);
+  } catch (error) {
+    await revertStatus(before, after);
+    throw error;
+  }
+
+  await recordStatusChange(before, after, user.userId, options.context);
+  await notifyStatusChange(before, after);
+  return after;
+};
+
+/**
+ * Cancel an order
+ * Customers may cancel their own orders while pending; staff until shipment.
+ */
+const cancelOrder = async (orderId, user, reason = null, context = {}) => {
+  return changeStatus(orderId, 'cancelled', user, {
+    reason,
+    requirePending: !isStaff(user),
+    context
+  });
+};
+
+module.exports = {
+  createOrder,
+  updateOrder,
+  changeStatus,
+  cancelOrder
+};
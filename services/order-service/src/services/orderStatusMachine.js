@@ -0,0 +1,57 @@
+// services/order-service/src/services/orderStatusMachine.js
+const { ErrorHandler } = require('../../../../shared/utils');
+
+/**
+ * Allowed order status transitions
+ * pending → confirmed → processing → shipped → delivered → completed,
+ * with cancellation possible until the order has shipped.
+ */
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: ['completed'],
+  completed: [],
+  cancelled: []
+};
+
+const ORDER_STATUSES = Object.keys(TRANSITIONS);
+
+/**
+ * Timestamp column stamped when an order enters a status
+ */
+const STATUS_TIMESTAMPS = {
+  confirmed: 'confirmed_at',
+  shipped: 'shipped_at',
+  delivered: 'delivered_at',
+  cancelled: 'cancelled_at'
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Throw INVALID_STATUS_TRANSITION unless from → to is allowed
+ */
+const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    const error = ErrorHandler.createError(
+      `Cannot change order status from ${from} to ${to}`,
+      409,
+      'INVALID_STATUS_TRANSITION'
+    );
+    error.details = [{
+      field: 'status',
+      message: error.message,
+      allowed: TRANSITIONS[from] || []
+    }];
+    throw error;
+  }
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  STATUS_TIMESTAMPS,
+  canTransition,
+  assertTransition
+};
@@ -0,0 +1,264 @@
+// services/order-service/src/services/paymentService.js
+const { withTransaction } = require('../config/database');
+const OrderModel = require('../models/orderModel');
+const PaymentModel = require('../models/paymentModel');
+const { getProvider } = require('../providers/payment');
+const { toCents, fromCents } = require('./pricingService');
+const { assertAccess } = require('./orderAccess');
+const { recordOrderEvent } = require('../utils/orderHistory');
+const { ErrorHandler } = require('../../../../shared/utils');
+const logger = require('../utils/logger');
+
+const CURRENCY = process.env.PAYMENT_CURRENCY || 'USD';
+
+/**
+ * Derive orders.payment_status from payment totals
+ * net = completed payments - completed refunds
+ * @param {Object} totals - { paid, refunded } (see PaymentModel.getTotals)
+ * @param {number|string} totalAmount - orders.total_amount
+ * @returns {string} unpaid, partial, paid or refunded
+ */
+const derivePaymentStatus = (totals, totalAmount) => {
+  const refunded = toCents(totals.refunded);
+  const net = toCents(totals.paid) - refunded;
+
+  if (net <= 0) {
+    return refunded > 0 ? 'refunded' : 'unpaid';
+  }
+
+  return net < toCents(totalAmount) ? 'partial' : 'paid';
+};
+
+/**
+ * Recompute and store the payment_status of a locked order
+ * @returns {Promise<Object>} Updated order row
+ */
+const syncPaymentStatus = async (client, order) => {
+  const totals = await PaymentModel.getTotals(client, order.id);
+  const paymentStatus = derivePaymentStatus(totals, order.total_amount);
+
+  if (paymentStatus === order.payment_status) {
+    return order;
+  }
+
+  return OrderModel.updatePaymentStatus(client, order.id, paymentStatus);
+};
+
+const lockOrder = async (client, orderId, user) => {
+  const order = await OrderModel.lockById(client, orderId);
+  assertAccess(order, user);
+  return order;
+};
+
+const lockPayment = async (client, orderId, paymentId) => {
+  const payment = await PaymentModel.lockById(client, orderId, paymentId);
+  if (!payment) {
+    throw ErrorHandler.createError('Payment not found', 404, 'PAYMENT_NOT_FOUND');
+  }
+  return payment;
+};
+
+const recordPaymentEvent = (before, after, paymentBefore, paymentAfter, user, context) => recordOrderEvent(
+  after.id,
+  'payment_updated',
+  user.userId,
+  {
+    before: { payment_status: before.payment_status, payment: paymentBefore },
+    after: { payment_status: after.payment_status, payment: paymentAfter }
+  },
+  context
+);
+
+/**
+ * Settle a pending payment as completed or failed and roll up payment_status
+ */
+const settlePayment = async (orderId, paymentId, outcome, user, context = {}) => {
+  const result = await withTransaction(async (client) => {
+    const order = await lockOrder(client, orderId, user);
+    const payment = await lockPayment(client, orderId, paymentId);
+
+    if (payment.status !== 'pending') {
+      throw ErrorHandler.createError(
+        `Payment is already ${payment.status}`,
+        409,
+        'INVALID_PAYMENT_TRANSITION'
+      );
+    }
+
+    const updated = await PaymentModel.updateStatus(client, paymentId, outcome);
+    const updatedOrder = await syncPaymentStatus(client, order);
+
+    return { order, updatedOrder, payment, updated };
+  });
+
+  await recordPaymentEvent(result.order, result.updatedOrder, result.payment, result.updated, user, context);
+  return { payment: result.updated, order: result.updatedOrder };
+};
+
+/**
+ * Charge a payment against an order through a payment provider
+ * The payment is stored as pending before the provider is called so a crash
+ * mid-charge leaves a record that staff can settle by hand.
+ *
+ * @param {string} orderId
+ * @param {Object} paymentData - { amount, payment_method, metadata? }
+ * @param {Object} user - req.user
+ * @param {Object} [context] - Request metadata for order history
+ */
+const recordPayment = async (orderId, paymentData, user, context = {}) => {
+  const provider = getProvider();
+
+  const pending = await withTransaction(async (client) => {
+    const order = await lockOrder(client, orderId, user);
+
+    if (order.status === 'cancelled') {
+      throw ErrorHandler.createError('Cannot take payment for a cancelled order', 409, 'ORDER_CANCELLED');
+    }
+
+    const totals = await PaymentModel.getTotals(client, orderId);
+    const outstanding = toCents(order.total_amount)
+      - (toCents(totals.paid) - toCents(totals.refunded))
+      - toCents(totals.pending);
+
+    if (toCents(paymentData.amount) > outstanding) {
+      const error = ErrorHandler.createError(
+        `Payment exceeds outstanding balance of ${fromCents(Math.max(outstanding, 0))}`,
+        409,
+        'OVERPAYMENT'
+      );
+      error.details = [{ field: 'amount', message: error.message, outstanding: fromCents(Math.max(outstanding, 0)) }];
+      throw error;
+    }
+
+    return PaymentModel.create(client, {
+      orderId,
+      amount: paymentData.amount,
+      paymentMethod: paymentData.payment_method,
+      provider: provider.name,
+      processedBy: user.userId,
+      metadata: paymentData.metadata
+    });
+  });
+
+  let outcome;
+  try {
+    outcome = await provider.charge({
+      orderId,
+      amount: Number(pending.amount),
+      currency: CURRENCY,
+      paymentMethod: pending.payment_method,
+      metadata: paymentData.metadata || {}
+    });
+  } catch (error) {
+    logger.error('Payment provider charge failed', { orderId, paymentId: pending.id, error: error.message });
+    outcome = { status: 'failed', transactionId: null, failureReason: 'Payment provider unavailable' };
+  }
+
+  // Left pending by the provider (e.g. bank transfer) - settled later via markPayment
+  if (outcome.status === 'pending') {
+    const updated = await withTransaction(client =>
+      PaymentModel.updateStatus(client, pending.id, { status: 'pending', transactionId: outcome.transactionId })
+    );
+    return { payment: updated, order: await OrderModel.findById(orderId) };
+  }
+
+  return settlePayment(orderId, pending.id, outcome, user, context);
+};
+
+/**
+ * Mark a pending payment completed or failed (manual reconciliation)
+ * @param {Object} data - { status, transaction_id?, failure_reason? }
+ */
+const markPayment = async (orderId, paymentId, data, user, context = {}) => {
+  return settlePayment(orderId, paymentId, {
+    status: data.status,
+    transactionId: data.transaction_id,
+    failureReason: data.status === 'failed' ? data.failure_reason || null : null
+  }, user, context);
+};
+
+/**
+ * Refund all or part of a completed payment
+ * @param {Object} data - { amount?, reason? } - amount defaults to everything still refundable
+ */
+const refundPayment = async (orderId, paymentId, data, user, context = {}) => {
+  const { payment, refund } = await withTransaction(async (client) => {
+    await lockOrder(client, orderId, user);
+    const locked = await lockPayment(client, orderId, paymentId);
+
+    if (locked.status !== 'completed') {
+      throw ErrorHandler.createError(
+        `Cannot refund a ${locked.status} payment`,
+        409,
+        'PAYMENT_NOT_REFUNDABLE'
+      );
+    }
+
+    const pendingRefunds = await PaymentModel.getPendingRefunds(client, paymentId);
+    const refundable = toCents(locked.amount) - toCents(locked.refunded_amount) - toCents(pendingRefunds);
+    const amount = data.amount !== undefined ? toCents(data.amount) : refundable;
+
+    if (amount <= 0 || amount > refundable) {
+      const error = ErrorHandler.createError(
+        `Refund exceeds refundable amount of ${fromCents(Math.max(refundable, 0))}`,
+        409,
+        'REFUND_EXCEEDS_PAYMENT'
+      );
+      error.details = [{ field: 'amount', message: error.message, refundable: fromCents(Math.max(refundable, 0)) }];
+      throw error;
+    }
+
+    const created = await PaymentModel.createRefund(client, {
+      paymentId,
+      amount: fromCents(amount),
+      reason: data.reason,
+      createdBy: user.userId
+    });
+
+    return { payment: locked, refund: created };
+  });
+
+  let outcome;
+  try {
+    outcome = await getProvider(payment.provider || undefined).refund({
+      transactionId: payment.transaction_id,
+      amount: Number(refund.amount),
+      currency: CURRENCY,
+      reason: refund.reason
+    });
+  } catch (error) {
+    logger.error('Payment provider refund failed', { orderId, refundId: refund.id, error: error.message });
+    outcome = { status: 'failed', refundId: null, failureReason: 'Payment provider unavailable' };
+  }
+
+  const result = await withTransaction(async (client) => {
+    const order = await lockOrder(client, orderId, user);
+    const before = await lockPayment(client, orderId, paymentId);
+
+    const settledRefund = await PaymentModel.updateRefund(client, refund.id, {
+      status: outcome.status,
+      providerRefundId: outcome.refundId,
+      failureReason: outcome.failureReason || null
+    });
+
+    const after = outcome.status === 'completed'
+      ? await PaymentModel.addRefunded(client, paymentId, refund.amount)
+      : before;
+
+    const updatedOrder = await syncPaymentStatus(client, order);
+
+    return { order, updatedOrder, before, after, refund: settledRefund };
+  });
+
+  await recordPaymentEvent(result.order, result.updatedOrder, result.before, result.after, user, context);
+
+  return { payment: result.after, refund: result.refund, order: result.updatedOrder };
+};
+
+module.exports = {
+  derivePaymentStatus,
+  syncPaymentStatus,
+  recordPayment,
+  markPayment,
+  refundPayment
+};
@@ -0,0 +1,62 @@
+// services/order-service/src/services/pricingService.js
+
+/**
+ * Order pricing
+ * Money is handled in integer cents so totals never pick up floating point drift,
+ * and converted back to 2-decimal numbers for the DECIMAL(10,2) columns.
+ */
+
+const toCents = (amount) => Math.round(Number(amount || 0) * 100);
+
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Price a single line
+ * total_price = (unit_price * quantity - discount) + tax on that net amount
+ * @param {Object} item - { unit_price, quantity, discount, tax_rate }
+ * @returns {Object} Line amounts in cents
+ */
+const priceLine = (item) => {
+  const gross = toCents(item.unit_price) * item.quantity;
+  const discount = toCents(item.discount);
+  const net = gross - discount;
+  const tax = Math.round(net * Number(item.tax_rate || 0) / 100);
+
+  return { net, tax, total: net + tax };
+};
+
+/**
+ * Price every line and roll them up into order totals
+ * @param {Array} items - [{ unit_price, quantity, discount, tax_rate }]
+ * @param {number} [shippingAmount]
+ * @returns {Object} { items, subtotal, tax_amount, shipping_amount, total_amount }
+ */
+const calculateTotals = (items, shippingAmount = 0) => {
+  let subtotal = 0;
+  let tax = 0;
+
+  const pricedItems = items.map((item) => {
+    const line = priceLine(item);
+    subtotal += line.net;
+    tax += line.tax;
+
+    return { ...item, total_price: fromCents(line.total) };
+  });
+
+  const shipping = toCents(shippingAmount);
+
+  return {
+    items: pricedItems,
+    subtotal: fromCents(subtotal),
+    tax_amount: fromCents(tax),
+    shipping_amount: fromCents(shipping),
+    total_amount: fromCents(subtotal + tax + shipping)
+  };
+};
+
+module.exports = {
+  toCents,
+  fromCents,
+  priceLine,
+  calculateTotals
+};
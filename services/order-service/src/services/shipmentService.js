@@ -0,0 +1,277 @@
+// services/order-service/src/services/shipmentService.js
+const { withTransaction } = require('../config/database');
+const OrderModel = require('../models/orderModel');
+const ShipmentModel = require('../models/shipmentModel');
+const { getCarrier } = require('../providers/carrier');
+const { assertTransition, STATUS_TIMESTAMPS } = require('./orderStatusMachine');
+const { assertAccess } = require('./orderAccess');
+const { recordOrderEvent, recordStatusChange } = require('../utils/orderHistory');
+const { notifyStatusChange } = require('../utils/realtime');
+const { ErrorHandler } = require('../../../../shared/utils');
+const logger = require('../utils/logger');
+
+/**
+ * Allowed shipment status transitions
+ * Carriers may skip in_transit (same-day couriers) and report delivery directly.
+ */
+const SHIPMENT_TRANSITIONS = {
+  pending: ['in_transit', 'delivered', 'failed'],
+  in_transit: ['delivered', 'failed'],
+  delivered: [],
+  failed: []
+};
+
+/**
+ * Order statuses that can still receive shipments
+ */
+const SHIPPABLE_STATUSES = ['confirmed', 'processing', 'shipped'];
+
+/**
+ * Order statuses an order walks through as its shipments progress
+ */
+const FULFILMENT_PATH = ['confirmed', 'processing', 'shipped', 'delivered'];
+
+/**
+ * Move a locked order forward along FULFILMENT_PATH until it reaches targetStatus
+ * Orders already past the target (or off the path) are left alone.
+ * @returns {Promise<Array>} [{ before, after }] for each status entered
+ */
+const advanceOrder = async (client, order, targetStatus) => {
+  const steps = [];
+  let current = order;
+
+  while (FULFILMENT_PATH.indexOf(current.status) >= 0
+    && FULFILMENT_PATH.indexOf(current.status) < FULFILMENT_PATH.indexOf(targetStatus)) {
+    const nextStatus = FULFILMENT_PATH[FULFILMENT_PATH.indexOf(current.status) + 1];
+    assertTransition(current.status, nextStatus);
+
+    const updated = await OrderModel.updateStatus(client, order.id, nextStatus, STATUS_TIMESTAMPS[nextStatus] || null);
+    steps.push({ before: current, after: updated });
+    current = updated;
+  }
+
+  return steps;
+};
+
+/**
+ * Work out how far every line of an order has travelled
+ * @returns {Promise<string|null>} 'delivered', 'shipped' or null while lines are still at the warehouse
+ */
+const getFulfilmentStatus = async (client, orderId) => {
+  const lines = await ShipmentModel.getItemQuantities(client, orderId);
+
+  if (lines.length === 0) {
+    return null;
+  }
+
+  if (lines.every(line => line.delivered >= line.ordered)) {
+    return 'delivered';
+  }
+
+  if (lines.every(line => line.departed >= line.ordered)) {
+    return 'shipped';
+  }
+
+  return null;
+};
+
+const recordOrderSteps = async (steps, userId, context = {}) => {
+  for (const step of steps) {
+    await recordStatusChange(step.before, step.after, userId, context);
+    await notifyStatusChange(step.before, step.after);
+  }
+};
+
+/**
+ * Work out the lines of a new shipment
+ * Without explicit items, everything not yet in a live shipment is shipped.
+ * @param {Array} lines - See ShipmentModel.getItemQuantities
+ * @param {Array} [requestedItems] - [{ order_item_id, quantity }]
+ */
+const buildShipmentItems = (lines, requestedItems) => {
+  if (!requestedItems) {
+    const remaining = lines
+      .filter(line => line.ordered > line.allocated)
+      .map(line => ({ order_item_id: line.order_item_id, quantity: line.ordered - line.allocated }));
+
+    if (remaining.length === 0) {
+      throw ErrorHandler.createError('Every item of this order is already in a shipment', 409, 'NOTHING_TO_SHIP');
+    }
+
+    return remaining;
+  }
+
+  return requestedItems.map((item, index) => {
+    const line = lines.find(l => l.order_item_id === item.order_item_id);
+
+    if (!line) {
+      const error = ErrorHandler.createError(`Order item ${item.order_item_id} is not part of this order`, 400, 'INVALID_ORDER_ITEM');
+      error.details = [{ field: `items.${index}.order_item_id`, message: error.message }];
+      throw error;
+    }
+
+    const remaining = line.ordered - line.allocated;
+    if (item.quantity > remaining) {
+      const error = ErrorHandler.createError(
+        `Only ${remaining} unit(s) of order item ${item.order_item_id} are left to ship`,
+        409,
+        'SHIPMENT_EXCEEDS_ORDER'
+      );
+      error.details = [{ field: `items.${index}.quantity`, message: error.message, remaining }];
+      throw error;
+    }
+
+    return item;
+  });
+};
+
+/**
+ * Create a shipment for all or some of the items of a confirmed order
+ * The carrier label is bought inside the transaction, so a carrier failure
+ * leaves no shipment behind. The first shipment moves the order to processing.
+ *
+ * @param {string} orderId
+ * @param {Object} data - { carrier?, items?, estimated_delivery?, notes? }
+ * @param {Object} user - req.user
+ * @param {Object} [context] - Request metadata for order history
+ */
+const createShipment = async (orderId, data, user, context = {}) => {
+  const carrier = getCarrier(data.carrier);
+
+  const result = await withTransaction(async (client) => {
+    const order = await OrderModel.lockById(client, orderId);
+    assertAccess(order, user);
+
+    if (!SHIPPABLE_STATUSES.includes(order.status)) {
+      throw ErrorHandler.createError(
+        `Cannot ship an order that is ${order.status}`,
+        409,
+        'ORDER_NOT_SHIPPABLE'
+      );
+    }
+
+    const lines = await ShipmentModel.getItemQuantities(client, orderId);
+    const items = buildShipmentItems(lines, data.items);
+
+    const created = await ShipmentModel.create(client, {
+      orderId,
+      carrier: carrier.name,
+      estimatedDelivery: data.estimated_delivery,
+      notes: data.notes,
+      createdBy: user.userId
+    }, items);
+
+    let label;
+    try {
+      label = await carrier.createShipment({
+        shipmentId: created.id,
+        orderNumber: order.order_number,
+        address: order.shipping_address,
+        items
+      });
+    } catch (error) {
+      logger.error('Carrier shipment creation failed', { orderId, carrier: carrier.name, error: error.message });
+      throw ErrorHandler.createError('Carrier unavailable', 502, 'CARRIER_UNAVAILABLE');
+    }
+
+    await ShipmentModel.setTracking(client, created.id, label);
+
+    const steps = await advanceOrder(client, order, 'processing');
+    const shipment = await ShipmentModel.findById(client, orderId, created.id);
+
+    return { shipment, steps };
+  });
+
+  await recordOrderSteps(result.steps, user.userId, context);
+  await recordOrderEvent(orderId, 'updated', user.userId, { after: { shipment: result.shipment } }, context);
+
+  return result.shipment;
+};
+
+/**
+ * Apply one carrier status event to its shipment and roll the order forward
+ * Out-of-order or repeated events are reported as ignored rather than failing
+ * the webhook, so carriers do not keep retrying them.
+ *
+ * @param {string} carrierName
+ * @param {Object} event - { trackingNumber, status, occurredAt, description }
+ * @returns {Promise<Object>} { tracking_number, status, result: applied | ignored | not_found }
+ */
+const applyCarrierEvent = async (carrierName, event) => {
+  const summary = { tracking_number: event.trackingNumber, status: event.status };
+  const found = event.trackingNumber
+    ? await ShipmentModel.findByTracking(carrierName, event.trackingNumber)
+    : null;
+
+  if (!found) {
+    return { ...summary, result: 'not_found' };
+  }
+
+  const outcome = await withTransaction(async (client) => {
+    // Same lock order as createShipment: order first, then shipment
+    const order = await OrderModel.lockById(client, found.order_id);
+    const shipment = await ShipmentModel.lockById(client, found.id);
+
+    if (!(SHIPMENT_TRANSITIONS[shipment.status] || []).includes(event.status)) {
+      return null;
+    }
+
+    const updated = await ShipmentModel.updateStatus(client, shipment.id, event.status, event.occurredAt);
+
+    const target = await getFulfilmentStatus(client, order.id);
+    const steps = target ? await advanceOrder(client, order, target) : [];
+
+    return { shipment, updated, steps };
+  });
+
+  if (!outcome) {
+    return { ...summary, result: 'ignored' };
+  }
+
+  const userId = `carrier:${carrierName}`;
+  await recordOrderSteps(outcome.steps, userId);
+
+  logger.info('Shipment status updated by carrier', {
+    shipmentId: outcome.updated.id,
+    carrier: carrierName,
+    from: outcome.shipment.status,
+    to: outcome.updated.status,
+    description: event.description
+  });
+
+  return { ...summary, result: 'applied' };
+};
+
+/**
+ * Verify and apply a carrier webhook
+ * @param {string} carrierName - Carrier from the webhook URL
+ * @param {Buffer} rawBody - Body exactly as received (the signature covers it)
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Array>} Outcome of each event (see applyCarrierEvent)
+ */
+const handleCarrierWebhook = async (carrierName, rawBody, headers) => {
+  const carrier = getCarrier(carrierName);
+
+  if (!carrier.verifyWebhook({ rawBody, headers })) {
+    throw ErrorHandler.createError('Invalid webhook signature', 401, 'INVALID_SIGNATURE');
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    throw ErrorHandler.createError('Webhook body is not valid JSON', 400, 'INVALID_PAYLOAD');
+  }
+
+  const results = [];
+  for (const event of carrier.parseWebhook(body)) {
+    results.push(await applyCarrierEvent(carrier.name, event));
+  }
+
+  return results;
+};
+
+module.exports = {
+  createShipment,
+  handleCarrierWebhook
+};
@@ -0,0 +1,26 @@
+const { ResponseFormatter, ErrorHandler } = require('../../../../shared/utils');
+const logger = require('./logger');
+
+/**
+ * Send an error response using the shared envelope
+ * Errors built with ErrorHandler.createError keep their status and code;
+ * anything else is treated as a database error and mapped accordingly
+ */
+const sendError = (res, error, context) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json(
+      ResponseFormatter.error(error.message, error.code, error.details || [])
+    );
+  }
+
+  logger.error(context, { error: error.message, code: error.code });
+
+  const dbError = ErrorHandler.handleDatabaseError(error);
+  return res.status(dbError.statusCode).json(
+    ResponseFormatter.error(dbError.message, dbError.code)
+  );
+};
+
+module.exports = {
+  sendError
+};
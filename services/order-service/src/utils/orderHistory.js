@@ -0,0 +1,130 @@
+const { getMongoDb } = require('../config/database');
+const logger = require('./logger');
+
+const EVENT_TYPES = ['created', 'updated', 'status_changed', 'payment_updated', 'shipped', 'delivered', 'cancelled'];
+
+/**
+ * Statuses that have a dedicated event type; other transitions are status_changed
+ */
+const STATUS_EVENTS = {
+    shipped: 'shipped',
+    delivered: 'delivered',
+    cancelled: 'cancelled'
+};
+
+const serialize = value => JSON.stringify(value instanceof Date ? value.toISOString() : value);
+
+/**
+ * Keep only the fields that changed between two order snapshots
+ * updated_at is skipped - it changes on every write
+ * @returns {Object} { before, after }
+ */
+const diffSnapshots = (before = {}, after = {}) => {
+    const changes = { before: {}, after: {} };
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    fields.forEach((field) => {
+        if (field === 'updated_at') return;
+
+        if (serialize(before[field]) !== serialize(after[field])) {
+            changes.before[field] = before[field] === undefined ? null : before[field];
+            changes.after[field] = after[field] === undefined ? null : after[field];
+        }
+    });
+
+    return changes;
+};
+
+/**
+ * Build the request metadata stored with each event
+ * Only string values are kept - the collection validator rejects nulls
+ */
+const buildMetadata = (context = {}) => {
+    const metadata = { service: 'order-service' };
+
+    if (context.ip) metadata.ip_address = context.ip;
+    if (context.userAgent) metadata.user_agent = context.userAgent;
+    if (context.sessionId) metadata.session_id = context.sessionId;
+
+    return metadata;
+};
+
+/**
+ * Extract history metadata from an Express request
+ */
+const getRequestContext = req => ({
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    sessionId: req.user && req.user.sessionId
+});
+
+/**
+ * Append an event to erp_audit.order_history
+ * @param {string} orderId
+ * @param {string} eventType - One of EVENT_TYPES
+ * @param {string} userId - User who triggered the event
+ * @param {Object} changes - { before?, after? }
+ * @param {Object} context - { ip, userAgent, sessionId } (see getRequestContext)
+ */
+const recordOrderEvent = async (orderId, eventType, userId, changes = {}, context = {}) => {
+    try {
+        const db = getMongoDb();
+        if (!db) {
+            logger.error('MongoDB not connected - order history event dropped', { orderId, eventType });
+            return;
+        }
+
+        const event = {
+            order_id: orderId,
+            event_type: eventType,
+            timestamp: new Date(),
+            user_id: userId,
+            changes,
+            metadata: buildMetadata(context)
+        };
+
+        await db.collection('order_history').insertOne(event);
+    } catch (error) {
+        // History must never fail the order mutation that has already committed
+        logger.error('Order history logging error', { orderId, eventType, error: error.message });
+    }
+};
+
+/**
+ * Record a status transition, using the dedicated event type where one exists
+ */
+const recordStatusChange = (before, after, userId, context = {}) => {
+    const eventType = STATUS_EVENTS[after.status] || 'status_changed';
+    return recordOrderEvent(after.id, eventType, userId, diffSnapshots(before, after), context);
+};
+
+/**
+ * Get the timeline of an order, oldest event first
+ */
+const getOrderHistory = async (orderId, options = {}) => {
+    const { limit = 100, skip = 0, eventType = null } = options;
+
+    const db = getMongoDb();
+    if (!db) {
+        return [];
+    }
+
+    const filter = { order_id: orderId };
+    if (eventType) filter.event_type = eventType;
+
+    return db.collection('order_history')
+        .find(filter, { projection: { _id: 0 } })
+        .sort({ timestamp: 1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+};
+
+module.exports = {
+    EVENT_TYPES,
+    diffSnapshots,
+    getRequestContext,
+    recordOrderEvent,
+    recordStatusChange,
+    getOrderHistory
+};
@@ -0,0 +1,81 @@
+const { redisClient } = require('../config/database');
+const { STAFF_ROLES } = require('../services/orderAccess');
+const { RealtimeEvents } = require('../../../../shared/utils');
+
+const { TYPES } = RealtimeEvents;
+
+/**
+ * Roles that see dashboard KPIs (same as the analytics reports)
+ */
+const KPI_ROLES = ['super_admin', 'admin', 'manager'];
+
+const SOURCE = 'order-service';
+
+/**
+ * Change of the dashboard KPIs caused by an order event
+ * Mirrors the analytics reports: cancelled orders do not count as orders or revenue.
+ */
+const buildKpiDelta = (order, fromStatus, toStatus) => {
+    const amount = Number(order.total_amount) || 0;
+    const ordersByStatus = {};
+    let orders = 0;
+
+    if (fromStatus) ordersByStatus[fromStatus] = -1;
+    if (toStatus) ordersByStatus[toStatus] = (ordersByStatus[toStatus] || 0) + 1;
+
+    if (!fromStatus) orders += 1;
+    if (toStatus === 'cancelled') orders -= 1;
+
+    return {
+        orders,
+        revenue: orders * amount,
+        orders_by_status: ordersByStatus
+    };
+};
+
+const publishKpiDelta = (order, reason, fromStatus, toStatus) => RealtimeEvents.publish(
+    redisClient,
+    TYPES.KPI_DELTA,
+    {
+        reason,
+        order_id: order.id,
+        order_date: order.order_date,
+        deltas: buildKpiDelta(order, fromStatus, toStatus)
+    },
+    { roles: KPI_ROLES },
+    SOURCE
+);
+
+/**
+ * Push a new order to dashboards
+ */
+const notifyOrderCreated = async (order) => {
+    await publishKpiDelta(order, 'order.created', null, order.status);
+};
+
+/**
+ * Push a status transition to staff and to the order's customer, and the KPI change to dashboards
+ */
+const notifyStatusChange = async (before, after) => {
+    await RealtimeEvents.publish(
+        redisClient,
+        TYPES.ORDER_STATUS_CHANGED,
+        {
+            order_id: after.id,
+            order_number: after.order_number,
+            customer_id: after.customer_id,
+            from: before.status,
+            to: after.status,
+            changed_at: after.updated_at
+        },
+        { roles: STAFF_ROLES, userIds: [after.customer_id] },
+        SOURCE
+    );
+
+    await publishKpiDelta(after, 'order.status_changed', before.status, after.status);
+};
+
+module.exports = {
+    notifyOrderCreated,
+    notifyStatusChange
+};
@@ -0,0 +1,176 @@
+// services/order-service/tests/carrierWebhooks.test.js
+const request = require('supertest');
+const { loadOrderService } = require('../../../tests/helpers/services');
+const { createOrganization, createUser, createProduct, closeDatabase } = require('../../../tests/helpers/database');
+const { signAccessToken } = require('../../../tests/helpers/tokens');
+
+const SECRET = 'carrier-test-secret';
+
+describe('carrier webhooks', () => {
+    let service;
+    let signature;
+    let mockCarrier;
+    let manager;
+    let product;
+
+    const now = () => Math.floor(Date.now() / 1000);
+    const as = user => ({ Authorization: `Bearer ${signAccessToken(user)}` });
+
+    const deliver = (rawBody, headers) => request(service.app)
+        .post('/api/orders/webhooks/carriers/mock')
+        .set('Content-Type', 'application/json')
+        .set(headers)
+        .send(rawBody);
+
+    const payload = (trackingNumber, code) => JSON.stringify({
+        events: [{ tracking_number: trackingNumber, code, occurred_at: new Date().toISOString() }]
+    });
+
+    const shipOrder = async () => {
+        const created = await request(service.app).post('/api/orders').set(as(manager)).send({
+            items: [{ product_id: product.id, quantity: 1 }]
+        });
+        const order = created.body.data.order;
+        await request(service.app).patch(`/api/orders/${order.id}/status`).set(as(manager)).send({ status: 'confirmed' });
+
+        const res = await request(service.app).post(`/api/orders/${order.id}/shipments`).set(as(manager)).send({});
+        expect(res.status).toBe(201);
+        return { order, shipment: res.body.data.shipment };
+    };
+
+    const orderStatus = async (order) => {
+        const res = await request(service.app).get(`/api/orders/${order.id}`).set(as(manager));
+        return res.body.data.order.status;
+    };
+
+    beforeAll(async () => {
+        process.env.CARRIER_WEBHOOK_SECRET = SECRET;
+        service = await loadOrderService();
+        signature = service.load('providers/carrier/signature');
+        mockCarrier = service.load('providers/carrier/mockCarrier');
+
+        const inventoryClient = service.load('services/inventoryClient');
+        jest.spyOn(inventoryClient, 'reserveStock').mockResolvedValue({});
+        jest.spyOn(inventoryClient, 'commitReservations').mockResolvedValue({});
+
+        const organization = await createOrganization();
+        manager = await createUser(organization.id, { roles: ['manager'] });
+        product = await createProduct(organization.id);
+    });
+
+    afterAll(async () => {
+        jest.restoreAllMocks();
+        delete process.env.CARRIER_WEBHOOK_SECRET;
+        await service.close();
+        await closeDatabase();
+    });
+
+    describe('signature.verify', () => {
+        const body = '{"events":[]}';
+        const signed = (timestamp, secret = SECRET, rawBody = body) => `sha256=${signature.sign(rawBody, timestamp, secret)}`;
+
+        it('accepts a fresh signature over the exact body', () => {
+            const timestamp = now();
+
+            expect(signature.verify(body, signed(timestamp), String(timestamp), SECRET)).toBe(true);
+            expect(signature.verify(Buffer.from(body), signed(timestamp), String(timestamp), SECRET)).toBe(true);
+        });
+
+        it('rejects a tampered body, another secret or a bare digest', () => {
+            const timestamp = now();
+
+            expect(signature.verify('{"events":[{}]}', signed(timestamp), String(timestamp), SECRET)).toBe(false);
+            expect(signature.verify(body, signed(timestamp, 'other-secret'), String(timestamp), SECRET)).toBe(false);
+            expect(signature.verify(body, signature.sign(body, timestamp, SECRET), String(timestamp), SECRET)).toBe(false);
+        });
+
+        it('rejects a timestamp other than the one signed', () => {
+            const timestamp = now();
+
+            expect(signature.verify(body, signed(timestamp - 1), String(timestamp), SECRET)).toBe(false);
+        });
+
+        it('rejects stale and far-future timestamps even when correctly signed', () => {
+            const stale = now() - 301;
+            const future = now() + 301;
+
+            expect(signature.verify(body, signed(stale), String(stale), SECRET)).toBe(false);
+            expect(signature.verify(body, signed(future), String(future), SECRET)).toBe(false);
+
+            const recent = now() - 290;
+            expect(signature.verify(body, signed(recent), String(recent), SECRET)).toBe(true);
+        });
+
+        it('rejects missing pieces', () => {
+            const timestamp = now();
+
+            expect(signature.verify(body, signed(timestamp), String(timestamp), undefined)).toBe(false);
+            expect(signature.verify(body, undefined, String(timestamp), SECRET)).toBe(false);
+            expect(signature.verify(body, signed(timestamp), undefined, SECRET)).toBe(false);
+            expect(signature.verify(body, signed(timestamp), 'yesterday', SECRET)).toBe(false);
+            expect(signature.verify('', signed(timestamp), String(timestamp), SECRET)).toBe(false);
+        });
+    });
+
+    describe('endpoint', () => {
+        it('moves the shipment and the order forward on signed events', async () => {
+            const { order, shipment } = await shipOrder();
+            expect(await orderStatus(order)).toBe('processing');
+
+            const pickedUp = payload(shipment.tracking_number, 'PICKED_UP');
+            const res = await deliver(pickedUp, mockCarrier.signWebhook(pickedUp));
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.events).toEqual([
+                { tracking_number: shipment.tracking_number, status: 'in_transit', result: 'applied' }
+            ]);
+            expect(await orderStatus(order)).toBe('shipped');
+
+            const delivered = payload(shipment.tracking_number, 'DELIVERED');
+            await deliver(delivered, mockCarrier.signWebhook(delivered));
+            expect(await orderStatus(order)).toBe('delivered');
+        });
+
+        it('rejects unsigned and stale webhooks without touching the shipment', async () => {
+            const { order, shipment } = await shipOrder();
+            const body = payload(shipment.tracking_number, 'DELIVERED');
+
+            const unsigned = await deliver(body, {});
+            expect(unsigned.status).toBe(401);
+            expect(unsigned.body.error.code).toBe('INVALID_SIGNATURE');
+
+            const stale = await deliver(body, mockCarrier.signWebhook(body, now() - 600));
+            expect(stale.status).toBe(401);
+
+            const forged = await deliver(body, {
+                ...mockCarrier.signWebhook(payload(shipment.tracking_number, 'EXCEPTION')),
+                'X-Carrier-Timestamp': String(now())
+            });
+            expect(forged.status).toBe(401);
+
+            expect(await orderStatus(order)).toBe('processing');
+        });
+
+        it('ignores replays and reports unknown tracking numbers', async () => {
+            const { shipment } = await shipOrder();
+            const body = payload(shipment.tracking_number, 'DELIVERED');
+
+            expect((await deliver(body, mockCarrier.signWebhook(body))).body.data.events[0].result).toBe('applied');
+            expect((await deliver(body, mockCarrier.signWebhook(body))).body.data.events[0].result).toBe('ignored');
+
+            const unknown = payload('MOCKDOESNOTEXIST', 'DELIVERED');
+            const res = await deliver(unknown, mockCarrier.signWebhook(unknown));
+            expect(res.body.data.events[0].result).toBe('not_found');
+        });
+
+        it('answers 400 for a carrier it does not know', async () => {
+            const res = await request(service.app)
+                .post('/api/orders/webhooks/carriers/pigeon')
+                .set('Content-Type', 'application/json')
+                .send('{}');
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.code).toBe('UNKNOWN_CARRIER');
+        });
+    });
+});
@@ -0,0 +1,113 @@
+// services/order-service/tests/orderHistory.test.js
+const request = require('supertest');
+const { loadOrderService } = require('../../../tests/helpers/services');
+const { createOrganization, createUser, createProduct, closeDatabase } = require('../../../tests/helpers/database');
+const { signAccessToken } = require('../../../tests/helpers/tokens');
+
+describe('order history', () => {
+    let service;
+    let manager;
+    let customer;
+    let otherCustomer;
+    let product;
+
+    const as = user => ({ Authorization: `Bearer ${signAccessToken(user)}` });
+    const historyOf = (order, user = manager, query = '') => request(service.app)
+        .get(`/api/orders/${order.id}/history${query}`)
+        .set(as(user));
+
+    const createOrder = async (user) => {
+        const res = await request(service.app).post('/api/orders').set(as(user)).set('User-Agent', 'history-test').send({
+            items: [{ product_id: product.id, quantity: 1 }]
+        });
+        expect(res.status).toBe(201);
+        return res.body.data.order;
+    };
+
+    beforeAll(async () => {
+        service = await loadOrderService();
+        const inventoryClient = service.load('services/inventoryClient');
+        ['reserveStock', 'commitReservations', 'releaseReservations', 'returnCommittedStock']
+            .forEach(method => jest.spyOn(inventoryClient, method).mockResolvedValue({}));
+
+        const organization = await createOrganization();
+        manager = await createUser(organization.id, { roles: ['manager'] });
+        customer = await createUser(organization.id, { roles: ['viewer'] });
+        otherCustomer = await createUser(organization.id, { roles: ['viewer'] });
+        product = await createProduct(organization.id, { unitPrice: 20 });
+    });
+
+    afterAll(async () => {
+        jest.restoreAllMocks();
+        await service.close();
+        await closeDatabase();
+    });
+
+    it('records the life of an order oldest first, with only the fields that changed', async () => {
+        const order = await createOrder(manager);
+
+        await request(service.app).put(`/api/orders/${order.id}`).set(as(manager)).send({ shipping_amount: 5 });
+        await request(service.app).patch(`/api/orders/${order.id}/status`).set(as(manager)).send({ status: 'confirmed' });
+        await request(service.app).patch(`/api/orders/${order.id}/status`).set(as(manager)).send({ status: 'cancelled', reason: 'Changed mind' });
+
+        const res = await historyOf(order);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ order_id: order.id, order_number: order.order_number });
+
+        const { history } = res.body.data;
+        expect(history.map(event => event.event_type)).toEqual(['created', 'updated', 'status_changed', 'cancelled']);
+        history.forEach(event => expect(event).toMatchObject({ order_id: order.id, user_id: manager.id }));
+
+        const [created, updated, confirmed, cancelled] = history;
+        expect(created.changes.after).toMatchObject({ id: order.id, status: 'pending' });
+        expect(created.metadata).toMatchObject({ service: 'order-service', user_agent: 'history-test' });
+
+        expect(Object.keys(updated.changes.after).sort()).toEqual(['shipping_amount', 'total_amount']);
+        expect(updated.changes).toEqual({
+            before: { shipping_amount: '0.00', total_amount: '20.00' },
+            after: { shipping_amount: '5.00', total_amount: '25.00' }
+        });
+
+        expect(confirmed.changes.before.status).toBe('pending');
+        expect(confirmed.changes.after).toMatchObject({ status: 'confirmed', confirmed_at: expect.any(String) });
+        expect(cancelled.changes.after).toMatchObject({ status: 'cancelled', notes: 'Cancelled: Changed mind' });
+        expect(cancelled.changes.after).not.toHaveProperty('updated_at');
+    });
+
+    it('filters by event type and pages through the timeline', async () => {
+        const order = await createOrder(manager);
+        await request(service.app).patch(`/api/orders/${order.id}/status`).set(as(manager)).send({ status: 'confirmed' });
+        await request(service.app).patch(`/api/orders/${order.id}/status`).set(as(manager)).send({ status: 'processing' });
+
+        const changes = await historyOf(order, manager, '?event_type=status_changed');
+        expect(changes.body.data.history.map(event => event.changes.after.status)).toEqual(['confirmed', 'processing']);
+
+        const secondPage = await historyOf(order, manager, '?limit=1&page=2');
+        expect(secondPage.body.data.history).toEqual([
+            expect.objectContaining({ event_type: 'status_changed', changes: expect.objectContaining({ after: expect.objectContaining({ status: 'confirmed' }) }) })
+        ]);
+
+        const unknown = await historyOf(order, manager, '?event_type=bogus');
+        expect(unknown.body.data.history).toHaveLength(3);
+    });
+
+    it('does not record a status change that was refused', async () => {
+        const order = await createOrder(manager);
+
+        const res = await request(service.app).patch(`/api/orders/${order.id}/status`).set(as(manager)).send({ status: 'shipped' });
+        expect(res.status).toBe(409);
+
+        expect((await historyOf(order)).body.data.history.map(event => event.event_type)).toEqual(['created']);
+    });
+
+    it('shows customers the history of their own orders only', async () => {
+        const order = await createOrder(customer);
+
+        expect((await historyOf(order, customer)).status).toBe(200);
+
+        const res = await historyOf(order, otherCustomer);
+        expect(res.status).toBe(404);
+        expect(res.body.error.code).toBe('ORDER_NOT_FOUND');
+    });
+});
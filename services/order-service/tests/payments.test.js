@@ -0,0 +1,198 @@
+// services/order-service/tests/payments.test.js
+const request = require('supertest');
+const { loadOrderService } = require('../../../tests/helpers/services');
+const { createOrganization, createUser, createProduct, closeDatabase } = require('../../../tests/helpers/database');
+const { signAccessToken } = require('../../../tests/helpers/tokens');
+
+describe('payments and refunds', () => {
+    let service;
+    let manager;
+    let employee;
+    let product;
+
+    const as = user => ({ Authorization: `Bearer ${signAccessToken(user)}` });
+    const payments = (order, path = '') => `/api/orders/${order.id}/payments${path}`;
+
+    const createOrder = async () => {
+        const res = await request(service.app).post('/api/orders').set(as(manager)).send({
+            items: [{ product_id: product.id, quantity: 1 }]
+        });
+        return res.body.data.order;
+    };
+
+    const pay = (order, amount, simulate) => request(service.app).post(payments(order)).set(as(manager)).send({
+        amount,
+        payment_method: 'card',
+        ...(simulate && { metadata: { simulate } })
+    });
+
+    const refund = (order, payment, body = {}) => request(service.app)
+        .post(payments(order, `/${payment.id}/refunds`))
+        .set(as(manager))
+        .send(body);
+
+    beforeAll(async () => {
+        service = await loadOrderService();
+        jest.spyOn(service.load('services/inventoryClient'), 'reserveStock').mockResolvedValue({});
+
+        const organization = await createOrganization();
+        manager = await createUser(organization.id, { roles: ['manager'] });
+        employee = await createUser(organization.id, { roles: ['employee'] });
+        product = await createProduct(organization.id, { unitPrice: 20 });
+    });
+
+    afterAll(async () => {
+        jest.restoreAllMocks();
+        await service.close();
+        await closeDatabase();
+    });
+
+    describe('derivePaymentStatus', () => {
+        let derivePaymentStatus;
+
+        beforeAll(() => {
+            ({ derivePaymentStatus } = service.load('services/paymentService'));
+        });
+
+        it.each([
+            [{ paid: 0, refunded: 0 }, '25.00', 'unpaid'],
+            [{ paid: '10.00', refunded: 0 }, '25.00', 'partial'],
+            [{ paid: '25.00', refunded: 0 }, '25.00', 'paid'],
+            [{ paid: 0.1 + 0.2, refunded: 0 }, '0.30', 'paid'],
+            [{ paid: '25.00', refunded: '10.00' }, '25.00', 'partial'],
+            [{ paid: '30.00', refunded: '5.00' }, '25.00', 'paid'],
+            [{ paid: '25.00', refunded: '25.00' }, '25.00', 'refunded'],
+            [{ paid: 0, refunded: 0 }, '0.00', 'unpaid']
+        ])('%j of %s is %s', (totals, totalAmount, expected) => {
+            expect(derivePaymentStatus(totals, totalAmount)).toBe(expected);
+        });
+    });
+
+    describe('charges', () => {
+        it('rolls payment_status up from completed payments', async () => {
+            const order = await createOrder();
+
+            const first = await pay(order, 12.5);
+            expect(first.status).toBe(201);
+            expect(first.body.data).toMatchObject({ payment: { status: 'completed', provider: 'fake' }, payment_status: 'partial' });
+
+            const second = await pay(order, 7.5);
+            expect(second.body.data.payment_status).toBe('paid');
+        });
+
+        it('refuses to take more than the outstanding balance, counting pending payments', async () => {
+            const order = await createOrder();
+
+            const over = await pay(order, 20.01);
+            expect(over.status).toBe(409);
+            expect(over.body.error).toMatchObject({ code: 'OVERPAYMENT', details: [{ field: 'amount', outstanding: 20 }] });
+
+            const pending = await pay(order, 15, 'pending');
+            expect(pending.status).toBe(201);
+            expect(pending.body.data).toMatchObject({ payment: { status: 'pending' }, payment_status: 'unpaid' });
+
+            const rest = await pay(order, 10);
+            expect(rest.body.error.details[0].outstanding).toBe(5);
+
+            const settled = await request(service.app)
+                .patch(payments(order, `/${pending.body.data.payment.id}/status`))
+                .set(as(manager))
+                .send({ status: 'completed', transaction_id: 'bank-123' });
+            expect(settled.status).toBe(200);
+            expect(settled.body.data.payment_status).toBe('partial');
+        });
+
+        it('reports a declined charge without changing payment_status', async () => {
+            const order = await createOrder();
+
+            const res = await pay(order, 20, 'decline');
+
+            expect(res.status).toBe(402);
+            expect(res.body.error.code).toBe('PAYMENT_FAILED');
+
+            const list = await request(service.app).get(payments(order)).set(as(manager));
+            expect(list.body.data).toMatchObject({ payment_status: 'unpaid', payments: [{ status: 'failed' }] });
+        });
+    });
+
+    describe('refunds', () => {
+        let order;
+        let large;
+        let small;
+
+        beforeAll(async () => {
+            order = await createOrder();
+            large = (await pay(order, 15)).body.data.payment;
+            small = (await pay(order, 5)).body.data.payment;
+        });
+
+        it('keeps refunds to managers', async () => {
+            const res = await request(service.app)
+                .post(payments(order, `/${large.id}/refunds`))
+                .set(as(employee))
+                .send({ amount: 1 });
+
+            expect(res.status).toBe(403);
+        });
+
+        it('refuses to refund more than what is left on the payment', async () => {
+            const res = await refund(order, large, { amount: 15.01 });
+
+            expect(res.status).toBe(409);
+            expect(res.body.error).toMatchObject({ code: 'REFUND_EXCEEDS_PAYMENT', details: [{ refundable: 15 }] });
+        });
+
+        it('refunds part of a payment and lowers payment_status', async () => {
+            const res = await refund(order, large, { amount: 10, reason: 'Damaged' });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.refund).toMatchObject({ status: 'completed', amount: '10.00' });
+            expect(res.body.data.payment.refunded_amount).toBe('10.00');
+            expect(res.body.data.payment_status).toBe('partial');
+        });
+
+        it('does not count a failed refund against the payment', async () => {
+            const failed = await refund(order, large, { amount: 5, reason: 'simulate_failure' });
+            expect(failed.status).toBe(502);
+            expect(failed.body.error.code).toBe('REFUND_FAILED');
+
+            const over = await refund(order, large, { amount: 5.01 });
+            expect(over.body.error.details[0].refundable).toBe(5);
+        });
+
+        it('lets only one of two concurrent refunds through when together they exceed the payment', async () => {
+            const results = await Promise.all([refund(order, large, { amount: 4 }), refund(order, large, { amount: 4 })]);
+
+            expect(results.map(res => res.status).sort()).toEqual([201, 409]);
+        });
+
+        it('refunds everything left when no amount is given', async () => {
+            const rest = await refund(order, large);
+            expect(rest.status).toBe(201);
+            expect(rest.body.data.refund.amount).toBe('1.00');
+            expect(rest.body.data.payment).toMatchObject({ status: 'refunded', refunded_amount: '15.00' });
+
+            const again = await refund(order, large);
+            expect(again.status).toBe(409);
+            expect(again.body.error.code).toBe('PAYMENT_NOT_REFUNDABLE');
+        });
+
+        it('marks the order refunded once every payment is refunded', async () => {
+            const res = await refund(order, small);
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.payment_status).toBe('refunded');
+        });
+
+        it('only refunds completed payments', async () => {
+            const other = await createOrder();
+            const declined = await pay(other, 20, 'decline');
+            const failed = declined.body.error.details[0];
+
+            const res = await refund(other, { id: failed.payment_id }, { amount: 1 });
+
+            expect(res.status).toBe(409);
+            expect(res.body.error.code).toBe('PAYMENT_NOT_REFUNDABLE');
+        });
+    });
+});
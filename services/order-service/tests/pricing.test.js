@@ -0,0 +1,57 @@
+// services/order-service/tests/pricing.test.js
+const { toCents, fromCents, priceLine, calculateTotals } = require('../src/services/pricingService');
+
+describe('order pricing', () => {
+    it('converts between amounts and cents without float drift', () => {
+        expect(toCents(0.1 + 0.2)).toBe(30);
+        expect(toCents('19.99')).toBe(1999);
+        expect(toCents(null)).toBe(0);
+        expect(fromCents(1999)).toBe(19.99);
+    });
+
+    it('taxes the line net of discount and rounds tax half up to the cent', () => {
+        // 3 x 19.99 = 59.97, less 2.00 = 57.97; 8.25% of 57.97 = 4.782525
+        expect(priceLine({ unit_price: 19.99, quantity: 3, discount: 2, tax_rate: 8.25 }))
+            .toEqual({ net: 5797, tax: 478, total: 6275 });
+
+        // 0.10 x 5 at 5% = 0.025 tax
+        expect(priceLine({ unit_price: 0.1, quantity: 5, tax_rate: 5 })).toEqual({ net: 50, tax: 3, total: 53 });
+    });
+
+    it('adds up lines in cents so the totals match the line totals', () => {
+        const totals = calculateTotals([
+            { unit_price: 0.1, quantity: 3, tax_rate: 0 },
+            { unit_price: 0.2, quantity: 1, tax_rate: 0 },
+            { unit_price: 33.33, quantity: 3, discount: 0.01, tax_rate: 7.5 }
+        ], 4.99);
+
+        expect(totals).toMatchObject({
+            subtotal: 100.48,
+            tax_amount: 7.5,
+            shipping_amount: 4.99,
+            total_amount: 112.97
+        });
+        expect(totals.items.map(item => item.total_price)).toEqual([0.3, 0.2, 107.48]);
+
+        const lineSum = totals.items.reduce((sum, item) => sum + toCents(item.total_price), 0);
+        expect(lineSum + toCents(totals.shipping_amount)).toBe(toCents(totals.total_amount));
+    });
+
+    it('rounds tax per line rather than on the order total', () => {
+        // Each line has 0.5 cent of tax, which rounds up on both lines
+        const totals = calculateTotals([
+            { unit_price: 0.1, quantity: 1, tax_rate: 5 },
+            { unit_price: 0.1, quantity: 1, tax_rate: 5 }
+        ]);
+
+        expect(totals.tax_amount).toBe(0.02);
+        expect(totals.total_amount).toBe(0.22);
+    });
+
+    it('keeps the request fields on priced items and defaults shipping to zero', () => {
+        const totals = calculateTotals([{ product_id: 'p-1', unit_price: '12.50', quantity: 2 }]);
+
+        expect(totals.items[0]).toEqual({ product_id: 'p-1', unit_price: '12.50', quantity: 2, total_price: 25 });
+        expect(totals).toMatchObject({ subtotal: 25, tax_amount: 0, shipping_amount: 0, total_amount: 25 });
+    });
+});
@@ -0,0 +1,61 @@
+// services/order-service/tests/statusMachine.test.js
+const { ORDER_STATUSES, canTransition, assertTransition } = require('../src/services/orderStatusMachine');
+
+describe('order status machine', () => {
+    it.each([
+        ['pending', 'confirmed'],
+        ['pending', 'cancelled'],
+        ['confirmed', 'processing'],
+        ['processing', 'cancelled'],
+        ['processing', 'shipped'],
+        ['shipped', 'delivered'],
+        ['delivered', 'completed']
+    ])('allows %s → %s', (from, to) => {
+        expect(canTransition(from, to)).toBe(true);
+        expect(() => assertTransition(from, to)).not.toThrow();
+    });
+
+    it.each([
+        ['pending', 'shipped'],
+        ['confirmed', 'pending'],
+        ['shipped', 'cancelled'],
+        ['completed', 'cancelled'],
+        ['cancelled', 'pending'],
+        ['pending', 'pending']
+    ])('refuses %s → %s', (from, to) => {
+        expect(canTransition(from, to)).toBe(false);
+        expect(() => assertTransition(from, to)).toThrow(expect.objectContaining({
+            statusCode: 409,
+            code: 'INVALID_STATUS_TRANSITION'
+        }));
+    });
+
+    it('lists the statuses an order may move to', () => {
+        let error;
+        try {
+            assertTransition('confirmed', 'delivered');
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error.message).toBe('Cannot change order status from confirmed to delivered');
+        expect(error.details).toEqual([{
+            field: 'status',
+            message: error.message,
+            allowed: ['processing', 'cancelled']
+        }]);
+    });
+
+    it('treats completed and cancelled as final', () => {
+        ['completed', 'cancelled'].forEach((from) => {
+            ORDER_STATUSES.forEach(to => expect(canTransition(from, to)).toBe(false));
+        });
+    });
+
+    it('rejects unknown statuses', () => {
+        expect(canTransition('archived', 'pending')).toBe(false);
+        expect(() => assertTransition('archived', 'pending')).toThrow(expect.objectContaining({
+            details: [expect.objectContaining({ allowed: [] })]
+        }));
+    });
+});
@@ -0,0 +1,139 @@
+// services/order-service/tests/stockCommit.test.js
+const request = require('supertest');
+const { loadOrderService } = require('../../../tests/helpers/services');
+const { createOrganization, createUser, createProduct, closeDatabase } = require('../../../tests/helpers/database');
+const { signAccessToken } = require('../../../tests/helpers/tokens');
+const { ErrorHandler } = require('../../../shared/utils');
+
+describe('confirming an order commits its stock hold', () => {
+    let service;
+    let inventoryClient;
+    let manager;
+    let product;
+
+    const as = user => ({ Authorization: `Bearer ${signAccessToken(user)}` });
+    const upstream = (statusCode, code) => ErrorHandler.createError(code, statusCode, code);
+
+    const createOrder = async () => {
+        const res = await request(service.app).post('/api/orders').set(as(manager)).send({
+            items: [{ product_id: product.id, quantity: 2 }]
+        });
+        expect(res.status).toBe(201);
+        inventoryClient.reserveStock.mockClear();
+        return res.body.data.order;
+    };
+
+    const confirm = order => request(service.app).patch(`/api/orders/${order.id}/status`).set(as(manager)).send({ status: 'confirmed' });
+    const statusOf = async (order) => {
+        const res = await request(service.app).get(`/api/orders/${order.id}`).set(as(manager));
+        return res.body.data.order.status;
+    };
+
+    beforeAll(async () => {
+        service = await loadOrderService();
+        inventoryClient = service.load('services/inventoryClient');
+
+        const organization = await createOrganization();
+        manager = await createUser(organization.id, { roles: ['manager'] });
+        product = await createProduct(organization.id, { unitPrice: 5 });
+    });
+
+    beforeEach(() => {
+        jest.spyOn(inventoryClient, 'reserveStock').mockResolvedValue({ reservations: [] });
+        jest.spyOn(inventoryClient, 'commitReservations').mockResolvedValue({ reservations: [], movements: [] });
+        jest.spyOn(inventoryClient, 'releaseReservations').mockResolvedValue({ reservations: [] });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await service.close();
+        await closeDatabase();
+    });
+
+    it('commits a live hold once', async () => {
+        const order = await createOrder();
+
+        const res = await confirm(order);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.order.status).toBe('confirmed');
+        expect(inventoryClient.commitReservations).toHaveBeenCalledTimes(1);
+        expect(inventoryClient.reserveStock).not.toHaveBeenCalled();
+        expect(inventoryClient.releaseReservations).not.toHaveBeenCalled();
+    });
+
+    it('releases an expired hold, holds the stock again and commits that', async () => {
+        const order = await createOrder();
+        inventoryClient.commitReservations.mockRejectedValueOnce(upstream(409, 'RESERVATION_EXPIRED'));
+
+        const res = await confirm(order);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.order.status).toBe('confirmed');
+
+        const { releaseReservations, reserveStock, commitReservations } = inventoryClient;
+        expect(releaseReservations).toHaveBeenCalledWith(order.id, expect.objectContaining({ userId: manager.id }));
+        expect(reserveStock).toHaveBeenCalledWith(
+            order.id,
+            [expect.objectContaining({ product_id: product.id, quantity: 2 })],
+            expect.anything()
+        );
+        expect(commitReservations).toHaveBeenCalledTimes(2);
+        expect(releaseReservations.mock.invocationCallOrder[0]).toBeLessThan(reserveStock.mock.invocationCallOrder[0]);
+        expect(reserveStock.mock.invocationCallOrder[0]).toBeLessThan(commitReservations.mock.invocationCallOrder[1]);
+    });
+
+    it('holds the stock again when the sweeper already released the hold', async () => {
+        const order = await createOrder();
+        inventoryClient.commitReservations.mockRejectedValueOnce(upstream(404, 'RESERVATION_NOT_FOUND'));
+        inventoryClient.releaseReservations.mockRejectedValueOnce(upstream(404, 'RESERVATION_NOT_FOUND'));
+
+        const res = await confirm(order);
+
+        expect(res.status).toBe(200);
+        expect(inventoryClient.reserveStock).toHaveBeenCalledTimes(1);
+        expect(inventoryClient.commitReservations).toHaveBeenCalledTimes(2);
+    });
+
+    it('keeps the order pending when the stock is gone', async () => {
+        const order = await createOrder();
+        inventoryClient.commitReservations.mockRejectedValueOnce(upstream(409, 'RESERVATION_EXPIRED'));
+        inventoryClient.reserveStock.mockRejectedValueOnce(upstream(409, 'INSUFFICIENT_STOCK'));
+
+        const res = await confirm(order);
+
+        expect(res.status).toBe(409);
+        expect(res.body.error.code).toBe('INSUFFICIENT_STOCK');
+        expect(inventoryClient.commitReservations).toHaveBeenCalledTimes(1);
+        expect(await statusOf(order)).toBe('pending');
+    });
+
+    it('lets go of the new hold when committing it fails', async () => {
+        const order = await createOrder();
+        inventoryClient.commitReservations
+            .mockRejectedValueOnce(upstream(409, 'RESERVATION_EXPIRED'))
+            .mockRejectedValueOnce(upstream(503, 'INVENTORY_UNAVAILABLE'));
+
+        const res = await confirm(order);
+
+        expect(res.status).toBe(503);
+        expect(inventoryClient.releaseReservations).toHaveBeenCalledTimes(2);
+        expect(await statusOf(order)).toBe('pending');
+    });
+
+    it('does not re-hold on other inventory errors', async () => {
+        const order = await createOrder();
+        inventoryClient.commitReservations.mockRejectedValueOnce(upstream(503, 'INVENTORY_UNAVAILABLE'));
+
+        const res = await confirm(order);
+
+        expect(res.status).toBe(503);
+        expect(res.body.error.code).toBe('INVENTORY_UNAVAILABLE');
+        expect(inventoryClient.releaseReservations).not.toHaveBeenCalled();
+        expect(inventoryClient.reserveStock).not.toHaveBeenCalled();
+        expect(await statusOf(order)).toBe('pending');
+    });
+});
@@ -2,6 +2,7 @@ const { Pool } = require('pg');
 const { MongoClient } = require('mongodb');
 const redis = require('redis');
 const path = require('path');
+const { TenantContext } = require('../../../../shared/utils');
 
 // Load environment variables from root .env
 require('dotenv').config({ path: path.resolve(__dirname, '../../../../.env') });
@@ -9,20 +10,22 @@ require('dotenv').config({ path: path.resolve(__dirname, '../../../../.env') });
 /**
  * PostgreSQL Connection Pool
  * Uses global DATABASE_URL or individual variables
+ * Connects as the application role so row-level security applies, and tags each
+ * connection with the current tenant (see TenantContext)
  */
-const pgPool = new Pool({
+const pgPool = TenantContext.bindPool(new Pool({
     connectionString: process.env.DATABASE_URL,
     // Fallback to individual variables
     host: process.env.POSTGRES_HOST,
     port: parseInt(process.env.POSTGRES_PORT) || 5432,
     database: process.env.POSTGRES_DB,
-    user: process.env.POSTGRES_USER,
-    password: process.env.POSTGRES_PASSWORD,
+    user: process.env.POSTGRES_APP_USER,
+    password: process.env.POSTGRES_APP_PASSWORD,
     min: parseInt(process.env.POSTGRES_POOL_MIN) || 2,
     max: parseInt(process.env.POSTGRES_POOL_MAX) || 20,
     idleTimeoutMillis: parseInt(process.env.POSTGRES_POOL_IDLE_TIMEOUT) || 10000,
     connectionTimeoutMillis: 2000,
-});
+}));
 
 pgPool.on('connect', () => {
     console.log('✅ PostgreSQL connected (User Service)');
@@ -0,0 +1,71 @@
+const OrganizationModel = require('../models/organizationModel');
+const { logActivity } = require('../utils/activityLogger');
+
+const organizationNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'ORGANIZATION_NOT_FOUND',
+    message: 'Organization not found'
+  }
+});
+
+class OrganizationController {
+  /**
+   * Get the caller's organization
+   */
+  static async getOrganization(req, res) {
+    try {
+      const organization = req.user.tenantId ? await OrganizationModel.findById(req.user.tenantId) : null;
+      if (!organization) {
+        return organizationNotFound(res);
+      }
+
+      return res.json({
+        success: true,
+        data: { organization }
+      });
+    } catch (error) {
+      console.error('Get organization error:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to fetch organization'
+        }
+      });
+    }
+  }
+
+  /**
+   * Rename the caller's organization
+   */
+  static async updateOrganization(req, res) {
+    try {
+      const organization = req.user.tenantId
+        ? await OrganizationModel.update(req.user.tenantId, req.body)
+        : null;
+      if (!organization) {
+        return organizationNotFound(res);
+      }
+
+      await logActivity(req.user.userId, 'UPDATE_ORGANIZATION', 'organization', organization.id, req.body);
+
+      return res.json({
+        success: true,
+        data: { organization },
+        message: 'Organization updated successfully'
+      });
+    } catch (error) {
+      console.error('Update organization error:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to update organization'
+        }
+      });
+    }
+  }
+}
+
+module.exports = OrganizationController;
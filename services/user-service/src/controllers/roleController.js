@@ -0,0 +1,447 @@
+const RoleModel = require('../models/roleModel');
+const { missingPermissions } = require('../middleware/auth');
+const { redisClient, redisHelpers } = require('../config/database');
+const { TokenRevocation, TenantContext } = require('../../../../shared/utils');
+const { logActivity } = require('../utils/activityLogger');
+
+// Holds every permission by definition, so its permission set is not editable
+const FULL_ACCESS_ROLE = 'super_admin';
+
+/**
+ * Built-in roles are shared by every organization, so only a super_admin may change them
+ */
+const isSharedRole = (role) => role.organization_id === null && TenantContext.current().scope !== 'all';
+
+/**
+ * Clear the cached profiles of users whose roles or permissions changed;
+ * their tokens carry the old ones, so clients must refresh
+ */
+const invalidateHolders = async (userIds) => {
+  await Promise.all(userIds.map(userId => Promise.all([
+    redisHelpers.del(`user:${userId}`),
+    TokenRevocation.revokeUser(redisClient, userId)
+  ])));
+};
+
+const roleNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'ROLE_NOT_FOUND',
+    message: 'Role not found'
+  }
+});
+
+const permissionNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'PERMISSION_NOT_FOUND',
+    message: 'Permission not found'
+  }
+});
+
+const privilegeEscalation = (res, missing) => res.status(403).json({
+  success: false,
+  error: {
+    code: 'PRIVILEGE_ESCALATION',
+    message: 'You cannot grant or revoke permissions you do not hold',
+    details: missing
+  }
+});
+
+const roleProtected = (res, message) => res.status(409).json({
+  success: false,
+  error: {
+    code: 'ROLE_PROTECTED',
+    message
+  }
+});
+
+const parentNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'PARENT_ROLE_NOT_FOUND',
+    message: 'Parent role not found'
+  }
+});
+
+const hierarchyCycle = (res) => res.status(409).json({
+  success: false,
+  error: {
+    code: 'ROLE_HIERARCHY_CYCLE',
+    message: 'A role cannot inherit from itself or one of the roles inheriting from it'
+  }
+});
+
+const roleExists = (res) => res.status(409).json({
+  success: false,
+  error: {
+    code: 'ROLE_EXISTS',
+    message: 'A role with this name already exists'
+  }
+});
+
+class RoleController {
+  /**
+   * Get all roles with their permissions and holder counts
+   */
+  static async getAllRoles(req, res) {
+    try {
+      const roles = await RoleModel.findAll();
+
+      return res.json({
+        success: true,
+        data: { roles }
+      });
+    } catch (error) {
+      console.error('Get roles error:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to fetch roles'
+        }
+      });
+    }
+  }
+
+  /**
+   * Get role by ID
+   */
+  static async getRoleById(req, res) {
+    try {
+      const role = await RoleModel.findById(req.params.roleId);
+      if (!role) {
+        return roleNotFound(res);
+      }
+
+      return res.json({
+        success: true,
+        data: { role }
+      });
+    } catch (error) {
+      console.error('Get role error:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to fetch role'
+        }
+      });
+    }
+  }
+
+  /**
+   * Create role
+   */
+  static async createRole(req, res) {
+    try {
+      const { name, description, parentId = null, permissionIds = [] } = req.body;
+
+      const permissions = await RoleModel.findPermissionsByIds(permissionIds);
+      if (permissions.length !== permissionIds.length) {
+        return permissionNotFound(res);
+      }
+
+      const parent = parentId ? await RoleModel.findById(parentId) : null;
+      if (parentId && !parent) {
+        return parentNotFound(res);
+      }
+
+      const inherited = parent ? parent.effective_permissions : [];
+      const missing = await missingPermissions(req, [...permissions, ...inherited]);
+      if (missing.length > 0) {
+        return privilegeEscalation(res, missing);
+      }
+
+      const created = await RoleModel.create({ name, description, parentId, permissionIds });
+      const role = await RoleModel.findById(created.id);
+
+      await logActivity(req.user.userId, 'CREATE_ROLE', 'role', role.id, { name, parentId, permissionIds });
+
+      return res.status(201).json({
+        success: true,
+        data: { role },
+        message: 'Role created successfully'
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        return roleExists(res);
+      }
+
+      console.error('Create role error:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to create role'
+        }
+      });
+    }
+  }
+
+  /**
+   * Update role name, description or parent (built-in roles keep their names)
+   */
+  static async updateRole(req, res) {
+    try {
+      const { roleId } = req.params;
+      const updates = req.body;
+
+      const existing = await RoleModel.findById(roleId);
+      if (!existing) {
+        return roleNotFound(res);
+      }
+
+      if (isSharedRole(existing)) {
+        return roleProtected(res, 'Built-in roles are shared by every organization and cannot be changed');
+      }
+
+      const renamed = updates.name !== undefined && updates.name !== existing.name;
+      if (renamed && existing.is_system) {
+        return roleProtected(res, 'Built-in roles cannot be renamed');
+      }
+
+      const parentChanged = updates.parentId !== undefined && updates.parentId !== existing.parent_id;
+      if (parentChanged) {
+        const newParent = updates.parentId ? await RoleModel.findById(updates.parentId) : null;
+        if (updates.parentId && !newParent) {
+          return parentNotFound(res);
+        }
+
+        // A built-in role inheriting from one organization's role would leak it to every organization
+        if (existing.organization_id === null && newParent && newParent.organization_id !== null) {
+          return roleProtected(res, 'Built-in roles can only inherit from built-in roles');
+        }
+
+        // Holders gain what the new parent grants and lose what the old one granted
+        const oldParent = existing.parent_id ? await RoleModel.findById(existing.parent_id) : null;
+        const changed = [newParent, oldParent].filter(Boolean).flatMap(parent => parent.effective_permissions);
+        const missing = await missingPermissions(req, changed);
+        if (missing.length > 0) {
+          return privilegeEscalation(res, missing);
+        }
+      }
+
+      await RoleModel.update(roleId, updates);
+
+      // Role names and permissions are part of cached profiles and tokens
+      if (renamed || parentChanged) {
+        await invalidateHolders(await RoleModel.getUserIds(roleId));
+      }
+
+      await logActivity(req.user.userId, 'UPDATE_ROLE', 'role', roleId, updates);
+
+      return res.json({
+        success: true,
+        data: { role: await RoleModel.findById(roleId) },
+        message: 'Role updated successfully'
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        return roleExists(res);
+      }
+      if (error.constraint === 'roles_parent_cycle') {
+        return hierarchyCycle(res);
+      }
+
+      console.error('Update role error:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to update role'
+        }
+      });
+    }
+  }
+
+  /**
+   * Delete role (built-in roles cannot be deleted)
+   */
+  static async deleteRole(req, res) {
+    try {
+      const { roleId } = req.params;
+
+      const role = await RoleModel.findById(roleId);
+      if (!role) {
+        return roleNotFound(res);
+      }
+
+      if (role.is_system) {
+        return roleProtected(res, 'Built-in roles cannot be deleted');
+      }
+
+      // Deleting a role revokes it, and everything it inherits, from everyone holding it
+      const missing = await missingPermissions(req, role.effective_permissions);
+      if (missing.length > 0) {
+        return privilegeEscalation(res, missing);
+      }
+
+      const holders = await RoleModel.getUserIds(roleId);
+      await RoleModel.delete(roleId);
+      await invalidateHolders(holders);
+
+      await logActivity(req.user.userId, 'DELETE_ROLE', 'role', roleId, { name: role.name });
+
+      return res.json({
+        success: true,
+        message: 'Role deleted successfully'
+      });
+    } catch (error) {
+      // parent_id is ON DELETE RESTRICT
+      if (error.code === '23503') {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'ROLE_HAS_CHILDREN',
+            message: 'Other roles inherit from this role; give them another parent first'
+          }
+        });
+      }
+
+      console.error('Delete role error:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to delete role'
+        }
+      });
+    }
+  }
+
+  /**
+   * Add permission to role
+   */
+  static async addPermission(req, res) {
+    try {
+      const { roleId } = req.params;
+      const { permissionId } = req.body;
+
+      const denied = await RoleController.checkPermissionChange(req, res, roleId, permissionId);
+      if (denied) {
+        return denied;
+      }
+
+      const assigned = await RoleModel.assignPermission(roleId, permissionId);
+      if (assigned) {
+        await invalidateHolders(await RoleModel.getUserIds(roleId));
+        await logActivity(req.user.userId, 'ADD_ROLE_PERMISSION', 'role', roleId, { permissionId });
+      }
+
+      return res.json({
+        success: true,
+        data: { role: await RoleModel.findById(roleId) },
+        message: assigned ? 'Permission added successfully' : 'Role already has this permission'
+      });
+    } catch (error) {
+      console.error('Add role permission error:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to add permission'
+        }
+      });
+    }
+  }
+
+  /**
+   * Remove permission from role
+   */
+  static async removePermission(req, res) {
+    try {
+      const { roleId, permissionId } = req.params;
+
+      const denied = await RoleController.checkPermissionChange(req, res, roleId, permissionId);
+      if (denied) {
+        return denied;
+      }
+
+      const removed = await RoleModel.removePermission(roleId, permissionId);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PERMISSION_NOT_ASSIGNED',
+            message: 'Role does not have this permission'
+          }
+        });
+      }
+
+      await invalidateHolders(await RoleModel.getUserIds(roleId));
+      await logActivity(req.user.userId, 'REMOVE_ROLE_PERMISSION', 'role', roleId, { permissionId });
+
+      return res.json({
+        success: true,
+        data: { role: await RoleModel.findById(roleId) },
+        message: 'Permission removed successfully'
+      });
+    } catch (error) {
+      console.error('Remove role permission error:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to remove permission'
+        }
+      });
+    }
+  }
+
+  /**
+   * Get all permissions
+   */
+  static async getAllPermissions(req, res) {
+    try {
+      const permissions = await RoleModel.getAllPermissions();
+
+      return res.json({
+        success: true,
+        data: { permissions }
+      });
+    } catch (error) {
+      console.error('Get permissions error:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to fetch permissions'
+        }
+      });
+    }
+  }
+
+  /**
+   * Check a change to a role's permission set
+   * @returns {Promise<Object|null>} The error response sent, or null if allowed
+   */
+  static async checkPermissionChange(req, res, roleId, permissionId) {
+    const role = await RoleModel.findById(roleId);
+    if (!role) {
+      return roleNotFound(res);
+    }
+
+    if (role.name === FULL_ACCESS_ROLE) {
+      return roleProtected(res, `The ${FULL_ACCESS_ROLE} role always has every permission`);
+    }
+
+    if (isSharedRole(role)) {
+      return roleProtected(res, 'Built-in roles are shared by every organization and cannot be changed');
+    }
+
+    const [permission] = await RoleModel.findPermissionsByIds([permissionId]);
+    if (!permission) {
+      return permissionNotFound(res);
+    }
+
+    const missing = await missingPermissions(req, [permission]);
+    if (missing.length > 0) {
+      return privilegeEscalation(res, missing);
+    }
+
+    return null;
+  }
+}
+
+module.exports = RoleController;
@@ -1,7 +1,55 @@
 const UserModel = require('../models/userModel');
-const { redisHelpers } = require('../config/database');
+const RoleModel = require('../models/roleModel');
+const { missingPermissions } = require('../middleware/auth');
+const { redisClient, redisHelpers } = require('../config/database');
+const { TokenRevocation, TenantContext } = require('../../../../shared/utils');
 const { logActivity } = require('../utils/activityLogger');
 
+/**
+ * Check that the caller holds every permission of a role before granting or revoking it,
+ * so roles:assign cannot be used to hand out more access than the caller has
+ * @returns {Promise<Object|null>} Error response body and status, or null if allowed
+ */
+const checkRoleGrant = async (req, roleId) => {
+  const role = Number.isInteger(Number(roleId)) ? await RoleModel.findById(roleId) : null;
+  if (!role) {
+    return {
+      status: 404,
+      body: { success: false, error: { code: 'ROLE_NOT_FOUND', message: 'Role not found' } }
+    };
+  }
+
+  // super_admin sees every organization, so only another super_admin may hand it out
+  if (role.name === 'super_admin' && TenantContext.current().scope !== 'all') {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        error: { code: 'PRIVILEGE_ESCALATION', message: 'Only a super_admin can grant or revoke the super_admin role' }
+      }
+    };
+  }
+
+  // The role's holders also get everything it inherits
+  const missing = await missingPermissions(req, role.effective_permissions);
+
+  if (missing.length > 0) {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        error: {
+          code: 'PRIVILEGE_ESCALATION',
+          message: `You cannot grant or revoke the ${role.name} role without its permissions`,
+          details: missing
+        }
+      }
+    };
+  }
+
+  return null;
+};
+
 class UserController {
   /**
    * Get current user profile
@@ -58,6 +106,11 @@ class UserController {
       
       const cacheKey = `user:${id}`;
       let user = await redisHelpers.get(cacheKey);
+
+      // The cache is shared by every organization; row-level security is not
+      if (user && !TenantContext.isVisible(user.organization_id)) {
+        user = null;
+      }
       
       if (!user) {
         user = await UserModel.findById(id);
@@ -198,6 +251,11 @@ class UserController {
 
       // Invalidate cache
       await redisHelpers.del(`user:${id}`);
+
+      // A deactivated user's access tokens stop working at once
+      if (updatedUser.is_active === false) {
+        await TokenRevocation.revokeUser(redisClient, id);
+      }
       
       // Log activity
       await logActivity(req.user.userId, 'UPDATE_USER', 'user', id, updates);
@@ -238,8 +296,9 @@ class UserController {
         });
       }
 
-      // Invalidate cache
+      // Invalidate cache and outstanding access tokens
       await redisHelpers.del(`user:${id}`);
+      await TokenRevocation.revokeUser(redisClient, id);
       
       // Log activity
       await logActivity(req.user.userId, 'DELETE_USER', 'user', id);
@@ -268,6 +327,11 @@ class UserController {
       const { id } = req.params;
       const { roleId } = req.body;
 
+      const denied = await checkRoleGrant(req, roleId);
+      if (denied) {
+        return res.status(denied.status).json(denied.body);
+      }
+
       const assigned = await UserModel.assignRole(id, roleId, req.user.userId);
       
       if (!assigned) {
@@ -280,8 +344,9 @@ class UserController {
         });
       }
 
-      // Invalidate user cache
+      // Invalidate user cache; tokens carry the old roles, so clients must refresh
       await redisHelpers.del(`user:${id}`);
+      await TokenRevocation.revokeUser(redisClient, id);
       
       // Log activity
       await logActivity(req.user.userId, 'ASSIGN_ROLE', 'user', id, { roleId });
@@ -310,6 +375,11 @@ class UserController {
     try {
       const { id, roleId } = req.params;
 
+      const denied = await checkRoleGrant(req, roleId);
+      if (denied) {
+        return res.status(denied.status).json(denied.body);
+      }
+
       const removed = await UserModel.removeRole(id, roleId);
       
       if (!removed) {
@@ -322,8 +392,9 @@ class UserController {
         });
       }
 
-      // Invalidate user cache
+      // Invalidate user cache; tokens carry the old roles, so clients must refresh
       await redisHelpers.del(`user:${id}`);
+      await TokenRevocation.revokeUser(redisClient, id);
       
       // Log activity
       await logActivity(req.user.userId, 'REMOVE_ROLE', 'user', id, { roleId });
@@ -369,6 +440,31 @@ class UserController {
     }
   }
 
+  /**
+   * Explain where each of a user's permissions comes from
+   */
+  static async explainPermissions(req, res) {
+    try {
+      const { id } = req.params;
+
+      const permissions = await UserModel.getPermissionSources(id);
+
+      return res.json({
+        success: true,
+        data: { permissions }
+      });
+    } catch (error) {
+      console.error('Explain user permissions error:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to explain user permissions'
+        }
+      });
+    }
+  }
+
   /**
    * Get user permissions
    */
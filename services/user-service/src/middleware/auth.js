@@ -1,34 +1,97 @@
 const jwt = require('jsonwebtoken');
 const path = require('path');
+const { JwksKeyStore, ServiceTokenClient, TenantContext, TokenRevocation } = require('../../../../shared/utils');
+const UserModel = require('../models/userModel');
+const { redisClient, redisHelpers } = require('../config/database');
 
 // Load environment variables from root .env
 require('dotenv').config({ path: path.resolve(__dirname, '../../../../.env') });
 
-const JWT_SECRET = process.env.JWT_SECRET;
+// Access tokens are verified with the auth service's published public keys
+const keyStore = new JwksKeyStore();
 
-if (!JWT_SECRET) {
-    throw new Error('JWT_SECRET not found in environment variables');
-}
+const VERIFY_OPTIONS = {
+    algorithms: JwksKeyStore.ALGORITHMS,
+    issuer: 'erp-auth-service',
+    audience: 'erp-services'
+};
+
+/**
+ * Verify an access token against the key named in its kid header
+ * @param {string} token
+ * @returns {Promise<Object>} Decoded payload
+ */
+const verifyToken = (token) => new Promise((resolve, reject) => {
+    jwt.verify(token, keyStore.getKeyForHeader, VERIFY_OPTIONS, (err, decoded) => (err ? reject(err) : resolve(decoded)));
+});
+
+/**
+ * User forwarded in X-User-* headers by the gateway or another service
+ * Only trusted alongside a service token with the identity:forward scope; headers
+ * sent without one are ignored and the caller's own bearer token is checked instead.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} req.user shape, or null
+ */
+const getForwardedUser = async (req) => {
+    const userId = req.headers['x-user-id'];
+    const userEmail = req.headers['x-user-email'];
+    const serviceToken = req.headers['x-service-token'];
+
+    if (!userId || !userEmail || !serviceToken) {
+        return null;
+    }
+
+    const service = await verifyToken(serviceToken).catch(() => null);
+    if (!service || service.type !== 'service'
+        || !String(service.scope || '').split(' ').includes(ServiceTokenClient.FORWARD_SCOPE)) {
+        return null;
+    }
+
+    const userRoles = req.headers['x-user-roles'];
+    return {
+        userId,
+        email: userEmail,
+        roles: userRoles ? JSON.parse(userRoles) : [],
+        tenantId: req.headers['x-user-tenant-id'] || null,
+        forwardedBy: service.clientId
+    };
+};
+
+/**
+ * req.user for a verified bearer token - a user, or a machine client calling with a service token
+ * @param {Object} decoded - Verified token payload
+ * @returns {Object}
+ */
+const toRequestUser = (decoded) => {
+    if (decoded.type === 'service') {
+        return {
+            userId: null,
+            email: null,
+            roles: [],
+            clientId: decoded.clientId,
+            scopes: String(decoded.scope || '').split(' ').filter(Boolean)
+        };
+    }
+
+    return {
+        userId: decoded.userId,
+        email: decoded.email,
+        roles: decoded.roles || [],
+        tenantId: decoded.tenantId || null
+    };
+};
 
 /**
  * Authentication Middleware
  * Extracts user from JWT or API Gateway headers
  */
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
     try {
-        // Check for user info from API Gateway headers (X-User-Id, X-User-Email, X-User-Roles)
-        const userId = req.headers['x-user-id'];
-        const userEmail = req.headers['x-user-email'];
-        const userRoles = req.headers['x-user-roles'];
-
-        if (userId && userEmail) {
-            // User authenticated by API Gateway
-            req.user = {
-                userId,
-                email: userEmail,
-                roles: userRoles ? JSON.parse(userRoles) : []
-            };
-            return next();
+        // User authenticated by the API Gateway (or a calling service)
+        const forwardedUser = await getForwardedUser(req);
+        if (forwardedUser) {
+            req.user = forwardedUser;
+            return TenantContext.run(TenantContext.fromUser(req.user), next);
         }
 
         // Fallback: Check Authorization header
@@ -45,15 +108,23 @@ const authenticate = (req, res, next) => {
         }
 
         const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, JWT_SECRET);
+        const decoded = await verifyToken(token);
 
-        req.user = {
-            userId: decoded.userId,
-            email: decoded.email,
-            roles: decoded.roles || []
-        };
+        // Logged out, session revoked or user deactivated since the token was issued
+        if (await TokenRevocation.isRevoked(redisClient, decoded)) {
+            return res.status(401).json({
+                success: false,
+                error: {
+                    code: 'TOKEN_REVOKED',
+                    message: 'Token has been revoked'
+                }
+            });
+        }
 
-        next();
+        req.user = toRequestUser(decoded);
+
+        // Database queries for the rest of the request only see the user's organization
+        TenantContext.run(TenantContext.fromUser(req.user), next);
     } catch (error) {
         return res.status(401).json({
             success: false,
@@ -97,7 +168,103 @@ const authorize = (...allowedRoles) => {
     };
 };
 
+/**
+ * Permissions of the caller as resource:action strings
+ * Users: from role_permissions via the cached profile (user:<id>, the cache getProfile
+ * fills and role changes clear). Service clients: the scopes of their token.
+ * @param {Object} req - Express request with req.user
+ * @returns {Promise<Array<string>>}
+ */
+const loadPermissions = async (req) => {
+    if (req.user.permissions) {
+        return req.user.permissions;
+    }
+
+    if (!req.user.userId) {
+        req.user.permissions = req.user.scopes || [];
+        return req.user.permissions;
+    }
+
+    const cacheKey = `user:${req.user.userId}`;
+    let user = await redisHelpers.get(cacheKey);
+    if (!user) {
+        user = await UserModel.findById(req.user.userId);
+        if (user) {
+            await redisHelpers.set(cacheKey, user, 3600);
+        }
+    }
+
+    req.user.permissions = user && user.is_active
+        ? user.permissions.map(permission => `${permission.resource}:${permission.action}`)
+        : [];
+    return req.user.permissions;
+};
+
+/**
+ * Permissions from a list the caller does not hold
+ * Used to stop callers granting access they do not have themselves.
+ * @param {Object} req - Express request with req.user
+ * @param {Array<Object>} permissions - Permission rows ({ resource, action })
+ * @returns {Promise<Array<string>>} Missing permissions as resource:action strings
+ */
+const missingPermissions = async (req, permissions) => {
+    const held = await loadPermissions(req);
+    const required = new Set(permissions.map(permission => `${permission.resource}:${permission.action}`));
+    return [...required].filter(permission => !held.includes(permission));
+};
+
+/**
+ * Authorization middleware - check a resource:action permission
+ * @param {string} permission - e.g. 'users:read'
+ * @param {Object} options
+ * @param {Function} options.owner - (req) => user id the request is about; that user passes without the permission
+ */
+const requirePermission = (permission, { owner } = {}) => {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                error: {
+                    code: 'UNAUTHORIZED',
+                    message: 'Authentication required'
+                }
+            });
+        }
+
+        try {
+            if (owner && req.user.userId && owner(req) === req.user.userId) {
+                return next();
+            }
+
+            const permissions = await loadPermissions(req);
+            if (!permissions.includes(permission)) {
+                return res.status(403).json({
+                    success: false,
+                    error: {
+                        code: 'INSUFFICIENT_PERMISSIONS',
+                        message: `You need '${permission}' permission to access this resource`
+                    }
+                });
+            }
+
+            next();
+        } catch (error) {
+            console.error('Permission check error:', error);
+            return res.status(500).json({
+                success: false,
+                error: {
+                    code: 'INTERNAL_ERROR',
+                    message: 'Failed to check permissions'
+                }
+            });
+        }
+    };
+};
+
 module.exports = {
     authenticate,
-    authorize
+    authorize,
+    requirePermission,
+    loadPermissions,
+    missingPermissions
 };
\ No newline at end of file
@@ -19,10 +19,45 @@ const schemas = {
         is_verified: Joi.boolean()
     }).min(1),
 
+    // Users editing themselves may not change account status
+    updateProfile: Joi.object({
+        first_name: Joi.string().min(1).max(100),
+        last_name: Joi.string().min(1).max(100),
+        phone: Joi.string().pattern(/^[+]?[0-9]{10,20}$/)
+    }).min(1),
+
     assignRole: Joi.object({
         roleId: Joi.number().integer().positive().required()
     }),
 
+    createRole: Joi.object({
+        name: Joi.string().pattern(/^[a-z][a-z0-9_]*$/).max(50).required()
+            .messages({ 'string.pattern.base': 'Role name must be lowercase letters, digits and underscores' }),
+        description: Joi.string().max(500).allow(''),
+        parentId: Joi.number().integer().positive().allow(null),
+        permissionIds: Joi.array().items(Joi.number().integer().positive()).unique()
+    }),
+
+    updateRole: Joi.object({
+        name: Joi.string().pattern(/^[a-z][a-z0-9_]*$/).max(50)
+            .messages({ 'string.pattern.base': 'Role name must be lowercase letters, digits and underscores' }),
+        description: Joi.string().max(500).allow(''),
+        parentId: Joi.number().integer().positive().allow(null)
+    }).min(1),
+
+    rolePermission: Joi.object({
+        permissionId: Joi.number().integer().positive().required()
+    }),
+
+    updateOrganization: Joi.object({
+        name: Joi.string().trim().min(2).max(255).required()
+    }),
+
+    roleParams: Joi.object({
+        roleId: Joi.number().integer().positive().required(),
+        permissionId: Joi.number().integer().positive()
+    }),
+
     // For future password update feature
     changePassword: Joi.object({
         oldPassword: Joi.string().required(),
@@ -33,10 +68,11 @@ const schemas = {
 
 /**
  * Validation middleware factory
+ * @param {string} property - Request property to validate ('body' or 'params')
  */
-const validate = (schema) => {
+const validate = (schema, property = 'body') => {
     return (req, res, next) => {
-        const { error } = schema.validate(req.body);
+        const { error } = schema.validate(req[property]);
 
         if (error) {
             return res.status(400).json({
@@ -55,6 +91,12 @@ const validate = (schema) => {
 
 module.exports = {
     validateUpdateUser: validate(schemas.updateUser),
+    validateUpdateProfile: validate(schemas.updateProfile),
     validateAssignRole: validate(schemas.assignRole),
+    validateCreateRole: validate(schemas.createRole),
+    validateUpdateRole: validate(schemas.updateRole),
+    validateRolePermission: validate(schemas.rolePermission),
+    validateRoleParams: validate(schemas.roleParams, 'params'),
+    validateUpdateOrganization: validate(schemas.updateOrganization),
     validateChangePassword: validate(schemas.changePassword)
 };
@@ -0,0 +1,47 @@
+// services/user-service/src/models/organizationModel.js
+const { pgPool } = require('../config/database');
+
+/**
+ * Organization Model
+ * Organizations (tenants) are created when their first user registers; row-level
+ * security only shows the caller's own organization (every one to super_admin).
+ */
+class OrganizationModel {
+  /**
+   * Get organization by ID with its user count
+   */
+  static async findById(organizationId) {
+    const query = `
+      SELECT
+        o.id,
+        o.name,
+        o.slug,
+        o.is_active,
+        o.created_at,
+        o.updated_at,
+        (SELECT COUNT(*) FROM users u WHERE u.organization_id = o.id)::INTEGER as user_count
+      FROM organizations o
+      WHERE o.id = $1
+    `;
+
+    const result = await pgPool.query(query, [organizationId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Rename organization (the slug does not change)
+   */
+  static async update(organizationId, { name }) {
+    const query = `
+      UPDATE organizations
+      SET name = $2
+      WHERE id = $1
+      RETURNING id, name, slug, is_active, created_at, updated_at
+    `;
+
+    const result = await pgPool.query(query, [organizationId, name]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = OrganizationModel;
@@ -1,9 +1,29 @@
 // services/user-service/src/models/roleModel.js
 const { pgPool } = require('../config/database');
 
+// Permissions a role holds directly or through its parents (select-list expression for roles r)
+const EFFECTIVE_PERMISSIONS = `(
+          SELECT COALESCE(
+            json_agg(
+              DISTINCT jsonb_build_object(
+                'id', ep.id,
+                'resource', ep.resource,
+                'action', ep.action,
+                'description', ep.description
+              )
+            ),
+            '[]'
+          )
+          FROM role_effective_permissions rep
+          JOIN permissions ep ON rep.permission_id = ep.id
+          WHERE rep.role_id = r.id
+        ) as effective_permissions`;
+
 /**
  * Role Model
  * Works with existing roles table from global schema
+ * Row-level security limits every query to the built-in roles (organization_id NULL)
+ * and the current organization's own roles.
  */
 class RoleModel {
   /**
@@ -13,8 +33,11 @@ class RoleModel {
     const query = `
       SELECT 
         r.id,
+        r.organization_id,
         r.name,
         r.description,
+        r.is_system,
+        r.parent_id,
         r.created_at,
         COALESCE(
           json_agg(
@@ -27,6 +50,7 @@ class RoleModel {
           ) FILTER (WHERE p.id IS NOT NULL),
           '[]'
         ) as permissions,
+        ${EFFECTIVE_PERMISSIONS},
         COUNT(DISTINCT ur.user_id) as user_count
       FROM roles r
       LEFT JOIN role_permissions rp ON r.id = rp.role_id
@@ -47,8 +71,11 @@ class RoleModel {
     const query = `
       SELECT 
         r.id,
+        r.organization_id,
         r.name,
         r.description,
+        r.is_system,
+        r.parent_id,
         r.created_at,
         COALESCE(
           json_agg(
@@ -60,7 +87,8 @@ class RoleModel {
             )
           ) FILTER (WHERE p.id IS NOT NULL),
           '[]'
-        ) as permissions
+        ) as permissions,
+        ${EFFECTIVE_PERMISSIONS}
       FROM roles r
       LEFT JOIN role_permissions rp ON r.id = rp.role_id
       LEFT JOIN permissions p ON rp.permission_id = p.id
@@ -82,37 +110,57 @@ class RoleModel {
   }
 
   /**
-   * Create new role
+   * Create new role, optionally with a parent to inherit from and its initial permissions
    */
   static async create(roleData) {
-    const { name, description } = roleData;
-    
-    const query = `
-      INSERT INTO roles (name, description)
-      VALUES ($1, $2)
-      RETURNING *
-    `;
-    
-    const result = await pgPool.query(query, [name, description]);
-    return result.rows[0];
+    const { name, description, parentId = null, permissionIds = [] } = roleData;
+    const client = await pgPool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO roles (name, description, parent_id) VALUES ($1, $2, $3) RETURNING *`,
+        [name, description, parentId]
+      );
+      const role = result.rows[0];
+
+      if (permissionIds.length > 0) {
+        await client.query(
+          `INSERT INTO role_permissions (role_id, permission_id)
+           SELECT $1, UNNEST($2::int[])
+           ON CONFLICT DO NOTHING`,
+          [role.id, permissionIds]
+        );
+      }
+
+      await client.query('COMMIT');
+      return role;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   }
 
   /**
-   * Update role
+   * Update role (parentId null detaches it from its parent; undefined leaves it alone)
    */
   static async update(roleId, updates) {
-    const { name, description } = updates;
+    const { name, description, parentId } = updates;
     
     const query = `
       UPDATE roles
       SET name = COALESCE($2, name),
-          description = COALESCE($3, description)
+          description = COALESCE($3, description),
+          parent_id = CASE WHEN $4 THEN $5::int ELSE parent_id END
       WHERE id = $1
       RETURNING *
     `;
     
-    const result = await pgPool.query(query, [roleId, name, description]);
-    return result.rows[0];
+    const result = await pgPool.query(query, [roleId, name, description, parentId !== undefined, parentId]);
+    return result.rows[0] || null;
   }
 
   /**
@@ -121,7 +169,7 @@ class RoleModel {
   static async delete(roleId) {
     const query = `DELETE FROM roles WHERE id = $1 RETURNING *`;
     const result = await pgPool.query(query, [roleId]);
-    return result.rows[0];
+    return result.rows[0] || null;
   }
 
   /**
@@ -166,6 +214,34 @@ class RoleModel {
     const result = await pgPool.query(query);
     return result.rows;
   }
+
+  /**
+   * Get permissions by ID
+   */
+  static async findPermissionsByIds(permissionIds) {
+    const query = `
+      SELECT id, resource, action, description
+      FROM permissions
+      WHERE id = ANY($1::int[])
+    `;
+
+    const result = await pgPool.query(query, [permissionIds]);
+    return result.rows;
+  }
+
+  /**
+   * Get IDs of the users holding a role or any role that inherits from it
+   */
+  static async getUserIds(roleId) {
+    const query = `
+      SELECT DISTINCT ur.user_id
+      FROM user_roles ur
+      JOIN role_ancestors ra ON ur.role_id = ra.role_id
+      WHERE ra.ancestor_id = $1
+    `;
+    const result = await pgPool.query(query, [roleId]);
+    return result.rows.map(row => row.user_id);
+  }
 }
 
 module.exports = RoleModel;
\ No newline at end of file
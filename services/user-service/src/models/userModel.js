@@ -13,6 +13,7 @@ class UserModel {
     const query = `
       SELECT 
         u.id,
+        u.organization_id,
         u.email,
         u.first_name,
         u.last_name,
@@ -45,7 +46,7 @@ class UserModel {
       FROM users u
       LEFT JOIN user_roles ur ON u.id = ur.user_id
       LEFT JOIN roles r ON ur.role_id = r.id
-      LEFT JOIN role_permissions rp ON r.id = rp.role_id
+      LEFT JOIN role_effective_permissions rp ON r.id = rp.role_id
       LEFT JOIN permissions p ON rp.permission_id = p.id
       WHERE u.id = $1
       GROUP BY u.id
@@ -270,13 +271,13 @@ class UserModel {
   }
 
   /**
-   * Get user's permissions (combined from roles)
+   * Get user's permissions (combined from roles and the roles they inherit from)
    */
   static async getPermissions(userId) {
     const query = `
       SELECT DISTINCT p.id, p.resource, p.action, p.description
       FROM permissions p
-      JOIN role_permissions rp ON p.id = rp.permission_id
+      JOIN role_effective_permissions rp ON p.id = rp.permission_id
       JOIN user_roles ur ON rp.role_id = ur.role_id
       WHERE ur.user_id = $1
     `;
@@ -285,6 +286,44 @@ class UserModel {
     return result.rows;
   }
 
+  /**
+   * Get user's permissions with every grant behind each one:
+   * the assigned role, the role that grants it and the inheritance path between them
+   */
+  static async getPermissionSources(userId) {
+    const query = `
+      SELECT
+        p.id,
+        p.resource,
+        p.action,
+        p.description,
+        json_agg(
+          json_build_object(
+            'role', r.name,
+            'grantedBy', s.name,
+            'inherited', rp.depth > 0,
+            'path', (
+              SELECT array_agg(pr.name ORDER BY step.ordinality)
+              FROM unnest(rp.path) WITH ORDINALITY AS step(role_id, ordinality)
+              JOIN roles pr ON pr.id = step.role_id
+            )
+          )
+          ORDER BY rp.depth, r.name
+        ) as sources
+      FROM user_roles ur
+      JOIN roles r ON ur.role_id = r.id
+      JOIN role_effective_permissions rp ON r.id = rp.role_id
+      JOIN roles s ON rp.source_role_id = s.id
+      JOIN permissions p ON rp.permission_id = p.id
+      WHERE ur.user_id = $1
+      GROUP BY p.id
+      ORDER BY p.resource, p.action
+    `;
+
+    const result = await pgPool.query(query, [userId]);
+    return result.rows;
+  }
+
   /**
    * Update last login timestamp
    */
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const UserModel = require('../models/userModel');
 const { getActivityHistory, getActivityStats } = require('../utils/activityLogger');
+const { TenantContext } = require('../../../../shared/utils');
 
 /**
  * Activity Logging Routes
@@ -78,14 +80,26 @@ router.get('/me/stats', authenticate, async (req, res) => {
 });
 
 /**
- * Get activity history for any user (admin only)
+ * Get activity history for any user (activity:read, or the user themselves)
  */
-router.get('/:userId', authenticate, async (req, res) => {
+router.get('/:userId', authenticate, requirePermission('activity:read', { owner: req => req.params.userId }), async (req, res) => {
   try {
-    // TODO: Add admin authorization check
     const { userId } = req.params;
     const { limit = 50, skip = 0, action, resource } = req.query;
 
+    // Activity logs live in Mongo, outside row-level security; only read them
+    // for a user the caller's organization can see
+    const user = await UserModel.findById(userId);
+    if (!user || !TenantContext.isVisible(user.organization_id)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found'
+        }
+      });
+    }
+
     const activities = await getActivityHistory(userId, {
       limit: parseInt(limit),
       skip: parseInt(skip),
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const OrganizationController = require('../controllers/organizationController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateUpdateOrganization } = require('../middleware/validation');
+
+/**
+ * Organization Routes - the caller's own organization (tenant)
+ * Base path: /api/users (mounted before userRoutes so /organization is not taken as a user id)
+ */
+
+router.get('/organization', authenticate, OrganizationController.getOrganization);
+router.put('/organization', authenticate, requirePermission('organizations:update'), validateUpdateOrganization, OrganizationController.updateOrganization);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const RoleController = require('../controllers/roleController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  validateCreateRole,
+  validateUpdateRole,
+  validateRolePermission,
+  validateRoleParams
+} = require('../middleware/validation');
+
+/**
+ * Role and Permission Routes
+ * Base path: /api/users (mounted before userRoutes so /roles is not taken as a user id)
+ */
+
+// Roles
+router.get('/roles', authenticate, requirePermission('roles:read'), RoleController.getAllRoles);
+router.get('/roles/:roleId', authenticate, requirePermission('roles:read'), validateRoleParams, RoleController.getRoleById);
+router.post('/roles', authenticate, requirePermission('roles:manage'), validateCreateRole, RoleController.createRole);
+router.put('/roles/:roleId', authenticate, requirePermission('roles:manage'), validateRoleParams, validateUpdateRole, RoleController.updateRole);
+router.delete('/roles/:roleId', authenticate, requirePermission('roles:manage'), validateRoleParams, RoleController.deleteRole);
+
+// Role permissions
+router.post('/roles/:roleId/permissions', authenticate, requirePermission('roles:manage'), validateRoleParams, validateRolePermission, RoleController.addPermission);
+router.delete('/roles/:roleId/permissions/:permissionId', authenticate, requirePermission('roles:manage'), validateRoleParams, RoleController.removePermission);
+
+// Permission catalogue
+router.get('/permissions', authenticate, requirePermission('roles:read'), RoleController.getAllPermissions);
+
+module.exports = router;
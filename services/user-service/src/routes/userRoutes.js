@@ -2,28 +2,32 @@
 const express = require('express');
 const router = express.Router();
 const UserController = require('../controllers/userController');
-const { authenticate } = require('../middleware/auth');
-const { validateUpdateUser, validateAssignRole } = require('../middleware/validation');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateUpdateUser, validateUpdateProfile, validateAssignRole } = require('../middleware/validation');
 
 /**
  * User Routes
  * Base path: /api/users
  */
 
-// Public routes (will be authenticated by API Gateway)
+// The user named in the URL may read their own record without the permission
+const self = { owner: req => req.params.id };
+
+// Own profile
 router.get('/profile', authenticate, UserController.getProfile);
-router.put('/profile', authenticate, validateUpdateUser, UserController.updateProfile);
+router.put('/profile', authenticate, validateUpdateProfile, UserController.updateProfile);
 
-// Admin routes - require admin role
-router.get('/', authenticate, UserController.getAllUsers);
-router.get('/:id', authenticate, UserController.getUserById);
-router.put('/:id', authenticate, validateUpdateUser, UserController.updateUser);
-router.delete('/:id', authenticate, UserController.deleteUser);
+// User administration
+router.get('/', authenticate, requirePermission('users:read'), UserController.getAllUsers);
+router.get('/:id', authenticate, requirePermission('users:read', self), UserController.getUserById);
+router.put('/:id', authenticate, requirePermission('users:update'), validateUpdateUser, UserController.updateUser);
+router.delete('/:id', authenticate, requirePermission('users:delete'), UserController.deleteUser);
 
 // Role management
-router.post('/:id/roles', authenticate, validateAssignRole, UserController.assignRole);
-router.delete('/:id/roles/:roleId', authenticate, UserController.removeRole);
-router.get('/:id/roles', authenticate, UserController.getUserRoles);
-router.get('/:id/permissions', authenticate, UserController.getUserPermissions);
+router.post('/:id/roles', authenticate, requirePermission('roles:assign'), validateAssignRole, UserController.assignRole);
+router.delete('/:id/roles/:roleId', authenticate, requirePermission('roles:assign'), UserController.removeRole);
+router.get('/:id/roles', authenticate, requirePermission('roles:read', self), UserController.getUserRoles);
+router.get('/:id/permissions', authenticate, requirePermission('roles:read', self), UserController.getUserPermissions);
+router.get('/:id/permissions/explain', authenticate, requirePermission('roles:read', self), UserController.explainPermissions);
 
 module.exports = router;
\ No newline at end of file
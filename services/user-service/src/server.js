@@ -8,6 +8,8 @@ require('dotenv').config({ path: path.resolve(__dirname, '../../../.env') });
 
 const { connectMongo, closeConnections } = require('./config/database');
 const userRoutes = require('./routes/userRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
 const activityRoutes = require('./routes/activityRoutes');
 const logger = require('./utils/logger');
 
@@ -73,6 +75,8 @@ app.get(`/api${healthCheckPath}`, (req, res) => {
 
 // API Routes
 const apiBasePath = process.env.API_BASE_PATH || '/api';
+app.use(`${apiBasePath}/users`, roleRoutes);
+app.use(`${apiBasePath}/users`, organizationRoutes);
 app.use(`${apiBasePath}/users`, userRoutes);
 app.use(`${apiBasePath}/users/activity`, activityRoutes);
 
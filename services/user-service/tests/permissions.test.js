@@ -0,0 +1,110 @@
+// services/user-service/tests/permissions.test.js
+const request = require('supertest');
+const { loadUserService } = require('../../../tests/helpers/services');
+const { createOrganization, createUser, closeDatabase } = require('../../../tests/helpers/database');
+const { signAccessToken, signServiceToken } = require('../../../tests/helpers/tokens');
+
+describe('user-service permissions', () => {
+    let service;
+    let admin;
+    let manager;
+    let employee;
+    let colleague;
+
+    const as = user => ({ Authorization: `Bearer ${signAccessToken(user)}` });
+    const get = (path, user) => request(service.app).get(`/api/users${path}`).set(as(user));
+
+    const expectDenied = (res, permission) => {
+        expect(res.status).toBe(403);
+        expect(res.body.error).toMatchObject({
+            code: 'INSUFFICIENT_PERMISSIONS',
+            message: `You need '${permission}' permission to access this resource`
+        });
+    };
+
+    beforeAll(async () => {
+        service = await loadUserService();
+
+        const organization = await createOrganization();
+        admin = await createUser(organization.id, { roles: ['admin'] });
+        manager = await createUser(organization.id, { roles: ['manager'] });
+        employee = await createUser(organization.id, { roles: ['employee'] });
+        colleague = await createUser(organization.id, { roles: ['employee'] });
+    });
+
+    afterAll(async () => {
+        await service.close();
+        await closeDatabase();
+    });
+
+    describe('owner rule', () => {
+        it.each([
+            ['/:id'],
+            ['/:id/roles'],
+            ['/:id/permissions'],
+            ['/activity/:id']
+        ])('lets a user read %s for themselves without the permission', async (path) => {
+            const res = await get(path.replace(':id', employee.id), employee);
+
+            expect(res.status).toBe(200);
+        });
+
+        it.each([
+            ['/:id', 'users:read'],
+            ['/:id/roles', 'roles:read'],
+            ['/:id/permissions', 'roles:read'],
+            ['/activity/:id', 'activity:read']
+        ])('keeps %s of someone else behind %s', async (path, permission) => {
+            expectDenied(await get(path.replace(':id', colleague.id), employee), permission);
+        });
+
+        it('lets a holder of the permission read other users', async () => {
+            expect((await get(`/${colleague.id}`, manager)).status).toBe(200);
+            expect((await get(`/activity/${colleague.id}`, manager)).status).toBe(200);
+        });
+
+        it('does not make a user the owner of write routes about themselves', async () => {
+            const update = await request(service.app).put(`/api/users/${employee.id}`).set(as(employee)).send({ first_name: 'Me' });
+            expectDenied(update, 'users:update');
+
+            const grant = await request(service.app).post(`/api/users/${employee.id}/roles`).set(as(employee)).send({ role: 'admin' });
+            expectDenied(grant, 'roles:assign');
+        });
+
+        it('never treats a service token as the owner', async () => {
+            const res = await request(service.app)
+                .get(`/api/users/${employee.id}`)
+                .set('Authorization', `Bearer ${signServiceToken('reporting', ['analytics:read'])}`);
+
+            expectDenied(res, 'users:read');
+        });
+    });
+
+    describe('permissions from roles', () => {
+        it('denies listing users to an employee and allows it to a manager', async () => {
+            expectDenied(await get('', employee), 'users:read');
+            expect((await get('', manager)).status).toBe(200);
+        });
+
+        it('takes permissions inherited from parent roles into account', async () => {
+            // admin inherits users:read from manager rather than holding it directly
+            expect((await get('', admin)).status).toBe(200);
+        });
+
+        it('keeps role administration to holders of roles:manage', async () => {
+            const res = await request(service.app).post('/api/users/roles').set(as(manager)).send({ name: 'clerk' });
+
+            expectDenied(res, 'roles:manage');
+        });
+
+        it('accepts a service token whose scopes carry the permission', async () => {
+            const res = await request(service.app)
+                .get(`/api/users/${employee.id}`)
+                .set('Authorization', `Bearer ${signServiceToken('reporting', ['users:read'])}`);
+
+            // Past the permission check; a token without an organization sees no users
+            expect(res.status).toBe(404);
+            expect(res.body.error.code).toBe('USER_NOT_FOUND');
+        });
+    });
+});
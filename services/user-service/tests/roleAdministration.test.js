@@ -0,0 +1,183 @@
+// services/user-service/tests/roleAdministration.test.js
+const crypto = require('crypto');
+const request = require('supertest');
+const { loadUserService } = require('../../../tests/helpers/services');
+const { createOrganization, createUser, adminQuery, closeDatabase } = require('../../../tests/helpers/database');
+const { signAccessToken } = require('../../../tests/helpers/tokens');
+
+describe('role administration', () => {
+    let service;
+    let organization;
+    let admin;
+    let employee;
+    let permissionIds;
+    let builtInRoleIds;
+
+    const as = user => ({ Authorization: `Bearer ${signAccessToken(user)}` });
+    const roles = (path = '') => `/api/users/roles${path}`;
+    const uniqueName = prefix => `${prefix}_${crypto.randomBytes(3).toString('hex')}`;
+
+    const createRole = (body, user = admin) => request(service.app).post(roles()).set(as(user)).send({
+        name: uniqueName('clerk'),
+        ...body
+    });
+
+    const expectEscalation = (res, missing) => {
+        expect(res.status).toBe(403);
+        expect(res.body.error.code).toBe('PRIVILEGE_ESCALATION');
+        if (missing) expect(res.body.error.details).toEqual(missing);
+    };
+
+    beforeAll(async () => {
+        service = await loadUserService();
+
+        organization = await createOrganization();
+        admin = await createUser(organization.id, { roles: ['admin'] });
+        employee = await createUser(organization.id, { roles: ['employee'] });
+
+        const permissions = await adminQuery('SELECT id, resource, action FROM permissions');
+        permissionIds = Object.fromEntries(permissions.rows.map(row => [`${row.resource}:${row.action}`, row.id]));
+
+        const builtIn = await adminQuery('SELECT id, name FROM roles WHERE organization_id IS NULL');
+        builtInRoleIds = Object.fromEntries(builtIn.rows.map(row => [row.name, row.id]));
+    });
+
+    afterAll(async () => {
+        await service.close();
+        await closeDatabase();
+    });
+
+    describe('creating roles', () => {
+        it('creates an organization role from permissions the admin holds', async () => {
+            const res = await createRole({
+                permissionIds: [permissionIds['products:read'], permissionIds['inventory:read']],
+                parentId: builtInRoleIds.viewer
+            });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.role).toMatchObject({ organization_id: organization.id, parent_id: builtInRoleIds.viewer });
+        });
+
+        it('refuses permissions the admin does not hold', async () => {
+            const res = await createRole({ permissionIds: [permissionIds['products:read'], permissionIds['settings:update']] });
+
+            expectEscalation(res, ['settings:update']);
+        });
+
+        it('refuses a parent that would pass on permissions the admin does not hold', async () => {
+            const res = await createRole({ parentId: builtInRoleIds.super_admin });
+
+            expectEscalation(res, ['settings:read', 'settings:update']);
+        });
+
+        it('refuses a second role with the same name in the organization', async () => {
+            const name = uniqueName('picker');
+            await createRole({ name });
+
+            const res = await createRole({ name });
+
+            expect(res.status).toBe(409);
+            expect(res.body.error.code).toBe('ROLE_EXISTS');
+        });
+    });
+
+    describe('changing permissions', () => {
+        let role;
+        let holder;
+
+        beforeAll(async () => {
+            role = (await createRole({ permissionIds: [permissionIds['products:read']] })).body.data.role;
+            holder = await createUser(organization.id, { roles: [] });
+            await adminQuery('INSERT INTO user_roles (user_id, role_id) VALUES ($1, $2)', [holder.id, role.id]);
+        });
+
+        it('adds a permission the admin holds and signs the holders out', async () => {
+            const res = await request(service.app)
+                .post(roles(`/${role.id}/permissions`))
+                .set(as(admin))
+                .send({ permissionId: permissionIds['orders:read'] });
+
+            expect(res.status).toBe(200);
+            expect(await service.redis.get(`revoked:user:${holder.id}`)).not.toBeNull();
+        });
+
+        it('refuses to add or remove a permission the admin does not hold', async () => {
+            const add = await request(service.app)
+                .post(roles(`/${role.id}/permissions`))
+                .set(as(admin))
+                .send({ permissionId: permissionIds['settings:read'] });
+            expectEscalation(add, ['settings:read']);
+
+            await adminQuery('INSERT INTO role_permissions (role_id, permission_id) VALUES ($1, $2)', [role.id, permissionIds['settings:read']]);
+            const remove = await request(service.app)
+                .delete(roles(`/${role.id}/permissions/${permissionIds['settings:read']}`))
+                .set(as(admin));
+            expectEscalation(remove, ['settings:read']);
+        });
+
+        it('refuses a new parent granting what the admin does not hold', async () => {
+            const res = await request(service.app)
+                .put(roles(`/${role.id}`))
+                .set(as(admin))
+                .send({ parentId: builtInRoleIds.super_admin });
+
+            expectEscalation(res);
+        });
+
+        it('refuses to delete a role the admin could not have granted', async () => {
+            const res = await request(service.app).delete(roles(`/${role.id}`)).set(as(admin));
+
+            expectEscalation(res, ['settings:read']);
+        });
+    });
+
+    describe('built-in roles', () => {
+        it('cannot be deleted', async () => {
+            const res = await request(service.app).delete(roles(`/${builtInRoleIds.viewer}`)).set(as(admin));
+
+            expect(res.status).toBe(409);
+            expect(res.body.error.code).toBe('ROLE_PROTECTED');
+        });
+
+        it('cannot have their permissions changed by an organization admin', async () => {
+            const res = await request(service.app)
+                .post(roles(`/${builtInRoleIds.employee}/permissions`))
+                .set(as(admin))
+                .send({ permissionId: permissionIds['orders:update'] });
+
+            expect(res.status).toBe(409);
+            expect(res.body.error.code).toBe('ROLE_PROTECTED');
+        });
+
+        it('cannot be renamed or re-parented by an organization admin', async () => {
+            const res = await request(service.app)
+                .put(roles(`/${builtInRoleIds.manager}`))
+                .set(as(admin))
+                .send({ name: 'supervisor' });
+
+            expect(res.status).toBe(409);
+            expect(res.body.error.code).toBe('ROLE_PROTECTED');
+        });
+    });
+
+    describe('granting roles to users', () => {
+        const assign = (user, roleId) => request(service.app)
+            .post(`/api/users/${user.id}/roles`)
+            .set(as(admin))
+            .send({ roleId });
+
+        it('lets an admin grant a role within their own permissions', async () => {
+            const res = await assign(employee, builtInRoleIds.manager);
+
+            expect(res.status).toBe(200);
+            expect(await service.redis.get(`revoked:user:${employee.id}`)).not.toBeNull();
+        });
+
+        it('keeps super_admin to super_admins', async () => {
+            const res = await assign(employee, builtInRoleIds.super_admin);
+
+            expectEscalation(res);
+            expect(res.body.error.message).toBe('Only a super_admin can grant or revoke the super_admin role');
+        });
+    });
+});
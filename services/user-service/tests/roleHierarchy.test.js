@@ -0,0 +1,124 @@
+// services/user-service/tests/roleHierarchy.test.js
+const crypto = require('crypto');
+const request = require('supertest');
+const { loadUserService } = require('../../../tests/helpers/services');
+const { createOrganization, createUser, adminQuery, closeDatabase } = require('../../../tests/helpers/database');
+const { signAccessToken } = require('../../../tests/helpers/tokens');
+
+describe('role hierarchy', () => {
+    let service;
+    let organization;
+    let admin;
+    let permissionIds;
+    let base;
+    let middle;
+    let leaf;
+
+    const as = user => ({ Authorization: `Bearer ${signAccessToken(user)}` });
+
+    const createRole = async (prefix, body) => {
+        const res = await request(service.app)
+            .post('/api/users/roles')
+            .set(as(admin))
+            .send({ name: `${prefix}_${crypto.randomBytes(3).toString('hex')}`, ...body });
+        expect(res.status).toBe(201);
+        return res.body.data.role;
+    };
+
+    const setParent = (role, parentId) => request(service.app)
+        .put(`/api/users/roles/${role.id}`)
+        .set(as(admin))
+        .send({ parentId });
+
+    const explain = async (user) => {
+        const res = await request(service.app).get(`/api/users/${user.id}/permissions/explain`).set(as(user));
+        expect(res.status).toBe(200);
+        return Object.fromEntries(res.body.data.permissions.map(row => [`${row.resource}:${row.action}`, row.sources]));
+    };
+
+    beforeAll(async () => {
+        service = await loadUserService();
+
+        organization = await createOrganization();
+        admin = await createUser(organization.id, { roles: ['admin'] });
+
+        const permissions = await adminQuery('SELECT id, resource, action FROM permissions');
+        permissionIds = Object.fromEntries(permissions.rows.map(row => [`${row.resource}:${row.action}`, row.id]));
+
+        // base <- middle <- leaf
+        base = await createRole('base', { permissionIds: [permissionIds['products:read']] });
+        middle = await createRole('middle', { parentId: base.id, permissionIds: [permissionIds['inventory:read']] });
+        leaf = await createRole('leaf', { parentId: middle.id });
+    });
+
+    afterAll(async () => {
+        await service.close();
+        await closeDatabase();
+    });
+
+    describe('cycles', () => {
+        it.each([
+            ['its own child', () => middle],
+            ['a grandchild', () => leaf]
+        ])('refuses to make a role inherit from %s', async (label, descendant) => {
+            const res = await setParent(base, descendant().id);
+
+            expect(res.status).toBe(409);
+            expect(res.body.error.code).toBe('ROLE_HIERARCHY_CYCLE');
+        });
+
+        it('refuses to make a role inherit from itself', async () => {
+            const res = await setParent(middle, middle.id);
+
+            expect(res.status).toBe(409);
+            expect(res.body.error.code).toBe('ROLE_HIERARCHY_CYCLE');
+        });
+
+        it('leaves the hierarchy as it was after a refusal', async () => {
+            const { rows } = await adminQuery('SELECT parent_id FROM roles WHERE id = $1', [base.id]);
+
+            expect(rows[0].parent_id).toBeNull();
+        });
+
+        it('is enforced by the database for writes that bypass the service', async () => {
+            await expect(adminQuery('UPDATE roles SET parent_id = $1 WHERE id = $2', [leaf.id, base.id]))
+                .rejects.toMatchObject({ constraint: 'roles_parent_cycle' });
+        });
+
+        it('still allows moving a role elsewhere in the tree', async () => {
+            const res = await setParent(leaf, base.id);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.role.parent_id).toBe(base.id);
+
+            await setParent(leaf, middle.id);
+        });
+    });
+
+    describe('permission sources', () => {
+        it('traces inherited permissions to the role that grants them', async () => {
+            const holder = await createUser(organization.id, { roles: [] });
+            await adminQuery('INSERT INTO user_roles (user_id, role_id) VALUES ($1, $2)', [holder.id, leaf.id]);
+
+            const sources = await explain(holder);
+
+            expect(sources['products:read']).toEqual([
+                { role: leaf.name, grantedBy: base.name, inherited: true, path: [leaf.name, middle.name, base.name] }
+            ]);
+            expect(sources['inventory:read']).toEqual([
+                { role: leaf.name, grantedBy: middle.name, inherited: true, path: [leaf.name, middle.name] }
+            ]);
+        });
+
+        it('marks permissions granted by the role itself as not inherited', async () => {
+            const holder = await createUser(organization.id, { roles: [] });
+            await adminQuery('INSERT INTO user_roles (user_id, role_id) VALUES ($1, $2)', [holder.id, base.id]);
+
+            const sources = await explain(holder);
+
+            expect(sources['products:read']).toEqual([
+                { role: base.name, grantedBy: base.name, inherited: false, path: [base.name] }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,117 @@
+// services/user-service/tests/tenantIsolation.test.js
+const crypto = require('crypto');
+const request = require('supertest');
+const { loadUserService } = require('../../../tests/helpers/services');
+const { createOrganization, createUser, adminQuery, closeDatabase } = require('../../../tests/helpers/database');
+const { signAccessToken } = require('../../../tests/helpers/tokens');
+
+describe('tenant isolation', () => {
+    let service;
+    let acme;
+    let globex;
+    let acmeAdmin;
+    let acmeEmployee;
+    let globexAdmin;
+    let globexEmployee;
+    let acmeRole;
+
+    const as = user => ({ Authorization: `Bearer ${signAccessToken(user)}` });
+    const get = (path, user) => request(service.app).get(`/api/users${path}`).set(as(user));
+
+    const expectNotFound = (res, code) => {
+        expect(res.status).toBe(404);
+        expect(res.body.error.code).toBe(code);
+    };
+
+    beforeAll(async () => {
+        service = await loadUserService();
+
+        acme = await createOrganization();
+        globex = await createOrganization();
+        acmeAdmin = await createUser(acme.id, { roles: ['admin'] });
+        acmeEmployee = await createUser(acme.id, { roles: ['employee'] });
+        globexAdmin = await createUser(globex.id, { roles: ['admin'] });
+        globexEmployee = await createUser(globex.id, { roles: ['employee'] });
+
+        const res = await request(service.app)
+            .post('/api/users/roles')
+            .set(as(acmeAdmin))
+            .send({ name: `acme_clerk_${crypto.randomBytes(3).toString('hex')}` });
+        acmeRole = res.body.data.role;
+    });
+
+    afterAll(async () => {
+        await service.close();
+        await closeDatabase();
+    });
+
+    describe('users', () => {
+        it('lists only the users of the caller\'s organization', async () => {
+            const res = await get('?limit=100', acmeAdmin);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.users.map(user => user.id).sort()).toEqual([acmeAdmin.id, acmeEmployee.id].sort());
+        });
+
+        it('does not find a user of another organization by id', async () => {
+            expectNotFound(await get(`/${globexEmployee.id}`, acmeAdmin), 'USER_NOT_FOUND');
+        });
+
+        it('does not show the activity of a user in another organization', async () => {
+            expectNotFound(await get(`/activity/${globexEmployee.id}`, acmeAdmin), 'USER_NOT_FOUND');
+        });
+
+        it('cannot update or delete a user of another organization', async () => {
+            const update = await request(service.app)
+                .put(`/api/users/${globexEmployee.id}`)
+                .set(as(acmeAdmin))
+                .send({ first_name: 'Taken' });
+            expectNotFound(update, 'USER_NOT_FOUND');
+
+            const remove = await request(service.app).delete(`/api/users/${globexEmployee.id}`).set(as(acmeAdmin));
+            expectNotFound(remove, 'USER_NOT_FOUND');
+
+            const { rows } = await adminQuery('SELECT first_name, is_active FROM users WHERE id = $1', [globexEmployee.id]);
+            expect(rows[0].first_name).not.toBe('Taken');
+            expect(rows[0].is_active).toBe(true);
+        });
+
+        it('returns the caller\'s own organization', async () => {
+            const res = await get('/organization', globexEmployee);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.organization.id).toBe(globex.id);
+        });
+    });
+
+    describe('roles', () => {
+        it('shares built-in roles but keeps organization roles to their organization', async () => {
+            const acmeNames = (await get('/roles', acmeAdmin)).body.data.roles.map(role => role.name);
+            const globexNames = (await get('/roles', globexAdmin)).body.data.roles.map(role => role.name);
+
+            expect(acmeNames).toEqual(expect.arrayContaining(['viewer', 'employee', 'manager', 'admin', acmeRole.name]));
+            expect(globexNames).toEqual(expect.arrayContaining(['viewer', 'employee', 'manager', 'admin']));
+            expect(globexNames).not.toContain(acmeRole.name);
+        });
+
+        it('cannot change or delete another organization\'s role', async () => {
+            const update = await request(service.app)
+                .put(`/api/users/roles/${acmeRole.id}`)
+                .set(as(globexAdmin))
+                .send({ description: 'Taken' });
+            expectNotFound(update, 'ROLE_NOT_FOUND');
+
+            const remove = await request(service.app).delete(`/api/users/roles/${acmeRole.id}`).set(as(globexAdmin));
+            expectNotFound(remove, 'ROLE_NOT_FOUND');
+        });
+
+        it('cannot grant another organization\'s role', async () => {
+            const res = await request(service.app)
+                .post(`/api/users/${globexEmployee.id}/roles`)
+                .set(as(globexAdmin))
+                .send({ roleId: acmeRole.id });
+
+            expectNotFound(res, 'ROLE_NOT_FOUND');
+        });
+    });
+});
@@ -2,6 +2,7 @@
 // Common utility functions used across all microservices
 
 const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 
 /**
  * API Response formatter
@@ -212,12 +213,12 @@ class DateUtils {
       case 'month':
         return {
           startDate: new Date(now.getFullYear(), now.getMonth(), 1),
-          endDate: new Date(now.getFullYear(), now.getMonth() + 1, 0)
+          endDate: new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999)
         };
       case 'year':
         return {
           startDate: new Date(now.getFullYear(), 0, 1),
-          endDate: new Date(now.getFullYear(), 11, 31)
+          endDate: new Date(now.getFullYear(), 11, 31, 23, 59, 59, 999)
         };
       default:
         return { startDate: startOfDay, endDate: new Date() };
@@ -300,6 +301,14 @@ class ErrorHandler {
       };
     }
 
+    if (error.code === '22P02') { // Invalid text representation (e.g. malformed UUID)
+      return {
+        statusCode: 400,
+        message: 'Invalid identifier or value format',
+        code: 'INVALID_INPUT'
+      };
+    }
+
     if (error.code === '23502') { // Not null violation
       return {
         statusCode: 400,
@@ -452,6 +461,783 @@ class Logger {
   }
 }
 
+/**
+ * Real-time event utilities
+ * Services publish events on a Redis channel; the API gateway streams them
+ * to connected clients whose user matches the event audience.
+ */
+class RealtimeEvents {
+  /**
+   * Redis pub/sub channel shared by publishers and the gateway
+   * @returns {string}
+   */
+  static get CHANNEL() {
+    return process.env.REALTIME_CHANNEL || 'erp:realtime';
+  }
+
+  /**
+   * Known event types
+   * @returns {Object}
+   */
+  static get TYPES() {
+    return {
+      ORDER_STATUS_CHANGED: 'order.status_changed',
+      STOCK_LEVEL_CHANGED: 'stock.level_changed',
+      KPI_DELTA: 'kpi.delta',
+      REFRESH_TOKEN_REUSED: 'security.refresh_token_reused'
+    };
+  }
+
+  /**
+   * Build an event envelope
+   * @param {string} type - One of TYPES
+   * @param {Object} data 
+   * @param {Object} audience - { roles?: string[], userIds?: string[], tenantId?: string } - who may
+   *   receive it; roles only reach users of tenantId, which defaults to the current tenant
+   * @param {string} source - Publishing service
+   * @returns {Object}
+   */
+  static create(type, data, audience = {}, source = null) {
+    return {
+      id: crypto.randomUUID(),
+      type,
+      data,
+      audience: {
+        roles: audience.roles || [],
+        userIds: (audience.userIds || []).filter(Boolean),
+        tenantId: audience.tenantId || TenantContext.current().tenantId
+      },
+      source,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Publish an event - never throws, real-time delivery is best effort
+   * @param {Object} redisClient - Connected node-redis client
+   * @param {string} type 
+   * @param {Object} data 
+   * @param {Object} audience 
+   * @param {string} source 
+   * @returns {Promise<boolean>}
+   */
+  static async publish(redisClient, type, data, audience = {}, source = null) {
+    try {
+      await redisClient.publish(this.CHANNEL, JSON.stringify(this.create(type, data, audience, source)));
+      return true;
+    } catch (err) {
+      console.error('Realtime publish error:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a user may receive an event
+   * Role audiences are per organization: an event without a tenant (from a system job)
+   * only reaches its roles' holders if they are super_admin.
+   * @param {Object} event 
+   * @param {Object} user - { userId, roles, tenantId }
+   * @returns {boolean}
+   */
+  static canReceive(event, user) {
+    const { roles = [], userIds = [], tenantId = null } = event.audience || {};
+    const userRoles = user.roles || [];
+    const sameTenant = userRoles.includes('super_admin') || (tenantId !== null && tenantId === user.tenantId);
+    return userIds.includes(user.userId) || (sameTenant && roles.some(role => userRoles.includes(role)));
+  }
+}
+
+/**
+ * Public keys for verifying access tokens issued by the auth service
+ * Fetched from its JWKS endpoint and cached; a token whose kid is not cached
+ * triggers a refetch (at most every 30 seconds) so rotated keys are picked up
+ * without a restart. Services never hold a secret that could mint tokens.
+ */
+class JwksKeyStore {
+  /**
+   * Algorithms the auth service may sign access tokens with
+   * @returns {Array<string>}
+   */
+  static get ALGORITHMS() {
+    return ['RS256', 'ES256'];
+  }
+
+  /**
+   * @param {Object} options - { jwksUri, cacheTtlMs }
+   */
+  constructor(options = {}) {
+    this.jwksUri = options.jwksUri
+      || process.env.JWKS_URI
+      || `${process.env.AUTH_SERVICE_URL || 'http://localhost:3001'}/.well-known/jwks.json`;
+    this.cacheTtlMs = options.cacheTtlMs || parseInt(process.env.JWKS_CACHE_TTL_MS) || 10 * 60 * 1000;
+    this.minRefetchIntervalMs = 30 * 1000;
+    this.keys = new Map();
+    this.fetchedAt = 0;
+    this.pending = null;
+
+    // jsonwebtoken calls this as (header, callback) when given a function instead of a key
+    this.getKeyForHeader = this.getKeyForHeader.bind(this);
+  }
+
+  /**
+   * Fetch the key set, sharing one request between concurrent callers
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    if (!this.pending) {
+      this.pending = (async () => {
+        const response = await fetch(this.jwksUri);
+        if (!response.ok) {
+          throw new Error(`JWKS request failed with status ${response.status}`);
+        }
+
+        const { keys = [] } = await response.json();
+        // Some identity providers omit alg; infer it from the key type
+        const defaultAlgorithms = { RSA: 'RS256', EC: 'ES256' };
+        this.keys = new Map(keys
+          .map(jwk => ({ ...jwk, alg: jwk.alg || defaultAlgorithms[jwk.kty] }))
+          .filter(jwk => jwk.kid && jwk.use !== 'enc' && JwksKeyStore.ALGORITHMS.includes(jwk.alg))
+          .map(jwk => [jwk.kid, { algorithm: jwk.alg, publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' }) }]));
+        this.fetchedAt = Date.now();
+      })().finally(() => {
+        this.pending = null;
+      });
+    }
+
+    return this.pending;
+  }
+
+  /**
+   * Public key for a kid
+   * @param {string} kid
+   * @returns {Promise<Object|null>} { algorithm, publicKey }
+   */
+  async getKey(kid) {
+    if (!kid) return null;
+
+    const age = Date.now() - this.fetchedAt;
+    if (age >= this.cacheTtlMs || (!this.keys.has(kid) && age >= this.minRefetchIntervalMs)) {
+      await this.refresh();
+    }
+
+    return this.keys.get(kid) || null;
+  }
+
+  /**
+   * Key lookup in the form jsonwebtoken expects:
+   * jwt.verify(token, keyStore.getKeyForHeader, { algorithms: JwksKeyStore.ALGORITHMS }, callback)
+   * @param {Object} header - Decoded JWT header
+   * @param {Function} callback - (err, publicKey)
+   */
+  getKeyForHeader(header, callback) {
+    this.getKey(header.kid)
+      .then((key) => {
+        if (!key || key.algorithm !== header.alg) {
+          return callback(new Error('Unknown signing key'));
+        }
+        return callback(null, key.publicKey);
+      })
+      .catch(callback);
+  }
+}
+
+/**
+ * Service token client (OAuth2 client_credentials grant against the auth service)
+ * Caches the token until shortly before it expires. A caller that forwards a user's
+ * identity in X-User-* headers must send its token in X-Service-Token alongside them;
+ * services only trust those headers from a client holding the identity:forward scope.
+ */
+class ServiceTokenClient {
+  static get HEADER() {
+    return 'X-Service-Token';
+  }
+
+  static get FORWARD_SCOPE() {
+    return 'identity:forward';
+  }
+
+  /**
+   * Scope for holding, releasing, committing and returning stock on an order's behalf
+   */
+  static get RESERVE_SCOPE() {
+    return 'inventory:reserve';
+  }
+
+  /**
+   * @param {Object} options - { clientId, clientSecret, scope, tokenUrl }
+   */
+  constructor(options = {}) {
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret;
+    this.scope = options.scope || null;
+    this.tokenUrl = options.tokenUrl
+      || process.env.SERVICE_TOKEN_URL
+      || `${process.env.AUTH_SERVICE_URL || 'http://localhost:3001'}/api/auth/token`;
+    this.refreshMarginMs = 60 * 1000;
+    this.token = null;
+    this.expiresAt = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Current token, fetching a new one when it is missing or about to expire
+   * Concurrent callers share one request.
+   * @returns {Promise<string>}
+   */
+  getToken() {
+    if (this.token && Date.now() < this.expiresAt - this.refreshMarginMs) {
+      return Promise.resolve(this.token);
+    }
+
+    if (!this.pending) {
+      this.pending = (async () => {
+        const body = new URLSearchParams({ grant_type: 'client_credentials' });
+        if (this.scope) body.set('scope', this.scope);
+
+        const credentials = Buffer.from(
+          `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`
+        ).toString('base64');
+
+        const response = await fetch(this.tokenUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            Authorization: `Basic ${credentials}`
+          },
+          body,
+          signal: AbortSignal.timeout(5000)
+        });
+
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(`Service token request failed: ${payload.error || response.status}`);
+        }
+
+        this.token = payload.access_token;
+        this.expiresAt = Date.now() + payload.expires_in * 1000;
+        return this.token;
+      })().finally(() => {
+        this.pending = null;
+      });
+    }
+
+    return this.pending;
+  }
+}
+
+/**
+ * Access token revocation
+ * Access tokens are otherwise valid until they expire, so revocations live in Redis
+ * for at most the access token lifetime (JWT_ACCESS_EXPIRY):
+ * - revoked:token:<jti>    - a single token (logout)
+ * - revoked:session:<sid>  - every token of a device session
+ * - revoked:user:<userId>  - every token issued at or before this time (seconds since epoch)
+ */
+class TokenRevocation {
+  /**
+   * How long session and user revocations are kept, in seconds
+   * Covers the longest-lived access token plus a minute of clock skew.
+   * @returns {number}
+   */
+  static get TTL_SECONDS() {
+    const match = /^(\d+)\s*([smhd]?)$/.exec(String(process.env.JWT_ACCESS_EXPIRY || '15m').trim());
+    const units = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+    const lifetime = match ? parseInt(match[1], 10) * units[match[2]] : 15 * 60;
+    return lifetime + 60;
+  }
+
+  /**
+   * Revoke one access token until it would have expired anyway
+   * @param {Object} redisClient - Connected node-redis client
+   * @param {Object} token - Decoded token { jti, exp }
+   * @returns {Promise<void>}
+   */
+  static async revokeToken(redisClient, { jti, exp }) {
+    const ttl = Math.ceil(exp - Date.now() / 1000);
+    if (!jti || ttl <= 0) return;
+
+    await redisClient.setEx(`revoked:token:${jti}`, ttl, '1');
+  }
+
+  /**
+   * Revoke every access token of a device session
+   * @param {Object} redisClient
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  static async revokeSession(redisClient, sessionId) {
+    await redisClient.setEx(`revoked:session:${sessionId}`, this.TTL_SECONDS, '1');
+  }
+
+  /**
+   * Revoke every access token issued to a user so far
+   * @param {Object} redisClient
+   * @param {string} userId
+   * @returns {Promise<void>}
+   */
+  static async revokeUser(redisClient, userId) {
+    await redisClient.setEx(`revoked:user:${userId}`, this.TTL_SECONDS, String(Math.floor(Date.now() / 1000)));
+  }
+
+  /**
+   * Check a verified token against the denylist
+   * Fails open when Redis is unavailable - the signature and expiry still apply.
+   * @param {Object} redisClient
+   * @param {Object} decoded - { jti, sessionId, userId, iat }
+   * @returns {Promise<boolean>}
+   */
+  static async isRevoked(redisClient, decoded) {
+    // Commands would queue until Redis comes back; don't hold requests for that
+    if (!redisClient.isReady) return false;
+
+    try {
+      const [token, session, issuedBefore] = await redisClient.mGet([
+        `revoked:token:${decoded.jti}`,
+        `revoked:session:${decoded.sessionId}`,
+        `revoked:user:${decoded.userId}`
+      ]);
+
+      return Boolean(
+        (decoded.jti && token)
+        || (decoded.sessionId && session)
+        || (issuedBefore && decoded.iat <= parseInt(issuedBefore, 10))
+      );
+    } catch (err) {
+      console.error('Token revocation check error:', err);
+      return false;
+    }
+  }
+}
+
+/**
+ * Attribute-based access policies
+ * Policies are plain data, so a service declares them next to its domain code:
+ *
+ *   {
+ *     id: 'stock-adjust-managed-warehouse',
+ *     description: 'Managers adjust stock in the warehouses they manage',
+ *     effect: 'allow',                 // or 'deny'; a matching deny always wins
+ *     actions: ['stock:adjust'],       // '*' matches every action
+ *     roles: ['manager'],              // optional - the user must hold one of them
+ *     condition: { field: 'manager_id', equals: { user: 'userId' } } // optional
+ *   }
+ *
+ * Conditions compare resource attributes with literals or user attributes ({ user: 'userId' })
+ * and combine with { all: [...] }, { any: [...] } and { not: {...} }. Leaf operators are
+ * equals and in. A null on either side never matches. Anything no policy allows is denied.
+ * The same policies check a single resource (evaluate, middleware) and filter list
+ * queries (toSql), and explain shows how each one was decided.
+ */
+class PolicyEngine {
+  /**
+   * @param {Array<Object>} policies
+   */
+  constructor(policies) {
+    policies.forEach((policy) => {
+      if (!policy.id || !Array.isArray(policy.actions) || policy.actions.length === 0) {
+        throw new Error(`Policy ${policy.id || '(unnamed)'} needs an id and at least one action`);
+      }
+      if (policy.effect && !['allow', 'deny'].includes(policy.effect)) {
+        throw new Error(`Policy ${policy.id} has unknown effect ${policy.effect}`);
+      }
+    });
+
+    this.policies = policies.map(policy => ({ effect: 'allow', ...policy }));
+  }
+
+  /**
+   * Policies for an action that apply to a user, in declaration order
+   * @param {Object} user - req.user
+   * @param {string} action
+   * @returns {Array<Object>}
+   */
+  applicable(user, action) {
+    return this.policies.filter(policy => this.covers(policy, action) && this.appliesTo(policy, user));
+  }
+
+  /**
+   * Whether a policy is about an action
+   */
+  covers(policy, action) {
+    return policy.actions.includes(action) || policy.actions.includes('*');
+  }
+
+  /**
+   * Whether a policy's role restriction lets a user in
+   */
+  appliesTo(policy, user) {
+    return !policy.roles || policy.roles.some(role => (user.roles || []).includes(role));
+  }
+
+  /**
+   * Resolve a condition operand - a literal or { user: 'attribute' }
+   */
+  static operand(value, user) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && value.user) {
+      return user[value.user] === undefined ? null : user[value.user];
+    }
+    return value;
+  }
+
+  /**
+   * Check a condition against a resource
+   * @param {Object} condition
+   * @param {Object} user
+   * @param {Object} resource - Resource attributes
+   * @param {Array} checks - Collects { field, operator, expected, actual, passed } for explain
+   * @returns {boolean}
+   */
+  static test(condition, user, resource, checks = []) {
+    if (condition.all) {
+      return condition.all.map(part => PolicyEngine.test(part, user, resource, checks)).every(Boolean);
+    }
+    if (condition.any) {
+      return condition.any.map(part => PolicyEngine.test(part, user, resource, checks)).some(Boolean);
+    }
+    if (condition.not) {
+      return !PolicyEngine.test(condition.not, user, resource, checks);
+    }
+
+    const actual = resource[condition.field] === undefined ? null : resource[condition.field];
+    const same = (a, b) => a !== null && b !== null && String(a) === String(b);
+
+    let operator;
+    let expected;
+    let passed;
+    if ('equals' in condition) {
+      operator = 'equals';
+      expected = PolicyEngine.operand(condition.equals, user);
+      passed = same(actual, expected);
+    } else if ('in' in condition) {
+      operator = 'in';
+      expected = condition.in.map(value => PolicyEngine.operand(value, user));
+      passed = expected.some(value => same(actual, value));
+    } else {
+      throw new Error(`Unsupported policy condition: ${JSON.stringify(condition)}`);
+    }
+
+    checks.push({ field: condition.field, operator, expected, actual, passed });
+    return passed;
+  }
+
+  /**
+   * Decide whether a user may perform an action on a resource
+   * @param {Object} user - req.user
+   * @param {string} action - e.g. 'stock:adjust'
+   * @param {Object} resource - Resource attributes
+   * @returns {Object} { allowed, policy } - policy is the id of the deciding policy, or null
+   */
+  evaluate(user, action, resource = {}) {
+    const matches = this.applicable(user, action)
+      .filter(policy => !policy.condition || PolicyEngine.test(policy.condition, user, resource));
+
+    const deny = matches.find(policy => policy.effect === 'deny');
+    if (deny) return { allowed: false, policy: deny.id };
+
+    const allow = matches.find(policy => policy.effect === 'allow');
+    return allow ? { allowed: true, policy: allow.id } : { allowed: false, policy: null };
+  }
+
+  /**
+   * Dry run: the decision plus how every policy for the action was decided
+   * @param {Object} user
+   * @param {string} action
+   * @param {Object} resource
+   * @returns {Object} { action, allowed, decidedBy, reason, policies }
+   */
+  explain(user, action, resource = {}) {
+    const policies = this.policies
+      .filter(policy => this.covers(policy, action))
+      .map((policy) => {
+        const appliesToUser = this.appliesTo(policy, user);
+        const checks = [];
+        const conditionMet = appliesToUser && policy.condition
+          ? PolicyEngine.test(policy.condition, user, resource, checks)
+          : null;
+
+        return {
+          id: policy.id,
+          description: policy.description || null,
+          effect: policy.effect,
+          roles: policy.roles || null,
+          appliesToUser,
+          conditionMet,
+          matched: appliesToUser && conditionMet !== false,
+          checks
+        };
+      });
+
+    const { allowed, policy } = this.evaluate(user, action, resource);
+    const decidedBy = policies.find(entry => entry.id === policy) || null;
+
+    let reason;
+    if (allowed) {
+      reason = `Allowed by ${policy}`;
+    } else if (decidedBy) {
+      reason = `Denied by ${policy}`;
+    } else if (!policies.some(entry => entry.appliesToUser)) {
+      reason = `No policy for ${action} applies to the user's roles`;
+    } else {
+      reason = `The resource does not meet the conditions of any policy that allows ${action}`;
+    }
+
+    return { action, allowed, decidedBy: policy, reason, policies };
+  }
+
+  /**
+   * Compile a condition to SQL
+   * @param {Object} condition
+   * @param {Object} user
+   * @param {Object} columns - Resource attribute -> SQL column (only these may be referenced)
+   * @param {Array} params - Query parameters; values are appended and referenced as $n
+   * @returns {string}
+   */
+  static toSqlCondition(condition, user, columns, params) {
+    const join = (parts, operator, empty) => (parts.length === 0
+      ? empty
+      : `(${parts.map(part => PolicyEngine.toSqlCondition(part, user, columns, params)).join(` ${operator} `)})`);
+
+    if (condition.all) return join(condition.all, 'AND', 'TRUE');
+    if (condition.any) return join(condition.any, 'OR', 'FALSE');
+    if (condition.not) return `NOT ${PolicyEngine.toSqlCondition(condition.not, user, columns, params)}`;
+
+    const column = columns[condition.field];
+    if (!column) {
+      throw new Error(`No column mapped for policy attribute ${condition.field}`);
+    }
+
+    if ('equals' in condition) {
+      const expected = PolicyEngine.operand(condition.equals, user);
+      if (expected === null || expected === undefined) return 'FALSE';
+      params.push(expected);
+      return `${column} = $${params.length}`;
+    }
+
+    if ('in' in condition) {
+      const expected = condition.in
+        .map(value => PolicyEngine.operand(value, user))
+        .filter(value => value !== null && value !== undefined);
+      if (expected.length === 0) return 'FALSE';
+      params.push(expected);
+      return `${column} = ANY($${params.length})`;
+    }
+
+    throw new Error(`Unsupported policy condition: ${JSON.stringify(condition)}`);
+  }
+
+  /**
+   * WHERE clause limiting a list query to the rows a user may perform an action on
+   * @param {Object} user
+   * @param {string} action
+   * @param {Object} options - { columns: attribute -> column, params: the query's parameter array }
+   * @returns {string} SQL condition ('TRUE' when nothing is filtered out)
+   */
+  toSql(user, action, { columns, params }) {
+    const policies = this.applicable(user, action);
+    const allows = policies.filter(policy => policy.effect === 'allow');
+    const denies = policies.filter(policy => policy.effect === 'deny');
+
+    // Settle unconditional policies before compiling anything: a compiled condition
+    // left out of the clause would still leave its values in params
+    if (allows.length === 0 || denies.some(policy => !policy.condition)) return 'FALSE';
+
+    const compile = policy => PolicyEngine.toSqlCondition(policy.condition, user, columns, params);
+    const allowed = allows.some(policy => !policy.condition) ? 'TRUE' : `(${allows.map(compile).join(' OR ')})`;
+    return denies.length === 0 ? allowed : `(${allowed} AND NOT (${denies.map(compile).join(' OR ')}))`;
+  }
+
+  /**
+   * Express middleware enforcing an action
+   * @param {string} action
+   * @param {Object} options
+   * @param {Function} options.resource - async (req) => attributes, or an array when the request
+   *   touches several resources (each must be allowed); null skips the attribute checks
+   * @returns {Function}
+   */
+  middleware(action, { resource } = {}) {
+    return async (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json(ResponseFormatter.error('Authentication required', 'UNAUTHORIZED'));
+      }
+
+      try {
+        const loaded = resource ? await resource(req) : null;
+        const resources = Array.isArray(loaded) ? loaded : [loaded];
+
+        const denied = resources.map(attributes => this.evaluate(req.user, action, attributes || {}))
+          .find(decision => !decision.allowed);
+        if (denied) {
+          return res.status(403).json(
+            ResponseFormatter.error(`You are not allowed to ${action} on this resource`, 'ACCESS_DENIED', [
+              { action, policy: denied.policy }
+            ])
+          );
+        }
+
+        next();
+      } catch (error) {
+        console.error('Policy check error:', error);
+        return res.status(500).json(ResponseFormatter.error('Failed to check access', 'INTERNAL_ERROR'));
+      }
+    };
+  }
+
+  /**
+   * Attributes the policies see for a user other than the caller (for explain)
+   * @param {Object} pgPool - Pool or client on the shared database
+   * @param {string} userId
+   * @returns {Promise<Object|null>} { userId, email, roles } or null if not found
+   */
+  static async loadUser(pgPool, userId) {
+    const result = await pgPool.query(
+      `SELECT u.id, u.email, array_agg(r.name) FILTER (WHERE r.name IS NOT NULL) as roles
+       FROM users u
+       LEFT JOIN user_roles ur ON u.id = ur.user_id
+       LEFT JOIN roles r ON ur.role_id = r.id
+       WHERE u.id = $1
+       GROUP BY u.id`,
+      [userId]
+    );
+
+    const row = result.rows[0];
+    return row ? { userId: row.id, email: row.email, roles: row.roles || [] } : null;
+  }
+}
+
+// Tenant context of the request or job running in the current async call chain
+const tenantStorage = new AsyncLocalStorage();
+
+/**
+ * Multi-tenant isolation
+ * Every PostgreSQL connection a service checks out is tagged with the current tenant,
+ * and the database's row-level security policies only show that organization's rows:
+ * - app.tenant_id    - the user's organization
+ * - app.tenant_scope - 'tenant', 'all' (super_admin and system jobs) or 'none'
+ * Code running outside TenantContext.run gets scope 'none' and sees no tenant data.
+ */
+class TenantContext {
+  /**
+   * Context for unauthenticated flows and background jobs that act across organizations
+   * @returns {Object}
+   */
+  static get SYSTEM() {
+    return { tenantId: null, scope: 'all' };
+  }
+
+  /**
+   * Roles whose holders get scope 'all' - never grantable from within an organization
+   * @returns {Array<string>}
+   */
+  static get CROSS_TENANT_ROLES() {
+    return ['super_admin'];
+  }
+
+  /**
+   * Context for an authenticated user (req.user)
+   * super_admin operates the platform and sees every organization.
+   * @param {Object} user - { tenantId, roles }
+   * @returns {Object} { tenantId, scope }
+   */
+  static fromUser(user) {
+    if (!user) {
+      return { tenantId: null, scope: 'none' };
+    }
+    if ((user.roles || []).some(role => TenantContext.CROSS_TENANT_ROLES.includes(role))) {
+      return { tenantId: user.tenantId || null, scope: 'all' };
+    }
+    return user.tenantId
+      ? { tenantId: user.tenantId, scope: 'tenant' }
+      : { tenantId: null, scope: 'none' };
+  }
+
+  /**
+   * Current context
+   * @returns {Object} { tenantId, scope }
+   */
+  static current() {
+    return tenantStorage.getStore() || { tenantId: null, scope: 'none' };
+  }
+
+  /**
+   * Run a function, and everything it awaits, in a tenant context
+   * @param {Object} context - { tenantId, scope }
+   * @param {Function} fn
+   * @returns {*} What fn returns
+   */
+  static run(context, fn) {
+    return tenantStorage.run(context, fn);
+  }
+
+  /**
+   * Express middleware running the rest of the request as req.user's organization
+   * @returns {Function}
+   */
+  static middleware() {
+    return (req, res, next) => TenantContext.run(TenantContext.fromUser(req.user), next);
+  }
+
+  /**
+   * Whether the current context may see a row of an organization
+   * The same rule as the database's tenant_visible(), for data read from a cache.
+   * @param {string} organizationId
+   * @returns {boolean}
+   */
+  static isVisible(organizationId) {
+    const { tenantId, scope } = TenantContext.current();
+    return scope === 'all' || (scope === 'tenant' && Boolean(organizationId) && organizationId === tenantId);
+  }
+
+  /**
+   * Key prefix for caches shared by every organization
+   * @returns {string}
+   */
+  static cacheKey() {
+    const { tenantId, scope } = TenantContext.current();
+    return scope === 'tenant' ? `tenant:${tenantId}` : scope;
+  }
+
+  /**
+   * Tag every client the pool hands out with the current tenant context
+   * Covers pool.connect() and pool.query(text, params) in their promise forms; the
+   * callback forms (startup connection checks) are passed through untouched.
+   * @param {Object} pool - pg Pool
+   * @returns {Object} The same pool
+   */
+  static bindPool(pool) {
+    const connect = pool.connect.bind(pool);
+    const query = pool.query.bind(pool);
+
+    pool.connect = async (callback) => {
+      if (typeof callback === 'function') {
+        return connect(callback);
+      }
+
+      const client = await connect();
+      const { tenantId, scope } = TenantContext.current();
+      try {
+        await client.query(
+          "SELECT set_config('app.tenant_id', $1, false), set_config('app.tenant_scope', $2, false)",
+          [tenantId || '', scope]
+        );
+      } catch (err) {
+        client.release(err);
+        throw err;
+      }
+      return client;
+    };
+
+    pool.query = (text, params, callback) => {
+      if (typeof params === 'function' || typeof callback === 'function') {
+        return query(text, params, callback);
+      }
+
+      return pool.connect().then(client => client.query(text, params).finally(() => client.release()));
+    };
+
+    return pool;
+  }
+}
+
 module.exports = {
   ResponseFormatter,
   Validator,
@@ -460,5 +1246,11 @@ module.exports = {
   ErrorHandler,
   PaginationUtils,
   StringUtils,
-  Logger
+  Logger,
+  RealtimeEvents,
+  JwksKeyStore,
+  ServiceTokenClient,
+  TokenRevocation,
+  PolicyEngine,
+  TenantContext
 };
\ No newline at end of file
@@ -0,0 +1,81 @@
+// tests/helpers/authService.js
+const path = require('path');
+const express = require('express');
+const { createFakeRedis } = require('../mocks/fakeRedis');
+const { createFakeMongo } = require('../mocks/fakeMongo');
+const { createAuthServiceStore } = require('../mocks/authServiceStore');
+
+const SERVICE_SRC = path.resolve(__dirname, '../../services/auth-service/src');
+
+/**
+ * Postgres pool that only answers the connection check and tenant tagging
+ * Every model is faked, so any other statement is a test setup mistake.
+ */
+class FakePool {
+    on() {
+        return this;
+    }
+
+    query(text, params, callback) {
+        const done = typeof params === 'function' ? params : callback;
+        if (done) {
+            return done(null, { rows: [{ now: new Date() }], rowCount: 1 });
+        }
+        return this.connect().then(client => client.query(text, params));
+    }
+
+    async connect() {
+        return {
+            query: async (text) => {
+                if (text.includes('set_config')) {
+                    return { rows: [], rowCount: 1 };
+                }
+                throw new Error(`Unexpected SQL in test: ${text}`);
+            },
+            release: () => {}
+        };
+    }
+
+    async end() {}
+}
+
+/**
+ * Load the auth service in-process with its stores replaced by in-memory fakes
+ * Call once per test file (jest gives each file its own module registry).
+ * @returns {Object} { app, store, redis, mongo, load(relativePath) }
+ *   app - express app with the /api/auth routes and the JWKS endpoint, as server.js mounts them
+ *   store - see mocks/authServiceStore.js
+ *   redis - see mocks/fakeRedis.js
+ *   mongo - see mocks/fakeMongo.js; queued emails are in mongo.collections.notifications_queue
+ *   load - require a module from services/auth-service/src
+ */
+const loadAuthService = () => {
+    const redis = createFakeRedis();
+    const mongo = createFakeMongo();
+    const store = createAuthServiceStore();
+
+    jest.doMock('redis', () => ({ createClient: () => redis }));
+    jest.doMock('pg', () => ({ Pool: FakePool }));
+    jest.doMock('mongodb', () => ({ MongoClient: mongo.MongoClient }));
+    Object.entries(store.models).forEach(([name, model]) => {
+        jest.doMock(path.join(SERVICE_SRC, 'models', name), () => model);
+    });
+
+    const load = (relativePath) => require(path.join(SERVICE_SRC, relativePath));
+
+    const { TenantContext } = require('../../shared/utils');
+    const authRoutes = load('routes/authRoutes');
+    const { getJwks } = load('services/signingKeyService');
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => TenantContext.run(TenantContext.SYSTEM, next));
+    app.get('/.well-known/jwks.json', async (req, res) => res.json(await getJwks()));
+    app.use('/api/auth', authRoutes);
+
+    return { app, store, redis, mongo, load };
+};
+
+module.exports = {
+    loadAuthService
+};
@@ -0,0 +1,94 @@
+// tests/helpers/database.js
+const crypto = require('crypto');
+const { Pool } = require('pg');
+
+/**
+ * Fixtures for the service test suites, written as the database superuser
+ * Row-level security does not apply here; the services under test connect as
+ * erp_app and only see what their tenant context allows.
+ */
+let pool = null;
+
+const getPool = () => {
+    if (!pool) {
+        pool = new Pool({ connectionString: process.env.TEST_POSTGRES_ADMIN_URL, max: 2 });
+    }
+    return pool;
+};
+
+/**
+ * Run a statement as the superuser
+ * @returns {Promise<Object>} pg result
+ */
+const adminQuery = (text, params) => getPool().query(text, params);
+
+const uniqueSuffix = () => crypto.randomBytes(4).toString('hex');
+
+/**
+ * Create an organization with a unique slug
+ * @param {string} name
+ * @returns {Promise<Object>} organizations row
+ */
+const createOrganization = async (name = 'Test Organization') => {
+    const result = await adminQuery(
+        'INSERT INTO organizations (name, slug) VALUES ($1, $2) RETURNING *',
+        [name, `test-${uniqueSuffix()}`]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Create a user holding built-in roles
+ * @param {string} organizationId
+ * @param {Object} options - { roles, email, firstName }
+ * @returns {Promise<Object>} users row plus roles
+ */
+const createUser = async (organizationId, { roles = ['employee'], email, firstName = 'Test' } = {}) => {
+    const result = await adminQuery(
+        `INSERT INTO users (organization_id, email, password_hash, first_name, last_name, is_verified)
+         VALUES ($1, $2, 'not-a-real-hash', $3, 'User', true)
+         RETURNING *`,
+        [organizationId, email || `user-${uniqueSuffix()}@example.com`, firstName]
+    );
+    const user = result.rows[0];
+
+    await adminQuery(
+        `INSERT INTO user_roles (user_id, role_id)
+         SELECT $1, id FROM roles WHERE organization_id IS NULL AND name = ANY($2)`,
+        [user.id, roles]
+    );
+
+    return { ...user, roles };
+};
+
+/**
+ * Create an active catalogue product
+ * @param {string} organizationId
+ * @param {Object} options - { sku, unitPrice }
+ * @returns {Promise<Object>} products row
+ */
+const createProduct = async (organizationId, { sku, unitPrice = 10 } = {}) => {
+    const result = await adminQuery(
+        'INSERT INTO products (organization_id, sku, name, unit_price) VALUES ($1, $2, $3, $4) RETURNING *',
+        [organizationId, sku || `SKU-${uniqueSuffix()}`, 'Test Product', unitPrice]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Close the fixture connections (call from afterAll)
+ */
+const closeDatabase = async () => {
+    if (pool) {
+        await pool.end();
+        pool = null;
+    }
+};
+
+module.exports = {
+    adminQuery,
+    createOrganization,
+    createUser,
+    createProduct,
+    closeDatabase
+};
@@ -0,0 +1,14 @@
+// tests/helpers/globalTeardown.js
+
+/**
+ * Jest globalTeardown - stop what helpers/globalSetup.js started
+ */
+module.exports = async () => {
+    if (globalThis.erpTestPostgres) {
+        await globalThis.erpTestPostgres.stop();
+    }
+
+    if (globalThis.erpTestJwksServer) {
+        await new Promise(resolve => globalThis.erpTestJwksServer.close(resolve));
+    }
+};
@@ -0,0 +1,150 @@
+// tests/helpers/services.js
+const path = require('path');
+const express = require('express');
+const { createFakeRedis } = require('../mocks/fakeRedis');
+const { createFakeMongo } = require('../mocks/fakeMongo');
+
+const SERVICES_DIR = path.resolve(__dirname, '../../services');
+const GATEWAY_DIR = path.resolve(__dirname, '../../api-gateway');
+
+/**
+ * Load a service in-process against the test PostgreSQL (see globalSetup.js),
+ * with Redis and MongoDB replaced by in-memory fakes
+ * Call once per test file (jest gives each file its own module registry).
+ * @param {string} name - Directory under services/, e.g. 'inventory-service'
+ * @returns {Object} { redis, mongo, load(relativePath), close() }
+ */
+const loadService = (name) => {
+    const redis = createFakeRedis();
+    const mongo = createFakeMongo();
+
+    jest.doMock('redis', () => ({ createClient: () => redis }));
+    jest.doMock('mongodb', () => ({ MongoClient: mongo.MongoClient }));
+
+    const load = (relativePath) => require(path.join(SERVICES_DIR, name, 'src', relativePath));
+
+    return {
+        redis,
+        mongo,
+        load,
+        close: () => load('config/database').closeConnections()
+    };
+};
+
+/**
+ * Express app with routers mounted the way the service's server.js mounts them
+ * @param {Array} mounts - [[path, router], ...]
+ * @returns {express.Application}
+ */
+const createApp = (mounts, { rawMounts = [] } = {}) => {
+    const { ResponseFormatter } = require('../../shared/utils');
+    const app = express();
+
+    rawMounts.forEach(([mountPath, router]) => app.use(mountPath, router));
+    app.use(express.json());
+    mounts.forEach(([mountPath, router]) => app.use(mountPath, router));
+
+    app.use((req, res) => {
+        res.status(404).json(ResponseFormatter.error('Route not found', 'NOT_FOUND'));
+    });
+    // eslint-disable-next-line no-unused-vars
+    app.use((err, req, res, next) => {
+        res.status(err.status || 500).json(ResponseFormatter.error(err.message, err.code || 'INTERNAL_ERROR'));
+    });
+
+    return app;
+};
+
+/**
+ * Inventory service - see services/inventory-service/src/server.js
+ * @returns {Object} loadService() plus app
+ */
+const loadInventoryService = () => {
+    const service = loadService('inventory-service');
+    const app = createApp([
+        ['/api/inventory/products', service.load('routes/productRoutes')],
+        ['/api/inventory/warehouses', service.load('routes/warehouseRoutes')],
+        ['/api/inventory/suppliers', service.load('routes/supplierRoutes')],
+        ['/api/inventory/stock', service.load('routes/stockRoutes')],
+        ['/api/inventory/movements', service.load('routes/movementRoutes')],
+        ['/api/inventory/reservations', service.load('routes/reservationRoutes')],
+        ['/api/inventory/purchase-orders', service.load('routes/purchaseOrderRoutes')]
+    ]);
+
+    return { ...service, app };
+};
+
+/**
+ * Order service - see services/order-service/src/server.js
+ * Webhooks are mounted before the JSON parser, as they verify a signature over the raw body.
+ * @returns {Promise<Object>} loadService() plus app
+ */
+const loadOrderService = async () => {
+    const service = loadService('order-service');
+    await service.load('config/database').connectMongo();
+    const app = createApp(
+        [['/api/orders', service.load('routes/orderRoutes')]],
+        { rawMounts: [['/api/orders/webhooks', service.load('routes/webhookRoutes')]] }
+    );
+
+    return { ...service, app };
+};
+
+/**
+ * User service - see services/user-service/src/server.js
+ * @returns {Promise<Object>} loadService() plus app
+ */
+const loadUserService = async () => {
+    const service = loadService('user-service');
+    await service.load('config/database').connectMongo();
+    const app = createApp([
+        ['/api/users', service.load('routes/roleRoutes')],
+        ['/api/users', service.load('routes/organizationRoutes')],
+        ['/api/users', service.load('routes/userRoutes')],
+        ['/api/users/activity', service.load('routes/activityRoutes')]
+    ]);
+
+    return { ...service, app };
+};
+
+/**
+ * Analytics service - see services/analytics-service/src/server.js
+ * @returns {Promise<Object>} loadService() plus app
+ */
+const loadAnalyticsService = async () => {
+    const service = loadService('analytics-service');
+    await service.load('config/database').connectMongo();
+    const app = createApp([['/api/analytics', service.load('routes/analyticsRoutes')]]);
+
+    return { ...service, app };
+};
+
+/**
+ * API gateway - see api-gateway/src/server.js
+ * Mounts authentication and the event stream only; the proxies would need the services running.
+ * @returns {Object} { redis, load(relativePath), app }
+ */
+const loadGateway = () => {
+    const redis = createFakeRedis();
+    jest.doMock('redis', () => ({ createClient: () => redis }));
+
+    const load = (relativePath) => require(path.join(GATEWAY_DIR, 'src', relativePath));
+
+    const app = express();
+    app.use(load('middleware/auth').authenticate);
+    app.use('/api/events', load('routes/eventRoutes'));
+    app.use((req, res) => {
+        res.status(404).json({ success: false, error: { code: 'NOT_FOUND', message: `Cannot ${req.method} ${req.path}` } });
+    });
+
+    return { redis, load, app };
+};
+
+module.exports = {
+    loadService,
+    loadGateway,
+    loadInventoryService,
+    loadOrderService,
+    loadUserService,
+    loadAnalyticsService
+};
@@ -0,0 +1,51 @@
+// tests/helpers/tokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Access and service tokens as the auth service issues them, signed with the key
+ * helpers/globalSetup.js publishes at JWKS_URI
+ */
+const sign = (payload, options = {}) => jwt.sign(payload, process.env.TEST_JWT_PRIVATE_KEY, {
+    algorithm: 'RS256',
+    keyid: process.env.TEST_JWT_KID,
+    jwtid: crypto.randomUUID(),
+    expiresIn: '15m',
+    issuer: 'erp-auth-service',
+    audience: 'erp-services',
+    ...options
+});
+
+/**
+ * Access token for a user
+ * @param {Object} user - { id, email, roles, organization_id }
+ * @param {Object} claims - Claims to add or override, e.g. { sessionId }
+ * @returns {string}
+ */
+const signAccessToken = (user, claims = {}) => sign({
+    userId: user.id,
+    email: user.email,
+    roles: user.roles || [],
+    permissions: [],
+    verified: true,
+    sessionId: null,
+    tenantId: user.organization_id || null,
+    type: 'access',
+    ...claims
+});
+
+/**
+ * Service token from the client_credentials grant
+ * @param {string} clientId
+ * @param {Array<string>} scopes
+ * @returns {string}
+ */
+const signServiceToken = (clientId, scopes) => sign(
+    { clientId, scope: scopes.join(' '), type: 'service' },
+    { subject: `service:${clientId}` }
+);
+
+module.exports = {
+    signAccessToken,
+    signServiceToken
+};
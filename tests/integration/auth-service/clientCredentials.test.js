@@ -0,0 +1,93 @@
+// tests/integration/auth-service/clientCredentials.test.js
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { loadAuthService } = require('../../helpers/authService');
+
+const { app, store, load } = loadAuthService();
+const { initSigningKeys } = load('services/signingKeyService');
+
+const SCOPES = ['identity:forward', 'inventory:reserve'];
+
+const basic = (clientId, clientSecret) => `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+
+describe('client_credentials grant', () => {
+    let client;
+    let clientSecret;
+
+    const token = (body, authorization = basic(client.client_id, clientSecret)) => request(app)
+        .post('/api/auth/token')
+        .set('Authorization', authorization)
+        .send({ grant_type: 'client_credentials', ...body });
+
+    beforeAll(async () => {
+        await initSigningKeys();
+    });
+
+    beforeEach(() => {
+        ({ client, clientSecret } = store.addServiceClient({ clientId: `order-service-${Date.now()}`, scopes: SCOPES }));
+    });
+
+    it('issues a service token carrying every granted scope by default', async () => {
+        const res = await token();
+
+        expect(res.status).toBe(200);
+        expect(res.headers['cache-control']).toBe('no-store');
+        expect(res.body).toMatchObject({ token_type: 'Bearer', expires_in: 900, scope: SCOPES.join(' ') });
+        expect(jwt.decode(res.body.access_token)).toMatchObject({
+            type: 'service',
+            clientId: client.client_id,
+            scope: SCOPES.join(' '),
+            sub: `service:${client.client_id}`,
+            aud: 'erp-services'
+        });
+    });
+
+    it('accepts the credentials in the body as well', async () => {
+        const res = await token({ client_id: client.client_id, client_secret: clientSecret }, '');
+
+        expect(res.status).toBe(200);
+    });
+
+    it('narrows the token to the scopes asked for', async () => {
+        const res = await token({ scope: 'identity:forward' });
+
+        expect(res.status).toBe(200);
+        expect(jwt.decode(res.body.access_token).scope).toBe('identity:forward');
+    });
+
+    it('refuses a scope the client was not granted', async () => {
+        const res = await token({ scope: 'identity:forward users:admin' });
+
+        expect(res.status).toBe(400);
+        expect(res.body).toEqual({ error: 'invalid_scope', error_description: 'Requested scope is not granted to this client' });
+    });
+
+    it('refuses a scope that is not resource:action', async () => {
+        const res = await token({ scope: 'everything' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('invalid_request');
+    });
+
+    it('refuses a wrong secret, an unknown client and a disabled client alike', async () => {
+        const disabled = store.addServiceClient({ clientId: `disabled-${Date.now()}`, scopes: SCOPES, isActive: false });
+
+        const responses = await Promise.all([
+            token({}, basic(client.client_id, 'not-the-secret')),
+            token({}, basic('nobody', clientSecret)),
+            token({}, basic(disabled.client.client_id, disabled.clientSecret))
+        ]);
+
+        responses.forEach((res) => {
+            expect(res.status).toBe(401);
+            expect(res.body).toEqual({ error: 'invalid_client', error_description: 'Client authentication failed' });
+        });
+    });
+
+    it('only supports the client_credentials grant', async () => {
+        const res = await token({ grant_type: 'password' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('unsupported_grant_type');
+    });
+});
@@ -0,0 +1,112 @@
+// tests/integration/auth-service/emailVerification.test.js
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { loadAuthService } = require('../../helpers/authService');
+
+const { app, store, mongo, load } = loadAuthService();
+const { initSigningKeys } = load('services/signingKeyService');
+const { hashToken } = load('utils/jwt');
+
+const PASSWORD = 'Correct-Horse-9';
+
+const login = email => request(app).post('/api/auth/login').send({ email, password: PASSWORD });
+
+const resend = email => request(app).post('/api/auth/resend-verification').send({ email });
+
+const verifyByLink = token => request(app).get(`/api/auth/verify-email?token=${token}`);
+
+const verificationEmails = email => (mongo.collections.notifications_queue || [])
+    .filter(entry => entry.metadata.to === email && entry.metadata.template === 'email_verification');
+
+/**
+ * The token in the newest verification email queued for an address
+ * @returns {string}
+ */
+const emailedToken = (email) => {
+    const emails = verificationEmails(email);
+    return /\?token=([0-9a-f]+)/.exec(emails[emails.length - 1].message)[1];
+};
+
+describe('email verification', () => {
+    let user;
+
+    beforeAll(async () => {
+        await initSigningKeys();
+    });
+
+    beforeEach(async () => {
+        user = await store.addUser({
+            email: `user-${Date.now()}-${Math.random()}@example.com`,
+            password: PASSWORD,
+            isVerified: false
+        });
+    });
+
+    it('emails a link whose token is stored only as a hash', async () => {
+        const res = await resend(user.email);
+
+        expect(res.status).toBe(200);
+        const token = emailedToken(user.email);
+
+        const [stored] = store.data.emailVerificationTokens.filter(row => row.user_id === user.id);
+        expect(stored.token_hash).toBe(hashToken(token));
+        expect(JSON.stringify(stored)).not.toContain(token);
+    });
+
+    it('verifies the account once and refuses the same link again', async () => {
+        await resend(user.email);
+        const token = emailedToken(user.email);
+
+        const first = await verifyByLink(token);
+        expect(first.status).toBe(200);
+        expect(first.body.data.verified).toBe(true);
+        expect(store.data.users.find(row => row.id === user.id).is_verified).toBe(true);
+
+        const again = await request(app).post('/api/auth/verify-email').send({ token });
+        expect(again.status).toBe(400);
+        expect(again.body.error.code).toBe('INVALID_VERIFICATION_TOKEN');
+    });
+
+    it('refuses an expired link', async () => {
+        await resend(user.email);
+        const token = emailedToken(user.email);
+        store.data.emailVerificationTokens.find(row => row.user_id === user.id).expires_at = new Date(Date.now() - 1000);
+
+        const res = await verifyByLink(token);
+
+        expect(res.status).toBe(400);
+        expect(res.body.error.code).toBe('INVALID_VERIFICATION_TOKEN');
+        expect(store.data.users.find(row => row.id === user.id).is_verified).toBe(false);
+    });
+
+    it('only honours the newest link', async () => {
+        await resend(user.email);
+        const older = emailedToken(user.email);
+        await resend(user.email);
+        const newer = emailedToken(user.email);
+
+        expect((await verifyByLink(older)).status).toBe(400);
+        expect((await verifyByLink(newer)).status).toBe(200);
+    });
+
+    it('sends nothing to an account that is already verified', async () => {
+        const verified = await store.addUser({ email: `verified-${Date.now()}@example.com`, password: PASSWORD });
+
+        const res = await resend(verified.email);
+
+        expect(res.status).toBe(200);
+        expect(verificationEmails(verified.email)).toHaveLength(0);
+    });
+
+    it('signs an unverified account in read-only until it verifies', async () => {
+        const { tokens } = (await login(user.email)).body.data;
+        expect(jwt.decode(tokens.accessToken)).toMatchObject({ verified: false });
+
+        await resend(user.email);
+        await verifyByLink(emailedToken(user.email));
+
+        const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken: tokens.refreshToken });
+        expect(refreshed.status).toBe(200);
+        expect(jwt.decode(refreshed.body.data.tokens.accessToken)).toMatchObject({ verified: true });
+    });
+});
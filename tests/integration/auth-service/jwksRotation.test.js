@@ -0,0 +1,165 @@
+// tests/integration/auth-service/jwksRotation.test.js
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { loadAuthService } = require('../../helpers/authService');
+const { JwksKeyStore } = require('../../../shared/utils');
+
+const { app, store, load } = loadAuthService();
+const { initSigningKeys } = load('services/signingKeyService');
+
+const PASSWORD = 'Correct-Horse-9';
+// Default JWT_KEY_ACTIVATION_DELAY - how long a new key is published before it signs
+const ACTIVATION_DELAY_MS = 5 * 60 * 1000;
+
+const kidOf = (token) => jwt.decode(token, { complete: true }).header.kid;
+
+const login = async (email) => {
+    const res = await request(app).post('/api/auth/login').send({ email, password: PASSWORD });
+    expect(res.status).toBe(200);
+    return res.body.data.tokens.accessToken;
+};
+
+const me = (accessToken) => request(app).get('/api/auth/me').set('Authorization', `Bearer ${accessToken}`);
+
+const rotate = async (adminToken) => {
+    const res = await request(app).post('/api/auth/keys/rotate').set('Authorization', `Bearer ${adminToken}`);
+    expect(res.status).toBe(200);
+    return res.body.data;
+};
+
+/**
+ * Pretend time has moved on, for Date.now() callers only; keys activate on this clock
+ */
+let clockOffset = 0;
+const advanceClock = (ms) => {
+    clockOffset += ms;
+};
+
+/**
+ * A second auth service instance sharing the same key table
+ */
+const loadOtherInstance = () => {
+    let instance;
+    jest.isolateModules(() => {
+        instance = { ...load('services/signingKeyService'), ...load('utils/jwt') };
+    });
+    return instance;
+};
+
+describe('access token signing key rotation', () => {
+    let user;
+    let admin;
+
+    beforeAll(async () => {
+        const realNow = Date.now;
+        jest.spyOn(Date, 'now').mockImplementation(() => realNow() + clockOffset);
+
+        await initSigningKeys();
+        user = await store.addUser({ email: 'user@example.com', password: PASSWORD });
+        admin = await store.addUser({ email: 'root@example.com', password: PASSWORD, roles: ['super_admin'] });
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('publishes the new key first and signs with it only after the activation delay', async () => {
+        const before = await login(user.email);
+
+        const rotatedAt = Date.now();
+        const { kid, activatesAt } = await rotate(await login(admin.email));
+
+        expect(kid).not.toBe(kidOf(before));
+        expect(new Date(activatesAt).getTime()).toBeGreaterThanOrEqual(rotatedAt + ACTIVATION_DELAY_MS);
+        expect(new Date(activatesAt).getTime()).toBeLessThanOrEqual(Date.now() + ACTIVATION_DELAY_MS);
+
+        const jwks = await request(app).get('/.well-known/jwks.json');
+        expect(jwks.body.keys.map(key => key.kid)).toEqual(expect.arrayContaining([kid, kidOf(before)]));
+        expect(jwks.body.keys.every(key => !key.d)).toBe(true);
+
+        // Still signing with the previous key while verifiers pick up the new one
+        expect(kidOf(await login(user.email))).toBe(kidOf(before));
+
+        advanceClock(ACTIVATION_DELAY_MS);
+        const after = await login(user.email);
+        expect(kidOf(after)).toBe(kid);
+
+        // Tokens from the previous key stay valid during the overlap
+        expect((await me(before)).status).toBe(200);
+        expect((await me(after)).status).toBe(200);
+
+        expect(store.data.auditLogs).toContainEqual(expect.objectContaining({
+            action: 'SIGNING_KEY_ROTATED',
+            newValues: { kid, activatesAt: new Date(activatesAt) }
+        }));
+    });
+
+    it('does not rotate again while a new key is waiting to activate', async () => {
+        const { kid } = await rotate(await login(admin.email));
+
+        await initSigningKeys();
+
+        const jwks = await request(app).get('/.well-known/jwks.json');
+        expect(jwks.body.keys[0].kid).toBe(kid);
+        advanceClock(ACTIVATION_DELAY_MS);
+        expect(kidOf(await login(user.email))).toBe(kid);
+    });
+
+    it('only lets super admins rotate', async () => {
+        const res = await request(app).post('/api/auth/keys/rotate').set('Authorization', `Bearer ${await login(user.email)}`);
+
+        expect(res.status).toBe(403);
+    });
+
+    it('picks up a rotation made by another instance before its key signs anything', async () => {
+        const other = loadOtherInstance();
+        await other.initSigningKeys();
+        const previousKid = kidOf(await login(user.email));
+        const { kid } = await other.rotateKeys();
+
+        const record = await store.models.User.findById(user.id);
+        const fromOther = () => other.generateTokenPair(record).accessToken;
+        expect(kidOf(fromOther())).toBe(previousKid);
+
+        advanceClock(ACTIVATION_DELAY_MS);
+        const signedElsewhere = fromOther();
+        expect(kidOf(signedElsewhere)).toBe(kid);
+
+        // This instance has not seen the kid yet and reloads its keys for it
+        expect((await me(signedElsewhere)).status).toBe(200);
+
+        // and signs with the other instance's key from then on
+        expect(kidOf(await login(user.email))).toBe(kid);
+    });
+
+    it('lets a service verifying through the JWKS follow a rotation without rejecting tokens', async () => {
+        const server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+
+        try {
+            const keyStore = new JwksKeyStore({ jwksUri: `http://127.0.0.1:${server.address().port}/.well-known/jwks.json` });
+            const verify = token => new Promise((resolve, reject) => {
+                jwt.verify(token, keyStore.getKeyForHeader, { algorithms: JwksKeyStore.ALGORITHMS }, (err, claims) => (
+                    err ? reject(err) : resolve(claims)
+                ));
+            });
+
+            // The verifier caches the key set just before the rotation
+            const before = await login(user.email);
+            await expect(verify(before)).resolves.toMatchObject({ userId: user.id });
+
+            const { kid } = await rotate(await login(admin.email));
+            await expect(verify(await login(user.email))).resolves.toMatchObject({ userId: user.id });
+
+            // By the time the new key signs, the verifier may refetch for its kid
+            advanceClock(ACTIVATION_DELAY_MS);
+            const after = await login(user.email);
+            expect(kidOf(after)).toBe(kid);
+            await expect(verify(after)).resolves.toMatchObject({ userId: user.id });
+            await expect(verify(before)).resolves.toMatchObject({ userId: user.id });
+            expect(keyStore.keys.has(kid)).toBe(true);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
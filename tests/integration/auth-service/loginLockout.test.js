@@ -0,0 +1,114 @@
+// tests/integration/auth-service/loginLockout.test.js
+const request = require('supertest');
+const { loadAuthService } = require('../../helpers/authService');
+
+const { app, store, redis, load } = loadAuthService();
+const { initSigningKeys } = load('services/signingKeyService');
+
+const PASSWORD = 'Correct-Horse-9';
+// Defaults of LOGIN_MAX_FAILED_ATTEMPTS and LOGIN_LOCKOUT_DURATION
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_SECONDS = 15 * 60;
+
+const login = (email, password) => request(app).post('/api/auth/login').send({ email, password });
+
+/**
+ * Fail once, then wait out the backoff that failure started
+ * @returns {Promise<Object>} { failed: the failed response, backoff: seconds refused afterwards }
+ */
+const failOnce = async (email) => {
+    const failed = await login(email, 'wrong-password');
+    const probe = await login(email, 'wrong-password');
+    const backoff = probe.status === 429 && probe.body.error.code === 'TOO_MANY_ATTEMPTS'
+        ? parseInt(probe.headers['retry-after'], 10)
+        : 0;
+    redis.advance(backoff);
+    return { failed, backoff };
+};
+
+describe('per-account login protection', () => {
+    let user;
+
+    beforeAll(async () => {
+        await initSigningKeys();
+    });
+
+    beforeEach(async () => {
+        user = await store.addUser({ email: `user-${Date.now()}-${Math.random()}@example.com`, password: PASSWORD });
+    });
+
+    it('refuses any attempt during the backoff after a failure, even with the right password', async () => {
+        const failed = await login(user.email, 'wrong-password');
+        expect(failed.status).toBe(401);
+        expect(failed.body.error.code).toBe('INVALID_CREDENTIALS');
+
+        const during = await login(user.email, PASSWORD);
+        expect(during.status).toBe(429);
+        expect(during.body.error.code).toBe('TOO_MANY_ATTEMPTS');
+        expect(during.headers['retry-after']).toBe('1');
+
+        redis.advance(1);
+        expect((await login(user.email, PASSWORD)).status).toBe(200);
+    });
+
+    it('doubles the backoff with each consecutive failure', async () => {
+        const backoffs = [];
+        for (let attempt = 1; attempt < MAX_FAILED_ATTEMPTS; attempt++) {
+            const { failed, backoff } = await failOnce(user.email);
+            expect(failed.status).toBe(401);
+            backoffs.push(backoff);
+        }
+
+        expect(backoffs).toEqual([1, 2, 4, 8]);
+    });
+
+    it(`locks the account after ${MAX_FAILED_ATTEMPTS} failures and audits it`, async () => {
+        for (let attempt = 1; attempt < MAX_FAILED_ATTEMPTS; attempt++) {
+            expect((await failOnce(user.email)).failed.status).toBe(401);
+        }
+
+        const locking = await login(user.email, 'wrong-password');
+        expect(locking.status).toBe(429);
+        expect(locking.body.error.code).toBe('ACCOUNT_LOCKED');
+        expect(locking.headers['retry-after']).toBe(String(LOCKOUT_SECONDS));
+
+        const locked = await login(user.email, PASSWORD);
+        expect(locked.status).toBe(429);
+        expect(locked.body.error.code).toBe('ACCOUNT_LOCKED');
+
+        expect(store.data.auditLogs).toContainEqual(expect.objectContaining({
+            userId: user.id,
+            action: 'ACCOUNT_LOCKED'
+        }));
+
+        redis.advance(LOCKOUT_SECONDS);
+        expect((await login(user.email, PASSWORD)).status).toBe(200);
+    });
+
+    it('resets the failure count after a successful login', async () => {
+        for (let attempt = 1; attempt < MAX_FAILED_ATTEMPTS; attempt++) {
+            await failOnce(user.email);
+        }
+        expect((await login(user.email, PASSWORD)).status).toBe(200);
+
+        const res = await login(user.email, 'wrong-password');
+        expect(res.status).toBe(401);
+        expect(res.headers['retry-after']).toBeUndefined();
+        expect(await redis.get(`login:failures:${user.email}`)).toBe('1');
+    });
+
+    it('treats unknown emails the same way, without revealing that no account exists', async () => {
+        const email = 'nobody@example.com';
+        const auditEntries = store.data.auditLogs.length;
+        for (let attempt = 1; attempt < MAX_FAILED_ATTEMPTS; attempt++) {
+            expect((await failOnce(email)).failed.body.error.code).toBe('INVALID_CREDENTIALS');
+        }
+
+        const res = await login(email, 'wrong-password');
+        expect(res.status).toBe(429);
+        expect(res.body.error.code).toBe('ACCOUNT_LOCKED');
+        expect(res.headers['retry-after']).toBe(String(LOCKOUT_SECONDS));
+        // Nothing to audit without an account
+        expect(store.data.auditLogs).toHaveLength(auditEntries);
+    });
+});
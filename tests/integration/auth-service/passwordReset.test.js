@@ -0,0 +1,126 @@
+// tests/integration/auth-service/passwordReset.test.js
+const request = require('supertest');
+const { loadAuthService } = require('../../helpers/authService');
+
+const { app, store, mongo, load } = loadAuthService();
+const { initSigningKeys } = load('services/signingKeyService');
+const { hashToken } = load('utils/jwt');
+
+const PASSWORD = 'Correct-Horse-9';
+const NEW_PASSWORD = 'Battery-Staple-7';
+
+const login = (email, password = PASSWORD) => request(app).post('/api/auth/login').send({ email, password });
+
+const forgotPassword = email => request(app).post('/api/auth/forgot-password').send({ email });
+
+const resetPassword = (token, newPassword = NEW_PASSWORD) => request(app)
+    .post('/api/auth/reset-password')
+    .send({ token, newPassword, confirmNewPassword: newPassword });
+
+/**
+ * The token in the newest reset email queued for an address
+ * @returns {string|null}
+ */
+const emailedToken = (email) => {
+    const emails = (mongo.collections.notifications_queue || [])
+        .filter(entry => entry.metadata.to === email && entry.metadata.template === 'password_reset');
+    if (emails.length === 0) return null;
+
+    return /\?token=([0-9a-f]+)/.exec(emails[emails.length - 1].message)[1];
+};
+
+describe('password reset', () => {
+    let user;
+
+    beforeAll(async () => {
+        await initSigningKeys();
+    });
+
+    beforeEach(async () => {
+        user = await store.addUser({ email: `user-${Date.now()}-${Math.random()}@example.com`, password: PASSWORD });
+    });
+
+    it('queues an email and stores only the hash of its token', async () => {
+        const res = await forgotPassword(user.email);
+
+        expect(res.status).toBe(200);
+        const token = emailedToken(user.email);
+        expect(token).toMatch(/^[0-9a-f]{64}$/);
+
+        const [stored] = store.data.passwordResetTokens.filter(row => row.user_id === user.id);
+        expect(stored.token_hash).toBe(hashToken(token));
+        expect(JSON.stringify(stored)).not.toContain(token);
+        expect(stored.expires_at.getTime() - Date.now()).toBeGreaterThan(59 * 60 * 1000);
+        expect(stored.expires_at.getTime() - Date.now()).toBeLessThanOrEqual(60 * 60 * 1000);
+    });
+
+    it('answers the same for an unknown address without queueing anything', async () => {
+        const before = (mongo.collections.notifications_queue || []).length;
+
+        const res = await forgotPassword('nobody@example.com');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.message).toBe('If an account exists for this email, a password reset link has been sent');
+        expect((mongo.collections.notifications_queue || []).length).toBe(before);
+    });
+
+    it('sets the new password once and refuses the same token again', async () => {
+        await forgotPassword(user.email);
+        const token = emailedToken(user.email);
+
+        const first = await resetPassword(token);
+        expect(first.status).toBe(200);
+
+        const again = await resetPassword(token, 'Another-Pass-5');
+        expect(again.status).toBe(400);
+        expect(again.body.error.code).toBe('INVALID_RESET_TOKEN');
+
+        expect((await login(user.email, NEW_PASSWORD)).status).toBe(200);
+        expect((await login(user.email, PASSWORD)).status).toBe(401);
+    });
+
+    it('lets only one of two concurrent resets with the same token through', async () => {
+        await forgotPassword(user.email);
+        const token = emailedToken(user.email);
+
+        const responses = await Promise.all([resetPassword(token), resetPassword(token, 'Another-Pass-5')]);
+
+        expect(responses.map(res => res.status).sort()).toEqual([200, 400]);
+    });
+
+    it('refuses an expired token', async () => {
+        await forgotPassword(user.email);
+        const token = emailedToken(user.email);
+        store.data.passwordResetTokens.find(row => row.user_id === user.id).expires_at = new Date(Date.now() - 1000);
+
+        const res = await resetPassword(token);
+
+        expect(res.status).toBe(400);
+        expect(res.body.error.code).toBe('INVALID_RESET_TOKEN');
+    });
+
+    it('only honours the newest link', async () => {
+        await forgotPassword(user.email);
+        const older = emailedToken(user.email);
+        await forgotPassword(user.email);
+        const newer = emailedToken(user.email);
+
+        expect((await resetPassword(older)).status).toBe(400);
+        expect((await resetPassword(newer)).status).toBe(200);
+    });
+
+    it('signs the user out everywhere', async () => {
+        const { accessToken, refreshToken } = (await login(user.email)).body.data.tokens;
+        await forgotPassword(user.email);
+        await resetPassword(emailedToken(user.email));
+
+        const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken });
+        expect(refreshed.status).toBe(401);
+
+        const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${accessToken}`);
+        expect(me.status).toBe(401);
+        expect(me.body.error.code).toBe('TOKEN_REVOKED');
+
+        expect(store.data.sessions.filter(row => row.user_id === user.id).every(row => row.revoked_at)).toBe(true);
+    });
+});
@@ -0,0 +1,93 @@
+// tests/integration/auth-service/refreshTokenReuse.test.js
+const request = require('supertest');
+const { loadAuthService } = require('../../helpers/authService');
+const { RealtimeEvents } = require('../../../shared/utils');
+
+const { app, store, redis, load } = loadAuthService();
+const { initSigningKeys } = load('services/signingKeyService');
+
+const PASSWORD = 'Correct-Horse-9';
+
+const login = async (email) => {
+    const res = await request(app).post('/api/auth/login').send({ email, password: PASSWORD });
+    expect(res.status).toBe(200);
+    return res.body.data.tokens;
+};
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+describe('refresh token rotation', () => {
+    let user;
+
+    beforeAll(async () => {
+        await initSigningKeys();
+    });
+
+    beforeEach(async () => {
+        user = await store.addUser({ email: `user-${Date.now()}-${Math.random()}@example.com`, password: PASSWORD });
+    });
+
+    it('issues a new pair in the same session and family', async () => {
+        const first = await login(user.email);
+
+        const res = await refresh(first.refreshToken);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.tokens.refreshToken).not.toBe(first.refreshToken);
+
+        const rows = store.data.refreshTokens.filter(row => row.user_id === user.id);
+        expect(rows).toHaveLength(2);
+        expect(rows[0].revoked).toBe(true);
+        expect(rows[1].revoked).toBe(false);
+        expect(rows[1].family_id).toBe(rows[0].family_id);
+        expect(rows[1].session_id).toBe(rows[0].session_id);
+    });
+
+    it('revokes the family and the session when a rotated token is presented again', async () => {
+        const first = await login(user.email);
+        const second = (await refresh(first.refreshToken)).body.data.tokens;
+
+        const reuse = await refresh(first.refreshToken);
+
+        expect(reuse.status).toBe(401);
+        expect(reuse.body.error.code).toBe('TOKEN_REUSE_DETECTED');
+
+        // The legitimate holder's newer token is gone too
+        const rows = store.data.refreshTokens.filter(row => row.user_id === user.id);
+        expect(rows.every(row => row.revoked)).toBe(true);
+        const [session] = store.data.sessions.filter(row => row.user_id === user.id);
+        expect(session.revoked_at).not.toBeNull();
+        expect(await redis.get(`revoked:session:${session.id}`)).toBe('1');
+
+        // and so is the access token issued with it
+        const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${second.accessToken}`);
+        expect(me.status).toBe(401);
+        expect(me.body.error.code).toBe('TOKEN_REVOKED');
+
+        expect(store.data.auditLogs).toContainEqual(expect.objectContaining({
+            userId: user.id,
+            action: 'REFRESH_TOKEN_REUSE'
+        }));
+        expect(redis.published.map(event => event.message.type)).toContain(RealtimeEvents.TYPES.REFRESH_TOKEN_REUSED);
+    });
+
+    it('lets only one of two concurrent refreshes with the same token succeed', async () => {
+        const { refreshToken } = await login(user.email);
+
+        const responses = await Promise.all([refresh(refreshToken), refresh(refreshToken)]);
+
+        expect(responses.map(res => res.status).sort()).toEqual([200, 401]);
+        expect(store.data.sessions.find(row => row.user_id === user.id).revoked_at).not.toBeNull();
+    });
+
+    it('leaves other sessions of the same user signed in', async () => {
+        const phone = await login(user.email);
+        const laptop = await login(user.email);
+        await refresh(phone.refreshToken);
+
+        await refresh(phone.refreshToken);
+
+        const res = await refresh(laptop.refreshToken);
+        expect(res.status).toBe(200);
+    });
+});
@@ -0,0 +1,107 @@
+// tests/integration/auth-service/sessions.test.js
+const request = require('supertest');
+const { loadAuthService } = require('../../helpers/authService');
+
+const { app, store, load } = loadAuthService();
+const { initSigningKeys } = load('services/signingKeyService');
+
+const PASSWORD = 'Correct-Horse-9';
+
+const login = async (email, device) => {
+    const res = await request(app).post('/api/auth/login').set('User-Agent', device).send({ email, password: PASSWORD });
+    expect(res.status).toBe(200);
+    return res.body.data.tokens;
+};
+
+const as = tokens => ({ Authorization: `Bearer ${tokens.accessToken}` });
+
+const refresh = tokens => request(app).post('/api/auth/refresh').send({ refreshToken: tokens.refreshToken });
+
+const me = tokens => request(app).get('/api/auth/me').set(as(tokens));
+
+const listSessions = tokens => request(app).get('/api/auth/sessions').set(as(tokens));
+
+describe('device sessions', () => {
+    let user;
+    let phone;
+    let laptop;
+
+    beforeAll(async () => {
+        await initSigningKeys();
+    });
+
+    beforeEach(async () => {
+        user = await store.addUser({ email: `user-${Date.now()}-${Math.random()}@example.com`, password: PASSWORD });
+        phone = await login(user.email, 'phone');
+        laptop = await login(user.email, 'laptop');
+    });
+
+    it('records one session per login and marks the caller\'s own', async () => {
+        const res = await listSessions(laptop);
+
+        expect(res.status).toBe(200);
+        const { sessions } = res.body.data;
+        expect(sessions.map(session => session.userAgent).sort()).toEqual(['laptop', 'phone']);
+        expect(sessions.find(session => session.current).userAgent).toBe('laptop');
+    });
+
+    it('signs out one device and leaves the other signed in', async () => {
+        const phoneSession = (await listSessions(laptop)).body.data.sessions.find(session => session.userAgent === 'phone');
+
+        const res = await request(app).delete(`/api/auth/sessions/${phoneSession.id}`).set(as(laptop));
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ sessionId: phoneSession.id, revoked: true, current: false });
+
+        expect((await refresh(phone)).status).toBe(401);
+        const revoked = await me(phone);
+        expect(revoked.status).toBe(401);
+        expect(revoked.body.error.code).toBe('TOKEN_REVOKED');
+
+        expect((await me(laptop)).status).toBe(200);
+        expect((await refresh(laptop)).status).toBe(200);
+        expect((await listSessions(laptop)).body.data.sessions.map(session => session.userAgent)).toEqual(['laptop']);
+    });
+
+    it('does not find another user\'s session', async () => {
+        const other = await store.addUser({ email: `other-${Date.now()}-${Math.random()}@example.com`, password: PASSWORD });
+        const otherTokens = await login(other.email, 'desktop');
+        const [otherSession] = store.data.sessions.filter(row => row.user_id === other.id);
+
+        const res = await request(app).delete(`/api/auth/sessions/${otherSession.id}`).set(as(laptop));
+
+        expect(res.status).toBe(404);
+        expect(res.body.error.code).toBe('SESSION_NOT_FOUND');
+        expect((await me(otherTokens)).status).toBe(200);
+    });
+
+    it('refuses to revoke a session twice', async () => {
+        const [phoneSession] = store.data.sessions.filter(row => row.user_id === user.id && row.user_agent === 'phone');
+
+        await request(app).delete(`/api/auth/sessions/${phoneSession.id}`).set(as(laptop));
+        const again = await request(app).delete(`/api/auth/sessions/${phoneSession.id}`).set(as(laptop));
+
+        expect(again.status).toBe(404);
+    });
+
+    it('ends only the current session on logout', async () => {
+        const res = await request(app).post('/api/auth/logout').set(as(phone)).send({ refreshToken: phone.refreshToken });
+        expect(res.status).toBe(200);
+
+        expect((await me(phone)).status).toBe(401);
+        expect((await refresh(phone)).status).toBe(401);
+        expect((await me(laptop)).status).toBe(200);
+    });
+
+    it('logs out of every device at once', async () => {
+        const res = await request(app).post('/api/auth/logout-all').set(as(laptop));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.revokedCount).toBe(2);
+
+        for (const tokens of [phone, laptop]) {
+            expect((await me(tokens)).status).toBe(401);
+            expect((await refresh(tokens)).status).toBe(401);
+        }
+        expect(store.data.sessions.filter(row => row.user_id === user.id).every(row => row.revoked_at)).toBe(true);
+    });
+});
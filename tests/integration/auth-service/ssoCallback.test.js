@@ -0,0 +1,188 @@
+// tests/integration/auth-service/ssoCallback.test.js
+const request = require('supertest');
+const { loadAuthService } = require('../../helpers/authService');
+const { createMockOidcProvider } = require('../../mocks/mockOidcProvider');
+
+const { app, store, redis, load } = loadAuthService();
+const { initSigningKeys } = load('services/signingKeyService');
+const { encryptClientSecret } = load('services/ssoService');
+
+/**
+ * Run the browser half of the flow: start at the ERP, sign in at the provider,
+ * and come back with the code and state the frontend would post to the callback
+ * @returns {Promise<Object>} { code, state, authorizeUrl }
+ */
+const signInAtProvider = async (slug = 'acme') => {
+    const start = await request(app).get(`/api/auth/sso/${slug}/login`);
+    expect(start.status).toBe(302);
+
+    const authorizeUrl = new URL(start.headers.location);
+    const providerRedirect = await fetch(authorizeUrl, { redirect: 'manual' });
+    expect(providerRedirect.status).toBe(302);
+
+    const callbackUrl = new URL(providerRedirect.headers.get('location'));
+    return {
+        code: callbackUrl.searchParams.get('code'),
+        state: callbackUrl.searchParams.get('state'),
+        authorizeUrl
+    };
+};
+
+const callback = (params) => request(app).post('/api/auth/sso/callback').send(params);
+
+/**
+ * Change what was remembered for a login attempt, as if it had been tampered with
+ */
+const editPendingLogin = async (state, changes) => {
+    const key = `sso:state:${state}`;
+    const pending = JSON.parse(await redis.get(key));
+    await redis.setEx(key, 600, JSON.stringify({ ...pending, ...changes }));
+};
+
+describe('single sign-on callback', () => {
+    let idp;
+    let provider;
+
+    beforeAll(async () => {
+        await initSigningKeys();
+        idp = await createMockOidcProvider();
+        provider = store.addIdentityProvider({
+            slug: 'acme',
+            issuer: idp.issuer,
+            client_id: idp.clientId,
+            client_secret_encrypted: encryptClientSecret(idp.clientSecret),
+            group_role_mappings: { 'erp-admins': 'admin', 'erp-staff': 'employee', 'erp-root': 'super_admin' },
+            default_role: 'viewer',
+            allowed_domains: ['example.com']
+        });
+    });
+
+    afterAll(async () => {
+        await idp.close();
+    });
+
+    it('sends the browser to the provider with state, nonce and an S256 PKCE challenge', async () => {
+        const { authorizeUrl } = await signInAtProvider();
+
+        expect(authorizeUrl.origin).toBe(idp.issuer);
+        expect(authorizeUrl.searchParams.get('client_id')).toBe(idp.clientId);
+        expect(authorizeUrl.searchParams.get('code_challenge_method')).toBe('S256');
+
+        const pending = JSON.parse(await redis.get(`sso:state:${authorizeUrl.searchParams.get('state')}`));
+        expect(pending).toEqual({
+            providerId: provider.id,
+            nonce: authorizeUrl.searchParams.get('nonce'),
+            codeVerifier: expect.any(String)
+        });
+        expect(pending.codeVerifier).not.toBe(authorizeUrl.searchParams.get('code_challenge'));
+    });
+
+    it('provisions a new user with roles mapped from their groups, never a cross-tenant role', async () => {
+        idp.setUser({ sub: 'sub-jane', email: 'Jane.Doe@example.com', groups: ['erp-admins', 'erp-root'] });
+
+        const res = await callback(await signInAtProvider());
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.provisioned).toBe(true);
+        expect(res.body.data.tokens.accessToken).toEqual(expect.any(String));
+        expect(res.body.data.user).toMatchObject({
+            email: 'jane.doe@example.com',
+            organization_id: provider.organization_id,
+            roles: ['admin']
+        });
+        expect(res.body.data.user.password_hash).toBeUndefined();
+
+        expect(store.data.identities).toContainEqual(expect.objectContaining({ provider_id: provider.id, subject: 'sub-jane' }));
+        expect(store.data.auditLogs).toContainEqual(expect.objectContaining({
+            action: 'SSO_USER_PROVISIONED',
+            resourceId: provider.id
+        }));
+    });
+
+    it('signs the linked user in again and follows group changes at the provider', async () => {
+        idp.setUser({ sub: 'sub-jane', email: 'jane.doe@example.com', groups: ['erp-staff'] });
+
+        const res = await callback(await signInAtProvider());
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.provisioned).toBe(false);
+        expect(res.body.data.user.roles).toEqual(['employee']);
+    });
+
+    it('gives a new user without mapped groups the default role', async () => {
+        idp.setUser({ sub: 'sub-sam', email: 'sam@example.com', groups: ['unmapped'] });
+
+        const res = await callback(await signInAtProvider());
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.user.roles).toEqual(['viewer']);
+    });
+
+    it('accepts each state only once', async () => {
+        idp.setUser({ sub: 'sub-jane', email: 'jane.doe@example.com', groups: ['erp-staff'] });
+        const params = await signInAtProvider();
+        expect((await callback(params)).status).toBe(200);
+
+        const replay = await callback(params);
+
+        expect(replay.status).toBe(400);
+        expect(replay.body.error.code).toBe('SSO_INVALID_STATE');
+    });
+
+    it('rejects a state it never issued', async () => {
+        const { code } = await signInAtProvider();
+
+        const res = await callback({ code, state: 'forged-state' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error.code).toBe('SSO_INVALID_STATE');
+    });
+
+    it('fails the code exchange when the PKCE verifier does not match the challenge', async () => {
+        const params = await signInAtProvider();
+        await editPendingLogin(params.state, { codeVerifier: 'a'.repeat(43) });
+
+        const res = await callback(params);
+
+        expect(res.status).toBe(401);
+        expect(res.body.error.code).toBe('SSO_CODE_EXCHANGE_FAILED');
+    });
+
+    it('rejects an ID token whose nonce belongs to another login attempt', async () => {
+        const params = await signInAtProvider();
+        await editPendingLogin(params.state, { nonce: 'nonce-from-another-attempt' });
+
+        const res = await callback(params);
+
+        expect(res.status).toBe(401);
+        expect(res.body.error.code).toBe('SSO_INVALID_ID_TOKEN');
+    });
+
+    it('refuses to provision an email outside the allowed domains', async () => {
+        idp.setUser({ sub: 'sub-mallory', email: 'mallory@evil.test', groups: ['erp-admins'] });
+
+        const res = await callback(await signInAtProvider());
+
+        expect(res.status).toBe(403);
+        expect(res.body.error.code).toBe('SSO_DOMAIN_NOT_ALLOWED');
+    });
+
+    it('refuses to link an account that belongs to another organization', async () => {
+        await store.addUser({ email: 'alex@example.com', password: 'Correct-Horse-9' });
+        idp.setUser({ sub: 'sub-alex', email: 'alex@example.com', groups: [] });
+
+        const res = await callback(await signInAtProvider());
+
+        expect(res.status).toBe(403);
+        expect(res.body.error.code).toBe('SSO_ORGANIZATION_MISMATCH');
+    });
+
+    it('refuses a provider that does not vouch for the email', async () => {
+        idp.setUser({ sub: 'sub-unverified', email: 'kim@example.com', email_verified: false });
+
+        const res = await callback(await signInAtProvider());
+
+        expect(res.status).toBe(403);
+        expect(res.body.error.code).toBe('SSO_EMAIL_NOT_VERIFIED');
+    });
+});
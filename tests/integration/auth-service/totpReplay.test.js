@@ -0,0 +1,90 @@
+// tests/integration/auth-service/totpReplay.test.js
+const request = require('supertest');
+const { loadAuthService } = require('../../helpers/authService');
+
+const { app, store, redis, load } = loadAuthService();
+const { initSigningKeys } = load('services/signingKeyService');
+const { generateSecret, generateHotp, encryptSecret, base32Decode } = load('utils/totp');
+
+const PASSWORD = 'Correct-Horse-9';
+const TOTP_PERIOD_MS = 30 * 1000;
+
+const currentStep = () => Math.floor(Date.now() / TOTP_PERIOD_MS);
+
+/**
+ * Password step of the login, returning the MFA challenge token
+ */
+const startLogin = async (email) => {
+    const res = await request(app).post('/api/auth/login').send({ email, password: PASSWORD });
+    expect(res.status).toBe(200);
+    expect(res.body.data.mfaRequired).toBe(true);
+    return res.body.data.mfaToken;
+};
+
+const verify = (mfaToken, code) => request(app).post('/api/auth/mfa/verify').send({ mfaToken, code });
+
+describe('TOTP second factor', () => {
+    let user;
+    let secret;
+
+    const codeFor = (step) => generateHotp(base32Decode(secret), step);
+
+    beforeAll(async () => {
+        await initSigningKeys();
+    });
+
+    beforeEach(async () => {
+        user = await store.addUser({ email: `user-${Date.now()}-${Math.random()}@example.com`, password: PASSWORD });
+        secret = generateSecret();
+        store.enableMfa(user.id, encryptSecret(secret));
+    });
+
+    it('issues tokens only after a valid code', async () => {
+        const mfaToken = await startLogin(user.email);
+
+        const wrong = await verify(mfaToken, codeFor(currentStep() + 5));
+        expect(wrong.status).toBe(401);
+        expect(wrong.body.error.code).toBe('INVALID_MFA_CODE');
+
+        redis.advance(1);
+        const res = await verify(mfaToken, codeFor(currentStep()));
+        expect(res.status).toBe(200);
+        expect(res.body.data.tokens.accessToken).toEqual(expect.any(String));
+    });
+
+    it('rejects a code that has already been used, even in a new login', async () => {
+        const step = currentStep();
+        const code = codeFor(step);
+
+        expect((await verify(await startLogin(user.email), code)).status).toBe(200);
+
+        const replay = await verify(await startLogin(user.email), code);
+        expect(replay.status).toBe(401);
+        expect(replay.body.error.code).toBe('INVALID_MFA_CODE');
+        expect(store.data.userMfa.find(row => row.user_id === user.id).last_used_step).toBe(step);
+    });
+
+    it('rejects a code from an earlier step once a later one was used', async () => {
+        const step = currentStep();
+
+        expect((await verify(await startLogin(user.email), codeFor(step))).status).toBe(200);
+
+        const earlier = await verify(await startLogin(user.email), codeFor(step - 1));
+        expect(earlier.status).toBe(401);
+
+        // The next step's code is still accepted within the drift window
+        redis.advance(1);
+        expect((await verify(await startLogin(user.email), codeFor(step + 1))).status).toBe(200);
+    });
+
+    it('counts replayed codes towards the account lockout', async () => {
+        const code = codeFor(currentStep());
+        expect((await verify(await startLogin(user.email), code)).status).toBe(200);
+
+        await verify(await startLogin(user.email), code);
+
+        const res = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+        expect(res.status).toBe(429);
+        expect(res.body.error.code).toBe('TOO_MANY_ATTEMPTS');
+    });
+});
@@ -0,0 +1,10 @@
+// tests/jest.setup.js
+// Environment for services loaded in-process by the integration tests
+
+process.env.NODE_ENV = 'test';
+// The lockout tests make more login attempts than the per-IP limiter allows
+process.env.AUTH_RATE_LIMIT_MAX_REQUESTS = '1000';
+process.env.BCRYPT_SALT_ROUNDS = '4';
+// Services connect to MongoDB at startup; the driver is replaced by mocks/fakeMongo.js
+process.env.MONGODB_URI = 'mongodb://localhost:27017/erp_audit';
+process.env.LOG_LEVEL = 'error';
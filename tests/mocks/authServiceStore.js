@@ -0,0 +1,486 @@
+// tests/mocks/authServiceStore.js
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+/**
+ * In-memory stand-ins for the auth-service models
+ * Each fake keeps the contract of the real model (arguments, returned rows, and the
+ * conditional updates the flows rely on, such as revokeIfActive and useTimeStep)
+ * over plain arrays, so the controllers and services run unchanged without Postgres.
+ *
+ *   const store = createAuthServiceStore();
+ *   jest.doMock('.../models/User', () => store.models.User);
+ */
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const copy = (row) => (row ? { ...row } : null);
+
+const createAuthServiceStore = () => {
+    const data = {
+        users: [],
+        refreshTokens: [],
+        sessions: [],
+        serviceClients: [],
+        passwordResetTokens: [],
+        emailVerificationTokens: [],
+        userMfa: [],
+        signingKeys: [],
+        identityProviders: [],
+        identities: [],
+        auditLogs: [],
+        mfaRequiredRoles: new Set()
+    };
+
+    // Orders signing keys created within the same millisecond
+    let keySequence = 0;
+
+    const isLive = (row) => row.expires_at === null || new Date(row.expires_at) > new Date();
+
+    /**
+     * A user row as the User model returns it (array_agg gives null for no roles)
+     */
+    const withRoles = ({ password_hash: passwordHash, ...user }, includePasswordHash = false) => ({
+        ...user,
+        ...(includePasswordHash && { password_hash: passwordHash }),
+        roles: user.roles.length ? [...user.roles] : null,
+        permissions: null
+    });
+
+    class User {
+        static async createFromIdentity({ email, firstName, lastName, organizationId }) {
+            const user = {
+                id: crypto.randomUUID(),
+                organization_id: organizationId,
+                email: email.toLowerCase(),
+                password_hash: await bcrypt.hash(crypto.randomBytes(16).toString('hex'), 4),
+                first_name: firstName,
+                last_name: lastName,
+                phone: null,
+                is_active: true,
+                is_verified: true,
+                last_login: null,
+                created_at: new Date(),
+                updated_at: new Date(),
+                roles: []
+            };
+            data.users.push(user);
+            return withRoles(user);
+        }
+
+        static async syncRoles(userId, roleNames, managedRoles) {
+            const user = data.users.find(row => row.id === userId);
+            const kept = user.roles.filter(role => !managedRoles.includes(role) || roleNames.includes(role));
+            const next = [...new Set([...kept, ...roleNames])];
+            const changed = next.length !== user.roles.length || next.some(role => !user.roles.includes(role));
+            user.roles = next;
+            return changed;
+        }
+
+        static async findByEmail(email) {
+            const user = data.users.find(row => row.email === email.toLowerCase());
+            return user ? withRoles(user, true) : null;
+        }
+
+        static async findById(userId) {
+            const user = data.users.find(row => row.id === userId);
+            return user ? withRoles(user) : null;
+        }
+
+        static async updateLastLogin(userId) {
+            const user = data.users.find(row => row.id === userId);
+            if (user) user.last_login = new Date();
+        }
+
+        static async verifyPassword(plainPassword, hashedPassword) {
+            return Boolean(hashedPassword) && bcrypt.compare(plainPassword, hashedPassword);
+        }
+
+        static async updatePassword(userId, newPassword) {
+            const user = data.users.find(row => row.id === userId);
+            if (user) user.password_hash = await bcrypt.hash(newPassword, 4);
+        }
+
+        static async verifyEmail(userId) {
+            const user = data.users.find(row => row.id === userId);
+            if (user) user.is_verified = true;
+        }
+
+        static sanitize(user) {
+            if (!user) return null;
+
+            const sanitized = { ...user };
+            delete sanitized.password_hash;
+            return sanitized;
+        }
+    }
+
+    class RefreshToken {
+        static async create(userId, token, expiresAt, sessionId, familyId) {
+            const row = {
+                id: crypto.randomUUID(),
+                user_id: userId,
+                token: hashToken(token),
+                expires_at: expiresAt,
+                created_at: new Date(),
+                revoked: false,
+                session_id: sessionId,
+                family_id: familyId
+            };
+            data.refreshTokens.push(row);
+            const { token: _hash, ...record } = row;
+            return record;
+        }
+
+        static async findByToken(token) {
+            const row = data.refreshTokens.find(candidate => candidate.token === hashToken(token));
+            if (!row) return null;
+            const { token: _hash, ...record } = row;
+            return record;
+        }
+
+        static async revoke(token) {
+            data.refreshTokens.filter(row => row.token === hashToken(token)).forEach((row) => { row.revoked = true; });
+        }
+
+        static async revokeIfActive(id) {
+            const row = data.refreshTokens.find(candidate => candidate.id === id && !candidate.revoked);
+            if (!row) return false;
+            row.revoked = true;
+            return true;
+        }
+
+        static async revokeFamily(familyId) {
+            const active = data.refreshTokens.filter(row => row.family_id === familyId && !row.revoked);
+            active.forEach((row) => { row.revoked = true; });
+            return active.length;
+        }
+
+        static async revokeAllForUser(userId) {
+            data.refreshTokens.filter(row => row.user_id === userId).forEach((row) => { row.revoked = true; });
+        }
+
+        static async revokeAllForSession(sessionId) {
+            data.refreshTokens.filter(row => row.session_id === sessionId).forEach((row) => { row.revoked = true; });
+        }
+    }
+
+    /**
+     * Password reset and email verification tokens: single use, stored as hashes
+     */
+    const createSingleUseTokenModel = rows => class {
+        static async create(userId, tokenHash, expiresAt, requestedIp = null) {
+            const row = {
+                id: crypto.randomUUID(),
+                user_id: userId,
+                token_hash: tokenHash,
+                expires_at: expiresAt,
+                requested_ip: requestedIp,
+                used_at: null,
+                created_at: new Date()
+            };
+            rows.push(row);
+            return { id: row.id, user_id: userId, expires_at: expiresAt, created_at: row.created_at };
+        }
+
+        static async consume(tokenHash) {
+            const row = rows.find(candidate => candidate.token_hash === tokenHash && !candidate.used_at && isLive(candidate));
+            if (!row) return null;
+            row.used_at = new Date();
+            return { id: row.id, user_id: row.user_id };
+        }
+
+        static async invalidateAllForUser(userId) {
+            rows.filter(row => row.user_id === userId && !row.used_at).forEach((row) => { row.used_at = new Date(); });
+        }
+    };
+
+    const PasswordResetToken = createSingleUseTokenModel(data.passwordResetTokens);
+    const EmailVerificationToken = createSingleUseTokenModel(data.emailVerificationTokens);
+
+    class Session {
+        static async create({ id, userId, tokenHash, ipAddress, userAgent, expiresAt }) {
+            const row = {
+                id,
+                user_id: userId,
+                token: tokenHash,
+                ip_address: ipAddress || null,
+                user_agent: userAgent || null,
+                expires_at: expiresAt,
+                created_at: new Date(),
+                last_used_at: new Date(),
+                revoked_at: null
+            };
+            data.sessions.push(row);
+            return copy(row);
+        }
+
+        static async findActiveByUser(userId) {
+            return data.sessions
+                .filter(row => row.user_id === userId && !row.revoked_at && new Date(row.expires_at) > new Date())
+                .sort((a, b) => b.last_used_at - a.last_used_at)
+                .map(({ id, ip_address, user_agent, expires_at, created_at, last_used_at }) => ({
+                    id, ip_address, user_agent, expires_at, created_at, last_used_at
+                }));
+        }
+
+        static async findActiveById(id, userId) {
+            const row = data.sessions.find(candidate => candidate.id === id
+                && candidate.user_id === userId
+                && !candidate.revoked_at
+                && new Date(candidate.expires_at) > new Date());
+            return copy(row);
+        }
+
+        static async rotate(id, { tokenHash, ipAddress, userAgent, expiresAt }) {
+            const row = data.sessions.find(candidate => candidate.id === id && !candidate.revoked_at);
+            if (!row) return null;
+            Object.assign(row, {
+                token: tokenHash,
+                ip_address: ipAddress || row.ip_address,
+                user_agent: userAgent || row.user_agent,
+                expires_at: expiresAt,
+                last_used_at: new Date()
+            });
+            return copy(row);
+        }
+
+        static async revoke(id, userId) {
+            const row = data.sessions.find(candidate => candidate.id === id && candidate.user_id === userId && !candidate.revoked_at);
+            if (!row) return null;
+            row.revoked_at = new Date();
+            return { id: row.id };
+        }
+
+        static async revokeAllForUser(userId) {
+            const active = data.sessions.filter(row => row.user_id === userId && !row.revoked_at);
+            active.forEach((row) => { row.revoked_at = new Date(); });
+            return active.map(row => row.id);
+        }
+    }
+
+    class ServiceClient {
+        static async authenticate(clientId, clientSecret) {
+            const row = data.serviceClients.find(candidate => candidate.client_id === clientId && candidate.is_active);
+            if (!row || row.secret_hash !== hashToken(clientSecret || '')) return null;
+            row.last_used_at = new Date();
+            const { secret_hash: _hash, ...client } = row;
+            return { ...client, scopes: [...client.scopes] };
+        }
+    }
+
+    class AuditLog {
+        static async create(entry) {
+            data.auditLogs.push({ ...entry, created_at: new Date() });
+        }
+    }
+
+    class UserMfa {
+        static async findByUserId(userId) {
+            return copy(data.userMfa.find(row => row.user_id === userId));
+        }
+
+        static async useTimeStep(userId, step) {
+            const row = data.userMfa.find(candidate => candidate.user_id === userId
+                && (candidate.last_used_step === null || candidate.last_used_step < step));
+            if (!row) return false;
+            row.last_used_step = step;
+            return true;
+        }
+
+        static async consumeRecoveryCode() {
+            return false;
+        }
+
+        static async countRecoveryCodes() {
+            return 0;
+        }
+
+        static async isRequiredForRoles(roleNames) {
+            return (roleNames || []).some(role => data.mfaRequiredRoles.has(role));
+        }
+    }
+
+    class SigningKey {
+        static async findLatest() {
+            return copy(data.signingKeys.find(row => row.retired_at === null));
+        }
+
+        static async findPublished() {
+            return data.signingKeys
+                .filter(isLive)
+                .sort((a, b) => b.sequence - a.sequence)
+                .map(copy);
+        }
+
+        static async rotate(key, expectedLatestKid, overlapMs, activationDelayMs) {
+            const current = data.signingKeys.find(row => row.retired_at === null);
+            if ((current ? current.kid : null) !== expectedLatestKid) {
+                return false;
+            }
+
+            const activatesAt = Date.now() + activationDelayMs;
+            if (current) {
+                current.retired_at = new Date(activatesAt);
+                current.expires_at = new Date(activatesAt + overlapMs);
+            }
+            data.signingKeys.push({
+                kid: key.kid,
+                algorithm: key.algorithm,
+                public_jwk: key.publicJwk,
+                private_key_encrypted: key.privateKeyEncrypted,
+                created_at: new Date(),
+                activates_at: new Date(activatesAt),
+                retired_at: null,
+                expires_at: null,
+                sequence: keySequence++
+            });
+            return true;
+        }
+
+        static async deleteExpired() {
+            const before = data.signingKeys.length;
+            data.signingKeys = data.signingKeys.filter(isLive);
+            return before - data.signingKeys.length;
+        }
+    }
+
+    class IdentityProvider {
+        static async findActiveBySlug(slug) {
+            return copy(data.identityProviders.find(row => row.slug === slug && row.is_active));
+        }
+
+        static async findById(id) {
+            return copy(data.identityProviders.find(row => row.id === id));
+        }
+    }
+
+    class UserIdentity {
+        static async findBySubject(providerId, subject) {
+            return copy(data.identities.find(row => row.provider_id === providerId && row.subject === subject));
+        }
+
+        static async create({ userId, providerId, subject, email }) {
+            const row = {
+                id: crypto.randomUUID(),
+                user_id: userId,
+                provider_id: providerId,
+                subject,
+                email,
+                last_login_at: new Date(),
+                created_at: new Date()
+            };
+            data.identities.push(row);
+            return copy(row);
+        }
+
+        static async recordLogin(id, email) {
+            const row = data.identities.find(candidate => candidate.id === id);
+            Object.assign(row, { email, last_login_at: new Date() });
+        }
+    }
+
+    /**
+     * Add a user who signs in with a password
+     * @param {Object} user - { email, password, roles, organizationId, isVerified }
+     * @returns {Promise<Object>} Stored row
+     */
+    const addUser = async ({ email, password, roles = [], organizationId = crypto.randomUUID(), isVerified = true }) => {
+        const user = {
+            id: crypto.randomUUID(),
+            organization_id: organizationId,
+            email: email.toLowerCase(),
+            password_hash: await bcrypt.hash(password, 4),
+            first_name: 'Test',
+            last_name: 'User',
+            phone: null,
+            is_active: true,
+            is_verified: isVerified,
+            last_login: null,
+            created_at: new Date(),
+            updated_at: new Date(),
+            roles: [...roles]
+        };
+        data.users.push(user);
+        return user;
+    };
+
+    /**
+     * Register a machine client for the client_credentials grant
+     * @param {Object} client - { clientId, scopes, isActive }
+     * @returns {Object} { client: stored row, clientSecret }
+     */
+    const addServiceClient = ({ clientId, scopes, isActive = true }) => {
+        const clientSecret = crypto.randomBytes(32).toString('hex');
+        const row = {
+            id: crypto.randomUUID(),
+            client_id: clientId,
+            name: clientId,
+            secret_hash: hashToken(clientSecret),
+            scopes: [...scopes],
+            is_active: isActive,
+            created_by: null,
+            last_used_at: null,
+            created_at: new Date(),
+            updated_at: new Date()
+        };
+        data.serviceClients.push(row);
+        return { client: row, clientSecret };
+    };
+
+    /**
+     * Enroll a user in TOTP MFA
+     * @param {string} userId
+     * @param {string} secretEncrypted - From utils/totp encryptSecret()
+     */
+    const enableMfa = (userId, secretEncrypted) => {
+        data.userMfa.push({
+            user_id: userId,
+            secret_encrypted: secretEncrypted,
+            enabled: true,
+            enabled_at: new Date(),
+            last_used_step: null,
+            created_at: new Date(),
+            updated_at: new Date()
+        });
+    };
+
+    /**
+     * Add an identity provider
+     * @param {Object} provider - Columns to override
+     * @returns {Object} Stored row
+     */
+    const addIdentityProvider = (provider) => {
+        const row = {
+            id: crypto.randomUUID(),
+            organization_id: crypto.randomUUID(),
+            slug: 'acme',
+            name: 'Acme SSO',
+            scopes: 'openid email profile',
+            groups_claim: 'groups',
+            group_role_mappings: {},
+            default_role: null,
+            allowed_domains: [],
+            is_active: true,
+            client_secret_encrypted: null,
+            created_at: new Date(),
+            updated_at: new Date(),
+            ...provider
+        };
+        data.identityProviders.push(row);
+        return row;
+    };
+
+    return {
+        data,
+        models: { User, RefreshToken, PasswordResetToken, EmailVerificationToken, Session, ServiceClient, AuditLog, UserMfa, SigningKey, IdentityProvider, UserIdentity },
+        addUser,
+        addServiceClient,
+        enableMfa,
+        addIdentityProvider
+    };
+};
+
+module.exports = {
+    createAuthServiceStore
+};
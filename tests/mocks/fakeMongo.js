@@ -0,0 +1,123 @@
+// tests/mocks/fakeMongo.js
+
+/**
+ * Whether a document matches a filter
+ * Supports equality and the $gt / $gte / $lt / $lte / $in operators the services use.
+ */
+const matches = (document, filter = {}) => Object.entries(filter).every(([field, condition]) => {
+    const value = document[field];
+    const isOperator = condition !== null && typeof condition === 'object'
+        && !(condition instanceof Date) && Object.keys(condition).every(key => key.startsWith('$'));
+
+    if (!isOperator) {
+        return String(value) === String(condition);
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case '$gt': return value > operand;
+            case '$gte': return value >= operand;
+            case '$lt': return value < operand;
+            case '$lte': return value <= operand;
+            case '$in': return operand.some(item => String(item) === String(value));
+            default: throw new Error(`Unsupported operator in fake Mongo filter: ${operator}`);
+        }
+    });
+});
+
+/**
+ * Cursor over a snapshot of matching documents
+ */
+const createCursor = (documents, projection = {}) => {
+    let results = documents.map(document => ({ ...document }));
+    const cursor = {
+        sort(spec) {
+            const [[field, direction]] = Object.entries(spec);
+            results = [...results].sort((a, b) => (a[field] > b[field] ? direction : a[field] < b[field] ? -direction : 0));
+            return cursor;
+        },
+        skip(count) {
+            results = results.slice(count);
+            return cursor;
+        },
+        limit(count) {
+            results = results.slice(0, count);
+            return cursor;
+        },
+        async toArray() {
+            const hidden = Object.keys(projection).filter(field => projection[field] === 0);
+            return results.map((document) => {
+                const copy = { ...document };
+                hidden.forEach((field) => { delete copy[field]; });
+                return copy;
+            });
+        }
+    };
+    return cursor;
+};
+
+/**
+ * In-memory stand-in for the mongodb driver
+ * Documents live in collections[name]; tests read them directly.
+ *
+ *   const mongo = createFakeMongo();
+ *   jest.doMock('mongodb', () => ({ MongoClient: mongo.MongoClient }));
+ */
+const createFakeMongo = () => {
+    const collections = {};
+    let nextId = 1;
+
+    const documentsOf = (name) => {
+        if (!collections[name]) collections[name] = [];
+        return collections[name];
+    };
+
+    const collection = (name) => ({
+        async insertOne(document) {
+            const stored = { _id: nextId++, ...document };
+            documentsOf(name).push(stored);
+            return { acknowledged: true, insertedId: stored._id };
+        },
+        find(filter, options = {}) {
+            return createCursor(documentsOf(name).filter(document => matches(document, filter)), options.projection);
+        },
+        async findOne(filter) {
+            const found = documentsOf(name).find(document => matches(document, filter));
+            return found ? { ...found } : null;
+        },
+        async updateOne(filter, update, options = {}) {
+            const found = documentsOf(name).find(document => matches(document, filter));
+            if (found) {
+                Object.assign(found, update.$set);
+                return { acknowledged: true, matchedCount: 1, upsertedCount: 0 };
+            }
+            if (options.upsert) {
+                documentsOf(name).push({ _id: nextId++, ...filter, ...update.$set });
+                return { acknowledged: true, matchedCount: 0, upsertedCount: 1 };
+            }
+            return { acknowledged: true, matchedCount: 0, upsertedCount: 0 };
+        },
+        aggregate() {
+            return createCursor([]);
+        }
+    });
+
+    class MongoClient {
+        async connect() {}
+
+        db() {
+            return {
+                collection,
+                listCollections: () => createCursor(Object.keys(collections).map(name => ({ name })))
+            };
+        }
+
+        async close() {}
+    }
+
+    return { collections, MongoClient };
+};
+
+module.exports = {
+    createFakeMongo
+};
@@ -0,0 +1,116 @@
+// tests/mocks/fakeRedis.js
+
+/**
+ * In-memory stand-in for a connected node-redis v4 client
+ * Covers the commands the services use. Expiry runs on the client's own clock,
+ * which tests move forward with advance() instead of waiting.
+ *
+ *   const redis = createFakeRedis();
+ *   jest.doMock('redis', () => ({ createClient: () => redis }));
+ */
+const createFakeRedis = () => {
+    // key -> { value, expiresAt (ms on the fake clock) | null }
+    const entries = new Map();
+    const published = [];
+    // channel -> Set of listeners
+    const subscriptions = new Map();
+    let offsetMs = 0;
+
+    const now = () => Date.now() + offsetMs;
+
+    const read = (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    const write = (key, value, ttlSeconds = null) => {
+        entries.set(key, { value: String(value), expiresAt: ttlSeconds === null ? null : now() + ttlSeconds * 1000 });
+    };
+
+    return {
+        isReady: true,
+        published,
+
+        /**
+         * Move the client's clock forward
+         * @param {number} seconds
+         */
+        advance(seconds) {
+            offsetMs += seconds * 1000;
+        },
+
+        on() {
+            return this;
+        },
+        async connect() {},
+        async quit() {},
+
+        async setEx(key, seconds, value) {
+            write(key, value, seconds);
+            return 'OK';
+        },
+        async get(key) {
+            const entry = read(key);
+            return entry ? entry.value : null;
+        },
+        async getDel(key) {
+            const entry = read(key);
+            entries.delete(key);
+            return entry ? entry.value : null;
+        },
+        async mGet(keys) {
+            return keys.map((key) => {
+                const entry = read(key);
+                return entry ? entry.value : null;
+            });
+        },
+        async del(key) {
+            const existed = read(key) !== null;
+            entries.delete(key);
+            return existed ? 1 : 0;
+        },
+        async exists(key) {
+            return read(key) ? 1 : 0;
+        },
+        async incr(key) {
+            const entry = read(key);
+            const value = (entry ? parseInt(entry.value, 10) : 0) + 1;
+            entries.set(key, { value: String(value), expiresAt: entry ? entry.expiresAt : null });
+            return value;
+        },
+        async expire(key, seconds) {
+            const entry = read(key);
+            if (!entry) return 0;
+            entry.expiresAt = now() + seconds * 1000;
+            return 1;
+        },
+        async ttl(key) {
+            const entry = read(key);
+            if (!entry) return -2;
+            if (entry.expiresAt === null) return -1;
+            return Math.ceil((entry.expiresAt - now()) / 1000);
+        },
+        async keys(pattern) {
+            const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+            return [...entries.keys()].filter(key => read(key) && regex.test(key));
+        },
+        async publish(channel, message) {
+            published.push({ channel, message: JSON.parse(message) });
+            const listeners = subscriptions.get(channel) || new Set();
+            listeners.forEach(listener => listener(message, channel));
+            return listeners.size;
+        },
+        async subscribe(channel, listener) {
+            if (!subscriptions.has(channel)) subscriptions.set(channel, new Set());
+            subscriptions.get(channel).add(listener);
+        }
+    };
+};
+
+module.exports = {
+    createFakeRedis
+};
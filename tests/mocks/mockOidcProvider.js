@@ -0,0 +1,212 @@
+// tests/mocks/mockOidcProvider.js
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Mock OpenID Connect provider for exercising auth-service single sign-on locally
+ * Implements discovery, the authorization code flow with PKCE (S256) and a JWKS.
+ * /authorize signs in the configured user straight away - there is no login page.
+ *
+ * In tests:
+ *   const provider = await createMockOidcProvider({ user: { groups: ['erp-admins'] } });
+ *   // configure an identity provider with issuer provider.issuer, then run the flow
+ *   await provider.close();
+ *
+ * Standalone: node tests/mocks/mockOidcProvider.js (MOCK_OIDC_PORT, MOCK_OIDC_CLIENT_ID,
+ * MOCK_OIDC_CLIENT_SECRET, MOCK_OIDC_EMAIL and MOCK_OIDC_GROUPS override the defaults)
+ */
+
+const DEFAULT_USER = {
+    sub: 'mock-user-1',
+    email: 'jane.doe@example.com',
+    email_verified: true,
+    given_name: 'Jane',
+    family_name: 'Doe',
+    groups: ['erp-users']
+};
+
+const base64Url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * Sign claims as an RS256 JWT
+ */
+const signJwt = (claims, privateKey, kid) => {
+    const header = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid }));
+    const payload = base64Url(JSON.stringify(claims));
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+    return `${header}.${payload}.${signature}`;
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+    req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+};
+
+/**
+ * Client credentials from HTTP Basic auth or the form body
+ */
+const getClientCredentials = (req, form) => {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Basic ')) {
+        const [clientId, clientSecret] = Buffer.from(authorization.substring(6), 'base64').toString().split(':');
+        return { clientId: decodeURIComponent(clientId), clientSecret: decodeURIComponent(clientSecret || '') };
+    }
+    return { clientId: form.get('client_id'), clientSecret: form.get('client_secret') };
+};
+
+/**
+ * Start a mock provider
+ * @param {Object} options
+ * @param {number} options.port - 0 picks a free port
+ * @param {string} options.clientId
+ * @param {string|null} options.clientSecret - null for a public client
+ * @param {Object} options.user - Claims for the signed-in user, merged over DEFAULT_USER
+ * @returns {Promise<Object>} { issuer, setUser(claims), close() }
+ */
+const createMockOidcProvider = (options = {}) => {
+    const clientId = options.clientId || 'erp-client';
+    const clientSecret = options.clientSecret === undefined ? 'erp-client-secret' : options.clientSecret;
+    let user = { ...DEFAULT_USER, ...options.user };
+
+    const kid = crypto.randomBytes(8).toString('hex');
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const jwk = { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' };
+
+    // code -> { redirectUri, nonce, codeChallenge, user }
+    const codes = new Map();
+    let issuer = null;
+
+    const authorize = (url, res) => {
+        const params = url.searchParams;
+        const redirectUri = params.get('redirect_uri');
+
+        if (params.get('client_id') !== clientId || !redirectUri) {
+            return sendJson(res, 400, { error: 'invalid_request', error_description: 'Unknown client or missing redirect_uri' });
+        }
+        if (params.get('response_type') !== 'code' || params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) {
+            return sendJson(res, 400, { error: 'invalid_request', error_description: 'Authorization code with S256 PKCE required' });
+        }
+
+        const code = crypto.randomBytes(16).toString('hex');
+        codes.set(code, {
+            redirectUri,
+            nonce: params.get('nonce'),
+            codeChallenge: params.get('code_challenge'),
+            user: { ...user }
+        });
+
+        const location = new URL(redirectUri);
+        location.searchParams.set('code', code);
+        if (params.get('state')) location.searchParams.set('state', params.get('state'));
+
+        res.writeHead(302, { Location: location.toString() });
+        return res.end();
+    };
+
+    const token = async (req, res) => {
+        const form = await readBody(req);
+        const credentials = getClientCredentials(req, form);
+        if (credentials.clientId !== clientId || (clientSecret !== null && credentials.clientSecret !== clientSecret)) {
+            return sendJson(res, 401, { error: 'invalid_client' });
+        }
+
+        const pending = codes.get(form.get('code'));
+        codes.delete(form.get('code'));
+
+        const verifier = form.get('code_verifier') || '';
+        const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+        if (form.get('grant_type') !== 'authorization_code'
+            || !pending
+            || pending.redirectUri !== form.get('redirect_uri')
+            || pending.codeChallenge !== challenge) {
+            return sendJson(res, 400, { error: 'invalid_grant' });
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const idToken = signJwt({
+            ...pending.user,
+            iss: issuer,
+            aud: clientId,
+            iat: now,
+            exp: now + 300,
+            nonce: pending.nonce
+        }, privateKey, kid);
+
+        return sendJson(res, 200, {
+            access_token: crypto.randomBytes(16).toString('hex'),
+            token_type: 'Bearer',
+            expires_in: 300,
+            id_token: idToken
+        });
+    };
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, issuer);
+
+        if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+            return sendJson(res, 200, {
+                issuer,
+                authorization_endpoint: `${issuer}/authorize`,
+                token_endpoint: `${issuer}/token`,
+                jwks_uri: `${issuer}/jwks`,
+                response_types_supported: ['code'],
+                subject_types_supported: ['public'],
+                id_token_signing_alg_values_supported: ['RS256'],
+                code_challenge_methods_supported: ['S256'],
+                token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic', 'none']
+            });
+        }
+        if (req.method === 'GET' && url.pathname === '/jwks') {
+            return sendJson(res, 200, { keys: [jwk] });
+        }
+        if (req.method === 'GET' && url.pathname === '/authorize') {
+            return authorize(url, res);
+        }
+        if (req.method === 'POST' && url.pathname === '/token') {
+            return token(req, res).catch(() => sendJson(res, 500, { error: 'server_error' }));
+        }
+
+        return sendJson(res, 404, { error: 'not_found' });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port || 0, '127.0.0.1', () => {
+            issuer = `http://127.0.0.1:${server.address().port}`;
+            resolve({
+                issuer,
+                clientId,
+                clientSecret,
+                setUser: (claims) => { user = { ...DEFAULT_USER, ...claims }; },
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+};
+
+module.exports = {
+    createMockOidcProvider,
+    DEFAULT_USER
+};
+
+if (require.main === module) {
+    createMockOidcProvider({
+        port: parseInt(process.env.MOCK_OIDC_PORT) || 4010,
+        clientId: process.env.MOCK_OIDC_CLIENT_ID,
+        clientSecret: process.env.MOCK_OIDC_CLIENT_SECRET,
+        user: {
+            ...(process.env.MOCK_OIDC_EMAIL && { email: process.env.MOCK_OIDC_EMAIL }),
+            ...(process.env.MOCK_OIDC_GROUPS && { groups: process.env.MOCK_OIDC_GROUPS.split(',') })
+        }
+    }).then((provider) => {
+        console.log(`Mock OIDC provider listening at ${provider.issuer}`);
+        console.log(`Client ID: ${provider.clientId}, client secret: ${provider.clientSecret}`);
+    });
+}